@@ -6,7 +6,16 @@
 const baseConfigProperties = {
     $schema: { type: "string" },
     env: { type: "object" },
-    extends: { $ref: "#/definitions/stringOrStrings" },
+    extends: {
+        oneOf: [
+            { $ref: "#/definitions/extendsEntry" },
+            {
+                type: "array",
+                items: { $ref: "#/definitions/extendsEntry" },
+                additionalItems: false
+            }
+        ]
+    },
     globals: { type: "object" },
     overrides: {
         type: "array",
@@ -18,6 +27,10 @@ const baseConfigProperties = {
     plugins: { type: "array" },
     processor: { type: "string" },
     rules: { type: "object" },
+    ruleMergeStrategies: {
+        type: "object",
+        additionalProperties: { enum: ["replace", "deep-merge", "concat"] }
+    },
     settings: { type: "object" },
     noInlineConfig: { type: "boolean" },
     reportUnusedDisableDirectives: { type: "boolean" },
@@ -49,6 +62,27 @@ const configSchema = {
             ]
         },
 
+        // An element of `extends`.
+        extendsEntry: {
+            oneOf: [
+                { type: "string" },
+                {
+                    type: "object",
+                    properties: {
+                        config: { type: "string" },
+                        severity: { enum: [0, 1, 2, "off", "warn", "error"] },
+                        exclude: {
+                            type: "array",
+                            items: { type: "string" },
+                            additionalItems: false
+                        }
+                    },
+                    required: ["config"],
+                    additionalProperties: false
+                }
+            ]
+        },
+
         // Config at top-level.
         objectConfig: {
             type: "object",
@@ -5,15 +5,32 @@
  *
  * 1. Handles cascading of config files.
  *
- * It provides two methods:
+ * It provides three methods:
  *
  * - `getConfigArrayForFile(filePath)`
  *     Get the corresponded configuration of a given file. This method doesn't
  *     throw even if the given file didn't exist.
+ * - `getConfigArrayForFileAsync(filePath)`
+ *     The asynchronous version of `getConfigArrayForFile(filePath)`. This can
+ *     load ES module config files as well.
+ * - `explainConfig(filePath)`
+ *     Explain which config files supplied the settings of a given file. See
+ *     `ConfigArray#explainConfig(filePath)`.
+ * - `whyIgnored(filePath)`
+ *     Explain which ignore pattern decided whether a given file is ignored.
+ *     See `ConfigArray#whyIgnored(filePath)`.
+ * - `diffConfig(filePath, target)`
+ *     Compare the configuration of a given file with the configuration of
+ *     another file or of the same file in another factory.
  * - `clearCache()`
  *     Clear the internal cache. You have to call this method when
  *     `additionalPluginPool` was updated if `baseConfig` or `cliConfig` depends
  *     on the additional plugins. (`CLIEngine#addPlugin()` method calls this.)
+ * - `invalidate(pathOrDirectory)`
+ *     Clear the cache which depends on a given file or directory.
+ * - `watch(listener)` / `unwatch()`
+ *     Start or stop calling `invalidate()` automatically when the loaded
+ *     config files and `.eslintignore` files were changed.
  *
  * @author Toru Nagashima <https://github.com/mysticatea>
  */
@@ -23,6 +40,7 @@
 //------------------------------------------------------------------------------
 
 import debugOrig from "debug";
+import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 
@@ -33,6 +51,7 @@ import {
     IgnorePattern
 } from "./config-array/index.js";
 import ConfigValidator from "./shared/config-validator.js";
+import { getReplacedRuleId, hasSameOptionsSchema } from "./shared/config-ops.js";
 import { emitDeprecationWarning } from "./shared/deprecation-warnings.js";
 
 const debug = debugOrig("eslintrc:cascading-config-array-factory");
@@ -46,7 +65,11 @@ const debug = debugOrig("eslintrc:cascading-config-array-factory");
 /** @typedef {import("./shared/types").Parser} Parser */
 /** @typedef {import("./shared/types").Plugin} Plugin */
 /** @typedef {import("./shared/types").Rule} Rule */
+/** @typedef {import("./shared/types").RuleMergeStrategy} RuleMergeStrategy */
+/** @typedef {import("./shared/memory-file-system").FileSystem} FileSystem */
+/** @typedef {import("./config-array-factory").ConfigFileSearch} ConfigFileSearch */
 /** @typedef {ReturnType<ConfigArrayFactory["create"]>} ConfigArray */
+/** @typedef {import("./config-array/config-array").IgnoreExplanation} IgnoreExplanation */
 
 /**
  * @typedef {Object} CascadingConfigArrayFactoryOptions
@@ -54,9 +77,14 @@ const debug = debugOrig("eslintrc:cascading-config-array-factory");
  * @property {ConfigData} [baseConfig] The config by `baseConfig` option.
  * @property {ConfigData} [cliConfig] The config by CLI options (`--env`, `--global`, `--ignore-pattern`, `--parser`, `--parser-options`, `--plugin`, and `--rule`). CLI options overwrite the setting in config files.
  * @property {string} [cwd] The base directory to start lookup.
- * @property {string} [ignorePath] The path to the alternative file of `.eslintignore`.
+ * @property {string|string[]} [ignorePath] The path to the alternative file of `.eslintignore`. If this is an array, the patterns of the later files take precedence.
+ * @property {boolean} [useGitignore=false] If `true` then it loads `.gitignore` files in `cwd` and its descendant directories as well.
+ * @property {boolean} [useCascadingESLintIgnore=false] If `true` then it loads `.eslintignore` files in the directories where it looks up config files, except `cwd`. Those patterns affect only the files in the directory of each file.
  * @property {string[]} [rulePaths] The value of `--rulesdir` option.
- * @property {string} [specificConfigPath] The value of `--config` option.
+ * @property {Record<string, string>} [ruleRenames] The map from old rule IDs to new rule IDs. The settings of the old rule IDs are migrated to the new rule IDs with deprecation warnings. If the old and new rules are known and have different options schemas, only the severities are migrated.
+ * @property {boolean} [renameDeprecatedRules=false] If `true` then deprecated rules are renamed to their replacements as same as `ruleRenames`, if those have only one replacement. The `ruleRenames` option takes precedence.
+ * @property {Record<string, RuleMergeStrategy>} [ruleMergeStrategies] The strategies to merge the options of each rule across config files. Config files can override those with their `ruleMergeStrategies` property. Any strategy except `"replace"` makes `ConfigArray#extractConfig()` merge all configs for each file, instead of reusing the merged configs which files share.
+ * @property {string|string[]} [specificConfigPath] The value of `--config` option. If this is an array, the later config files take precedence over the earlier ones.
  * @property {boolean} [useEslintrc] if `false` then it doesn't load config files.
  * @property {Function} loadRules The function to use to load rules.
  * @property {Map<string,Rule>} builtInRules The rules that are built in to ESLint.
@@ -65,6 +93,31 @@ const debug = debugOrig("eslintrc:cascading-config-array-factory");
  * @property {Function} getEslintAllConfig Returns the config data for eslint:all.
  * @property {string} eslintRecommendedPath The path to the definitions for eslint:recommended.
  * @property {Function} getEslintRecommendedConfig Returns the config data for eslint:recommended.
+ * @property {Function} [transpile] The function to transpile TypeScript config files. If this is given, `.eslintrc.ts` and `.eslintrc.cts` are available.
+ * @property {Object[]} [loaders] The custom loaders for config files. See `ConfigLoader` in `config-array-factory.js`.
+ * @property {boolean} [trackProvenance=false] If `true` then config array elements and extracted configs have the `provenance` property.
+ * @property {"all"|"data-only"|Object} [trustMode="all"] How far config files are trusted. See `TrustMode` in `config-array-factory.js`.
+ * @property {FileSystem} [fs] The file system to find and read config files and `.eslintignore` files. Default is `node:fs`.
+ * @property {StopAt} [stopAt] The directory to stop looking up config files at, in addition to `root:true`. If the lookup stopped there, the personal config in the home directory is not loaded even if no config files were found.
+ */
+
+/**
+ * The directory to stop looking up config files at. It's one of:
+ *
+ * - a path to the directory. Relative paths are resolved from `cwd`.
+ * - a function that receives a directory path and returns `true` to stop at the directory.
+ * - `"vcs-root"` to stop at the nearest directory which has `.git` or `.hg`.
+ * - `"workspace-root"` to stop at the nearest directory which has `package.json` with `workspaces` field.
+ *
+ * Config files in the directory are loaded, but config files in its ancestors
+ * are not, as though the directory has a config file with `root:true`.
+ * @typedef {string|((directoryPath:string) => boolean)} StopAt
+ */
+
+/**
+ * The function that checks if the lookup should stop at a given directory.
+ * It returns the reason to stop, or `null`.
+ * @typedef {(directoryPath:string) => string|null} StopAtChecker
  */
 
 /**
@@ -75,11 +128,18 @@ const debug = debugOrig("eslintrc:cascading-config-array-factory");
  * @property {ConfigData} cliConfigData The config data of CLI options. This is used to reset `cliConfigArray`.
  * @property {ConfigArrayFactory} configArrayFactory The factory for config arrays.
  * @property {Map<string, ConfigArray>} configCache The cache from directory paths to config arrays.
+ * @property {Map<string, Promise<ConfigArray>>} pendingConfigArrays The config arrays which are being loaded asynchronously by directory paths. This is used to share loading between concurrent calls.
  * @property {string} cwd The base directory to start lookup.
  * @property {WeakMap<ConfigArray, ConfigArray>} finalizeCache The cache from config arrays to finalized config arrays.
- * @property {string} [ignorePath] The path to the alternative file of `.eslintignore`.
+ * @property {WeakSet<ConfigArray>} stoppedConfigArrays The config arrays whose lookup the `stopAt` option ended. Those don't need the personal config.
+ * @property {string|string[]} [ignorePath] The path to the alternative file of `.eslintignore`.
+ * @property {boolean} useGitignore If `true` then it loads `.gitignore` files.
+ * @property {boolean} useCascadingESLintIgnore If `true` then it loads `.eslintignore` files in ancestor directories.
  * @property {string[]|null} rulePaths The value of `--rulesdir` option. This is used to reset `baseConfigArray`.
- * @property {string|null} specificConfigPath The value of `--config` option. This is used to reset `cliConfigArray`.
+ * @property {Record<string, string>|null} ruleRenames The value of `ruleRenames` option.
+ * @property {boolean} renameDeprecatedRules The value of `renameDeprecatedRules` option.
+ * @property {Record<string, RuleMergeStrategy>|null} ruleMergeStrategies The value of `ruleMergeStrategies` option. This is used to reset `baseConfigArray`.
+ * @property {string|string[]|null} specificConfigPath The value of `--config` option. This is used to reset `cliConfigArray`.
  * @property {boolean} useEslintrc if `false` then it doesn't load config files.
  * @property {Function} loadRules The function to use to load rules.
  * @property {Map<string,Rule>} builtInRules The rules that are built in to ESLint.
@@ -88,6 +148,12 @@ const debug = debugOrig("eslintrc:cascading-config-array-factory");
  * @property {Function} getEslintAllConfig Returns the config data for eslint:all.
  * @property {string} eslintRecommendedPath The path to the definitions for eslint:recommended.
  * @property {Function} getEslintRecommendedConfig Returns the config data for eslint:recommended.
+ * @property {Function|undefined} transpile The function to transpile TypeScript config files.
+ * @property {Object[]|undefined} loaders The custom loaders for config files.
+ * @property {FileSystem|undefined} fs The file system to find and read config files.
+ * @property {Map<string, {close: () => void}>|null} watchers The watchers by file paths. This is `null` if not watching.
+ * @property {((filePath:string) => void)|undefined} watchListener The function to call after files were changed in watch mode.
+ * @property {StopAtChecker|null} stopAt The function to check the directory to stop looking up config files at.
  */
 
 /** @type {WeakMap<CascadingConfigArrayFactory, CascadingConfigArrayFactoryInternalSlots>} */
@@ -102,6 +168,7 @@ function createBaseConfigArray({
     configArrayFactory,
     baseConfigData,
     rulePaths,
+    ruleMergeStrategies,
     cwd,
     loadRules
 }) {
@@ -110,6 +177,17 @@ function createBaseConfigArray({
         { name: "BaseConfig" }
     );
 
+    /*
+     * Create the config array element for `ruleMergeStrategies` option.
+     * This element has the lowest priority, so every config can override it.
+     */
+    if (ruleMergeStrategies) {
+        baseConfigArray.unshift(...configArrayFactory.create(
+            { ruleMergeStrategies },
+            { name: "RuleMergeStrategies" }
+        ));
+    }
+
     /*
      * Create the config array element for the default ignore patterns.
      * This element has `ignorePattern` property that ignores the default
@@ -163,20 +241,38 @@ function createCLIConfigArray({
     configArrayFactory,
     cwd,
     ignorePath,
-    specificConfigPath
+    specificConfigPath,
+    useGitignore
 }) {
     const cliConfigArray = configArrayFactory.create(
         cliConfigData,
         { name: "CLIOptions" }
     );
+    const ignorePaths = [ignorePath].flat().filter(Boolean);
 
     cliConfigArray.unshift(
-        ...(ignorePath
-            ? configArrayFactory.loadESLintIgnore(ignorePath)
+        ...(ignorePaths.length > 0
+            ? ignorePaths.flatMap(filePath => [...configArrayFactory.loadESLintIgnore(filePath)])
             : configArrayFactory.loadDefaultESLintIgnore())
     );
 
-    if (specificConfigPath) {
+    // `.eslintignore` files take precedence over `.gitignore` files.
+    if (useGitignore) {
+        cliConfigArray.unshift(...configArrayFactory.loadGitignore());
+    }
+
+    if (Array.isArray(specificConfigPath)) {
+
+        // The later files take precedence, so unshift from the last one.
+        for (let i = specificConfigPath.length - 1; i >= 0; --i) {
+            cliConfigArray.unshift(
+                ...configArrayFactory.loadFile(
+                    specificConfigPath[i],
+                    { name: `--config[${i}]`, basePath: cwd }
+                )
+            );
+        }
+    } else if (specificConfigPath) {
         cliConfigArray.unshift(
             ...configArrayFactory.loadFile(
                 specificConfigPath,
@@ -189,18 +285,210 @@ function createCLIConfigArray({
 }
 
 /**
- * The error type when there are files matched by a glob, but all of them have been ignored.
+ * Create the config array element which has the rule renames for the rule IDs
+ * that a given config array uses. The renames come from `ruleRenames` option
+ * and, if `renameDeprecatedRules` option is `true`, the replacements of
+ * deprecated built-in rules. `ConfigArray` handles the renames of deprecated
+ * plugin rules by itself with the `renameDeprecatedRules` flag of the element.
+ * @param {ConfigArray} configArray The config array.
+ * @param {CascadingConfigArrayFactoryInternalSlots} slots The slots.
+ * @returns {Object|null} The config array element, or `null` if no rules are renamed.
  */
-class ConfigurationNotFoundError extends Error {
+function createRuleRenamesElement(configArray, { builtInRules, renameDeprecatedRules, ruleRenames }) {
+    const renames = {};
+    const severityOnlyRuleRenames = [];
+    const ruleIds = configArray.flatMap(element => Object.keys(element.rules || {}));
+
+    while (ruleIds.length > 0) {
+        const ruleId = ruleIds.pop();
+
+        if (Object.hasOwn(renames, ruleId)) {
+            continue;
+        }
+
+        let newRuleId = null;
+
+        if (ruleRenames && Object.hasOwn(ruleRenames, ruleId)) {
+            newRuleId = ruleRenames[ruleId];
+        } else if (renameDeprecatedRules) {
+            newRuleId = getReplacedRuleId(builtInRules.get(ruleId));
+        }
+
+        // Follow the renames of the new rule ID as well.
+        if (newRuleId) {
+            const rule = builtInRules.get(ruleId);
+            const newRule = builtInRules.get(newRuleId);
+
+            renames[ruleId] = newRuleId;
+            ruleIds.push(newRuleId);
+            if (rule && newRule && !hasSameOptionsSchema(rule, newRule)) {
+                severityOnlyRuleRenames.push(ruleId);
+            }
+        }
+    }
+
+    if (
+        Object.keys(renames).length === 0 &&
+        !(renameDeprecatedRules && [...configArray.pluginRules.values()].some(rule => getReplacedRuleId(rule)))
+    ) {
+        return null;
+    }
+
+    return {
+        type: "config",
+        name: "RuleRenames",
+        filePath: "",
+        ruleRenames: renames,
+        renameDeprecatedRules,
+        severityOnlyRuleRenames
+    };
+}
+
+const vcsDirectoryNames = [".git", ".hg"];
+
+/**
+ * Check if a given directory has `package.json` with `workspaces` field.
+ * @param {string} directoryPath The path to the directory.
+ * @param {FileSystem} fileSystem The file system to read `package.json`.
+ * @returns {boolean} `true` if the directory is the root of workspaces.
+ */
+function hasWorkspaces(directoryPath, fileSystem) {
+    const filePath = path.join(directoryPath, "package.json");
+
+    if (!fileSystem.existsSync(filePath)) {
+        return false;
+    }
+
+    try {
+        const { workspaces } = JSON.parse(fileSystem.readFileSync(filePath, "utf8"));
+
+        return Boolean(workspaces);
+    } catch {
+        debug(`Failed to read workspaces: ${filePath}`);
+        return false;
+    }
+}
+
+/**
+ * Normalize the `stopAt` option.
+ * @param {StopAt|undefined} stopAt The `stopAt` option.
+ * @param {string} cwd The path to resolve a relative path.
+ * @param {FileSystem} fileSystem The file system to find marker files.
+ * @returns {StopAtChecker|null} The function to check directories, or `null` if the option is not given.
+ * @throws {TypeError} If the option is invalid.
+ */
+function normalizeStopAt(stopAt, cwd, fileSystem) {
+    if (stopAt === void 0 || stopAt === null) {
+        return null;
+    }
+    if (stopAt === "vcs-root") {
+        return directoryPath => {
+            const name = vcsDirectoryNames.find(
+                n => fileSystem.existsSync(path.join(directoryPath, n))
+            );
+
+            return name ? `'${name}' exists` : null;
+        };
+    }
+    if (stopAt === "workspace-root") {
+        return directoryPath => (
+            hasWorkspaces(directoryPath, fileSystem)
+                ? "'package.json' has 'workspaces'"
+                : null
+        );
+    }
+    if (typeof stopAt === "function") {
+        return directoryPath => (
+            stopAt(directoryPath)
+                ? "the predicate returned true"
+                : null
+        );
+    }
+    if (typeof stopAt === "string" && stopAt) {
+        const stopPath = path.resolve(cwd, stopAt);
+
+        return directoryPath => (
+            directoryPath === stopPath
+                ? `it's ${stopPath}`
+                : null
+        );
+    }
+
+    throw new TypeError(`'stopAt' must be a path, a function, "vcs-root", or "workspace-root", but got ${JSON.stringify(stopAt)}.`);
+}
+
+/**
+ * Check if a given path is a given directory or inside of it.
+ * @param {string} targetPath The path to check.
+ * @param {string} directoryPath The path to the directory.
+ * @returns {boolean} `true` if the path is inside of the directory.
+ */
+function isPathInside(targetPath, directoryPath) {
+    const relativePath = path.relative(directoryPath, targetPath);
+
+    return relativePath === "" || (
+        !relativePath.startsWith("..") &&
+        !path.isAbsolute(relativePath)
+    );
+}
+
+/**
+ * Create the details of the message of `ConfigurationNotFoundError`.
+ * @param {ConfigFileSearch[]} searchedDirectories The inspected directories.
+ * @returns {string} The details, which start with a line break. Empty if no directories were inspected.
+ */
+function formatConfigFileSearches(searchedDirectories) {
+    if (searchedDirectories.length === 0) {
+        return "";
+    }
 
+    const lines = [
+        `Searched for ${searchedDirectories[0].candidates.join(", ")} in:`,
+        ...searchedDirectories.map(search => `- ${search.directoryPath}`)
+    ];
+    const skippedPackageJsonFiles = searchedDirectories
+        .map(search => search.skippedPackageJson)
+        .filter(Boolean);
+    const flatConfigFiles = searchedDirectories
+        .flatMap(search => search.flatConfigFiles);
+
+    if (skippedPackageJsonFiles.length > 0) {
+        lines.push(
+            "Skipped package.json files which don't have \"eslintConfig\" property:",
+            ...skippedPackageJsonFiles.map(filePath => `- ${filePath}`)
+        );
+    }
+    if (flatConfigFiles.length > 0) {
+        lines.push(
+            "Found flat config files, which are not used by eslintrc config system:",
+            ...flatConfigFiles.map(filePath => `- ${filePath}`)
+        );
+    }
+
+    return `\n${lines.join("\n")}`;
+}
+
+/**
+ * The error type when no config files were found for a file.
+ */
+class ConfigurationNotFoundError extends Error {
 
     /**
      * @param {string} directoryPath The directory path.
+     * @param {ConfigFileSearch[]} [searchedDirectories] The directories which were searched for config files, from the nearest one.
      */
-    constructor(directoryPath) {
-        super(`No ESLint configuration found in ${directoryPath}.`);
+    constructor(directoryPath, searchedDirectories = []) {
+        super(`No ESLint configuration found in ${directoryPath}.${formatConfigFileSearches(searchedDirectories)}`);
         this.messageTemplate = "no-config-found";
-        this.messageData = { directoryPath };
+        this.messageData = {
+            directoryPath,
+            searchedDirectories,
+            skippedPackageJsonFiles: searchedDirectories
+                .map(search => search.skippedPackageJson)
+                .filter(Boolean),
+            flatConfigFiles: searchedDirectories
+                .flatMap(search => search.flatConfigFiles)
+        };
     }
 }
 
@@ -222,15 +510,26 @@ class CascadingConfigArrayFactory {
         ignorePath,
         resolvePluginsRelativeTo,
         rulePaths = [],
+        ruleMergeStrategies = null,
+        ruleRenames = null,
+        renameDeprecatedRules = false,
         specificConfigPath = null,
         useEslintrc = true,
+        useGitignore = false,
+        useCascadingESLintIgnore = false,
         builtInRules = new Map(),
         loadRules,
         resolver,
         eslintRecommendedPath,
         getEslintRecommendedConfig,
         eslintAllPath,
-        getEslintAllConfig
+        getEslintAllConfig,
+        transpile,
+        loaders,
+        trackProvenance,
+        trustMode,
+        fs: fileSystem,
+        stopAt
     } = {}) {
         const configArrayFactory = new ConfigArrayFactory({
             additionalPluginPool,
@@ -241,7 +540,12 @@ class CascadingConfigArrayFactory {
             eslintRecommendedPath,
             getEslintRecommendedConfig,
             eslintAllPath,
-            getEslintAllConfig
+            getEslintAllConfig,
+            transpile,
+            loaders,
+            trackProvenance,
+            trustMode,
+            fs: fileSystem
         });
 
         internalSlotsMap.set(this, {
@@ -250,6 +554,7 @@ class CascadingConfigArrayFactory {
                 configArrayFactory,
                 cwd,
                 rulePaths,
+                ruleMergeStrategies,
                 loadRules
             }),
             baseConfigData,
@@ -258,19 +563,33 @@ class CascadingConfigArrayFactory {
                 configArrayFactory,
                 cwd,
                 ignorePath,
-                specificConfigPath
+                specificConfigPath,
+                useGitignore
             }),
             cliConfigData,
             configArrayFactory,
             configCache: new Map(),
+            pendingConfigArrays: new Map(),
             cwd,
             finalizeCache: new WeakMap(),
+            stoppedConfigArrays: new WeakSet(),
             ignorePath,
             rulePaths,
+            ruleMergeStrategies,
+            ruleRenames,
+            renameDeprecatedRules,
             specificConfigPath,
             useEslintrc,
+            useGitignore,
+            useCascadingESLintIgnore,
             builtInRules,
-            loadRules
+            loadRules,
+            transpile,
+            loaders,
+            fs: fileSystem,
+            watchers: null,
+            watchListener: void 0,
+            stopAt: normalizeStopAt(stopAt, cwd, fileSystem || fs)
         });
     }
 
@@ -289,6 +608,8 @@ class CascadingConfigArrayFactory {
      * Get the config array of a given file.
      * If `filePath` was not given, it returns the config which contains only
      * `baseConfigData` and `cliConfigData`.
+     * This skips `.eslintrc.mjs` files. Use `getConfigArrayForFileAsync()` to
+     * load those.
      * @param {string} [filePath] The file path to a file.
      * @param {Object} [options] The options.
      * @param {boolean} [options.ignoreNotFoundError] If `true` then it doesn't throw `ConfigurationNotFoundError`.
@@ -316,6 +637,51 @@ class CascadingConfigArrayFactory {
         );
     }
 
+    /**
+     * Get the config array of a given file asynchronously.
+     * Unlike `getConfigArrayForFile()`, this method can load ES module config
+     * files.
+     * @param {string} [filePath] The file path to a file.
+     * @param {Object} [options] The options.
+     * @param {boolean} [options.ignoreNotFoundError] If `true` then it doesn't throw `ConfigurationNotFoundError`.
+     * @returns {Promise<ConfigArray>} The config array of the file.
+     */
+    async getConfigArrayForFileAsync(filePath, { ignoreNotFoundError = false } = {}) {
+        const {
+            baseConfigArray,
+            cliConfigArray,
+            configArrayFactory,
+            cwd
+        } = internalSlotsMap.get(this);
+
+        if (!filePath) {
+            return new ConfigArray(...baseConfigArray, ...cliConfigArray);
+        }
+
+        const directoryPath = path.dirname(path.resolve(cwd, filePath));
+
+        debug(`Load config files for ${directoryPath} asynchronously.`);
+
+        const configArray = this._loadConfigInAncestors(
+            directoryPath,
+            false,
+            await this._preloadConfigInAncestors(directoryPath)
+        );
+        const personalConfigArray = this._needsPersonalConfig(configArray)
+            ? await configArrayFactory.loadInDirectoryAsync(
+                os.homedir(),
+                { name: "PersonalConfig" }
+            )
+            : void 0;
+
+        return this._finalizeConfigArray(
+            configArray,
+            directoryPath,
+            ignoreNotFoundError,
+            personalConfigArray
+        );
+    }
+
     /**
      * Set the config data to override all configs.
      * Require to call `clearCache()` method after this method is called.
@@ -328,6 +694,60 @@ class CascadingConfigArrayFactory {
         slots.cliConfigData = configData;
     }
 
+    /**
+     * Explain which config array elements supplied the settings of a given
+     * file, and which settings they shadowed.
+     * @param {string} filePath The file path to a file.
+     * @returns {import("./config-array/config-array").ConfigExplanation} The explanation.
+     * @throws {ConfigurationNotFoundError} If no config files were found.
+     */
+    explainConfig(filePath) {
+        const { cwd } = internalSlotsMap.get(this);
+        const absolutePath = path.resolve(cwd, filePath);
+
+        return this.getConfigArrayForFile(absolutePath).explainConfig(absolutePath);
+    }
+
+    /**
+     * Explain which ignore pattern decided whether a given file is ignored or
+     * not. This doesn't throw even if no config files were found.
+     * @param {string} filePath The file path to a file.
+     * @param {Object} [options] The options.
+     * @param {boolean} [options.dot=false] The flag to not ignore dotfiles.
+     * @returns {IgnoreExplanation} The explanation.
+     */
+    whyIgnored(filePath, { dot = false } = {}) {
+        const { cwd } = internalSlotsMap.get(this);
+        const absolutePath = path.resolve(cwd, filePath);
+
+        return this.getConfigArrayForFile(absolutePath, { ignoreNotFoundError: true })
+            .whyIgnored(absolutePath, { dot });
+    }
+
+    /**
+     * Compare the config of a given file with the config of another file, or
+     * with the config of the same file computed by another factory. The
+     * config of `filePath` in this factory is the old side.
+     * @param {string} filePath The file path to a file.
+     * @param {Object} [target] The new side.
+     * @param {string} [target.filePath] The file path to compare with. Default is `filePath`.
+     * @param {CascadingConfigArrayFactory} [target.factory] The factory to compute the config of `target.filePath`. Default is this factory.
+     * @returns {import("./config-array/extracted-config").ConfigDiff} The differences.
+     * @throws {ConfigurationNotFoundError} If no config files were found.
+     */
+    diffConfig(filePath, { filePath: otherFilePath = filePath, factory = this } = {}) {
+        const { cwd } = internalSlotsMap.get(this);
+        const { cwd: otherCwd } = internalSlotsMap.get(factory);
+        const absolutePath = path.resolve(cwd, filePath);
+        const otherAbsolutePath = path.resolve(otherCwd, otherFilePath);
+        const config = this.getConfigArrayForFile(absolutePath)
+            .extractConfig(absolutePath);
+        const otherConfig = factory.getConfigArrayForFile(otherAbsolutePath)
+            .extractConfig(otherAbsolutePath);
+
+        return config.diff(otherConfig);
+    }
+
     /**
      * Clear config cache.
      * @returns {void}
@@ -338,23 +758,291 @@ class CascadingConfigArrayFactory {
         slots.baseConfigArray = createBaseConfigArray(slots);
         slots.cliConfigArray = createCLIConfigArray(slots);
         slots.configCache.clear();
+        slots.pendingConfigArrays.clear();
+    }
+
+    /**
+     * Clear the cache which depends on a given file or directory.
+     * If it's a directory, this clears the cache of the directory and its
+     * descendants. If it's a file, this clears the cache of the directory of
+     * the file and its descendants, and the cache which contains the configs
+     * loaded from the file, e.g., shareable configs and `.eslintignore`.
+     * @param {string} pathOrDirectory The path to a changed file or directory.
+     * @returns {void}
+     */
+    invalidate(pathOrDirectory) {
+        const slots = internalSlotsMap.get(this);
+        const { configCache, cwd, pendingConfigArrays } = slots;
+        const fileSystem = slots.fs || fs;
+        const targetPath = path.resolve(cwd, pathOrDirectory);
+        const isDirectory =
+            fileSystem.existsSync(targetPath) &&
+            fileSystem.statSync(targetPath).isDirectory();
+        const directoryPath = isDirectory ? targetPath : path.dirname(targetPath);
+
+        /**
+         * Check if a given config array contains the configs from the target file.
+         * @param {ConfigArray} configArray The config array to check.
+         * @returns {boolean} `true` if the config array contains the configs.
+         */
+        function dependsOnTarget(configArray) {
+            return !isDirectory && configArray.some(element => element.filePath === targetPath);
+        }
+
+        debug(`Invalidate the cache of ${targetPath}.`);
+
+        // Every config array contains the base configs.
+        if (dependsOnTarget(slots.baseConfigArray)) {
+            this.clearCache();
+            return;
+        }
+
+        // Every finalized config array contains the CLI configs and maybe the personal config.
+        if (dependsOnTarget(slots.cliConfigArray)) {
+            slots.cliConfigArray = createCLIConfigArray(slots);
+            slots.finalizeCache = new WeakMap();
+        } else if (directoryPath === os.homedir()) {
+            slots.finalizeCache = new WeakMap();
+        }
+
+        for (const [cachedPath, configArray] of configCache) {
+            if (isPathInside(cachedPath, directoryPath) || dependsOnTarget(configArray)) {
+                configCache.delete(cachedPath);
+                slots.finalizeCache.delete(configArray);
+            }
+        }
+        for (const pendingPath of pendingConfigArrays.keys()) {
+            if (isPathInside(pendingPath, directoryPath)) {
+                pendingConfigArrays.delete(pendingPath);
+            }
+        }
+    }
+
+    /**
+     * Start watching the config files and `.eslintignore` files which this
+     * instance loaded. When those are changed, this calls `invalidate()` with
+     * the path to the file, then calls a given listener.
+     * This uses `watch()` of the `fs` option, or `node:fs` if the `fs` option
+     * was not given. If the `fs` option doesn't have `watch()`, this doesn't
+     * watch any files because the paths belong to that file system.
+     * @param {(filePath:string) => void} [listener] The function to call after the cache was invalidated.
+     * @returns {void}
+     */
+    watch(listener) {
+        const slots = internalSlotsMap.get(this);
+
+        slots.watchListener = listener;
+        if (slots.watchers) {
+            return;
+        }
+        slots.watchers = new Map();
+
+        this._watchConfigArray(slots.baseConfigArray);
+        this._watchConfigArray(slots.cliConfigArray);
+        for (const configArray of slots.configCache.values()) {
+            this._watchConfigArray(configArray);
+        }
+    }
+
+    /**
+     * Stop watching files.
+     * @returns {void}
+     */
+    unwatch() {
+        const slots = internalSlotsMap.get(this);
+
+        if (slots.watchers) {
+            for (const watcher of slots.watchers.values()) {
+                watcher.close();
+            }
+            slots.watchers = null;
+        }
+    }
+
+    /**
+     * Watch the files of a given config array if in watch mode.
+     * @param {ConfigArray} configArray The config array to watch.
+     * @returns {void}
+     * @private
+     */
+    _watchConfigArray(configArray) {
+        const slots = internalSlotsMap.get(this);
+        const { watchers } = slots;
+
+        if (!watchers) {
+            return;
+        }
+
+        const fileSystem = slots.fs || fs;
+
+        if (typeof fileSystem.watch !== "function") {
+            debug("The 'fs' option doesn't have 'watch()', so files are not watched.");
+            return;
+        }
+
+        for (const { filePath } of configArray) {
+            if (!filePath || watchers.has(filePath)) {
+                continue;
+            }
+
+            let watcher;
+
+            /**
+             * Drop the watcher and invalidate the caches of the file.
+             * Editors may replace files, so the next loading watches the file again.
+             * @returns {void}
+             */
+            const drop = () => {
+                watcher.close();
+                if (watchers.get(filePath) === watcher) {
+                    watchers.delete(filePath);
+                }
+                this.invalidate(filePath);
+                if (slots.watchListener) {
+                    slots.watchListener(filePath);
+                }
+            };
+
+            try {
+                watcher = fileSystem.watch(filePath, { persistent: false }, () => {
+                    debug(`File changed: ${filePath}`);
+                    drop();
+                });
+            } catch (error) {
+                debug(`Failed to watch ${filePath}: ${error.message}`);
+                continue;
+            }
+
+            // `node:fs` watchers emit 'error' (e.g., EPERM on Windows when the file was deleted), which crashes the process if nobody listens.
+            if (typeof watcher.on === "function") {
+                watcher.on("error", error => {
+                    debug(`Failed to watch ${filePath}: ${error.message}`);
+                    drop();
+                });
+            }
+
+            watchers.set(filePath, watcher);
+        }
+    }
+
+    /**
+     * Load the config file on a given directory asynchronously.
+     * Concurrent calls for the same directory share the same loading.
+     * @param {string} directoryPath The path to a directory.
+     * @returns {Promise<ConfigArray>} The loaded config array.
+     * @private
+     */
+    _loadInDirectoryAsync(directoryPath) {
+        const { configArrayFactory, pendingConfigArrays } = internalSlotsMap.get(this);
+        let promise = pendingConfigArrays.get(directoryPath);
+
+        if (!promise) {
+
+            /**
+             * Remove the settled loading.
+             * @returns {void}
+             */
+            function done() {
+                if (pendingConfigArrays.get(directoryPath) === promise) {
+                    pendingConfigArrays.delete(directoryPath);
+                }
+            }
+
+            promise = configArrayFactory.loadInDirectoryAsync(directoryPath);
+            pendingConfigArrays.set(directoryPath, promise);
+            promise.then(done, done);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Load the config files of the ancestor directories asynchronously, which
+     * `_loadConfigInAncestors()` will use. This stops at the same directories
+     * as `_loadConfigInAncestors()` or at cached directories.
+     * @param {string} directoryPath The path to a leaf directory.
+     * @returns {Promise<Map<string, ConfigArray>>} The loaded config arrays by directory paths.
+     * @throws {Error} If a config file is invalid.
+     * @private
+     */
+    async _preloadConfigInAncestors(directoryPath) {
+        const {
+            configCache,
+            cwd,
+            stopAt,
+            useEslintrc
+        } = internalSlotsMap.get(this);
+        const homePath = os.homedir();
+        const preloadedConfigArrays = new Map();
+
+        if (!useEslintrc) {
+            return preloadedConfigArrays;
+        }
+
+        let currentPath = directoryPath;
+
+        while (!configCache.has(currentPath)) {
+            if (currentPath === homePath && cwd !== homePath) {
+                break;
+            }
+
+            let configArray;
+
+            try {
+                configArray = await this._loadInDirectoryAsync(currentPath);
+            } catch (error) {
+
+                // `_loadConfigInAncestors()` handles it.
+                /* istanbul ignore next */
+                if (error.code === "EACCES") {
+                    break;
+                }
+                throw error;
+            }
+
+            preloadedConfigArrays.set(currentPath, configArray);
+
+            const parentPath = path.dirname(currentPath);
+
+            if (
+                (configArray.length > 0 && configArray.isRoot()) ||
+                (stopAt && stopAt(currentPath)) ||
+                parentPath === currentPath
+            ) {
+                break;
+            }
+            currentPath = parentPath;
+        }
+
+        return preloadedConfigArrays;
     }
 
     /**
      * Load and normalize config files from the ancestor directories.
      * @param {string} directoryPath The path to a leaf directory.
      * @param {boolean} configsExistInSubdirs `true` if configurations exist in subdirectories.
+     * @param {Map<string, ConfigArray>} [preloadedConfigArrays] The config arrays which were loaded asynchronously by directory paths.
      * @returns {ConfigArray} The loaded config.
      * @throws {Error} If a config file is invalid.
      * @private
      */
-    _loadConfigInAncestors(directoryPath, configsExistInSubdirs = false) {
+    _loadConfigInAncestors(
+        directoryPath,
+        configsExistInSubdirs = false,
+        preloadedConfigArrays = new Map()
+    ) {
         const {
             baseConfigArray,
             configArrayFactory,
             configCache,
             cwd,
-            useEslintrc
+            useEslintrc,
+            useCascadingESLintIgnore,
+            transpile,
+            loaders,
+            fs: fileSystem,
+            stopAt,
+            stoppedConfigArrays
         } = internalSlotsMap.get(this);
 
         if (!useEslintrc) {
@@ -376,7 +1064,7 @@ class CascadingConfigArrayFactory {
         if (directoryPath === homePath && cwd !== homePath) {
             debug("Stop traversing because of considered root.");
             if (configsExistInSubdirs) {
-                const filePath = ConfigArrayFactory.getPathToConfigFileInDirectory(directoryPath);
+                const filePath = ConfigArrayFactory.getPathToConfigFileInDirectory(directoryPath, { transpile, loaders, fs: fileSystem });
 
                 if (filePath) {
                     emitDeprecationWarning(
@@ -390,7 +1078,9 @@ class CascadingConfigArrayFactory {
 
         // Load the config on this directory.
         try {
-            configArray = configArrayFactory.loadInDirectory(directoryPath);
+            configArray =
+                preloadedConfigArrays.get(directoryPath) ||
+                configArrayFactory.loadInDirectory(directoryPath);
         } catch (error) {
             /* istanbul ignore next */
             if (error.code === "EACCES") {
@@ -400,23 +1090,48 @@ class CascadingConfigArrayFactory {
             throw error;
         }
 
+        const hasConfig = configArray.length > 0;
+
+        /*
+         * The `.eslintignore` file in `cwd` is loaded as a part of CLI options,
+         * or `ignorePath` option replaces it.
+         */
+        if (useCascadingESLintIgnore && directoryPath !== cwd) {
+            configArray.push(
+                ...configArrayFactory.loadESLintIgnoreInDirectory(directoryPath)
+            );
+        }
+
         if (configArray.length > 0 && configArray.isRoot()) {
             debug("Stop traversing because of 'root:true'.");
             configArray.unshift(...baseConfigArray);
             return this._cacheConfig(directoryPath, configArray);
         }
 
+        const stopReason = stopAt && stopAt(directoryPath);
+
+        if (stopReason) {
+            debug(`Stop traversing because of 'stopAt' option: ${stopReason}.`);
+            configArray.unshift(...baseConfigArray);
+            stoppedConfigArrays.add(configArray);
+            return this._cacheConfig(directoryPath, configArray);
+        }
+
         // Load from the ancestors and merge it.
         const parentPath = path.dirname(directoryPath);
         const parentConfigArray = parentPath && parentPath !== directoryPath
             ? this._loadConfigInAncestors(
                 parentPath,
-                configsExistInSubdirs || configArray.length > 0
+                configsExistInSubdirs || hasConfig,
+                preloadedConfigArrays
             )
             : baseConfigArray;
 
         if (configArray.length > 0) {
             configArray.unshift(...parentConfigArray);
+            if (stoppedConfigArrays.has(parentConfigArray)) {
+                stoppedConfigArrays.add(configArray);
+            }
         } else {
             configArray = parentConfigArray;
         }
@@ -425,6 +1140,51 @@ class CascadingConfigArrayFactory {
         return this._cacheConfig(directoryPath, configArray);
     }
 
+    /**
+     * Inspect the directories which were searched for config files, in order
+     * to explain why no config files were found. This follows the same
+     * directories as `_loadConfigInAncestors()`, and the home directory for
+     * the personal config unless the `stopAt` option ended the lookup.
+     * @param {string} directoryPath The path to a leaf directory.
+     * @returns {ConfigFileSearch[]} The inspected directories, from the nearest one.
+     * @private
+     */
+    _inspectConfigFileSearch(directoryPath) {
+        const {
+            cwd,
+            stopAt,
+            transpile,
+            loaders,
+            fs: fileSystem
+        } = internalSlotsMap.get(this);
+        const homePath = os.homedir();
+        const directoryPaths = [];
+        let currentPath = directoryPath;
+        let parentPath = null;
+        let stopped = false;
+
+        while (currentPath !== parentPath) {
+            if (currentPath === homePath && cwd !== homePath) {
+                break;
+            }
+            directoryPaths.push(currentPath);
+            if (stopAt && stopAt(currentPath)) {
+                stopped = true;
+                break;
+            }
+            parentPath = currentPath;
+            currentPath = path.dirname(currentPath);
+        }
+        if (!stopped && !directoryPaths.includes(homePath)) {
+            directoryPaths.push(homePath);
+        }
+
+        return directoryPaths.map(p => ConfigArrayFactory.inspectConfigFilesInDirectory(
+            p,
+            { transpile, loaders, fs: fileSystem }
+        ));
+    }
+
     /**
      * Freeze and cache a given config.
      * @param {string} directoryPath The path to a directory as a cache key.
@@ -440,24 +1200,59 @@ class CascadingConfigArrayFactory {
         return configArray;
     }
 
+    /**
+     * Check if `_finalizeConfigArray()` loads the personal config for a given
+     * config array.
+     * @param {ConfigArray} configArray The parent config array.
+     * @returns {boolean} `true` if the personal config is needed.
+     * @private
+     */
+    _needsPersonalConfig(configArray) {
+        const {
+            cliConfigArray,
+            finalizeCache,
+            stoppedConfigArrays,
+            useEslintrc
+        } = internalSlotsMap.get(this);
+
+        return (
+            useEslintrc &&
+            !finalizeCache.has(configArray) &&
+
+            // The `stopAt` option is the boundary of the project, so it doesn't use the home directory.
+            !stoppedConfigArrays.has(configArray) &&
+
+            // `.eslintignore` files of the `useCascadingESLintIgnore` option are not config files.
+            configArray.every(c => c.type === "ignore" || !c.filePath) &&
+            cliConfigArray.every(c => !c.filePath) // `--config` option can be a file.
+        );
+    }
+
     /**
      * Finalize a given config array.
      * Concatenate `--config` and other CLI options.
      * @param {ConfigArray} configArray The parent config array.
      * @param {string} directoryPath The path to the leaf directory to find config files.
      * @param {boolean} ignoreNotFoundError If `true` then it doesn't throw `ConfigurationNotFoundError`.
+     * @param {ConfigArray} [preloadedPersonalConfigArray] The personal config array which was loaded asynchronously.
      * @returns {ConfigArray} The loaded config.
      * @throws {Error} If a config file is invalid.
      * @private
      */
-    _finalizeConfigArray(configArray, directoryPath, ignoreNotFoundError) {
+    _finalizeConfigArray(
+        configArray,
+        directoryPath,
+        ignoreNotFoundError,
+        preloadedPersonalConfigArray
+    ) {
+        const slots = internalSlotsMap.get(this);
         const {
             cliConfigArray,
             configArrayFactory,
             finalizeCache,
             useEslintrc,
             builtInRules
-        } = internalSlotsMap.get(this);
+        } = slots;
 
         let finalConfigArray = finalizeCache.get(configArray);
 
@@ -465,19 +1260,17 @@ class CascadingConfigArrayFactory {
             finalConfigArray = configArray;
 
             // Load the personal config if there are no regular config files.
-            if (
-                useEslintrc &&
-                configArray.every(c => !c.filePath) &&
-                cliConfigArray.every(c => !c.filePath) // `--config` option can be a file.
-            ) {
+            if (this._needsPersonalConfig(configArray)) {
                 const homePath = os.homedir();
 
                 debug("Loading the config file of the home directory:", homePath);
 
-                const personalConfigArray = configArrayFactory.loadInDirectory(
-                    homePath,
-                    { name: "PersonalConfig" }
-                );
+                const personalConfigArray =
+                    preloadedPersonalConfigArray ||
+                    configArrayFactory.loadInDirectory(
+                        homePath,
+                        { name: "PersonalConfig" }
+                    );
 
                 if (
                     personalConfigArray.length > 0 &&
@@ -500,6 +1293,13 @@ class CascadingConfigArrayFactory {
                 finalConfigArray = finalConfigArray.concat(cliConfigArray);
             }
 
+            // Migrate renamed rules.
+            const ruleRenamesElement = createRuleRenamesElement(finalConfigArray, slots);
+
+            if (ruleRenamesElement) {
+                finalConfigArray = finalConfigArray.concat(ruleRenamesElement);
+            }
+
             // Validate rule settings and environments.
             const validator = new ConfigValidator({
                 builtInRules
@@ -510,6 +1310,7 @@ class CascadingConfigArrayFactory {
             // Cache it.
             Object.freeze(finalConfigArray);
             finalizeCache.set(configArray, finalConfigArray);
+            this._watchConfigArray(finalConfigArray);
 
             debug(
                 "Configuration was determined: %o on %s",
@@ -518,9 +1319,18 @@ class CascadingConfigArrayFactory {
             );
         }
 
-        // At least one element (the default ignore patterns) exists.
-        if (!ignoreNotFoundError && useEslintrc && finalConfigArray.length <= 1) {
-            throw new ConfigurationNotFoundError(directoryPath);
+        /*
+         * At least one element (the default ignore patterns) exists. The
+         * `.eslintignore` files of the `useCascadingESLintIgnore` option don't
+         * count as configs.
+         */
+        const cascadingIgnoreCount = configArray.filter(c => c.type === "ignore").length;
+
+        if (!ignoreNotFoundError && useEslintrc && finalConfigArray.length - cascadingIgnoreCount <= 1) {
+            throw new ConfigurationNotFoundError(
+                directoryPath,
+                this._inspectConfigFileSearch(directoryPath)
+            );
         }
 
         return finalConfigArray;
@@ -531,4 +1341,4 @@ class CascadingConfigArrayFactory {
 // Public Interface
 //------------------------------------------------------------------------------
 
-export { CascadingConfigArrayFactory };
+export { CascadingConfigArrayFactory, ConfigurationNotFoundError };
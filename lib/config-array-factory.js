@@ -17,12 +17,24 @@
  *     Create a `ConfigArray` instance from a config file which is on a given
  *     directory. This tries to load `.eslintrc.*` or `package.json`. If not
  *     found, returns an empty `ConfigArray`.
+ * - `loadFileAsync(filePath, options)` and
+ *   `loadInDirectoryAsync(directoryPath, options)`
+ *     The asynchronous versions of `loadFile` and `loadInDirectory`. These can
+ *     load ES module config files (`.eslintrc.mjs`, and `.eslintrc.js` in a
+ *     `"type": "module"` package) as well.
  * - `loadESLintIgnore(filePath)`
  *     Create a `ConfigArray` instance from a config file that is `.eslintignore`
  *     format. This is to handle `--ignore-path` option.
  * - `loadDefaultESLintIgnore()`
  *     Create a `ConfigArray` instance from `.eslintignore` or `package.json` in
  *     the current working directory.
+ * - `loadESLintIgnoreInDirectory(directoryPath)`
+ *     Create a `ConfigArray` instance from `.eslintignore` in a given
+ *     directory. Unlike `loadESLintIgnore(filePath)`, the patterns are scoped
+ *     to the directory.
+ * - `loadGitignore()`
+ *     Create a `ConfigArray` instance from `.gitignore` files in the current
+ *     working directory and its descendant directories.
  *
  * `ConfigArrayFactory` class has the responsibility that loads configuration
  * files, including loading `extends`, `parser`, and `plugins`. The created
@@ -44,6 +56,8 @@ import importFresh from "import-fresh";
 import { createRequire } from "node:module";
 import path from "node:path";
 import stripComments from "strip-json-comments";
+import { pathToFileURL } from "node:url";
+import vm from "node:vm";
 
 import {
     ConfigArray,
@@ -52,7 +66,16 @@ import {
     OverrideTester
 } from "./config-array/index.js";
 import ConfigValidator from "./shared/config-validator.js";
+import { getRuleSeverity } from "./shared/config-ops.js";
+import {
+    createJSONLocator,
+    createYAMLLocator,
+    escapePointerToken,
+    getJSONParseErrorLocation,
+    getYAMLParseErrorLocation
+} from "./shared/source-locations.js";
 import * as naming from "./shared/naming.js";
+import { normalizePlugin } from "./shared/normalize-plugin.js";
 import * as ModuleResolver from "./shared/relative-module-resolver.js";
 
 const require = createRequire(import.meta.url);
@@ -66,6 +89,7 @@ const debug = debugOrig("eslintrc:config-array-factory");
 const configFilenames = [
     ".eslintrc.js",
     ".eslintrc.cjs",
+    ".eslintrc.mjs",
     ".eslintrc.yaml",
     ".eslintrc.yml",
     ".eslintrc.json",
@@ -73,8 +97,27 @@ const configFilenames = [
     "package.json"
 ];
 
+const flatConfigFilenames = [
+    "eslint.config.js",
+    "eslint.config.mjs",
+    "eslint.config.cjs",
+    "eslint.config.ts",
+    "eslint.config.mts",
+    "eslint.config.cts"
+];
+
+const typeScriptConfigFilenames = [
+    ".eslintrc.ts",
+    ".eslintrc.cts"
+];
+
+// The extensions of the config files which are executed to load.
+const executableConfigExtensions = new Set([".js", ".cjs", ".mjs", ".ts", ".cts"]);
+
 // Define types for VSCode IntelliSense.
 /** @typedef {import("./shared/types").ConfigData} ConfigData */
+/** @typedef {import("./shared/types").ExtendsEntry} ExtendsEntry */
+/** @typedef {import("./shared/types").SeverityConf} SeverityConf */
 /** @typedef {import("./shared/types").OverrideConfigData} OverrideConfigData */
 /** @typedef {import("./shared/types").Parser} Parser */
 /** @typedef {import("./shared/types").Plugin} Plugin */
@@ -82,6 +125,7 @@ const configFilenames = [
 /** @typedef {import("./config-array/config-dependency").DependentParser} DependentParser */
 /** @typedef {import("./config-array/config-dependency").DependentPlugin} DependentPlugin */
 /** @typedef {ConfigArray[0]} ConfigArrayElement */
+/** @typedef {import("./shared/memory-file-system").FileSystem} FileSystem */
 
 /**
  * @typedef {Object} ConfigArrayFactoryOptions
@@ -94,6 +138,59 @@ const configFilenames = [
  * @property {Function} getEslintAllConfig Returns the config data for eslint:all.
  * @property {string} eslintRecommendedPath The path to the definitions for eslint:recommended.
  * @property {Function} getEslintRecommendedConfig Returns the config data for eslint:recommended.
+ * @property {TranspileFunction} [transpile] The function to transpile TypeScript config files. If this is given, `.eslintrc.ts` and `.eslintrc.cts` are available.
+ * @property {ConfigLoader[]} [loaders] The custom loaders for config files.
+ * @property {boolean} [trackProvenance=false] If `true` then config array elements have the `provenance` property.
+ * @property {TrustMode} [trustMode="all"] How far config files are trusted. Use `"data-only"` to load configs from untrusted sources.
+ * @property {FileSystem} [fs] The file system to find and read config files and `.eslintignore` files. Default is `node:fs`. JavaScript config files, plugins, and parsers are always loaded by Node.js.
+ */
+
+/**
+ * How far config files are trusted.
+ * - `"all"` ... Config files can execute any code. This is the default.
+ * - `"data-only"` ... Only JSON and YAML config files (including custom loaders) are loaded, and no plugins or parsers are required.
+ * - `TrustModeOptions` ... The detailed settings.
+ * @typedef {"all" | "data-only" | TrustModeOptions} TrustMode
+ */
+
+/**
+ * @typedef {Object} TrustModeOptions
+ * @property {boolean} [dataOnly=false] If `true` then JavaScript and TypeScript config files are rejected.
+ * @property {string[]} [allowedModules] The package names of the plugins and parsers which can be required, e.g. `eslint-plugin-react` or `@typescript-eslint/parser`. The plugins in `additionalPluginPool` are always available. If this is omitted, any plugins and parsers can be required.
+ */
+
+/**
+ * @typedef {Object} NormalizedTrustMode
+ * @property {boolean} dataOnly If `true` then JavaScript and TypeScript config files are rejected.
+ * @property {Set<string>|null} allowedModules The package names of the plugins and parsers which can be required. `null` means any.
+ */
+
+/**
+ * The function to transpile the source code of a TypeScript config file to
+ * CommonJS. The async methods can handle a returned promise.
+ * @typedef {(filePath:string, source:string) => string | Promise<string>} TranspileFunction
+ */
+
+/**
+ * A custom loader for config files.
+ * A loader has either `filename` or `extension`. The loader which has the
+ * `filename` that equals the basename of a config file takes precedence over
+ * the loader which has the `extension` of the file, and both take precedence
+ * over the built-in loaders.
+ * `loadInDirectory()` looks for `filename` or `.eslintrc` + `extension` after
+ * the built-in `.eslintrc.*` files and before `.eslintrc` and `package.json`.
+ * @typedef {Object} ConfigLoader
+ * @property {string} [filename] The basename of config files which this loader handles, e.g. `.eslintrc.toml`.
+ * @property {string} [extension] The extension of config files which this loader handles, e.g. `.toml`. This must have only one dot because it is compared with the last extension of file names.
+ * @property {(filePath:string) => ConfigData | Promise<ConfigData>} load The function to load a config file. The async methods can handle a returned promise.
+ */
+
+/**
+ * @typedef {Object} ConfigFileSearch
+ * @property {string} directoryPath The path to the inspected directory.
+ * @property {string[]} candidates The filenames of config files which were checked, in priority order.
+ * @property {string|null} skippedPackageJson The path to `package.json` which exists but doesn't have a valid `eslintConfig` property.
+ * @property {string[]} flatConfigFiles The paths to `eslint.config.*` files, which this package doesn't load.
  */
 
 /**
@@ -107,17 +204,32 @@ const configFilenames = [
  * @property {Function} getEslintAllConfig Returns the config data for eslint:all.
  * @property {string} eslintRecommendedPath The path to the definitions for eslint:recommended.
  * @property {Function} getEslintRecommendedConfig Returns the config data for eslint:recommended.
+ * @property {TranspileFunction|undefined} transpile The function to transpile TypeScript config files.
+ * @property {ConfigLoader[]} loaders The custom loaders for config files.
+ * @property {boolean} trackProvenance If `true` then config array elements have the `provenance` property.
+ * @property {NormalizedTrustMode} trust How far config files are trusted.
+ * @property {FileSystem} fs The file system to find and read config files and `.eslintignore` files.
  */
 
 /**
  * @typedef {Object} ConfigArrayFactoryLoadingContext
+ * @property {string[]} [extendChain] The keys of the configs which are being loaded from the root config to the current configuration. This is used to detect circular `extends`.
  * @property {string} filePath The path to the current configuration.
  * @property {string} matchBasePath The base path to resolve relative paths in `overrides[].files`, `overrides[].excludedFiles`, and `ignorePatterns`.
  * @property {string} name The name of the current configuration.
+ * @property {number} [overrideIndex] The index in `overrides` of the current configuration if it's an element of `overrides`.
  * @property {string} pluginBasePath The base path to resolve plugins.
+ * @property {Map<string, PreloadedConfigFile>} [preloadedConfigs] The config files which were loaded asynchronously in advance. This exists only while async methods are normalizing configs.
+ * @property {ProvenanceContext} [provenance] The context to track where values came from. This exists only if the `trackProvenance` option is `true`.
  * @property {"config" | "ignore" | "implicit-processor"} type The type of the current configuration. This is `"config"` in normal. This is `"ignore"` if it came from `.eslintignore`. This is `"implicit-processor"` if it came from legacy file-extension processors.
  */
 
+/**
+ * @typedef {Object} PreloadedConfigFile
+ * @property {ConfigData} [configData] The loaded config data if the loading succeeded.
+ * @property {Error} [error] The error object if the loading failed.
+ */
+
 /**
  * @typedef {Object} ConfigArrayFactoryLoadingContext
  * @property {string} filePath The path to the current configuration.
@@ -126,11 +238,17 @@ const configFilenames = [
  * @property {"config" | "ignore" | "implicit-processor"} type The type of the current configuration. This is `"config"` in normal. This is `"ignore"` if it came from `.eslintignore`. This is `"implicit-processor"` if it came from legacy file-extension processors.
  */
 
+/**
+ * @typedef {Object} ProvenanceContext
+ * @property {string} pointer The JSON pointer to the current config data in the config file.
+ * @property {import("./shared/source-locations").SourceLocator|null} locate The locator of the config file. This is `null` if the config file is neither JSON nor YAML.
+ */
+
 /** @type {WeakMap<ConfigArrayFactory, ConfigArrayFactoryInternalSlots>} */
 const internalSlotsMap = new WeakMap();
 
-/** @type {WeakMap<object, Plugin>} */
-const normalizedPlugins = new WeakMap();
+/** @type {WeakMap<object, import("./shared/source-locations").SourceLocator>} */
+const sourceLocators = new WeakMap();
 
 /**
  * Check if a given string is a file path.
@@ -147,33 +265,202 @@ function isFilePath(nameOrPath) {
 /**
  * Convenience wrapper for synchronously reading file contents.
  * @param {string} filePath The filename to read.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {string} The file contents, with the BOM removed.
  * @private
  */
-function readFile(filePath) {
-    return fs.readFileSync(filePath, "utf8").replace(/^\ufeff/u, "");
+function readFile(filePath, fileSystem = fs) {
+    return fileSystem.readFileSync(filePath, "utf8").replace(/^\ufeff/u, "");
+}
+
+/**
+ * Convenience wrapper for asynchronously reading file contents.
+ * @param {string} filePath The filename to read.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
+ * @returns {Promise<string>} The file contents, with the BOM removed.
+ * @private
+ */
+async function readFileAsync(filePath, fileSystem = fs) {
+    return (await fileSystem.promises.readFile(filePath, "utf8")).replace(/^\ufeff/u, "");
+}
+
+/**
+ * Check if a given path is a file.
+ * @param {string} filePath The path to check.
+ * @param {FileSystem} fileSystem The file system to check.
+ * @returns {boolean} `true` if the path is a file.
+ * @private
+ */
+function isFile(filePath, fileSystem) {
+    return fileSystem.existsSync(filePath) && fileSystem.statSync(filePath).isFile();
+}
+
+/**
+ * Check if a given path is a file asynchronously.
+ * @param {string} filePath The path to check.
+ * @param {FileSystem} fileSystem The file system to check.
+ * @returns {Promise<boolean>} `true` if the path is a file.
+ * @private
+ */
+async function isFileAsync(filePath, fileSystem) {
+    try {
+        return (await fileSystem.promises.stat(filePath)).isFile();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Iterate the paths to the `package.json` files which can decide the module
+ * type of a given file, from the nearest one. Like Node.js, this stops at
+ * `node_modules` directories.
+ * @param {string} filePath The path to a JavaScript file.
+ * @returns {IterableIterator<string>} The paths to `package.json` files.
+ * @private
+ */
+function *iteratePackageJsonPaths(filePath) {
+    let directoryPath = path.dirname(filePath);
+
+    while (path.basename(directoryPath) !== "node_modules") {
+        yield path.join(directoryPath, "package.json");
+
+        const parentPath = path.dirname(directoryPath);
+
+        if (parentPath === directoryPath) {
+            break;
+        }
+        directoryPath = parentPath;
+    }
+}
+
+/**
+ * Check if a given JavaScript file is an ES module. `.mjs` files are always
+ * ES modules, and `.js` files are ES modules if the nearest `package.json`
+ * has `"type": "module"`. Like Node.js, the lookup of `package.json` stops at
+ * `node_modules` directories.
+ * @param {string} filePath The path to a JavaScript file.
+ * @returns {boolean} `true` if the file is an ES module.
+ * @private
+ */
+function isESModuleFile(filePath) {
+    const ext = path.extname(filePath);
+
+    if (ext !== ".js") {
+        return ext === ".mjs";
+    }
+
+    for (const packageJsonPath of iteratePackageJsonPaths(filePath)) {
+        if (fs.existsSync(packageJsonPath)) {
+            try {
+                return JSON.parse(readFile(packageJsonPath)).type === "module";
+            } catch {
+                return false;
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Check if a given JavaScript file is an ES module asynchronously.
+ * This is the same as `isESModuleFile()` except that this uses `fs.promises`.
+ * @param {string} filePath The path to a JavaScript file.
+ * @returns {Promise<boolean>} `true` if the file is an ES module.
+ * @private
+ */
+async function isESModuleFileAsync(filePath) {
+    const ext = path.extname(filePath);
+
+    if (ext !== ".js") {
+        return ext === ".mjs";
+    }
+
+    for (const packageJsonPath of iteratePackageJsonPaths(filePath)) {
+        let text;
+
+        try {
+            text = await readFileAsync(packageJsonPath);
+        } catch (error) {
+            if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+                continue;
+            }
+            return false;
+        }
+
+        try {
+            return JSON.parse(text).type === "module";
+        } catch {
+            return false;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Remember the locator of a given config data, so that schema errors can be
+ * reported with the locations in the config file.
+ * @param {any} configData The loaded config data.
+ * @param {import("./shared/source-locations").SourceLocator} locator The locator of the config data.
+ * @returns {any} The given config data.
+ * @private
+ */
+function setSourceLocator(configData, locator) {
+    if (configData && typeof configData === "object") {
+        sourceLocators.set(configData, locator);
+    }
+    return configData;
+}
+
+/**
+ * Add a location in a config file to a given error. The location is added to
+ * both the error and `messageData` of the error.
+ * @param {Error} error The error to modify.
+ * @param {string} filePath The path to the config file.
+ * @param {import("./shared/source-locations").SourceLocation|null} location The location.
+ * @returns {void}
+ * @private
+ */
+function setErrorLocation(error, filePath, location) {
+    if (!location) {
+        return;
+    }
+
+    error.line = location.line;
+    error.column = location.column;
+    error.messageData = {
+        path: filePath,
+        message: error.message,
+        ...error.messageData,
+        ...location
+    };
 }
 
 /**
  * Loads a YAML configuration from a file.
  * @param {string} filePath The filename to load.
+ * @param {string} [source] The content of the file. If this is omitted, the file is read synchronously.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {ConfigData} The configuration object from the file.
  * @throws {Error} If the file cannot be read.
  * @private
  */
-function loadYAMLConfigFile(filePath) {
+function loadYAMLConfigFile(filePath, source, fileSystem) {
     debug(`Loading YAML config file: ${filePath}`);
 
     // lazy load YAML to improve performance when not used
     const yaml = require("js-yaml");
 
     try {
+        const text = source ?? readFile(filePath, fileSystem);
 
         // empty YAML file can be null, so always use
-        return yaml.load(readFile(filePath)) || {};
+        return setSourceLocator(yaml.load(text), createYAMLLocator(text)) || {};
     } catch (e) {
         debug(`Error reading YAML file: ${filePath}`);
         e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        setErrorLocation(e, filePath, getYAMLParseErrorLocation(e));
         throw e;
     }
 }
@@ -181,23 +468,33 @@ function loadYAMLConfigFile(filePath) {
 /**
  * Loads a JSON configuration from a file.
  * @param {string} filePath The filename to load.
+ * @param {string} [source] The content of the file. If this is omitted, the file is read synchronously.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {ConfigData} The configuration object from the file.
  * @throws {Error} If the file cannot be read.
  * @private
  */
-function loadJSONConfigFile(filePath) {
+function loadJSONConfigFile(filePath, source, fileSystem) {
     debug(`Loading JSON config file: ${filePath}`);
 
+    // `stripComments()` replaces comments with whitespace, so offsets are kept.
+    let text;
+
     try {
-        return JSON.parse(stripComments(readFile(filePath)));
+        text = stripComments(source ?? readFile(filePath, fileSystem));
+        return setSourceLocator(JSON.parse(text), createJSONLocator(text));
     } catch (e) {
         debug(`Error reading JSON file: ${filePath}`);
+
+        const location = text === void 0 ? null : getJSONParseErrorLocation(text, e);
+
         e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
         e.messageTemplate = "failed-to-read-json";
         e.messageData = {
             path: filePath,
             message: e.message
         };
+        setErrorLocation(e, filePath, location);
         throw e;
     }
 }
@@ -205,21 +502,26 @@ function loadJSONConfigFile(filePath) {
 /**
  * Loads a legacy (.eslintrc) configuration from a file.
  * @param {string} filePath The filename to load.
+ * @param {string} [source] The content of the file. If this is omitted, the file is read synchronously.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {ConfigData} The configuration object from the file.
  * @throws {Error} If the file cannot be read.
  * @private
  */
-function loadLegacyConfigFile(filePath) {
+function loadLegacyConfigFile(filePath, source, fileSystem) {
     debug(`Loading legacy config file: ${filePath}`);
 
     // lazy load YAML to improve performance when not used
     const yaml = require("js-yaml");
 
     try {
-        return yaml.load(stripComments(readFile(filePath))) || /* istanbul ignore next */ {};
+        const text = stripComments(source ?? readFile(filePath, fileSystem));
+
+        return setSourceLocator(yaml.load(text), createYAMLLocator(text)) || /* istanbul ignore next */ {};
     } catch (e) {
         debug("Error reading YAML file: %s\n%o", filePath, e);
         e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        setErrorLocation(e, filePath, getYAMLParseErrorLocation(e));
         throw e;
     }
 }
@@ -234,6 +536,12 @@ function loadLegacyConfigFile(filePath) {
 function loadJSConfigFile(filePath) {
     debug(`Loading JS config file: ${filePath}`);
     try {
+        if (isESModuleFile(filePath)) {
+            throw Object.assign(
+                new Error("ES module config files can only be loaded asynchronously."),
+                { code: "ESLINT_CONFIG_REQUIRES_ASYNC" }
+            );
+        }
         return importFresh(filePath);
     } catch (e) {
         debug(`Error reading JavaScript file: ${filePath}`);
@@ -242,17 +550,198 @@ function loadJSConfigFile(filePath) {
     }
 }
 
+/**
+ * Loads a JavaScript configuration from a file asynchronously. ES modules are
+ * loaded with `import()`, and the others are loaded as same as
+ * `loadJSConfigFile()`.
+ * @param {string} filePath The filename to load.
+ * @returns {Promise<ConfigData>} The configuration object from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+async function loadJSConfigFileAsync(filePath) {
+    if (!await isESModuleFileAsync(filePath)) {
+        return loadJSConfigFile(filePath);
+    }
+
+    debug(`Loading JS config file as ES module: ${filePath}`);
+    try {
+        const fileURL = pathToFileURL(filePath);
+
+        /*
+         * ES modules are cached by URL and there is no way to delete the cache,
+         * so add the modification time to the URL. This reloads the file when
+         * it was changed, like `importFresh()` does for CommonJS modules.
+         */
+        fileURL.searchParams.set("mtime", String((await fs.promises.stat(filePath)).mtimeMs));
+
+        return (await import(fileURL.href)).default;
+    } catch (e) {
+        debug(`Error reading JavaScript file: ${filePath}`);
+        e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+}
+
+/**
+ * Evaluates the transpiled code of a TypeScript config file as a CommonJS
+ * module.
+ * @param {string} filePath The filename of the code.
+ * @param {string} code The transpiled code.
+ * @returns {ConfigData} The configuration object from the code.
+ * @private
+ */
+function evaluateTranspiledConfig(filePath, code) {
+    const configModule = { exports: {} };
+    const configFunction = vm.compileFunction(
+        code,
+        ["exports", "require", "module", "__filename", "__dirname"],
+        { filename: filePath }
+    );
+
+    configFunction.call(
+        configModule.exports,
+        configModule.exports,
+        createRequire(filePath),
+        configModule,
+        filePath,
+        path.dirname(filePath)
+    );
+
+    const { exports } = configModule;
+
+    // Transpilers convert `export default` to `exports.default`.
+    // eslint-disable-next-line no-underscore-dangle -- part of the transpilers' output
+    return exports && exports.__esModule ? exports.default : exports;
+}
+
+/**
+ * Check if a given value is a promise or another thenable object.
+ * @param {any} value The value to check.
+ * @returns {boolean} `true` if the value is thenable.
+ * @private
+ */
+function isThenable(value) {
+    return Boolean(value) && typeof value.then === "function";
+}
+
+/**
+ * Creates the error for when the sync methods got a promise from a hook.
+ * The promise is never awaited, so this ignores its rejection not to cause
+ * an unhandled rejection.
+ * @param {PromiseLike<any>} promise The promise which the hook returned.
+ * @param {string} hookName The name of the hook, e.g. "The loader".
+ * @returns {Error} The error object to throw.
+ * @private
+ */
+function requiresAsyncError(promise, hookName) {
+    Promise.resolve(promise).catch(() => {});
+
+    return Object.assign(
+        new Error(`${hookName} returned a promise. Such config files can only be loaded asynchronously.`),
+        { code: "ESLINT_CONFIG_REQUIRES_ASYNC" }
+    );
+}
+
+/**
+ * Creates the error for when no `transpile` option was given.
+ * @returns {Error} The error object to throw.
+ * @private
+ */
+function transpileMissingError() {
+    return Object.assign(
+        new Error("TypeScript config files require the 'transpile' option."),
+        { code: "ESLINT_CONFIG_TRANSPILE_MISSING" }
+    );
+}
+
+/**
+ * Check if the result of the `transpile` option is a string.
+ * @param {any} code The result of the `transpile` option. If it was a promise, this is the resolved value.
+ * @returns {string} The code.
+ * @throws {TypeError} If the result is not a string.
+ * @private
+ */
+function assertTranspiledCode(code) {
+    if (typeof code !== "string") {
+        throw new TypeError(`The 'transpile' option must return a string or a promise of a string, but got ${code === null ? "null" : typeof code}.`);
+    }
+    return code;
+}
+
+/**
+ * Loads a TypeScript configuration from a file.
+ * @param {string} filePath The filename to load.
+ * @param {TranspileFunction|undefined} transpile The function to transpile the file.
+ * @param {string} [source] The content of the file. If this is omitted, the file is read synchronously.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
+ * @returns {ConfigData} The configuration object from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+function loadTSConfigFile(filePath, transpile, source, fileSystem) {
+    debug(`Loading TS config file: ${filePath}`);
+    try {
+        if (!transpile) {
+            throw transpileMissingError();
+        }
+
+        const code = transpile(filePath, source ?? readFile(filePath, fileSystem));
+
+        if (isThenable(code)) {
+            throw requiresAsyncError(code, "The 'transpile' option");
+        }
+
+        return evaluateTranspiledConfig(filePath, assertTranspiledCode(code));
+    } catch (e) {
+        debug(`Error reading TypeScript file: ${filePath}`);
+        e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+}
+
+/**
+ * Loads a TypeScript configuration from a file asynchronously.
+ * @param {string} filePath The filename to load.
+ * @param {TranspileFunction|undefined} transpile The function to transpile the file.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
+ * @returns {Promise<ConfigData>} The configuration object from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+async function loadTSConfigFileAsync(filePath, transpile, fileSystem) {
+    debug(`Loading TS config file: ${filePath}`);
+    try {
+        if (!transpile) {
+            throw transpileMissingError();
+        }
+
+        const code = await transpile(filePath, await readFileAsync(filePath, fileSystem));
+
+        return evaluateTranspiledConfig(filePath, assertTranspiledCode(code));
+    } catch (e) {
+        debug(`Error reading TypeScript file: ${filePath}`);
+        e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+}
+
 /**
  * Loads a configuration from a package.json file.
+ * If `eslintConfig` is a string, it's a reference to the config to use, and
+ * this returns the config data that extends it. The reference is resolved
+ * relative to the package.json file like `extends`.
  * @param {string} filePath The filename to load.
+ * @param {string} [source] The content of the file. If this is omitted, the file is read synchronously.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {ConfigData} The configuration object from the file.
  * @throws {Error} If the file cannot be read.
  * @private
  */
-function loadPackageJSONConfigFile(filePath) {
+function loadPackageJSONConfigFile(filePath, source, fileSystem) {
     debug(`Loading package.json config file: ${filePath}`);
     try {
-        const packageData = loadJSONConfigFile(filePath);
+        const packageData = loadJSONConfigFile(filePath, source, fileSystem);
 
         if (!Object.hasOwn(packageData, "eslintConfig")) {
             throw Object.assign(
@@ -261,7 +750,19 @@ function loadPackageJSONConfigFile(filePath) {
             );
         }
 
-        return packageData.eslintConfig;
+        const locate = sourceLocators.get(packageData);
+
+        if (typeof packageData.eslintConfig === "string") {
+            return setSourceLocator(
+                { extends: packageData.eslintConfig },
+                () => locate("/eslintConfig")
+            );
+        }
+
+        return setSourceLocator(
+            packageData.eslintConfig,
+            pointer => locate(`/eslintConfig${pointer}`)
+        );
     } catch (e) {
         debug(`Error reading package.json file: ${filePath}`);
         e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
@@ -272,15 +773,16 @@ function loadPackageJSONConfigFile(filePath) {
 /**
  * Loads a `.eslintignore` from a file.
  * @param {string} filePath The filename to load.
+ * @param {FileSystem} [fileSystem] The file system to read. Default is `node:fs`.
  * @returns {string[]} The ignore patterns from the file.
  * @throws {Error} If the file cannot be read.
  * @private
  */
-function loadESLintIgnoreFile(filePath) {
+function loadESLintIgnoreFile(filePath, fileSystem) {
     debug(`Loading .eslintignore file: ${filePath}`);
 
     try {
-        return readFile(filePath)
+        return readFile(filePath, fileSystem)
             .split(/\r?\n/gu)
             .filter(line => line.trim() !== "" && !line.startsWith("#"));
     } catch (e) {
@@ -290,6 +792,54 @@ function loadESLintIgnoreFile(filePath) {
     }
 }
 
+/**
+ * Anchor the ignore patterns which have a slash at the beginning or middle to
+ * the directory of the ignore file, as same as Git, by adding the leading
+ * slash. `IgnorePattern` handles the other patterns as matching in any depth
+ * unless the `loose` flag is set.
+ * @param {string[]} patterns The ignore patterns in an ignore file.
+ * @returns {string[]} The anchored patterns.
+ */
+function anchorIgnorePatterns(patterns) {
+    return patterns.map(pattern => {
+        const negative = pattern.startsWith("!");
+        const body = negative ? pattern.slice(1) : pattern;
+
+        if (!body.startsWith("/") && body.replace(/\/$/u, "").includes("/")) {
+            return `${negative ? "!" : ""}/${body}`;
+        }
+        return pattern;
+    });
+}
+
+/**
+ * Loads a `.gitignore` file.
+ * @param {string} filePath The filename to load.
+ * @param {FileSystem} [fileSystem] The file system to read the file.
+ * @returns {string[]} The ignore patterns from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+function loadGitignoreFile(filePath, fileSystem) {
+    debug(`Loading .gitignore file: ${filePath}`);
+
+    let content;
+
+    try {
+        content = readFile(filePath, fileSystem);
+    } catch (e) {
+        debug(`Error reading .gitignore file: ${filePath}`);
+        e.message = `Cannot read .gitignore file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+
+    return anchorIgnorePatterns(
+        content
+            .split(/\r?\n/gu)
+            .filter(line => line.trim() !== "" && !line.startsWith("#"))
+    );
+}
+
 /**
  * Creates an error to notify about a missing config to extend from.
  * @param {string} configName The name of the missing config.
@@ -308,31 +858,340 @@ function configInvalidError(configName, importerName, messageTemplate) {
     );
 }
 
+/**
+ * Add the key of a config to the chain of the configs which are being loaded.
+ * A config is identified by the resolved file path, plus the config name if
+ * it's a config in a plugin.
+ * @param {ConfigArrayFactoryLoadingContext} ctx The loading context of the importer.
+ * @param {string} key The key of the config to load.
+ * @param {string} name The name of the config to load. This is the breadcrumbs from the root config.
+ * @returns {string[]} The new chain.
+ * @throws {Error} If the config is being loaded already; it's a circular `extends`.
+ * @private
+ */
+function addToExtendChain(ctx, key, name) {
+    const chain = ctx.extendChain || [];
+
+    if (chain.includes(key)) {
+        throw Object.assign(
+            new Error(`Circular 'extends' was detected: ${name}`),
+            {
+                messageTemplate: "extend-config-cycle",
+                messageData: { chain: name }
+            }
+        );
+    }
+
+    return [...chain, key];
+}
+
+/**
+ * Check whether a given value is a non-empty string or not.
+ * @param {any} x The value to check.
+ * @returns {boolean} `true` if `x` is a non-empty string.
+ */
+function isNonEmptyString(x) {
+    return typeof x === "string" && x.trim() !== "";
+}
+
+/**
+ * Validate the `loaders` option.
+ * @param {any} loaders The value of the `loaders` option.
+ * @returns {void}
+ * @throws {TypeError} If the value is invalid.
+ * @private
+ */
+function validateLoaders(loaders) {
+    if (!Array.isArray(loaders)) {
+        throw new TypeError("'loaders' must be an array.");
+    }
+
+    loaders.forEach((loader, index) => {
+        const { filename, extension, load } = loader || {};
+
+        if (isNonEmptyString(filename) === isNonEmptyString(extension)) {
+            throw new TypeError(`'loaders[${index}]' must have either 'filename' or 'extension'.`);
+        }
+        if (extension !== void 0) {
+            if (typeof extension !== "string") {
+                throw new TypeError(`'loaders[${index}].extension' must be a string.`);
+            }
+            if (!extension.startsWith(".")) {
+                throw new TypeError(`'loaders[${index}].extension' must start with a dot, but got '${extension}'.`);
+            }
+
+            // `findLoader()` compares it with `path.extname()`, which returns only the last extension.
+            if (extension.lastIndexOf(".") !== 0) {
+                throw new TypeError(`'loaders[${index}].extension' must have only one dot, but got '${extension}'. Use 'filename' for such config files.`);
+            }
+        }
+        if (typeof load !== "function") {
+            throw new TypeError(`'loaders[${index}].load' must be a function.`);
+        }
+    });
+}
+
+/**
+ * Find the custom loader for a given config file.
+ * @param {string} filePath The path to the config file.
+ * @param {ConfigLoader[]} loaders The custom loaders.
+ * @returns {ConfigLoader|undefined} The found loader.
+ * @private
+ */
+function findLoader(filePath, loaders) {
+    const basename = path.basename(filePath);
+    const extension = path.extname(filePath);
+
+    return (
+        loaders.find(loader => loader.filename === basename) ||
+        loaders.find(loader => loader.extension === extension)
+    );
+}
+
+/**
+ * Normalize the `trustMode` option.
+ * @param {any} trustMode The value of the `trustMode` option.
+ * @returns {NormalizedTrustMode} The normalized trust mode.
+ * @throws {TypeError} If the value is invalid.
+ */
+function normalizeTrustMode(trustMode) {
+    if (trustMode === void 0 || trustMode === "all") {
+        return { dataOnly: false, allowedModules: null };
+    }
+    if (trustMode === "data-only") {
+        return { dataOnly: true, allowedModules: new Set() };
+    }
+    if (!trustMode || typeof trustMode !== "object") {
+        throw new TypeError(`'trustMode' must be "all", "data-only", or an object, but got ${JSON.stringify(trustMode)}.`);
+    }
+
+    const { dataOnly = false, allowedModules } = trustMode;
+
+    if (
+        allowedModules !== void 0 &&
+        (!Array.isArray(allowedModules) || !allowedModules.every(isNonEmptyString))
+    ) {
+        throw new TypeError("'trustMode.allowedModules' must be an array of package names.");
+    }
+
+    return {
+        dataOnly: Boolean(dataOnly),
+        allowedModules: allowedModules ? new Set(allowedModules) : null
+    };
+}
+
+/**
+ * Creates an error to notify that the trust mode rejected a config file or a module.
+ * @param {string} message The error message.
+ * @param {string} messageTemplate The text template to source error strings from.
+ * @param {Object} messageData The data for the template. This includes `importerName`.
+ * @returns {Error} The error object to throw.
+ * @private
+ */
+function untrustedError(message, messageTemplate, messageData) {
+    return Object.assign(
+        new Error(message),
+        {
+            code: "ESLINT_CONFIG_UNTRUSTED",
+            messageTemplate,
+            messageData
+        }
+    );
+}
+
+/**
+ * Check if the trust mode accepts a given config file.
+ * @param {string} filePath The path to the config file.
+ * @param {ConfigArrayFactoryInternalSlots} slots The internal slots.
+ * @param {string} importerName The name of the config that imported the config file. This is the name of the config file itself if it's not imported.
+ * @returns {void}
+ * @throws {Error} If the config file has to be executed but the trust mode is data-only.
+ * @private
+ */
+function assertTrustedConfigFile(filePath, { loaders, trust }, importerName) {
+    if (
+        trust.dataOnly &&
+        executableConfigExtensions.has(path.extname(filePath)) &&
+        !findLoader(filePath, loaders)
+    ) {
+        throw untrustedError(
+            `Config file '${filePath}' is not allowed because executable config files are not trusted.`,
+            "untrusted-config-file",
+            { filePath, importerName }
+        );
+    }
+}
+
+/**
+ * Check if the trust mode accepts requiring a given package.
+ * @param {string} moduleName The package name to require.
+ * @param {ConfigArrayFactoryInternalSlots} slots The internal slots.
+ * @returns {boolean} `true` if the package can be required.
+ * @private
+ */
+function isTrustedModule(moduleName, { trust }) {
+    return trust.allowedModules === null || trust.allowedModules.has(moduleName);
+}
+
+/**
+ * Loads a configuration from a file with a custom loader.
+ * @param {string} filePath The filename to load.
+ * @param {ConfigLoader} loader The loader to use.
+ * @returns {ConfigData} The configuration object from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+function loadCustomConfigFile(filePath, loader) {
+    debug(`Loading config file with a custom loader: ${filePath}`);
+    try {
+        const configData = loader.load(filePath);
+
+        if (isThenable(configData)) {
+            throw requiresAsyncError(configData, "The loader");
+        }
+
+        return configData;
+    } catch (e) {
+        debug(`Error reading config file with a custom loader: ${filePath}`);
+        e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+}
+
+/**
+ * Loads a configuration from a file with a custom loader asynchronously.
+ * @param {string} filePath The filename to load.
+ * @param {ConfigLoader} loader The loader to use.
+ * @returns {Promise<ConfigData>} The configuration object from the file.
+ * @throws {Error} If the file cannot be read.
+ * @private
+ */
+async function loadCustomConfigFileAsync(filePath, loader) {
+    debug(`Loading config file with a custom loader: ${filePath}`);
+    try {
+        return await loader.load(filePath);
+    } catch (e) {
+        debug(`Error reading config file with a custom loader: ${filePath}`);
+        e.message = `Cannot read config file: ${filePath}\nError: ${e.message}`;
+        throw e;
+    }
+}
+
+/**
+ * Get the config filenames to look for in directories, in priority order.
+ * @param {Object} [options] The options.
+ * @param {TranspileFunction} [options.transpile] The function to transpile TypeScript config files. TypeScript config files are looked for only if this is given.
+ * @param {ConfigLoader[]} [options.loaders] The custom loaders. Their config files are looked for after the built-in `.eslintrc.*` files.
+ * @param {boolean} [sync=false] If `true` then `.eslintrc.mjs` is excluded because the sync methods cannot load ES modules.
+ * @returns {string[]} The config filenames.
+ * @private
+ */
+function getConfigFilenames({ transpile, loaders = [] } = {}, sync = false) {
+    const filenames = sync
+        ? configFilenames.filter(filename => filename !== ".eslintrc.mjs")
+        : [...configFilenames];
+
+    if (transpile) {
+        filenames.splice(
+            filenames.indexOf(".eslintrc.yaml"),
+            0,
+            ...typeScriptConfigFilenames
+        );
+    }
+
+    const customFilenames = loaders
+        .map(loader => loader.filename || `.eslintrc${loader.extension}`)
+        .filter((filename, index, array) => (
+            !filenames.includes(filename) &&
+            array.indexOf(filename) === index
+        ));
+
+    filenames.splice(filenames.indexOf(".eslintrc"), 0, ...customFilenames);
+
+    return filenames;
+}
+
 /**
  * Loads a configuration file regardless of the source. Inspects the file path
  * to determine the correctly way to load the config file.
  * @param {string} filePath The path to the configuration.
+ * @param {Object} [options] The options.
+ * @param {TranspileFunction} [options.transpile] The function to transpile TypeScript config files.
+ * @param {ConfigLoader[]} [options.loaders] The custom loaders, which take precedence over the built-in loaders.
+ * @param {FileSystem} [options.fs] The file system to read. Default is `node:fs`. JavaScript files are always loaded by Node.js.
+ * @param {string} [source] The content of the file if it was read already. This is not used for JavaScript files and custom loaders.
  * @returns {ConfigData|null} The configuration information.
  * @private
  */
-function loadConfigFile(filePath) {
+function loadConfigFile(filePath, { transpile, loaders = [], fs: fileSystem = fs } = {}, source = void 0) {
+    const loader = findLoader(filePath, loaders);
+
+    if (loader) {
+        return loadCustomConfigFile(filePath, loader);
+    }
+
     switch (path.extname(filePath)) {
         case ".js":
         case ".cjs":
+        case ".mjs":
             return loadJSConfigFile(filePath);
 
+        case ".ts":
+        case ".cts":
+            return loadTSConfigFile(filePath, transpile, source, fileSystem);
+
         case ".json":
             if (path.basename(filePath) === "package.json") {
-                return loadPackageJSONConfigFile(filePath);
+                return loadPackageJSONConfigFile(filePath, source, fileSystem);
             }
-            return loadJSONConfigFile(filePath);
+            return loadJSONConfigFile(filePath, source, fileSystem);
 
         case ".yaml":
         case ".yml":
-            return loadYAMLConfigFile(filePath);
+            return loadYAMLConfigFile(filePath, source, fileSystem);
 
         default:
-            return loadLegacyConfigFile(filePath);
+            return loadLegacyConfigFile(filePath, source, fileSystem);
+    }
+}
+
+/**
+ * Loads a configuration file asynchronously regardless of the source. This is
+ * the same as `loadConfigFile()` except that this reads files with
+ * `fs.promises`, can load ES modules, and can handle the promises which
+ * `transpile` and custom loaders returned.
+ * @param {string} filePath The path to the configuration.
+ * @param {Object} [options] The options.
+ * @param {TranspileFunction} [options.transpile] The function to transpile TypeScript config files.
+ * @param {ConfigLoader[]} [options.loaders] The custom loaders, which take precedence over the built-in loaders.
+ * @param {FileSystem} [options.fs] The file system to read. Default is `node:fs`. JavaScript files are always loaded by Node.js.
+ * @returns {Promise<ConfigData|null>} The configuration information.
+ * @private
+ */
+async function loadConfigFileAsync(filePath, { transpile, loaders = [], fs: fileSystem = fs } = {}) {
+    const loader = findLoader(filePath, loaders);
+
+    if (loader) {
+        return loadCustomConfigFileAsync(filePath, loader);
+    }
+
+    switch (path.extname(filePath)) {
+        case ".js":
+        case ".cjs":
+        case ".mjs":
+            return loadJSConfigFileAsync(filePath);
+
+        case ".ts":
+        case ".cts":
+            return loadTSConfigFileAsync(filePath, transpile, fileSystem);
+
+        default: {
+
+            // If reading failed, `loadConfigFile()` reads the file again to report the error in the same way.
+            const source = await readFileAsync(filePath, fileSystem).catch(() => void 0);
+
+            return loadConfigFile(filePath, { transpile, fs: fileSystem }, source);
+        }
     }
 }
 
@@ -402,32 +1261,82 @@ function createContext(
 }
 
 /**
- * Normalize a given plugin.
- * - Ensure the object to have four properties: configs, environments, processors, and rules.
- * - Ensure the object to not have other properties.
- * @param {Plugin} plugin The plugin to normalize.
- * @returns {Plugin} The normalized plugin.
+ * Create the provenance of the values in a given config data.
+ * @param {ConfigData} configBody The config data.
+ * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
+ * @returns {import("./config-array/config-array").ConfigArrayElementProvenance} The provenance.
  */
-function normalizePlugin(plugin) {
+function createProvenance(configBody, ctx) {
+    const { pointer, locate } = ctx.provenance;
+    const provenance = {};
+
+    for (const property of ["env", "globals", "parserOptions", "rules", "settings"]) {
+        const values = configBody[property];
+
+        if (!values || typeof values !== "object") {
+            continue;
+        }
+
+        provenance[property] = {};
+        for (const key of Object.keys(values)) {
+            if (key === "__proto__") {
+                continue;
+            }
 
-    // first check the cache
-    let normalizedPlugin = normalizedPlugins.get(plugin);
+            const valuePointer = `${pointer}/${property}/${escapePointerToken(key)}`;
 
-    if (normalizedPlugin) {
-        return normalizedPlugin;
+            provenance[property][key] = {
+                filePath: ctx.filePath,
+                name: ctx.name,
+                pointer: valuePointer,
+                ...(locate && locate(valuePointer))
+            };
+        }
     }
 
-    normalizedPlugin = {
-        configs: plugin.configs || {},
-        environments: plugin.environments || {},
-        processors: plugin.processors || {},
-        rules: plugin.rules || {}
-    };
+    return provenance;
+}
+
+/**
+ * Rewrite the rules of the config array elements which came from an object
+ * entry of `extends`. This creates new `rules` objects, so it doesn't modify
+ * the config data which shareable configs and plugins have.
+ * @param {IterableIterator<ConfigArrayElement>} elements The elements of the extended config.
+ * @param {Object} options The transformation.
+ * @param {SeverityConf} [options.severity] The severity to set to every enabled rule.
+ * @param {string[]} [options.exclude] The IDs of the rules to remove.
+ * @returns {IterableIterator<ConfigArrayElement>} The rewritten elements.
+ */
+function *transformExtendedRules(elements, { severity, exclude = [] }) {
+    for (const element of elements) {
+        if (element.rules) {
+            const rules = {};
+
+            for (const [ruleId, ruleConfig] of Object.entries(element.rules)) {
+                if (ruleId === "__proto__" || exclude.includes(ruleId)) {
+                    continue;
+                }
+
+                if (severity === void 0 || getRuleSeverity(ruleConfig) === 0) {
+                    rules[ruleId] = ruleConfig;
+                } else if (Array.isArray(ruleConfig)) {
+                    rules[ruleId] = [severity, ...ruleConfig.slice(1)];
+                } else {
+                    rules[ruleId] = severity;
+                }
+            }
+            element.rules = rules;
 
-    // save the reference for later
-    normalizedPlugins.set(plugin, normalizedPlugin);
+            if (element.provenance && element.provenance.rules) {
+                element.provenance.rules = Object.fromEntries(
+                    Object.entries(element.provenance.rules)
+                        .filter(([ruleId]) => Object.hasOwn(rules, ruleId))
+                );
+            }
+        }
 
-    return normalizedPlugin;
+        yield element;
+    }
 }
 
 //------------------------------------------------------------------------------
@@ -442,6 +1351,7 @@ class ConfigArrayFactory {
     /**
      * Initialize this instance.
      * @param {ConfigArrayFactoryOptions} [options] The map for additional plugins.
+     * @throws {TypeError} If the `loaders` or `trustMode` option is invalid.
      */
     constructor({
         additionalPluginPool = new Map(),
@@ -452,8 +1362,17 @@ class ConfigArrayFactory {
         eslintAllPath,
         getEslintAllConfig,
         eslintRecommendedPath,
-        getEslintRecommendedConfig
+        getEslintRecommendedConfig,
+        transpile,
+        loaders = [],
+        trackProvenance = false,
+        trustMode,
+        fs: fileSystem = fs
     } = {}) {
+        validateLoaders(loaders);
+
+        const trust = normalizeTrustMode(trustMode);
+
         internalSlotsMap.set(this, {
             additionalPluginPool,
             cwd,
@@ -465,7 +1384,12 @@ class ConfigArrayFactory {
             eslintAllPath,
             getEslintAllConfig,
             eslintRecommendedPath,
-            getEslintRecommendedConfig
+            getEslintRecommendedConfig,
+            transpile,
+            loaders,
+            trackProvenance,
+            trust,
+            fs: fileSystem
         });
     }
 
@@ -502,11 +1426,14 @@ class ConfigArrayFactory {
         const slots = internalSlotsMap.get(this);
         const ctx = createContext(slots, "config", name, filePath, basePath);
 
+        assertTrustedConfigFile(ctx.filePath, slots, ctx.name);
         return new ConfigArray(...this._loadConfigData(ctx));
     }
 
     /**
      * Load the config file on a given directory if exists.
+     * This skips `.eslintrc.mjs` because it can only be loaded by
+     * `loadInDirectoryAsync()`.
      * @param {string} directoryPath The path to a directory.
      * @param {Object} [options] The options.
      * @param {string} [options.basePath] The base path to resolve relative paths in `overrides[].files`, `overrides[].excludedFiles`, and `ignorePatterns`.
@@ -517,7 +1444,7 @@ class ConfigArrayFactory {
     loadInDirectory(directoryPath, { basePath, name } = {}) {
         const slots = internalSlotsMap.get(this);
 
-        for (const filename of configFilenames) {
+        for (const filename of getConfigFilenames(slots, true)) {
             const ctx = createContext(
                 slots,
                 "config",
@@ -526,11 +1453,87 @@ class ConfigArrayFactory {
                 basePath
             );
 
-            if (fs.existsSync(ctx.filePath) && fs.statSync(ctx.filePath).isFile()) {
+            if (isFile(ctx.filePath, slots.fs)) {
+                let configData;
+
+                assertTrustedConfigFile(ctx.filePath, slots, ctx.name);
+                try {
+                    configData = loadConfigFile(ctx.filePath, slots);
+                } catch (error) {
+                    if (!error || error.code !== "ESLINT_CONFIG_FIELD_NOT_FOUND") {
+                        throw error;
+                    }
+                }
+
+                if (configData) {
+                    debug(`Config file found: ${ctx.filePath}`);
+                    return new ConfigArray(
+                        ...this._normalizeConfigData(configData, { ...ctx, extendChain: [ctx.filePath] })
+                    );
+                }
+            }
+        }
+
+        debug(`Config file not found on ${directoryPath}`);
+        return new ConfigArray();
+    }
+
+    /**
+     * Load a config file asynchronously.
+     * Unlike `loadFile()`, this method can load ES module config files.
+     * Node.js cannot remove ES modules from its cache, so an edited ES module
+     * config file is loaded as a new module and the old one is kept in memory.
+     * Long-running processes that reload such files keep one module per edit.
+     * This applies to all async methods of `ConfigArrayFactory` and
+     * `CascadingConfigArrayFactory`.
+     * @param {string} filePath The path to a config file.
+     * @param {Object} [options] The options.
+     * @param {string} [options.basePath] The base path to resolve relative paths in `overrides[].files`, `overrides[].excludedFiles`, and `ignorePatterns`.
+     * @param {string} [options.name] The config name.
+     * @returns {Promise<ConfigArray>} Loaded config.
+     */
+    async loadFileAsync(filePath, { basePath, name } = {}) {
+        const slots = internalSlotsMap.get(this);
+        const ctx = createContext(slots, "config", name, filePath, basePath);
+
+        assertTrustedConfigFile(ctx.filePath, slots, ctx.name);
+        return new ConfigArray(...await this._loadConfigDataAsync(ctx));
+    }
+
+    /**
+     * Load the config file on a given directory asynchronously if exists.
+     * Unlike `loadInDirectory()`, this method can load ES module config files.
+     * @param {string} directoryPath The path to a directory.
+     * @param {Object} [options] The options.
+     * @param {string} [options.basePath] The base path to resolve relative paths in `overrides[].files`, `overrides[].excludedFiles`, and `ignorePatterns`.
+     * @param {string} [options.name] The config name.
+     * @throws {Error} If the config file is invalid.
+     * @returns {Promise<ConfigArray>} Loaded config. An empty `ConfigArray` if any config doesn't exist.
+     */
+    async loadInDirectoryAsync(directoryPath, { basePath, name } = {}) {
+        const slots = internalSlotsMap.get(this);
+        const contexts = getConfigFilenames(slots).map(filename => createContext(
+            slots,
+            "config",
+            name,
+            path.join(directoryPath, filename),
+            basePath
+        ));
+
+        // Check all candidates concurrently, then adopt those in priority order.
+        const existence = await Promise.all(
+            contexts.map(ctx => isFileAsync(ctx.filePath, slots.fs))
+        );
+
+        for (let i = 0; i < contexts.length; ++i) {
+            const ctx = contexts[i];
+
+            if (existence[i]) {
                 let configData;
 
+                assertTrustedConfigFile(ctx.filePath, slots, ctx.name);
                 try {
-                    configData = loadConfigFile(ctx.filePath);
+                    configData = await loadConfigFileAsync(ctx.filePath, slots);
                 } catch (error) {
                     if (!error || error.code !== "ESLINT_CONFIG_FIELD_NOT_FOUND") {
                         throw error;
@@ -539,8 +1542,13 @@ class ConfigArrayFactory {
 
                 if (configData) {
                     debug(`Config file found: ${ctx.filePath}`);
+
+                    const preloadedConfigs = new Map([[ctx.filePath, { configData }]]);
+
+                    await this._preloadExtends(configData, { ...ctx, preloadedConfigs });
+
                     return new ConfigArray(
-                        ...this._normalizeConfigData(configData, ctx)
+                        ...this._normalizeConfigData(configData, { ...ctx, extendChain: [ctx.filePath], preloadedConfigs })
                     );
                 }
             }
@@ -553,16 +1561,22 @@ class ConfigArrayFactory {
     /**
      * Check if a config file on a given directory exists or not.
      * @param {string} directoryPath The path to a directory.
+     * @param {Object} [options] The options.
+     * @param {TranspileFunction} [options.transpile] The function to transpile TypeScript config files. TypeScript config files are looked for only if this is given.
+     * @param {ConfigLoader[]} [options.loaders] The custom loaders. Their config files are looked for as well.
+     * @param {FileSystem} [options.fs] The file system to find config files. Default is `node:fs`.
      * @returns {string | null} The path to the found config file. If not found then null.
      */
-    static getPathToConfigFileInDirectory(directoryPath) {
-        for (const filename of configFilenames) {
+    static getPathToConfigFileInDirectory(directoryPath, options) {
+        const fileSystem = (options && options.fs) || fs;
+
+        for (const filename of getConfigFilenames(options)) {
             const filePath = path.join(directoryPath, filename);
 
-            if (fs.existsSync(filePath)) {
+            if (fileSystem.existsSync(filePath)) {
                 if (filename === "package.json") {
                     try {
-                        loadPackageJSONConfigFile(filePath);
+                        loadPackageJSONConfigFile(filePath, void 0, fileSystem);
                         return filePath;
                     } catch { /* ignore */ }
                 } else {
@@ -573,6 +1587,36 @@ class ConfigArrayFactory {
         return null;
     }
 
+    /**
+     * Inspect the files which `getPathToConfigFileInDirectory()` checks in a
+     * given directory. This is used to explain why no config files were found.
+     * @param {string} directoryPath The path to a directory.
+     * @param {Object} [options] The options. Same as `getPathToConfigFileInDirectory()`.
+     * @returns {ConfigFileSearch} The result of the inspection.
+     */
+    static inspectConfigFilesInDirectory(directoryPath, options) {
+        const fileSystem = (options && options.fs) || fs;
+        const packageJsonPath = path.join(directoryPath, "package.json");
+        let skippedPackageJson = null;
+
+        if (fileSystem.existsSync(packageJsonPath)) {
+            try {
+                loadPackageJSONConfigFile(packageJsonPath, void 0, fileSystem);
+            } catch {
+                skippedPackageJson = packageJsonPath;
+            }
+        }
+
+        return {
+            directoryPath,
+            candidates: getConfigFilenames(options),
+            skippedPackageJson,
+            flatConfigFiles: flatConfigFilenames
+                .map(filename => path.join(directoryPath, filename))
+                .filter(filePath => fileSystem.existsSync(filePath))
+        };
+    }
+
     /**
      * Load `.eslintignore` file.
      * @param {string} filePath The path to a `.eslintignore` file to load.
@@ -587,7 +1631,7 @@ class ConfigArrayFactory {
             filePath,
             slots.cwd
         );
-        const ignorePatterns = loadESLintIgnoreFile(ctx.filePath);
+        const ignorePatterns = loadESLintIgnoreFile(ctx.filePath, slots.fs);
 
         return new ConfigArray(
             ...this._normalizeESLintIgnoreData(ignorePatterns, ctx)
@@ -604,11 +1648,11 @@ class ConfigArrayFactory {
         const eslintIgnorePath = path.resolve(slots.cwd, ".eslintignore");
         const packageJsonPath = path.resolve(slots.cwd, "package.json");
 
-        if (fs.existsSync(eslintIgnorePath)) {
+        if (slots.fs.existsSync(eslintIgnorePath)) {
             return this.loadESLintIgnore(eslintIgnorePath);
         }
-        if (fs.existsSync(packageJsonPath)) {
-            const data = loadJSONConfigFile(packageJsonPath);
+        if (slots.fs.existsSync(packageJsonPath)) {
+            const data = loadJSONConfigFile(packageJsonPath, void 0, slots.fs);
 
             if (Object.hasOwn(data, "eslintIgnore")) {
                 if (!Array.isArray(data.eslintIgnore)) {
@@ -631,14 +1675,248 @@ class ConfigArrayFactory {
         return new ConfigArray();
     }
 
+    /**
+     * Load `.eslintignore` file in a given directory.
+     * Unlike `loadESLintIgnore(filePath)`, the patterns affect only the files
+     * in the directory, as same as `.gitignore` files.
+     * @param {string} directoryPath The path to a directory.
+     * @returns {ConfigArray} Loaded config. An empty `ConfigArray` if the file doesn't exist.
+     * @throws {Error} If the ignore file cannot be read.
+     */
+    loadESLintIgnoreInDirectory(directoryPath) {
+        const slots = internalSlotsMap.get(this);
+        const filePath = path.resolve(slots.cwd, directoryPath, ".eslintignore");
+
+        if (!isFile(filePath, slots.fs)) {
+            return new ConfigArray();
+        }
+
+        const ctx = createContext(slots, "ignore", void 0, filePath);
+        const ignorePatterns = anchorIgnorePatterns(
+            loadESLintIgnoreFile(filePath, slots.fs)
+        );
+
+        return new ConfigArray(
+            ...this._normalizeObjectConfigData({ ignorePatterns }, ctx)
+        );
+    }
+
+    /**
+     * Load `.gitignore` files in the current working directory and its
+     * descendant directories. This doesn't look into `.git` and `node_modules`
+     * directories and the directories which are ignored by the `.gitignore`
+     * files already found, as same as Git.
+     * @returns {ConfigArray} Loaded config. The elements are ordered from the shallowest file, so nested files take precedence.
+     * @throws {Error} If a `.gitignore` file cannot be read.
+     */
+    loadGitignore() {
+        const { cwd } = internalSlotsMap.get(this);
+        const configArray = new ConfigArray();
+
+        this._loadGitignoreInDirectory(cwd, configArray, []);
+
+        return configArray;
+    }
+
+    /**
+     * Load the `.gitignore` files in a given directory and its descendants.
+     * @param {string} directoryPath The path to the directory.
+     * @param {ConfigArray} configArray The config array to add loaded elements.
+     * @param {IgnorePattern[]} ignorePatterns The ignore patterns of the `.gitignore` files in the ancestors.
+     * @returns {void}
+     * @throws {Error} If a `.gitignore` file cannot be read.
+     * @private
+     */
+    _loadGitignoreInDirectory(directoryPath, configArray, ignorePatterns) {
+        const slots = internalSlotsMap.get(this);
+        const filePath = path.join(directoryPath, ".gitignore");
+        let currentIgnorePatterns = ignorePatterns;
+
+        if (isFile(filePath, slots.fs)) {
+            const ctx = createContext(slots, "ignore", void 0, filePath);
+            const elements = this._normalizeObjectConfigData(
+                { ignorePatterns: loadGitignoreFile(filePath, slots.fs) },
+                ctx
+            );
+
+            currentIgnorePatterns = [...ignorePatterns];
+            for (const element of elements) {
+                configArray.push(element);
+                currentIgnorePatterns.push(element.ignorePattern);
+            }
+        }
+
+        let entries;
+
+        try {
+            entries = slots.fs.readdirSync(directoryPath, { withFileTypes: true });
+        } catch (error) {
+            debug(`Failed to read the directory: ${directoryPath}\nError: ${error.message}`);
+            return;
+        }
+
+        const ignores = currentIgnorePatterns.length > 0
+            ? IgnorePattern.createIgnore(currentIgnorePatterns)
+            : null;
+
+        for (const entry of entries) {
+            const childPath = path.join(directoryPath, entry.name);
+
+            if (
+                entry.isDirectory() &&
+                entry.name !== ".git" &&
+                entry.name !== "node_modules" &&
+                !(ignores && ignores(childPath + path.sep, true))
+            ) {
+                this._loadGitignoreInDirectory(childPath, configArray, currentIgnorePatterns);
+            }
+        }
+    }
+
     /**
      * Load a given config file.
      * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
      * @returns {IterableIterator<ConfigArrayElement>} Loaded config.
+     * @throws {Error} If the config file was preloaded but failed.
      * @private
      */
     _loadConfigData(ctx) {
-        return this._normalizeConfigData(loadConfigFile(ctx.filePath), ctx);
+        const preloaded = ctx.preloadedConfigs && ctx.preloadedConfigs.get(ctx.filePath);
+
+        // The root config file starts the chain to detect circular `extends`.
+        const fileCtx = ctx.extendChain ? ctx : { ...ctx, extendChain: [ctx.filePath] };
+
+        if (preloaded) {
+            if (preloaded.error) {
+                throw preloaded.error;
+            }
+            return this._normalizeConfigData(preloaded.configData, fileCtx);
+        }
+
+        return this._normalizeConfigData(
+            loadConfigFile(ctx.filePath, internalSlotsMap.get(this)),
+            fileCtx
+        );
+    }
+
+    /**
+     * Load a given config file asynchronously.
+     * This loads the config file and the config files it extends in advance,
+     * then normalizes those with the same logic as `_loadConfigData()`.
+     * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
+     * @returns {Promise<IterableIterator<ConfigArrayElement>>} Loaded config.
+     * @private
+     */
+    async _loadConfigDataAsync(ctx) {
+        const preloadedConfigs = new Map();
+        const preloadingCtx = { ...ctx, preloadedConfigs };
+
+        await this._preloadConfigFile(preloadingCtx);
+
+        return this._loadConfigData(preloadingCtx);
+    }
+
+    /**
+     * Load a given config file and the config files it extends asynchronously,
+     * then store those into `ctx.preloadedConfigs`.
+     * The errors are stored as well, in order to throw those at the same place
+     * as synchronous loading.
+     * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _preloadConfigFile(ctx) {
+        const { filePath, preloadedConfigs } = ctx;
+
+        if (preloadedConfigs.has(filePath)) {
+            return;
+        }
+
+        /*
+         * Register the entry before loading, so that other branches which
+         * extend the same file concurrently don't load it again. The entry is
+         * filled before the outermost preloading finishes.
+         */
+        const entry = {};
+
+        preloadedConfigs.set(filePath, entry);
+
+        try {
+            entry.configData = await loadConfigFileAsync(filePath, internalSlotsMap.get(this));
+        } catch (error) {
+            entry.error = error;
+            return;
+        }
+
+        await this._preloadExtends(entry.configData, ctx);
+    }
+
+    /**
+     * Load the config files in `extends` of a given config data asynchronously,
+     * then store those into `ctx.preloadedConfigs`.
+     * This ignores invalid values because the normalization reports those.
+     * @param {ConfigData|OverrideConfigData} configData The config data.
+     * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _preloadExtends(configData, ctx) {
+        if (!configData || typeof configData !== "object") {
+            return;
+        }
+
+        const { extends: extend, overrides } = configData;
+        const extendList = Array.isArray(extend) ? extend : [extend];
+        const promises = [];
+
+        for (const extendEntry of extendList) {
+            const extendName = extendEntry && typeof extendEntry === "object"
+                ? extendEntry.config
+                : extendEntry;
+
+            if (typeof extendName !== "string" || extendName.startsWith("eslint:")) {
+                continue;
+            }
+
+            try {
+                if (extendName.startsWith("plugin:")) {
+                    const slashIndex = extendName.lastIndexOf("/");
+                    const pluginName = extendName.slice("plugin:".length, slashIndex);
+                    const plugin = slashIndex !== -1 && !isFilePath(pluginName) &&
+                        this._loadPlugin(pluginName, ctx);
+
+                    if (plugin && plugin.definition) {
+                        const configName = extendName.slice(slashIndex + 1);
+
+                        promises.push(this._preloadExtends(
+                            plugin.definition.configs[configName],
+                            {
+                                ...ctx,
+                                extendChain: addToExtendChain(ctx, `${plugin.filePath}#plugin:${plugin.id}/${configName}`, ""),
+                                filePath: plugin.filePath || ctx.filePath
+                            }
+                        ));
+                    }
+                } else {
+                    const { filePath } = this._resolveExtendedShareableConfig(extendName, ctx);
+
+                    assertTrustedConfigFile(filePath, internalSlotsMap.get(this), ctx.name);
+                    promises.push(this._preloadConfigFile({ ...ctx, filePath }));
+                }
+            } catch {
+
+                // The normalization will report this error.
+            }
+        }
+
+        if (Array.isArray(overrides)) {
+            for (const override of overrides) {
+                promises.push(this._preloadExtends(override, ctx));
+            }
+        }
+
+        // Independent branches are loaded concurrently.
+        await Promise.all(promises);
     }
 
     /**
@@ -668,13 +1946,40 @@ class ConfigArrayFactory {
      * @param {ConfigData} configData The config data to normalize.
      * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
      * @returns {IterableIterator<ConfigArrayElement>} The normalized config.
+     * @throws {Error} If the config data is invalid. If it was loaded from a JSON or YAML file, the error has the location of the invalid value.
      * @private
      */
     _normalizeConfigData(configData, ctx) {
         const validator = new ConfigValidator();
 
-        validator.validateConfigSchema(configData, ctx.name || ctx.filePath);
-        return this._normalizeObjectConfigData(configData, ctx);
+        try {
+            validator.validateConfigSchema(configData, ctx.name || ctx.filePath);
+        } catch (error) {
+            const locate = sourceLocators.get(configData);
+
+            if (locate && typeof error.pointer === "string") {
+                setErrorLocation(error, ctx.filePath, locate(error.pointer));
+            }
+            throw error;
+        }
+
+        const { trackProvenance } = internalSlotsMap.get(this);
+
+        // The config data of `extends` are not in the `overrides` of the extending config.
+        const configCtx = { ...ctx, overrideIndex: void 0 };
+
+        return this._normalizeObjectConfigData(
+            configData,
+            trackProvenance
+                ? {
+                    ...configCtx,
+                    provenance: {
+                        pointer: "",
+                        locate: sourceLocators.get(configData) || null
+                    }
+                }
+                : configCtx
+        );
     }
 
     /**
@@ -736,6 +2041,7 @@ class ConfigArrayFactory {
             reportUnusedDisableDirectives,
             root,
             rules,
+            ruleMergeStrategies,
             settings,
             overrides: overrideList = []
         },
@@ -748,8 +2054,8 @@ class ConfigArrayFactory {
         );
 
         // Flatten `extends`.
-        for (const extendName of extendList.filter(Boolean)) {
-            yield* this._loadExtends(extendName, ctx);
+        for (const extendEntry of extendList.filter(Boolean)) {
+            yield* this._loadExtends(extendEntry, ctx);
         }
 
         // Load parser & plugins.
@@ -762,7 +2068,7 @@ class ConfigArrayFactory {
         }
 
         // Yield the config data except `extends` and `overrides`.
-        yield {
+        const element = {
 
             // Debug information.
             type: ctx.type,
@@ -782,40 +2088,72 @@ class ConfigArrayFactory {
             reportUnusedDisableDirectives,
             root,
             rules,
+            ruleMergeStrategies,
             settings
         };
 
+        if (ctx.overrideIndex !== void 0) {
+            element.overrideIndex = ctx.overrideIndex;
+        }
+        if (ctx.provenance) {
+            element.provenance = createProvenance(
+                { env, globals, parserOptions, rules, settings },
+                ctx
+            );
+        }
+
+        yield element;
+
         // Flatten `overries`.
         for (let i = 0; i < overrideList.length; ++i) {
             yield* this._normalizeObjectConfigData(
                 overrideList[i],
-                { ...ctx, name: `${ctx.name}#overrides[${i}]` }
+                {
+                    ...ctx,
+                    name: `${ctx.name}#overrides[${i}]`,
+                    overrideIndex: i,
+                    provenance: ctx.provenance && {
+                        ...ctx.provenance,
+                        pointer: `${ctx.provenance.pointer}/overrides/${i}`
+                    }
+                }
             );
         }
     }
 
     /**
      * Load configs of an element in `extends`.
-     * @param {string} extendName The name of a base config.
+     * If the element is an object, this rewrites the rules of the loaded
+     * configs by its `severity` and `exclude` properties.
+     * @param {ExtendsEntry} extendEntry The name of a base config, or the object which has the name.
      * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
      * @returns {IterableIterator<ConfigArrayElement>} The normalized config.
      * @throws {Error} If the extended config file can't be loaded.
      * @private
      */
-    _loadExtends(extendName, ctx) {
-        debug("Loading {extends:%j} relative to %s", extendName, ctx.filePath);
+    _loadExtends(extendEntry, ctx) {
+        const { config: extendName, severity, exclude } =
+            typeof extendEntry === "string" ? { config: extendEntry } : extendEntry;
+        let elements;
+
+        debug("Loading {extends:%j} relative to %s", extendEntry, ctx.filePath);
         try {
             if (extendName.startsWith("eslint:")) {
-                return this._loadExtendedBuiltInConfig(extendName, ctx);
+                elements = this._loadExtendedBuiltInConfig(extendName, ctx);
+            } else if (extendName.startsWith("plugin:")) {
+                elements = this._loadExtendedPluginConfig(extendName, ctx);
+            } else {
+                elements = this._loadExtendedShareableConfig(extendName, ctx);
             }
-            if (extendName.startsWith("plugin:")) {
-                return this._loadExtendedPluginConfig(extendName, ctx);
-            }
-            return this._loadExtendedShareableConfig(extendName, ctx);
         } catch (error) {
             error.message += `\nReferenced from: ${ctx.filePath || ctx.name}`;
             throw error;
         }
+
+        if (severity === void 0 && exclude === void 0) {
+            return elements;
+        }
+        return transformExtendedRules(elements, { severity, exclude });
     }
 
     /**
@@ -896,10 +2234,13 @@ class ConfigArrayFactory {
             plugin.definition.configs[configName];
 
         if (configData) {
+            const name = `${ctx.name} » plugin:${plugin.id}/${configName}`;
+
             return this._normalizeConfigData(configData, {
                 ...ctx,
+                extendChain: addToExtendChain(ctx, `${plugin.filePath}#plugin:${plugin.id}/${configName}`, name),
                 filePath: plugin.filePath || ctx.filePath,
-                name: `${ctx.name} » plugin:${plugin.id}/${configName}`
+                name
             });
         }
 
@@ -915,7 +2256,29 @@ class ConfigArrayFactory {
      * @private
      */
     _loadExtendedShareableConfig(extendName, ctx) {
-        const { cwd, resolver } = internalSlotsMap.get(this);
+        const { request, filePath } = this._resolveExtendedShareableConfig(extendName, ctx);
+        const name = `${ctx.name} » ${request}`;
+
+        assertTrustedConfigFile(filePath, internalSlotsMap.get(this), ctx.name);
+
+        return this._loadConfigData({
+            ...ctx,
+            extendChain: addToExtendChain(ctx, filePath, name),
+            filePath,
+            name
+        });
+    }
+
+    /**
+     * Resolve the path to a shareable config in `extends`.
+     * @param {string} extendName The name of a base config.
+     * @param {ConfigArrayFactoryLoadingContext} ctx The loading context.
+     * @returns {{request: string, filePath: string}} The normalized request and the resolved path.
+     * @throws {Error} If the extended config file can't be resolved.
+     * @private
+     */
+    _resolveExtendedShareableConfig(extendName, ctx) {
+        const { cwd, resolver, fs: fileSystem } = internalSlotsMap.get(this);
         const relativeTo = ctx.filePath || path.join(cwd, "__placeholder__.js");
         let request;
 
@@ -932,8 +2295,17 @@ class ConfigArrayFactory {
 
         let filePath;
 
+        // Node.js can't find the files which exist only in the given file system.
+        if (fileSystem !== fs && isFilePath(request)) {
+            const candidate = path.resolve(path.dirname(relativeTo), request);
+
+            if (isFile(candidate, fileSystem)) {
+                filePath = candidate;
+            }
+        }
+
         try {
-            filePath = resolver.resolve(request, relativeTo);
+            filePath ??= resolver.resolve(request, relativeTo);
         } catch (error) {
             /* istanbul ignore else */
             if (error && error.code === "MODULE_NOT_FOUND") {
@@ -943,11 +2315,7 @@ class ConfigArrayFactory {
         }
 
         writeDebugLogForLoading(request, relativeTo, filePath);
-        return this._loadConfigData({
-            ...ctx,
-            filePath,
-            name: `${ctx.name} » ${request}`
-        });
+        return { request, filePath };
     }
 
     /**
@@ -979,10 +2347,19 @@ class ConfigArrayFactory {
     _loadParser(nameOrPath, ctx) {
         debug("Loading parser %j from %s", nameOrPath, ctx.filePath);
 
-        const { cwd, resolver } = internalSlotsMap.get(this);
+        const slots = internalSlotsMap.get(this);
+        const { cwd, resolver } = slots;
         const relativeTo = ctx.filePath || path.join(cwd, "__placeholder__.js");
 
         try {
+            if (!isTrustedModule(nameOrPath, slots)) {
+                throw untrustedError(
+                    "The parser is not in the allowed modules of the trust mode.",
+                    "untrusted-module",
+                    { moduleName: nameOrPath, importerName: ctx.name }
+                );
+            }
+
             const filePath = resolver.resolve(nameOrPath, relativeTo);
 
             writeDebugLogForLoading(nameOrPath, relativeTo, filePath);
@@ -1030,7 +2407,8 @@ class ConfigArrayFactory {
     _loadPlugin(name, ctx) {
         debug("Loading plugin %j from %s", name, ctx.filePath);
 
-        const { additionalPluginPool, resolver } = internalSlotsMap.get(this);
+        const slots = internalSlotsMap.get(this);
+        const { additionalPluginPool, resolver } = slots;
         const request = naming.normalizePackageName(name, "eslint-plugin");
         const id = naming.getShorthandName(request, "eslint-plugin");
         const relativeTo = path.join(ctx.pluginBasePath, "__placeholder__.js");
@@ -1072,6 +2450,14 @@ class ConfigArrayFactory {
         let error;
 
         try {
+            if (!isTrustedModule(request, slots)) {
+                throw untrustedError(
+                    "The plugin is not in the allowed modules of the trust mode.",
+                    "untrusted-module",
+                    { moduleName: request, importerName: ctx.name }
+                );
+            }
+
             filePath = resolver.resolve(request, relativeTo);
         } catch (resolveError) {
             error = resolveError;
@@ -1145,6 +2531,7 @@ class ConfigArrayFactory {
                         },
                         {
                             ...ctx,
+                            overrideIndex: void 0,
                             type: "implicit-processor",
                             name: `${ctx.name}#processors["${pluginId}/${processorId}"]`
                         }
@@ -1158,5 +2545,6 @@ class ConfigArrayFactory {
 export {
     ConfigArrayFactory,
     createContext,
-    loadConfigFile
+    loadConfigFile,
+    loadConfigFileAsync
 };
@@ -5,7 +5,7 @@
  * config file, base config files that were extended, loaded parsers, and loaded
  * plugins.
  *
- * `ConfigArray` class provides three properties and two methods.
+ * `ConfigArray` class provides five properties and four methods.
  *
  * - `pluginEnvironments`
  * - `pluginProcessors`
@@ -13,12 +13,30 @@
  *      The `Map` objects that contain the members of all plugins that this
  *      config array contains. Those map objects don't have mutation methods.
  *      Those keys are the member ID such as `pluginId/memberName`.
+ * - `ruleRenames`
+ *      The `Map` object from old rule IDs to new rule IDs, which came from
+ *      the `ruleRenames` properties of elements and, if an element has
+ *      `renameDeprecatedRules: true`, the replacements of deprecated plugin
+ *      rules. This map doesn't have mutation methods.
+ * - `severityOnlyRuleRenames`
+ *      The `Set` object of the old rule IDs in `ruleRenames` whose options are
+ *      not migrated because the new rules have different options schemas.
+ *      This set doesn't have mutation methods.
  * - `isRoot()`
  *      If `true` then this configuration has `root:true` property.
  * - `extractConfig(filePath)`
  *      Extract the final configuration for a given file. This means merging
  *      every config array element which that `criteria` property matched. The
- *      `filePath` argument must be an absolute path.
+ *      `filePath` argument must be an absolute path. The merged values of the
+ *      shared prefixes of matched elements are memoized, so the configs for
+ *      different files reuse the work of merging their common elements. The
+ *      elements are indexed by the literal extensions and directories in their
+ *      `criteria`, so the elements which cannot match are skipped.
+ * - `explainConfig(filePath)`
+ *      Explain which config array elements supplied the values of the final
+ *      configuration for a given file, and which values they shadowed.
+ * - `whyIgnored(filePath)`
+ *      Explain which ignore pattern decided whether a given file is ignored.
  *
  * `ConfigArrayFactory` provides the loading logic of config files.
  *
@@ -29,8 +47,13 @@
 // Requirements
 //------------------------------------------------------------------------------
 
+import path from "node:path";
+import { getReplacedRuleId, hasSameOptionsSchema } from "../shared/config-ops.js";
+import { deepMergeArrays } from "../shared/deep-merge-arrays.js";
+import { emitDeprecationWarning } from "../shared/deprecation-warnings.js";
 import { ExtractedConfig } from "./extracted-config.js";
 import { IgnorePattern } from "./ignore-pattern.js";
+import { OverrideTester } from "./override-tester.js";
 
 //------------------------------------------------------------------------------
 // Helpers
@@ -40,6 +63,7 @@ import { IgnorePattern } from "./ignore-pattern.js";
 /** @typedef {import("../../shared/types").Environment} Environment */
 /** @typedef {import("../../shared/types").GlobalConf} GlobalConf */
 /** @typedef {import("../../shared/types").RuleConf} RuleConf */
+/** @typedef {import("../../shared/types").RuleMergeStrategy} RuleMergeStrategy */
 /** @typedef {import("../../shared/types").Rule} Rule */
 /** @typedef {import("../../shared/types").Plugin} Plugin */
 /** @typedef {import("../../shared/types").Processor} Processor */
@@ -63,16 +87,123 @@ import { IgnorePattern } from "./ignore-pattern.js";
  * @property {boolean|undefined} reportUnusedDisableDirectives The flag to report unused `eslint-disable` comments.
  * @property {boolean|undefined} root The flag to express root.
  * @property {Record<string, RuleConf>|undefined} rules The rule settings
+ * @property {Record<string, RuleMergeStrategy>|undefined} ruleMergeStrategies The strategies to merge rule options with lower-priority elements.
+ * @property {Record<string, string>|undefined} ruleRenames The map from old rule IDs to new rule IDs. This is not config data; `CascadingConfigArrayFactory` adds this from its `ruleRenames` option and, if its `renameDeprecatedRules` option is `true`, deprecated built-in rules.
+ * @property {boolean|undefined} renameDeprecatedRules If `true` then the replacements of deprecated plugin rules rename those rules as well. This is not config data; `CascadingConfigArrayFactory` adds this from its `renameDeprecatedRules` option.
+ * @property {string[]|undefined} severityOnlyRuleRenames The old rule IDs in `ruleRenames` whose options are not migrated because the new rules have different options schemas. This is not config data; `CascadingConfigArrayFactory` adds this for built-in rules.
  * @property {Object|undefined} settings The shared settings.
  * @property {"config" | "ignore" | "implicit-processor"} type The element type.
+ * @property {number} [overrideIndex] The index in `overrides` of the source file. This exists only if this element came from `overrides`.
+ * @property {ConfigArrayElementProvenance} [provenance] Where the values of this element came from. This exists only if `ConfigArrayFactory` was created with the `trackProvenance` option.
+ */
+
+/**
+ * @typedef {Object} ConfigValueSource
+ * @property {string} filePath The path to the config file which has the value. This is empty if the value didn't come from files.
+ * @property {string} name The name of the config element which has the value.
+ * @property {string} pointer The JSON pointer to the value in the config file, e.g. `/overrides/0/rules/semi`.
+ * @property {number} [line] The 1-based line number of the value. This exists only for JSON and YAML config files.
+ * @property {number} [column] The 1-based column number of the value. This exists only for JSON and YAML config files.
+ */
+
+/**
+ * The sources of values. Each property has the same keys as the property of
+ * the same name in config data.
+ * @typedef {Object} ConfigArrayElementProvenance
+ * @property {Record<string, ConfigValueSource>} [env] The sources of environment settings.
+ * @property {Record<string, ConfigValueSource>} [globals] The sources of global variable settings.
+ * @property {Record<string, ConfigValueSource>} [parserOptions] The sources of parser options.
+ * @property {Record<string, ConfigValueSource>} [rules] The sources of rule settings.
+ * @property {Record<string, ConfigValueSource>} [settings] The sources of shared settings.
+ */
+
+/**
+ * @typedef {Object} ConfigValueOrigin
+ * @property {number} index The index of the config array element.
+ * @property {string} name The name of the config array element.
+ * @property {string} filePath The path to the source file of the config array element. This is empty if the element didn't come from files.
+ * @property {number|null} overrideIndex The index in `overrides` of the source file if the element came from `overrides`.
+ */
+
+/**
+ * @typedef {Object} ConfigValueExplanation
+ * @property {any} value The adopted value, which is the same as the value in the extracted config.
+ * @property {ConfigValueOrigin} origin The element which supplied the adopted value.
+ * @property {{value: any, origin: ConfigValueOrigin}[]} shadowed The values which lower-priority elements set to the same key. Those are ordered by priority.
+ */
+
+/**
+ * @typedef {Object} ConfigExplanation
+ * @property {Record<string, ConfigValueExplanation>} env The explanations of environment settings.
+ * @property {Record<string, ConfigValueExplanation>} globals The explanations of global variable settings.
+ * @property {ConfigValueExplanation|null} parser The explanation of the parser.
+ * @property {ConfigValueExplanation|null} processor The explanation of the processor.
+ * @property {Record<string, ConfigValueExplanation>} rules The explanations of rule settings.
+ * @property {Record<string, ConfigValueExplanation>} settings The explanations of shared settings.
+ */
+
+/**
+ * @typedef {Object} IgnoreDecision
+ * @property {string} pattern The pattern as written.
+ * @property {boolean} negated `true` if the pattern starts with `!`, i.e., it unignores files.
+ * @property {string} name The name of the config array element which has the pattern. This is `"DotfileIgnorePattern"` for the built-in patterns which ignore dotfiles.
+ * @property {string} filePath The path to the source file of the config array element. This is empty if the pattern didn't come from files.
+ * @property {string|null} basePath The base path of the pattern. This is `null` for the built-in patterns which ignore dotfiles.
+ */
+
+/**
+ * @typedef {Object} IgnoreExplanation
+ * @property {boolean} ignored `true` if the file is ignored.
+ * @property {IgnoreDecision|null} decidingPattern The pattern which decided the result. This is `null` if no patterns matched.
+ * @property {IgnoreDecision[]} negations The negated patterns which matched the file, in the order of evaluation.
+ */
+
+/**
+ * The merged values of config array elements.
+ * It's immutable once created because the states of longer prefixes and
+ * extracted configs share the values with it.
+ * @typedef {Object} MergeState
+ * @property {string} configNameOfNoInlineConfig The config name what `noInlineConfig` setting came from.
+ * @property {Record<string, boolean>} env The environment settings.
+ * @property {Record<string, GlobalConf>} globals The global variable settings.
+ * @property {IgnorePattern[]} ignorePatterns The ignore patterns in ascending order of priority.
+ * @property {boolean|undefined} noInlineConfig The flag that disables directive comments.
+ * @property {DependentParser|null} parser The parser loader.
+ * @property {Object} parserOptions The parser options.
+ * @property {Record<string, DependentPlugin>} plugins The plugin loaders.
+ * @property {string|null} processor The processor name.
+ * @property {Required<ConfigArrayElementProvenance>|null} provenance The provenance. This is `null` if no elements have the `provenance` property.
+ * @property {boolean|undefined} reportUnusedDisableDirectives The flag to report unused `eslint-disable` comments.
+ * @property {Record<string, Array>} rules The rule settings.
+ * @property {Object} settings The shared settings.
+ * @property {boolean} shadowed `true` if a primitive value has hidden an object value of lower-priority elements.
+ */
+
+/**
+ * The node of the tree which memoizes the merged values by the prefixes of
+ * matched indices in ascending order.
+ * @typedef {Object} MergeNode
+ * @property {MergeState|null} state The merged values of the prefix. This is `null` if the prefix cannot be merged incrementally.
+ * @property {Map<number, MergeNode>} children The nodes of the longer prefixes by the next index.
+ */
+
+/**
+ * The index of the elements by the keys of their `criteria`.
+ * @typedef {Object} OverrideIndex
+ * @property {number[]} unindexed The indices of the elements which don't have `criteria` or cannot be indexed.
+ * @property {Map<string, {extension: Map<string|null, number[]>, directory: Map<string, number[]>}>} indexed The indices of the other elements by the base path of `criteria` and the keys.
  */
 
 /**
  * @typedef {Object} ConfigArrayInternalSlots
  * @property {Map<string, ExtractedConfig>} cache The cache to extract configs.
+ * @property {MergeNode|null} mergeTree The root of the memoized merged values.
+ * @property {OverrideIndex|null} overrideIndex The index of the elements to find the elements which can match a file.
  * @property {ReadonlyMap<string, Environment>|null} envMap The map from environment ID to environment definition.
  * @property {ReadonlyMap<string, Processor>|null} processorMap The map from processor ID to environment definition.
  * @property {ReadonlyMap<string, Rule>|null} ruleMap The map from rule ID to rule definition.
+ * @property {ReadonlyMap<string, string>|null} ruleRenameMap The map from old rule IDs to new rule IDs.
+ * @property {ReadonlySet<string>|null} severityOnlyRuleIds The old rule IDs whose options are not migrated.
  */
 
 /** @type {WeakMap<ConfigArray, ConfigArrayInternalSlots>} */
@@ -83,9 +214,13 @@ const internalSlotsMap = new class extends WeakMap {
         if (!value) {
             value = {
                 cache: new Map(),
+                mergeTree: null,
+                overrideIndex: null,
                 envMap: null,
                 processorMap: null,
-                ruleMap: null
+                ruleMap: null,
+                ruleRenameMap: null,
+                severityOnlyRuleIds: null
             };
             super.set(key, value);
         }
@@ -94,6 +229,72 @@ const internalSlotsMap = new class extends WeakMap {
     }
 }();
 
+/** @type {WeakMap<IgnorePattern[], ExtractedConfig["ignores"]>} */
+const ignorePredicates = new WeakMap();
+
+/**
+ * Create the index of elements by the keys of their `criteria`.
+ * @param {ConfigArrayElement[]} elements The elements.
+ * @returns {OverrideIndex} The index.
+ */
+function createOverrideIndex(elements) {
+    const unindexed = [];
+    const indexed = new Map();
+
+    for (let i = 0; i < elements.length; ++i) {
+        const { criteria } = elements[i];
+        const indexKeys = criteria && criteria.getIndexKeys();
+
+        if (!indexKeys) {
+            unindexed.push(i);
+            continue;
+        }
+
+        if (!indexed.has(criteria.basePath)) {
+            indexed.set(criteria.basePath, { extension: new Map(), directory: new Map() });
+        }
+        const keyMap = indexed.get(criteria.basePath)[indexKeys.kind];
+
+        for (const key of indexKeys.keys) {
+            if (!keyMap.has(key)) {
+                keyMap.set(key, []);
+            }
+            keyMap.get(key).push(i);
+        }
+    }
+
+    return { unindexed, indexed };
+}
+
+/**
+ * Get the indices of the elements which can match a given file, in
+ * descending order. The other elements never match the file.
+ * @param {ConfigArrayElement[]} elements The elements.
+ * @param {string} filePath The absolute path to a target file.
+ * @returns {number[]} The indices.
+ */
+function getCandidateIndices(elements, filePath) {
+    const slots = internalSlotsMap.get(elements);
+
+    if (!slots.overrideIndex) {
+        slots.overrideIndex = createOverrideIndex(elements);
+    }
+
+    const { unindexed, indexed } = slots.overrideIndex;
+    const indices = [...unindexed];
+
+    for (const [basePath, { extension, directory }] of indexed) {
+        const keys = OverrideTester.getPathIndexKeys(filePath, basePath);
+
+        indices.push(
+            ...(extension.get(keys.extension) || []),
+            ...(directory.get(keys.directory) || [])
+        );
+    }
+
+    return indices.sort((a, b) => b - a);
+}
+
 /**
  * Get the indices which are matched to a given file.
  * @param {ConfigArrayElement[]} elements The elements.
@@ -103,7 +304,12 @@ const internalSlotsMap = new class extends WeakMap {
 function getMatchedIndices(elements, filePath) {
     const indices = [];
 
-    for (let i = elements.length - 1; i >= 0; --i) {
+    // `OverrideTester#test()` throws if the path is not absolute, so check all.
+    const candidates = typeof filePath === "string" && path.isAbsolute(filePath)
+        ? getCandidateIndices(elements, filePath)
+        : Array.from(elements.keys()).reverse();
+
+    for (const i of candidates) {
         const element = elements[i];
 
         if (!element.criteria || (filePath && element.criteria.test(filePath))) {
@@ -213,14 +419,44 @@ function mergePlugins(target, source) {
     }
 }
 
+/**
+ * Merge the options of two rule configs by a given strategy.
+ * `target`'s options are prior to `source`'s.
+ * @param {any[]} targetDef The rule config to merge into. This has options.
+ * @param {any[]} sourceDef The rule config to merge. This has options.
+ * @param {RuleMergeStrategy} strategy The strategy to merge.
+ * @returns {void}
+ */
+function mergeRuleOptions(targetDef, sourceDef, strategy) {
+    const targetOptions = targetDef.slice(1);
+    const sourceOptions = sourceDef.slice(1);
+    let options = targetOptions;
+
+    if (strategy === "deep-merge") {
+        options = deepMergeArrays(sourceOptions, targetOptions);
+    } else if (strategy === "concat") {
+        options = sourceOptions.map((sourceOption, i) => {
+            const targetOption = targetOptions[i];
+
+            if (Array.isArray(sourceOption) && Array.isArray(targetOption)) {
+                return [...sourceOption, ...targetOption];
+            }
+            return targetOption === void 0 ? sourceOption : targetOption;
+        }).concat(targetOptions.slice(sourceOptions.length));
+    }
+
+    targetDef.splice(1, targetDef.length - 1, ...options);
+}
+
 /**
  * Merge rule configs.
  * `target`'s definition is prior to `source`'s.
  * @param {Record<string, Array>} target The destination to merge
  * @param {Record<string, RuleConf>|undefined} source The source to merge.
+ * @param {Record<string, RuleMergeStrategy>} strategies The strategies to merge the options of each rule. The default is `"replace"`.
  * @returns {void}
  */
-function mergeRuleConfigs(target, source) {
+function mergeRuleConfigs(target, source, strategies) {
     if (!isNonNullObject(source)) {
         return;
     }
@@ -250,6 +486,276 @@ function mergeRuleConfigs(target, source) {
             sourceDef.length >= 2
         ) {
             targetDef.push(...sourceDef.slice(1));
+
+        // If both have options, merge those by the strategy of the rule.
+        } else if (
+            Array.isArray(sourceDef) &&
+            sourceDef.length >= 2 &&
+            Object.hasOwn(strategies, key) &&
+            strategies[key] !== "replace"
+        ) {
+            mergeRuleOptions(targetDef, sourceDef, strategies[key]);
+        }
+    }
+}
+
+/**
+ * Merge the provenance of a config array element.
+ * `target`'s sources are prior to `source`'s, as same as the values.
+ * @param {Required<ConfigArrayElementProvenance>} target The destination to merge.
+ * @param {ConfigArrayElementProvenance|undefined} source The source to merge.
+ * @returns {void}
+ */
+function mergeProvenance(target, source) {
+    if (!source) {
+        return;
+    }
+
+    for (const [property, sources] of Object.entries(source)) {
+        for (const [key, valueSource] of Object.entries(sources)) {
+            if (!Object.hasOwn(target[property], key)) {
+                target[property][key] = valueSource;
+            }
+        }
+    }
+}
+
+/**
+ * Collect definitions.
+ * @template T, U
+ * @param {string} pluginId The plugin ID for prefix.
+ * @param {Record<string,T>} defs The definitions to collect.
+ * @param {Map<string, U>} map The map to output.
+ * @returns {void}
+ */
+function collect(pluginId, defs, map) {
+    if (defs) {
+        const prefix = pluginId && `${pluginId}/`;
+
+        for (const [key, value] of Object.entries(defs)) {
+            map.set(`${prefix}${key}`, value);
+        }
+    }
+}
+
+/**
+ * Delete the mutation methods from a given map or set.
+ * @param {Map<any, any>|Set<any>} map The map or set object to delete.
+ * @returns {void}
+ */
+function deleteMutationMethods(map) {
+    Object.defineProperties(map, {
+        add: { configurable: true, value: void 0 },
+        clear: { configurable: true, value: void 0 },
+        delete: { configurable: true, value: void 0 },
+        set: { configurable: true, value: void 0 }
+    });
+}
+
+/**
+ * Resolve the chains of renames, e.g. `a` to `b` and `b` to `c` makes `a` to `c`.
+ * The renames which come back to the old rule ID are removed. If a rename in
+ * a chain doesn't migrate options, the resolved rename doesn't either.
+ * @param {Map<string, string>} renameMap The map from old rule IDs to new rule IDs. This is modified.
+ * @param {Set<string>} severityOnlyRuleIds The old rule IDs whose options are not migrated. This is modified.
+ * @returns {void}
+ */
+function resolveRenameChains(renameMap, severityOnlyRuleIds) {
+    for (const [ruleId, newRuleId] of renameMap) {
+        const seen = new Set([ruleId]);
+        let finalRuleId = newRuleId;
+        let severityOnly = severityOnlyRuleIds.has(ruleId);
+
+        while (renameMap.has(finalRuleId) && !seen.has(finalRuleId)) {
+            seen.add(finalRuleId);
+            if (severityOnlyRuleIds.has(finalRuleId)) {
+                severityOnly = true;
+            }
+            finalRuleId = renameMap.get(finalRuleId);
+        }
+
+        if (finalRuleId === ruleId) {
+            renameMap.delete(ruleId);
+            severityOnlyRuleIds.delete(ruleId);
+        } else {
+            renameMap.set(ruleId, finalRuleId);
+            if (severityOnly) {
+                severityOnlyRuleIds.add(ruleId);
+            }
+        }
+    }
+}
+
+/**
+ * Create `envMap`, `processorMap`, `ruleMap`, `ruleRenameMap`, and `severityOnlyRuleIds` with the plugins in the config array.
+ * The `ruleRenames` properties of elements take precedence over the
+ * replacements of deprecated plugin rules.
+ * @param {ConfigArrayElement[]} elements The config elements.
+ * @param {ConfigArrayInternalSlots} slots The internal slots.
+ * @returns {void}
+ */
+function initPluginMemberMaps(elements, slots) {
+    const processed = new Set();
+    const ruleRenameMap = new Map();
+    const severityOnlyRuleIds = new Set();
+    let renameDeprecatedRules = false;
+
+    slots.envMap = new Map();
+    slots.processorMap = new Map();
+    slots.ruleMap = new Map();
+
+    for (const element of elements) {
+        for (const [ruleId, newRuleId] of Object.entries(element.ruleRenames || {})) {
+            ruleRenameMap.set(ruleId, newRuleId);
+        }
+        for (const ruleId of element.severityOnlyRuleRenames || []) {
+            severityOnlyRuleIds.add(ruleId);
+        }
+        if (element.renameDeprecatedRules) {
+            renameDeprecatedRules = true;
+        }
+
+        if (!element.plugins) {
+            continue;
+        }
+
+        for (const [pluginId, value] of Object.entries(element.plugins)) {
+            const plugin = value.definition;
+
+            if (!plugin || processed.has(pluginId)) {
+                continue;
+            }
+            processed.add(pluginId);
+
+            collect(pluginId, plugin.environments, slots.envMap);
+            collect(pluginId, plugin.processors, slots.processorMap);
+            collect(pluginId, plugin.rules, slots.ruleMap);
+        }
+    }
+
+    /*
+     * Collect the replacements of deprecated plugin rules. Unprefixed
+     * replacements refer to the rules of the same plugin if those exist.
+     */
+    if (renameDeprecatedRules) {
+        for (const [ruleId, rule] of slots.ruleMap) {
+            const replacedBy = getReplacedRuleId(rule);
+
+            if (replacedBy && !ruleRenameMap.has(ruleId)) {
+                const prefix = ruleId.slice(0, ruleId.lastIndexOf("/") + 1);
+                const isSamePluginRule = !replacedBy.includes("/") && slots.ruleMap.has(`${prefix}${replacedBy}`);
+
+                ruleRenameMap.set(ruleId, isSamePluginRule ? `${prefix}${replacedBy}` : replacedBy);
+            }
+        }
+    }
+
+    // The options cannot be migrated if the new rule doesn't accept those.
+    for (const [ruleId, newRuleId] of ruleRenameMap) {
+        const rule = slots.ruleMap.get(ruleId);
+        const newRule = slots.ruleMap.get(newRuleId);
+
+        if (rule && newRule && !hasSameOptionsSchema(rule, newRule)) {
+            severityOnlyRuleIds.add(ruleId);
+        }
+    }
+    resolveRenameChains(ruleRenameMap, severityOnlyRuleIds);
+    slots.ruleRenameMap = ruleRenameMap;
+    slots.severityOnlyRuleIds = severityOnlyRuleIds;
+
+    deleteMutationMethods(slots.envMap);
+    deleteMutationMethods(slots.processorMap);
+    deleteMutationMethods(slots.ruleMap);
+    deleteMutationMethods(slots.ruleRenameMap);
+    deleteMutationMethods(slots.severityOnlyRuleIds);
+}
+
+/**
+ * Create `envMap`, `processorMap`, `ruleMap`, `ruleRenameMap`, and `severityOnlyRuleIds` with the plugins in the config array.
+ * @param {ConfigArray} instance The config elements.
+ * @returns {ConfigArrayInternalSlots} The extracted config.
+ */
+function ensurePluginMemberMaps(instance) {
+    const slots = internalSlotsMap.get(instance);
+
+    if (!slots.ruleMap) {
+        initPluginMemberMaps(instance, slots);
+    }
+
+    return slots;
+}
+
+/**
+ * Get the rule settings of a config array element, with the renamed rule IDs
+ * replaced by the new IDs. If the element has both the old and new IDs, the
+ * setting of the new ID wins.
+ * @param {Record<string, RuleConf>|undefined} rules The rule settings.
+ * @param {ReadonlyMap<string, string>} renameMap The map from old rule IDs to new rule IDs.
+ * @param {ReadonlySet<string>} [severityOnlyRuleIds] The old rule IDs whose options are dropped. If this is omitted, the values are kept as are, e.g., for the provenance.
+ * @returns {Record<string, RuleConf>|undefined} The renamed rule settings. This is `rules` itself if no rules were renamed.
+ */
+function renameRules(rules, renameMap, severityOnlyRuleIds) {
+    if (
+        !isNonNullObject(rules) ||
+        !Object.keys(rules).some(ruleId => renameMap.has(ruleId))
+    ) {
+        return rules;
+    }
+
+    const renamedRules = {};
+
+    for (const [ruleId, ruleConf] of Object.entries(rules)) {
+        const newRuleId = renameMap.get(ruleId) || ruleId;
+
+        if (
+            ruleId === "__proto__" ||
+            (newRuleId !== ruleId && Object.hasOwn(rules, newRuleId))
+        ) {
+            continue;
+        }
+        renamedRules[newRuleId] = (
+            severityOnlyRuleIds &&
+            severityOnlyRuleIds.has(ruleId) &&
+            Array.isArray(ruleConf)
+        )
+            ? ruleConf.slice(0, 1)
+            : ruleConf;
+    }
+
+    return renamedRules;
+}
+
+/**
+ * Get the provenance of a config array element, with the renamed rule IDs
+ * replaced by the new IDs as same as `renameRules()`.
+ * @param {ConfigArrayElementProvenance|undefined} provenance The provenance.
+ * @param {ReadonlyMap<string, string>} renameMap The map from old rule IDs to new rule IDs.
+ * @returns {ConfigArrayElementProvenance|undefined} The renamed provenance. This is `provenance` itself if no rules were renamed.
+ */
+function renameProvenance(provenance, renameMap) {
+    const rules = provenance && renameRules(provenance.rules, renameMap);
+
+    return rules === (provenance && provenance.rules)
+        ? provenance
+        : { ...provenance, rules };
+}
+
+/**
+ * Emit the deprecation warnings for the renamed rule IDs in a given config
+ * array element.
+ * @param {ConfigArrayElement} element The config array element.
+ * @param {ReadonlyMap<string, string>} renameMap The map from old rule IDs to new rule IDs.
+ * @param {ReadonlySet<string>} severityOnlyRuleIds The old rule IDs whose options are dropped.
+ * @returns {void}
+ */
+function warnRenamedRules(element, renameMap, severityOnlyRuleIds) {
+    for (const ruleId of Object.keys(element.rules)) {
+        if (renameMap.has(ruleId)) {
+            emitDeprecationWarning(
+                element.filePath || element.name,
+                severityOnlyRuleIds.has(ruleId) ? "ESLINT_RULE_REPLACED" : "ESLINT_RULE_RENAMED",
+                { ruleId, newRuleId: renameMap.get(ruleId) }
+            );
         }
     }
 }
@@ -264,6 +770,27 @@ function mergeRuleConfigs(target, source) {
 function createConfig(instance, indices) {
     const config = new ExtractedConfig();
     const ignorePatterns = [];
+    const { ruleRenameMap, severityOnlyRuleIds } = ensurePluginMemberMaps(instance);
+
+    if (indices.some(index => instance[index].provenance)) {
+        config.provenance = {
+            env: {},
+            globals: {},
+            parserOptions: {},
+            rules: {},
+            settings: {}
+        };
+    }
+
+    /*
+     * Collect the merge strategies of rules at first, because a lower-priority
+     * element can declare the strategy of the rules of higher-priority ones.
+     */
+    const ruleMergeStrategies = {};
+
+    for (const index of indices) {
+        mergeWithoutOverwrite(ruleMergeStrategies, instance[index].ruleMergeStrategies);
+    }
 
     // Merge elements.
     for (const index of indices) {
@@ -304,7 +831,15 @@ function createConfig(instance, indices) {
         mergeWithoutOverwrite(config.parserOptions, element.parserOptions);
         mergeWithoutOverwrite(config.settings, element.settings);
         mergePlugins(config.plugins, element.plugins);
-        mergeRuleConfigs(config.rules, element.rules);
+        const rules = renameRules(element.rules, ruleRenameMap, severityOnlyRuleIds);
+
+        if (rules !== element.rules) {
+            warnRenamedRules(element, ruleRenameMap, severityOnlyRuleIds);
+        }
+        mergeRuleConfigs(config.rules, rules, ruleMergeStrategies);
+        if (config.provenance) {
+            mergeProvenance(config.provenance, renameProvenance(element.provenance, ruleRenameMap));
+        }
     }
 
     // Create the predicate function for ignore patterns.
@@ -316,86 +851,560 @@ function createConfig(instance, indices) {
 }
 
 /**
- * Collect definitions.
- * @template T, U
- * @param {string} pluginId The plugin ID for prefix.
- * @param {Record<string,T>} defs The definitions to collect.
- * @param {Map<string, U>} map The map to output.
- * @returns {void}
+ * Check if a given element has the rule merge strategies which affect the
+ * merged rule options.
+ * @param {ConfigArrayElement} element The config array element.
+ * @returns {boolean} `true` if the element has a strategy except `"replace"`.
  */
-function collect(pluginId, defs, map) {
-    if (defs) {
-        const prefix = pluginId && `${pluginId}/`;
+function hasRuleMergeStrategies(element) {
+    return (
+        isNonNullObject(element.ruleMergeStrategies) &&
+        Object.values(element.ruleMergeStrategies).some(strategy => strategy !== "replace")
+    );
+}
 
-        for (const [key, value] of Object.entries(defs)) {
-            map.set(`${prefix}${key}`, value);
+/**
+ * Create the merged values of no elements.
+ * @returns {MergeState} The empty state.
+ */
+function createEmptyMergeState() {
+    return {
+        configNameOfNoInlineConfig: "",
+        env: {},
+        globals: {},
+        ignorePatterns: [],
+        noInlineConfig: void 0,
+        parser: null,
+        parserOptions: {},
+        plugins: {},
+        processor: null,
+        provenance: null,
+        reportUnusedDisableDirectives: void 0,
+        rules: {},
+        settings: {},
+        shadowed: false
+    };
+}
+
+/**
+ * Merge the properties of a higher-priority object and a merged lower-priority
+ * object into a given new object, as same as `mergeWithoutOverwrite()` merges
+ * the higher-priority one at first.
+ * @param {Object} merged The new object to merge into.
+ * @param {Object} higher The object of the higher-priority element.
+ * @param {Object} lower The merged object of the lower-priority elements. This is not modified.
+ * @param {{shadowed: boolean, exact: boolean}} ctx The flags of this merging.
+ * @returns {Object} `merged`.
+ */
+function mergeObjectsOnTop(merged, higher, lower, ctx) {
+    for (const key of Object.keys(higher)) {
+        if (key === "__proto__" || merged[key] !== void 0) {
+            continue;
+        }
+
+        // eslint-disable-next-line no-use-before-define -- mutual recursion
+        const value = mergeValuesOnTop(
+            higher[key],
+            Object.hasOwn(lower, key) ? lower[key] : void 0,
+            ctx
+        );
+
+        if (value !== void 0) {
+            merged[key] = value;
+        }
+    }
+    for (const key of Object.keys(lower)) {
+        if (key !== "__proto__" && merged[key] === void 0) {
+            merged[key] = lower[key];
         }
     }
+
+    return merged;
 }
 
 /**
- * Delete the mutation methods from a given map.
- * @param {Map<any, any>} map The map object to delete.
- * @returns {void}
+ * Merge a value of a higher-priority element and the merged value of
+ * lower-priority elements.
+ *
+ * `mergeWithoutOverwrite()` ignores any values below a primitive value, but
+ * it merges the objects of lower-priority elements into a higher-priority
+ * object even if a primitive value is between them. The merged lower values
+ * don't have the objects hidden by the primitive value, so this gives up
+ * (`ctx.exact = false`) if it can happen.
+ * @param {any} higher The value of the higher-priority element.
+ * @param {any} lower The merged value of the lower-priority elements. This is not modified.
+ * @param {{shadowed: boolean, exact: boolean}} ctx The flags of this merging.
+ * @returns {any} The merged value.
  */
-function deleteMutationMethods(map) {
-    Object.defineProperties(map, {
-        clear: { configurable: true, value: void 0 },
-        delete: { configurable: true, value: void 0 },
-        set: { configurable: true, value: void 0 }
-    });
+function mergeValuesOnTop(higher, lower, ctx) {
+    if (higher === void 0) {
+        return lower;
+    }
+    if (!isNonNullObject(higher)) {
+        if (isNonNullObject(lower)) {
+            ctx.shadowed = true;
+        }
+        return higher;
+    }
+
+    const merged = Array.isArray(higher) ? [] : {};
+
+    if (isNonNullObject(lower)) {
+        return mergeObjectsOnTop(merged, higher, lower, ctx);
+    }
+    if (lower !== void 0 && ctx.shadowed) {
+        ctx.exact = false;
+    }
+    mergeWithoutOverwrite(merged, higher);
+
+    return merged;
 }
 
 /**
- * Create `envMap`, `processorMap`, `ruleMap` with the plugins in the config array.
- * @param {ConfigArrayElement[]} elements The config elements.
- * @param {ConfigArrayInternalSlots} slots The internal slots.
- * @returns {void}
+ * Merge the plugins of a higher-priority element and the merged plugins of
+ * lower-priority elements.
+ * @param {Record<string, DependentPlugin>|undefined} higher The plugins of the higher-priority element.
+ * @param {Record<string, DependentPlugin>} lower The merged plugins of the lower-priority elements.
+ * @returns {Record<string, DependentPlugin>} The merged plugins.
+ * @throws {Error|PluginConflictError} When a plugin failed to load or was conflicted.
  */
-function initPluginMemberMaps(elements, slots) {
-    const processed = new Set();
+function mergePluginsOnTop(higher, lower) {
+    if (!isNonNullObject(higher)) {
+        return lower;
+    }
 
-    slots.envMap = new Map();
-    slots.processorMap = new Map();
-    slots.ruleMap = new Map();
+    const merged = {};
 
-    for (const element of elements) {
-        if (!element.plugins) {
+    for (const key of Object.keys(higher)) {
+        if (key === "__proto__") {
             continue;
         }
+        const higherValue = higher[key];
+        const lowerValue = Object.hasOwn(lower, key) ? lower[key] : void 0;
 
-        for (const [pluginId, value] of Object.entries(element.plugins)) {
-            const plugin = value.definition;
+        if (higherValue.error) {
+            throw higherValue.error;
+        }
+        if (lowerValue !== void 0 && higherValue.filePath !== lowerValue.filePath) {
+            throw new PluginConflictError(key, [
+                {
+                    filePath: higherValue.filePath,
+                    importerName: higherValue.importerName
+                },
+                {
+                    filePath: lowerValue.filePath,
+                    importerName: lowerValue.importerName
+                }
+            ]);
+        }
+        merged[key] = higherValue;
+    }
 
-            if (!plugin || processed.has(pluginId)) {
-                continue;
-            }
-            processed.add(pluginId);
+    return mergeObjectsOnTop(merged, {}, lower, null);
+}
 
-            collect(pluginId, plugin.environments, slots.envMap);
-            collect(pluginId, plugin.processors, slots.processorMap);
-            collect(pluginId, plugin.rules, slots.ruleMap);
+/**
+ * Merge the rule settings of a higher-priority element and the merged rule
+ * settings of lower-priority elements, as same as `mergeRuleConfigs()` with
+ * the `"replace"` strategy merges the higher-priority one at first.
+ * @param {Record<string, RuleConf>|undefined} higher The rule settings of the higher-priority element.
+ * @param {Record<string, Array>} lower The merged rule settings of the lower-priority elements.
+ * @returns {Record<string, Array>} The merged rule settings.
+ */
+function mergeRulesOnTop(higher, lower) {
+    if (!isNonNullObject(higher)) {
+        return lower;
+    }
+
+    const merged = {};
+
+    for (const key of Object.keys(higher)) {
+        if (key === "__proto__") {
+            continue;
         }
+        const ruleDef = Array.isArray(higher[key]) ? [...higher[key]] : [higher[key]];
+        const lowerDef = Object.hasOwn(lower, key) ? lower[key] : void 0;
+
+        // Merge the severity and the options of lower-priority elements.
+        if (ruleDef.length === 1 && lowerDef && lowerDef.length >= 2) {
+            ruleDef.push(...lowerDef.slice(1));
+        }
+        merged[key] = ruleDef;
     }
 
-    deleteMutationMethods(slots.envMap);
-    deleteMutationMethods(slots.processorMap);
-    deleteMutationMethods(slots.ruleMap);
+    return mergeObjectsOnTop(merged, {}, lower, null);
+}
+
+/**
+ * Merge the provenance of a higher-priority element and the merged provenance
+ * of lower-priority elements.
+ * @param {ConfigArrayElementProvenance|undefined} higher The provenance of the higher-priority element.
+ * @param {Required<ConfigArrayElementProvenance>|null} lower The merged provenance of the lower-priority elements.
+ * @returns {Required<ConfigArrayElementProvenance>|null} The merged provenance.
+ */
+function mergeProvenanceOnTop(higher, lower) {
+    if (!higher) {
+        return lower;
+    }
+
+    const base = lower || {
+        env: {},
+        globals: {},
+        parserOptions: {},
+        rules: {},
+        settings: {}
+    };
+    const merged = { ...base };
+
+    for (const [property, sources] of Object.entries(higher)) {
+        merged[property] = mergeObjectsOnTop({ ...sources }, {}, base[property], null);
+    }
+
+    return merged;
 }
 
 /**
- * Create `envMap`, `processorMap`, `ruleMap` with the plugins in the config array.
+ * Merge a config array element on top of the merged values of lower-priority
+ * elements.
+ * @param {MergeState} state The merged values of the lower-priority elements. This is not modified.
+ * @param {ConfigArrayElement} element The element to merge.
+ * @param {ConfigArrayInternalSlots} slots The internal slots which have the rule renames.
+ * @returns {MergeState|null} The merged values, or `null` if it cannot be merged incrementally.
+ * @throws {Error} When a plugin is conflicted.
+ */
+function mergeElementOnTop(state, element, { ruleRenameMap, severityOnlyRuleIds }) {
+    const ctx = { shadowed: state.shadowed, exact: true };
+    const rules = renameRules(element.rules, ruleRenameMap, severityOnlyRuleIds);
+
+    /**
+     * Merge an object property of the element, e.g. `env`.
+     * @param {"env"|"globals"|"parserOptions"|"settings"} property The property name.
+     * @returns {Object} The merged values.
+     */
+    function mergeProperty(property) {
+        return isNonNullObject(element[property])
+            ? mergeObjectsOnTop({}, element[property], state[property], ctx)
+            : state[property];
+    }
+
+    const nextState = {
+        configNameOfNoInlineConfig: state.configNameOfNoInlineConfig,
+        env: mergeProperty("env"),
+        globals: mergeProperty("globals"),
+        ignorePatterns: element.ignorePattern
+            ? [...state.ignorePatterns, element.ignorePattern]
+            : state.ignorePatterns,
+        noInlineConfig: state.noInlineConfig,
+        parser: element.parser || state.parser,
+        parserOptions: mergeProperty("parserOptions"),
+        plugins: mergePluginsOnTop(element.plugins, state.plugins),
+        processor: element.processor || state.processor,
+        provenance: mergeProvenanceOnTop(renameProvenance(element.provenance, ruleRenameMap), state.provenance),
+        reportUnusedDisableDirectives: element.reportUnusedDisableDirectives !== void 0
+            ? element.reportUnusedDisableDirectives
+            : state.reportUnusedDisableDirectives,
+        rules: mergeRulesOnTop(rules, state.rules),
+        settings: mergeProperty("settings"),
+        shadowed: false
+    };
+
+    if (element.noInlineConfig !== void 0) {
+        nextState.noInlineConfig = element.noInlineConfig;
+        nextState.configNameOfNoInlineConfig = element.name;
+    }
+    if (rules !== element.rules) {
+        warnRenamedRules(element, ruleRenameMap, severityOnlyRuleIds);
+    }
+    nextState.shadowed = ctx.shadowed;
+
+    return ctx.exact ? nextState : null;
+}
+
+/**
+ * Copy an object of the merged values deeply, as same as `createConfig()`
+ * creates new objects for each extracted config.
+ * @param {Object} values The merged values.
+ * @returns {Object} The copy.
+ */
+function copyMergedValues(values) {
+    const copy = {};
+
+    mergeWithoutOverwrite(copy, values);
+
+    return copy;
+}
+
+/**
+ * Copy the merged rule settings, as same as `createConfig()` creates new
+ * arrays for each extracted config. The rule options are not copied.
+ * @param {Record<string, Array>} rules The merged rule settings.
+ * @returns {Record<string, Array>} The copy.
+ */
+function copyMergedRules(rules) {
+    const copy = {};
+
+    for (const key of Object.keys(rules)) {
+        copy[key] = [...rules[key]];
+    }
+
+    return copy;
+}
+
+/**
+ * Create the extracted config from the merged values.
+ * The memoized state is shared by the extracted configs of other files, so
+ * this copies the objects which `createConfig()` creates for each config.
+ * Otherwise, modifying an extracted config would change other ones.
+ * @param {MergeState} state The merged values.
+ * @returns {ExtractedConfig} The extracted config.
+ * @throws {Error} When the parser failed to load.
+ */
+function createConfigFromMergeState(state) {
+    const config = new ExtractedConfig();
+
+    if (state.parser && state.parser.error) {
+        throw state.parser.error;
+    }
+
+    config.configNameOfNoInlineConfig = state.configNameOfNoInlineConfig;
+    config.env = copyMergedValues(state.env);
+    config.globals = copyMergedValues(state.globals);
+    config.noInlineConfig = state.noInlineConfig;
+    config.parser = state.parser;
+    config.parserOptions = copyMergedValues(state.parserOptions);
+    config.plugins = { ...state.plugins };
+    config.processor = state.processor;
+    config.reportUnusedDisableDirectives = state.reportUnusedDisableDirectives;
+    config.rules = copyMergedRules(state.rules);
+    config.settings = copyMergedValues(state.settings);
+    if (state.provenance) {
+        config.provenance = {
+            env: { ...state.provenance.env },
+            globals: { ...state.provenance.globals },
+            parserOptions: { ...state.provenance.parserOptions },
+            rules: { ...state.provenance.rules },
+            settings: { ...state.provenance.settings }
+        };
+    }
+
+    // Compile the ignore patterns once for every prefix which has the same patterns.
+    if (state.ignorePatterns.length > 0) {
+        if (!ignorePredicates.has(state.ignorePatterns)) {
+            ignorePredicates.set(
+                state.ignorePatterns,
+                IgnorePattern.createIgnore(state.ignorePatterns)
+            );
+        }
+        config.ignores = ignorePredicates.get(state.ignorePatterns);
+    }
+
+    return config;
+}
+
+/**
+ * Create the extracted config with the memoized merged values of the shared
+ * prefixes of the matched indices in ascending order, i.e., from the lowest
+ * priority. Different files usually share the lower-priority elements such as
+ * config files and their `extends`, and differ in the `overrides` on them, so
+ * this merges only the elements which were not merged for other files yet.
+ *
+ * It falls back to `createConfig()` if the rule merge strategies can change
+ * the merged rule options, or if a primitive value hid the object values of
+ * lower-priority elements. The strategies can come from any of the matched
+ * elements, so this doesn't memoize anything for the files which such an
+ * element matches. Especially, the `ruleMergeStrategies` option of
+ * `CascadingConfigArrayFactory` adds such an element for every file.
  * @param {ConfigArray} instance The config elements.
- * @returns {ConfigArrayInternalSlots} The extracted config.
+ * @param {number[]} indices The indices to use.
+ * @returns {ExtractedConfig} The extracted config.
+ * @throws {Error} When a plugin is conflicted.
  */
-function ensurePluginMemberMaps(instance) {
-    const slots = internalSlotsMap.get(instance);
+function createConfigIncrementally(instance, indices) {
+    if (indices.some(index => hasRuleMergeStrategies(instance[index]))) {
+        return createConfig(instance, indices);
+    }
 
-    if (!slots.ruleMap) {
-        initPluginMemberMaps(instance, slots);
+    const slots = ensurePluginMemberMaps(instance);
+
+    if (!slots.mergeTree) {
+        slots.mergeTree = { state: createEmptyMergeState(), children: new Map() };
     }
 
-    return slots;
+    let node = slots.mergeTree;
+
+    for (let i = indices.length - 1; i >= 0 && node.state; --i) {
+        const index = indices[i];
+        let child = node.children.get(index);
+
+        if (!child) {
+            child = {
+                state: mergeElementOnTop(node.state, instance[index], slots),
+                children: new Map()
+            };
+            node.children.set(index, child);
+        }
+        node = child;
+    }
+
+    return node.state
+        ? createConfigFromMergeState(node.state)
+        : createConfig(instance, indices);
+}
+
+/**
+ * Create the origin of the values of a config array element.
+ * @param {ConfigArray} instance The config elements.
+ * @param {number} index The index of the element.
+ * @returns {ConfigValueOrigin} The origin.
+ */
+function createOrigin(instance, index) {
+    const { name, filePath, overrideIndex = null } = instance[index];
+
+    return { index, name, filePath, overrideIndex };
+}
+
+/**
+ * Explain a value of the extracted config.
+ * @param {ConfigArray} instance The config elements.
+ * @param {number[]} indices The indices which set the value, in priority order.
+ * @param {(element: ConfigArrayElement, index: number) => any} getValue The function to get the value from an element.
+ * @param {any} adoptedValue The value in the extracted config.
+ * @returns {ConfigValueExplanation} The explanation.
+ */
+function explainValue(instance, indices, getValue, adoptedValue) {
+    const [adoptedIndex, ...shadowedIndices] = indices;
+
+    return {
+        value: adoptedValue,
+        origin: createOrigin(instance, adoptedIndex),
+        shadowed: shadowedIndices.map(index => ({
+            value: getValue(instance[index], index),
+            origin: createOrigin(instance, index)
+        }))
+    };
+}
+
+/**
+ * Explain the values of an object property, e.g. `rules`.
+ * @param {ConfigArray} instance The config elements.
+ * @param {number[]} indices The indices to use, in priority order.
+ * @param {(element: ConfigArrayElement) => Record<string, any>|undefined} getValues The function to get the values of the property from an element.
+ * @param {Record<string, any>} adoptedValues The values in the extracted config.
+ * @returns {Record<string, ConfigValueExplanation>} The explanations by keys.
+ */
+function explainValues(instance, indices, getValues, adoptedValues) {
+    const explanations = {};
+    const valuesList = Array.from(instance, getValues);
+
+    for (const key of Object.keys(adoptedValues)) {
+        const keyIndices = indices.filter(index => {
+            const values = valuesList[index];
+
+            return (
+                isNonNullObject(values) &&
+                Object.hasOwn(values, key) &&
+                values[key] !== void 0
+            );
+        });
+
+        explanations[key] = explainValue(
+            instance,
+            keyIndices,
+            (element, index) => valuesList[index][key],
+            adoptedValues[key]
+        );
+    }
+
+    return explanations;
+}
+
+/**
+ * Create the explanation of the extracted config.
+ * The rules of elements are explained with the renamed rule IDs, as same as
+ * the extracted config has.
+ * @param {ConfigArray} instance The config elements.
+ * @param {number[]} indices The indices to use.
+ * @param {ExtractedConfig} config The extracted config of the indices.
+ * @returns {ConfigExplanation} The explanation.
+ */
+function createExplanation(instance, indices, config) {
+    const { ruleRenameMap, severityOnlyRuleIds } = ensurePluginMemberMaps(instance);
+    const parserIndices = indices.filter(index => instance[index].parser);
+    const processorIndices = indices.filter(index => instance[index].processor);
+
+    return {
+        env: explainValues(instance, indices, element => element.env, config.env),
+        globals: explainValues(instance, indices, element => element.globals, config.globals),
+        parser: parserIndices.length > 0
+            ? explainValue(instance, parserIndices, element => element.parser, config.parser)
+            : null,
+        processor: processorIndices.length > 0
+            ? explainValue(instance, processorIndices, element => element.processor, config.processor)
+            : null,
+        rules: explainValues(
+            instance,
+            indices,
+            element => renameRules(element.rules, ruleRenameMap, severityOnlyRuleIds),
+            config.rules
+        ),
+        settings: explainValues(instance, indices, element => element.settings, config.settings)
+    };
+}
+
+/**
+ * Create the explanation of the ignore patterns for a given file.
+ * @param {ConfigArray} instance The config elements.
+ * @param {number[]} indices The indices to use.
+ * @param {string} filePath The absolute path to the target file.
+ * @param {boolean} dot The flag to not ignore dotfiles.
+ * @returns {IgnoreExplanation} The explanation.
+ */
+function createIgnoreExplanation(instance, indices, filePath, dot) {
+    const ignorePatterns = [];
+    const elementMap = new Map();
+
+    // Same order as `createConfig()`.
+    for (const index of [...indices].reverse()) {
+        const element = instance[index];
+
+        if (element.ignorePattern) {
+            ignorePatterns.push(element.ignorePattern);
+            elementMap.set(element.ignorePattern, element);
+        }
+    }
+
+    if (ignorePatterns.length === 0) {
+        return { ignored: false, decidingPattern: null, negations: [] };
+    }
+
+    const { ignored, decidingPattern, negations } = IgnorePattern.explainIgnore(
+        ignorePatterns,
+        filePath,
+        dot
+    );
+
+    /**
+     * Convert a match to the decision which has the element information.
+     * @param {import("./ignore-pattern").IgnorePatternMatch} match The match.
+     * @returns {IgnoreDecision} The decision.
+     */
+    function toDecision({ pattern, negated, ignorePattern }) {
+        const element = ignorePattern && elementMap.get(ignorePattern);
+
+        return {
+            pattern,
+            negated,
+            name: element ? element.name : "DotfileIgnorePattern",
+            filePath: element ? element.filePath : "",
+            basePath: ignorePattern ? ignorePattern.basePath : null
+        };
+    }
+
+    return {
+        ignored,
+        decidingPattern: decidingPattern && toDecision(decidingPattern),
+        negations: negations.map(toDecision)
+    };
 }
 
 //------------------------------------------------------------------------------
@@ -440,6 +1449,27 @@ class ConfigArray extends Array {
         return ensurePluginMemberMaps(this).ruleMap;
     }
 
+    /**
+     * Get the map from old rule IDs to new rule IDs. `extractConfig(filePath)`
+     * migrates the settings of the old rule IDs to the new rule IDs.
+     * The returned map cannot be mutated.
+     * @returns {ReadonlyMap<string, string>} The rule renames.
+     */
+    get ruleRenames() {
+        return ensurePluginMemberMaps(this).ruleRenameMap;
+    }
+
+    /**
+     * Get the old rule IDs in `ruleRenames` whose options are not migrated
+     * because the new rules have different options schemas. Only the
+     * severities of those are migrated.
+     * The returned set cannot be mutated.
+     * @returns {ReadonlySet<string>} The old rule IDs.
+     */
+    get severityOnlyRuleRenames() {
+        return ensurePluginMemberMaps(this).severityOnlyRuleIds;
+    }
+
     /**
      * Check if this config has `root` flag.
      * @returns {boolean} `true` if this config array is root.
@@ -457,6 +1487,8 @@ class ConfigArray extends Array {
 
     /**
      * Extract the config data which is related to a given file.
+     * The files which match the same elements share the same extracted config,
+     * so don't modify it.
      * @param {string} filePath The absolute path to the target file.
      * @returns {ExtractedConfig} The extracted config data.
      */
@@ -466,12 +1498,43 @@ class ConfigArray extends Array {
         const cacheKey = indices.join(",");
 
         if (!cache.has(cacheKey)) {
-            cache.set(cacheKey, createConfig(this, indices));
+            cache.set(cacheKey, createConfigIncrementally(this, indices));
         }
 
         return cache.get(cacheKey);
     }
 
+    /**
+     * Explain the config data which is related to a given file.
+     * For each environment, global variable, rule, shared setting, parser,
+     * and processor, this reports the adopted value, the element which
+     * supplied it, and the values of lower-priority elements which it shadowed.
+     * @param {string} filePath The absolute path to the target file.
+     * @returns {ConfigExplanation} The explanation.
+     */
+    explainConfig(filePath) {
+        const config = this.extractConfig(filePath);
+
+        return createExplanation(this, getMatchedIndices(this, filePath), config);
+    }
+
+    /**
+     * Explain which ignore pattern decided whether a given file is ignored or
+     * not, as same as `extractConfig(filePath).ignores(filePath, dot)`.
+     * @param {string} filePath The absolute path to the target file.
+     * @param {Object} [options] The options.
+     * @param {boolean} [options.dot=false] The flag to not ignore dotfiles.
+     * @returns {IgnoreExplanation} The explanation.
+     */
+    whyIgnored(filePath, { dot = false } = {}) {
+        return createIgnoreExplanation(
+            this,
+            getMatchedIndices(this, filePath),
+            filePath,
+            dot
+        );
+    }
+
     /**
      * Check if a given path is an additional lint target.
      * @param {string} filePath The absolute path to the target file.
@@ -3,27 +3,250 @@
  *
  * `ExtractedConfig` class expresses a final configuration for a specific file.
  *
- * It provides one method.
+ * It provides three methods and a static method.
  *
  * - `toCompatibleObjectAsConfigFileContent()`
  *      Convert this configuration to the compatible object as the content of
  *      config files. It converts the loaded parser and plugins to strings.
  *      `CLIEngine#getConfigForFile(filePath)` method uses this method.
+ * - `diff(other)`
+ *      Compare this configuration with another configuration and get the
+ *      structured differences.
+ * - `serialize()`
+ *      Convert this configuration to the plain object to send it to other
+ *      threads, e.g. by `postMessage()`. It converts the loaded parser and
+ *      plugins to the references by their IDs and file paths.
+ * - `ExtractedConfig.deserialize(data, options)`
+ *      Restore the configuration from the result of `serialize()`. It loads
+ *      the parser and plugins from their file paths again.
  *
  * `ConfigArray#extractConfig(filePath)` creates a `ExtractedConfig` instance.
  *
  * @author Toru Nagashima <https://github.com/mysticatea>
  */
 
+import { createRequire } from "node:module";
+import util from "node:util";
+import { getRuleSeverity } from "../shared/config-ops.js";
+import * as naming from "../shared/naming.js";
+import { normalizePlugin } from "../shared/normalize-plugin.js";
+import { ConfigDependency } from "./config-dependency.js";
 import { IgnorePattern } from "./ignore-pattern.js";
 
+const require = createRequire(import.meta.url);
+
 // For VSCode intellisense
 /** @typedef {import("../../shared/types").ConfigData} ConfigData */
 /** @typedef {import("../../shared/types").GlobalConf} GlobalConf */
+/** @typedef {import("../../shared/types").Plugin} Plugin */
 /** @typedef {import("../../shared/types").SeverityConf} SeverityConf */
 /** @typedef {import("./config-dependency").DependentParser} DependentParser */
 /** @typedef {import("./config-dependency").DependentPlugin} DependentPlugin */
 
+/**
+ * The differences of an object property, e.g. `env`.
+ * @template T
+ * @typedef {Object} ValuesDiff
+ * @property {Record<string, T>} added The values which exist only in the other config.
+ * @property {Record<string, T>} removed The values which exist only in this config.
+ * @property {Record<string, {before: T, after: T}>} changed The values which are different.
+ */
+
+/**
+ * @typedef {Object} RuleChange
+ * @property {[SeverityConf, ...any[]]} before The rule setting in this config.
+ * @property {[SeverityConf, ...any[]]} after The rule setting in the other config.
+ * @property {boolean} severityChanged `true` if the severity was changed. `"error"` and `2` are the same severity.
+ * @property {boolean} optionsChanged `true` if the rule options were changed.
+ */
+
+/**
+ * @typedef {Object} ConfigDiff
+ * @property {ValuesDiff<boolean>} env The differences of environments.
+ * @property {ValuesDiff<GlobalConf>} globals The differences of global variables.
+ * @property {{before: string|null, after: string|null}|null} parser The parser IDs if the parser was changed.
+ * @property {ValuesDiff<any>} parserOptions The differences of parser options.
+ * @property {{added: string[], removed: string[], changed: string[]}} plugins The plugin IDs which were added, removed, or resolved to different files.
+ * @property {{before: string|null, after: string|null}|null} processor The processor IDs if the processor was changed.
+ * @property {{added: Record<string, [SeverityConf, ...any[]]>, removed: Record<string, [SeverityConf, ...any[]]>, changed: Record<string, RuleChange>}} rules The differences of rule settings.
+ * @property {ValuesDiff<any>} settings The differences of shared settings.
+ */
+
+/**
+ * The reference to a parser or plugin in serialized configs.
+ * @typedef {Object} SerializedDependency
+ * @property {string} id The ID of the dependency.
+ * @property {string} filePath The actual path to the dependency. This is an empty string if it's unknown where the dependency came from.
+ * @property {string} importerName The name of the config file which loaded the dependency.
+ * @property {string} importerPath The path to the config file which loaded the dependency.
+ */
+
+/**
+ * The serialized form of `ExtractedConfig`. The parser, plugins, and ignore
+ * patterns are plain data, but `parserOptions`, `rules`, and `settings` are
+ * the values of the config as-is.
+ * @typedef {Object} SerializedExtractedConfig
+ * @property {string} configNameOfNoInlineConfig The config name what `noInlineConfig` setting came from.
+ * @property {Record<string, boolean>} env Environments.
+ * @property {Record<string, GlobalConf>} globals Global variables.
+ * @property {{basePath: string, patterns: string[]}|null} ignores The glob patterns that ignore to lint.
+ * @property {boolean|undefined} noInlineConfig The flag that disables directive comments.
+ * @property {SerializedDependency|null} parser The reference to the parser.
+ * @property {Object} parserOptions Options for the parser.
+ * @property {Record<string, SerializedDependency>} plugins The references to the plugins.
+ * @property {string|null} processor Processor ID.
+ * @property {boolean|undefined} reportUnusedDisableDirectives The flag that reports unused `eslint-disable` directive comments.
+ * @property {Record<string, [SeverityConf, ...any[]]>} rules Rule settings.
+ * @property {Object} settings Shared settings.
+ * @property {Object} [provenance] The sources of the adopted values.
+ */
+
+/**
+ * @typedef {Object} DeserializeOptions
+ * @property {(id: string) => any} [require] The function to load parsers and plugins from their file paths.
+ * @property {Map<string, Plugin>} [additionalPluginPool] The map for the plugins which weren't loaded from files.
+ */
+
+/**
+ * Convert a loaded parser or plugin to the reference.
+ * @param {DependentParser|DependentPlugin} dependency The dependency to convert.
+ * @returns {SerializedDependency} The reference.
+ */
+function serializeDependency({ id, filePath, importerName, importerPath }) {
+    return { id, filePath: filePath || "", importerName, importerPath };
+}
+
+/**
+ * Load the parser or plugin from the reference again.
+ * @param {SerializedDependency} data The reference.
+ * @param {"parser"|"plugin"} kind The kind of the dependency.
+ * @param {Required<DeserializeOptions>} options The options.
+ * @returns {DependentParser|DependentPlugin} The loaded dependency.
+ * @throws {Error} If the dependency has no file path and it's not in the additional plugin pool, or the file didn't export anything.
+ */
+function deserializeDependency(data, kind, { require: load, additionalPluginPool }) {
+    const { id, filePath, importerName, importerPath } = data;
+    let original;
+    let reason;
+
+    if (filePath) {
+        original = load(filePath);
+        reason = `'${filePath}' didn't export it.`;
+    } else if (kind === "plugin") {
+        original =
+            additionalPluginPool.get(id) ||
+            additionalPluginPool.get(naming.normalizePackageName(id, "eslint-plugin"));
+        reason = "the reference doesn't have 'filePath' and the 'additionalPluginPool' option doesn't have it.";
+    } else {
+        reason = "the reference doesn't have 'filePath'.";
+    }
+
+    if (!original) {
+        throw Object.assign(
+            new Error(`Failed to restore ${kind} '${id}' declared in '${importerName}': ${reason}`),
+            {
+                code: "ESLINT_CONFIG_DEPENDENCY_NOT_RESTORABLE",
+                messageData: { kind, id, importerName }
+            }
+        );
+    }
+
+    if (kind === "parser") {
+        return new ConfigDependency({
+            definition: original,
+            filePath,
+            id,
+            importerName,
+            importerPath
+        });
+    }
+
+    return new ConfigDependency({
+        definition: normalizePlugin(original),
+        original,
+        filePath,
+        id,
+        importerName,
+        importerPath
+    });
+}
+
+/**
+ * Compare two objects by the values of their own properties.
+ * @template T
+ * @param {Record<string, T>} before The values in the old config.
+ * @param {Record<string, T>} after The values in the new config.
+ * @returns {ValuesDiff<T>} The differences.
+ */
+function diffValues(before, after) {
+    const diff = { added: {}, removed: {}, changed: {} };
+
+    for (const key of Object.keys(before)) {
+        if (!Object.hasOwn(after, key)) {
+            diff.removed[key] = before[key];
+        } else if (!util.isDeepStrictEqual(before[key], after[key])) {
+            diff.changed[key] = { before: before[key], after: after[key] };
+        }
+    }
+    for (const key of Object.keys(after)) {
+        if (!Object.hasOwn(before, key)) {
+            diff.added[key] = after[key];
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Compare two sets of rule settings.
+ * @param {Record<string, [SeverityConf, ...any[]]>} before The rule settings in the old config.
+ * @param {Record<string, [SeverityConf, ...any[]]>} after The rule settings in the new config.
+ * @returns {ConfigDiff["rules"]} The differences.
+ */
+function diffRules(before, after) {
+    const { added, removed, changed } = diffValues(before, after);
+
+    for (const [ruleId, change] of Object.entries(changed)) {
+        const severityChanged =
+            getRuleSeverity(change.before) !== getRuleSeverity(change.after);
+        const optionsChanged =
+            !util.isDeepStrictEqual(change.before.slice(1), change.after.slice(1));
+
+        // e.g., `"error"` → `2`
+        if (!severityChanged && !optionsChanged) {
+            delete changed[ruleId];
+            continue;
+        }
+
+        changed[ruleId] = { ...change, severityChanged, optionsChanged };
+    }
+
+    return { added, removed, changed };
+}
+
+/**
+ * Compare two values which may be `null`.
+ * @param {string|null} before The value in the old config.
+ * @param {string|null} after The value in the new config.
+ * @returns {{before: string|null, after: string|null}|null} The change, or `null` if not changed.
+ */
+function diffValue(before, after) {
+    return before === after ? null : { before, after };
+}
+
+/**
+ * Check if two dependencies are the same parser or plugin.
+ * @param {DependentParser|DependentPlugin|null} before The dependency in the old config.
+ * @param {DependentParser|DependentPlugin|null} after The dependency in the new config.
+ * @returns {boolean} `true` if those have the same ID and file path.
+ */
+function isSameDependency(before, after) {
+    if (!before || !after) {
+        return before === after;
+    }
+    return before.id === after.id && before.filePath === after.filePath;
+}
+
 /**
  * Check if `xs` starts with `ys`.
  * @template T
@@ -37,6 +260,10 @@ function startsWith(xs, ys) {
 
 /**
  * The class for extracted config data.
+ *
+ * If the config array elements have the `provenance` property, this has the
+ * `provenance` property as well. It has the sources of the adopted values:
+ * `{ env, globals, parserOptions, rules, settings }`.
  */
 class ExtractedConfig {
     constructor() {
@@ -123,6 +350,7 @@ class ExtractedConfig {
             /* eslint-disable no-unused-vars -- needed to make `config` correct */
             configNameOfNoInlineConfig: _ignore1,
             processor: _ignore2,
+            provenance: _ignore3,
             /* eslint-enable no-unused-vars -- needed to make `config` correct */
             ignores,
             ...config
@@ -140,6 +368,108 @@ class ExtractedConfig {
 
         return config;
     }
+
+    /**
+     * Compare this config with another config.
+     * This config is the old side and the other config is the new side, so
+     * `added` means that the other config has the value but this config
+     * doesn't. Parsers and plugins are compared by their IDs and file paths.
+     * @param {ExtractedConfig} other The config to compare with.
+     * @returns {ConfigDiff} The differences.
+     */
+    diff(other) {
+        const beforePlugins = Object.keys(this.plugins).filter(Boolean);
+        const afterPlugins = Object.keys(other.plugins).filter(Boolean);
+
+        return {
+            env: diffValues(this.env, other.env),
+            globals: diffValues(this.globals, other.globals),
+            parser: isSameDependency(this.parser, other.parser)
+                ? null
+                : {
+                    before: this.parser && this.parser.id,
+                    after: other.parser && other.parser.id
+                },
+            parserOptions: diffValues(this.parserOptions, other.parserOptions),
+            plugins: {
+                added: afterPlugins.filter(id => !beforePlugins.includes(id)),
+                removed: beforePlugins.filter(id => !afterPlugins.includes(id)),
+                changed: beforePlugins.filter(id => (
+                    afterPlugins.includes(id) &&
+                    !isSameDependency(this.plugins[id], other.plugins[id])
+                ))
+            },
+            processor: diffValue(this.processor, other.processor),
+            rules: diffRules(this.rules, other.rules),
+            settings: diffValues(this.settings, other.settings)
+        };
+    }
+
+    /**
+     * Convert this config to the form to send it to other threads.
+     * The parser and plugins are converted to the references by their IDs
+     * and file paths, and the ignore predicate is converted to its patterns.
+     * The other values are shared with this config as-is, so the result
+     * cannot be cloned by `structuredClone()` if `parserOptions`, `rules`, or
+     * `settings` have functions or class instances.
+     * @returns {SerializedExtractedConfig} The serialized config.
+     */
+    serialize() {
+        const { ignores, parser, plugins, provenance, ...config } = this;
+        const data = {
+            ...config,
+            ignores: ignores
+                ? { basePath: ignores.basePath, patterns: ignores.patterns }
+                : null,
+            parser: parser && serializeDependency(parser),
+            plugins: Object.fromEntries(
+                Object.entries(plugins)
+                    .map(([id, plugin]) => [id, serializeDependency(plugin)])
+            )
+        };
+
+        if (provenance) {
+            data.provenance = provenance;
+        }
+
+        return data;
+    }
+
+    /**
+     * Restore a config from the result of `serialize()`.
+     * The parser and plugins are loaded from their file paths again. The
+     * plugins which weren't loaded from files, e.g. the plugins in the
+     * `additionalPluginPool` option of `ConfigArrayFactory`, are looked up in
+     * the `additionalPluginPool` option.
+     * @param {SerializedExtractedConfig} data The serialized config.
+     * @param {DeserializeOptions} [options] The options.
+     * @returns {ExtractedConfig} The restored config.
+     * @throws {Error} If a parser or plugin couldn't be restored.
+     */
+    static deserialize(data, {
+        require: load = require,
+        additionalPluginPool = new Map()
+    } = {}) {
+        const options = { require: load, additionalPluginPool };
+        const { ignores, parser, plugins, provenance, ...values } = data;
+        const config = Object.assign(new ExtractedConfig(), values);
+
+        if (ignores) {
+            config.ignores = IgnorePattern.createIgnore([
+                new IgnorePattern(ignores.patterns, ignores.basePath)
+            ]);
+        }
+        config.parser = parser && deserializeDependency(parser, "parser", options);
+        config.plugins = Object.fromEntries(
+            Object.entries(plugins)
+                .map(([id, plugin]) => [id, deserializeDependency(plugin, "plugin", options)])
+        );
+        if (provenance) {
+            config.provenance = provenance;
+        }
+
+        return config;
+    }
 }
 
 export { ExtractedConfig };
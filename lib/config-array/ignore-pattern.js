@@ -3,12 +3,14 @@
  *
  * `IgnorePattern` class has the set of glob patterns and the base path.
  *
- * It provides two static methods.
+ * It provides three static methods.
  *
  * - `IgnorePattern.createDefaultIgnore(cwd)`
  *      Create the default predicate function.
  * - `IgnorePattern.createIgnore(ignorePatterns)`
  *      Create the predicate function from multiple `IgnorePattern` objects.
+ * - `IgnorePattern.explainIgnore(ignorePatterns, filePath, dot)`
+ *      Explain which pattern decided whether a given file is ignored or not.
  *
  * It provides two properties and a method.
  *
@@ -41,6 +43,22 @@ const debug = debugOrig("eslintrc:ignore-pattern");
 
 /** @typedef {ReturnType<import("ignore").default>} Ignore */
 
+/**
+ * @typedef {Object} IgnorePatternMatch
+ * @property {string} pattern The matched pattern as written.
+ * @property {boolean} negated `true` if the pattern starts with `!`, i.e., it unignores files.
+ * @property {IgnorePattern|null} ignorePattern The `IgnorePattern` object which has the pattern. This is `null` for the patterns which ignore dotfiles.
+ */
+
+/**
+ * The result of `IgnorePattern.explainIgnore()`. `ConfigArray` converts it to
+ * `IgnoreExplanation`, which has the config array elements of the patterns.
+ * @typedef {Object} IgnorePatternExplanation
+ * @property {boolean} ignored `true` if the file is ignored.
+ * @property {IgnorePatternMatch|null} decidingPattern The pattern which decided the result. This is `null` if no patterns matched.
+ * @property {IgnorePatternMatch[]} negations The negated patterns which matched the file, in the order of evaluation.
+ */
+
 //------------------------------------------------------------------------------
 // Helpers
 //------------------------------------------------------------------------------
@@ -110,6 +128,18 @@ function dirSuffix(filePath) {
     return isDir ? "/" : "";
 }
 
+/**
+ * Get the relative path which `ignore` package checks.
+ * @param {string} basePath The base path of patterns.
+ * @param {string} filePath The absolute path to check.
+ * @returns {string} The relative path. A path to a directory has a trailing slash.
+ */
+function getPathToTest(basePath, filePath) {
+    const relPathRaw = relative(basePath, filePath);
+
+    return relPathRaw && (relPathRaw + dirSuffix(filePath));
+}
+
 const DefaultPatterns = Object.freeze(["/**/node_modules/*"]);
 const DotPatterns = Object.freeze([".*", "!.eslintrc.*", "!../"]);
 
@@ -165,8 +195,7 @@ class IgnorePattern {
         return Object.assign(
             (filePath, dot = false) => {
                 assert(path.isAbsolute(filePath), "'filePath' should be an absolute path.");
-                const relPathRaw = relative(basePath, filePath);
-                const relPath = relPathRaw && (relPathRaw + dirSuffix(filePath));
+                const relPath = getPathToTest(basePath, filePath);
                 const adoptedIg = dot ? dotIg : ig;
                 const result = relPath !== "" && adoptedIg.ignores(relPath);
 
@@ -177,6 +206,69 @@ class IgnorePattern {
         );
     }
 
+    /**
+     * Explain which pattern decided whether a given file is ignored or not.
+     * This evaluates the patterns in the same way as `createIgnore()`, so
+     * the later patterns take precedence over the earlier ones, and negated
+     * patterns cannot unignore the files in ignored directories.
+     * @param {IgnorePattern[]} ignorePatterns The list of ignore patterns.
+     * @param {string} filePath The absolute path to check.
+     * @param {boolean} [dot=false] The flag to not ignore dotfiles.
+     * @returns {IgnorePatternExplanation} The explanation.
+     */
+    static explainIgnore(ignorePatterns, filePath, dot = false) {
+        assert(path.isAbsolute(filePath), "'filePath' should be an absolute path.");
+
+        const basePath = getCommonAncestorPath(ignorePatterns.map(p => p.basePath));
+        const relPath = getPathToTest(basePath, filePath);
+        const entries = [
+            ...(dot ? [] : DotPatterns).map(pattern => ({
+                pattern,
+                relativePattern: pattern,
+                ignorePattern: null
+            })),
+            ...ignorePatterns.flatMap(ignorePattern => {
+                const relativePatterns = ignorePattern.getPatternsRelativeTo(basePath);
+
+                return ignorePattern.patterns.map((pattern, i) => ({
+                    pattern,
+                    relativePattern: relativePatterns[i],
+                    ignorePattern
+                }));
+            })
+        ];
+
+        if (relPath === "") {
+            return { ignored: false, decidingPattern: null, negations: [] };
+        }
+
+        const ignored = ignore({ allowRelativePaths: true })
+            .add(entries.map(entry => entry.relativePattern))
+            .ignores(relPath);
+        const matches = [];
+
+        for (const { pattern, relativePattern, ignorePattern } of entries) {
+            const negated = relativePattern.startsWith("!");
+            const body = negated ? relativePattern.slice(1) : relativePattern;
+
+            if (ignore({ allowRelativePaths: true }).add(body).ignores(relPath)) {
+                matches.push({ pattern, negated, ignorePattern });
+            }
+        }
+
+        // The last pattern which has the same polarity as the result decided it.
+        const decidingPattern =
+            matches.findLast(match => match.negated !== ignored) || null;
+
+        debug("Explain", { filePath, dot, relativePath: relPath, ignored, decidingPattern });
+
+        return {
+            ignored,
+            decidingPattern,
+            negations: matches.filter(match => match.negated)
+        };
+    }
+
     /**
      * Initialize a new `IgnorePattern` instance.
      * @param {string[]} patterns The glob patterns that ignore to lint.
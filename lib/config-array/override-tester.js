@@ -4,12 +4,19 @@
  * `OverrideTester` class handles `files` property and `excludedFiles` property
  * of `overrides` config.
  *
- * It provides one method.
+ * It provides two methods and a static method.
  *
  * - `test(filePath)`
  *      Test if a file path matches the pair of `files` property and
  *      `excludedFiles` property. The `filePath` argument must be an absolute
  *      path.
+ * - `getIndexKeys()`
+ *      Get the literal extensions or the literal first directories which the
+ *      matched paths must have. `ConfigArray` uses those keys to skip testers
+ *      which cannot match a file without running minimatch.
+ * - `OverrideTester.getPathIndexKeys(filePath, basePath)`
+ *      Get the extension and the first directory of a file path to look up
+ *      testers by the keys of `getIndexKeys()`.
  *
  * `ConfigArrayFactory` creates `OverrideTester` objects when it processes
  * `overrides` properties.
@@ -32,6 +39,26 @@ const minimatchOpts = { dot: true, matchBase: true };
  * @property {InstanceType<Minimatch>[] | null} excludes The negative matchers.
  */
 
+/**
+ * The keys which every matched path has one of.
+ * @typedef {Object} IndexKeys
+ * @property {"extension"|"directory"} kind The kind of the keys. `"extension"` is the extension of the file name, and `"directory"` is the first segment of the path relative to `basePath`.
+ * @property {Set<string|null>} keys The keys. `null` means that the file name doesn't have any extension.
+ */
+
+/**
+ * The keys of a file path to look up testers.
+ * @typedef {Object} PathIndexKeys
+ * @property {string|null} extension The extension of the file name, or `null` if it doesn't have any extension.
+ * @property {string} directory The first segment of the path.
+ */
+
+/**
+ * The trailing characters of a glob segment which are not magic, e.g., `.js`
+ * of `*.js`.
+ */
+const trailingLiteralPattern = /[^*?[\]()|\\!+@]*$/u;
+
 /**
  * Normalize a given pattern to an array.
  * @param {string|string[]|undefined} patterns A glob pattern or an array of glob patterns.
@@ -70,6 +97,102 @@ function toMatcher(patterns) {
     });
 }
 
+/**
+ * Get the extension of a given file name as same as the keys of indices.
+ * @param {string} name The file name.
+ * @returns {string|null} The extension without the leading dot, or `null` if the file name doesn't have any extension.
+ */
+function getExtension(name) {
+    const dotIndex = name.lastIndexOf(".");
+
+    return dotIndex === -1 ? null : name.slice(dotIndex + 1);
+}
+
+/**
+ * Split a given relative path to segments as same as minimatch does.
+ * @param {string} relativePath The relative path.
+ * @returns {string[]} The segments.
+ */
+function splitPath(relativePath) {
+    const normalizedPath = path.sep === "/"
+        ? relativePath
+        : relativePath.split(path.sep).join("/");
+
+    return normalizedPath.split(/\/+/u);
+}
+
+/**
+ * Get the extension which the file names matched by a given segment of a
+ * glob pattern must have.
+ * @param {string} segment The last segment of a brace-expanded glob pattern.
+ * @returns {string|null|undefined} The extension, `null` if the file names must not have any extension, or `undefined` if it's unknown.
+ */
+function getSegmentExtension(segment) {
+    const suffix = trailingLiteralPattern.exec(segment)[0];
+
+    // The segment doesn't have any magic characters, so it's a file name.
+    if (suffix === segment) {
+        return getExtension(segment);
+    }
+
+    if (suffix.includes(".")) {
+        return getExtension(suffix);
+    }
+
+    // `**` or unknown.
+    return void 0;
+}
+
+/**
+ * Get the keys of a given matcher.
+ * The extensions are taken from the pattern string because the segments of
+ * `Minimatch#set` are compiled to regular expressions.
+ * @param {InstanceType<Minimatch>} matcher The matcher.
+ * @param {IndexKeys["kind"]} kind The kind of the keys.
+ * @returns {Array<string|null|undefined>} The key of each alternative of the pattern. `undefined` means unknown.
+ */
+function getMatcherKeys(matcher, kind) {
+    if (kind === "extension") {
+        return minimatch
+            .braceExpand(matcher.pattern, matcher.options)
+            .map(pattern => getSegmentExtension(pattern.split(/\/+/u).at(-1)));
+    }
+
+    return matcher.set.map(segments => (
+        typeof segments[0] === "string" &&
+        !(matcher.options.matchBase && segments.length === 1)
+            ? segments[0]
+            : void 0
+    ));
+}
+
+/**
+ * Get the keys which every path matched by a given group of matchers has one
+ * of. The paths are matched if one of the matchers matched, so this returns
+ * `null` if a matcher doesn't have the key.
+ * @param {InstanceType<Minimatch>[]} matchers The matchers.
+ * @param {IndexKeys["kind"]} kind The kind of the keys.
+ * @returns {Set<string|null>|null} The keys, or `null` if unknown.
+ */
+function getMatchersKeys(matchers, kind) {
+    const keys = new Set();
+
+    for (const matcher of matchers) {
+        if (matcher.negate || matcher.comment || matcher.empty) {
+            return null;
+        }
+
+        for (const key of getMatcherKeys(matcher, kind)) {
+            if (key === void 0) {
+                return null;
+            }
+            keys.add(key);
+        }
+    }
+
+    return keys;
+}
+
 /**
  * Convert a given matcher to string.
  * @param {Pattern} matchers The matchers.
@@ -198,6 +321,47 @@ class OverrideTester {
         ));
     }
 
+    /**
+     * Get the keys which every path matched by this tester has one of.
+     * The paths which don't have any of the keys never match, so callers can
+     * skip this tester for those without running minimatch.
+     * @returns {IndexKeys|null} The keys, or `null` if this tester cannot be indexed.
+     */
+    getIndexKeys() {
+        for (const { includes } of this.patterns) {
+            if (!includes) {
+                continue;
+            }
+            for (const kind of ["extension", "directory"]) {
+                const keys = getMatchersKeys(includes, kind);
+
+                if (keys) {
+                    return { kind, keys };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the keys of a given path to look up the testers which have a given
+     * base path by the keys of `getIndexKeys()`.
+     * @param {string} filePath The absolute path to the target file.
+     * @param {string} basePath The base path of the testers.
+     * @returns {PathIndexKeys} The keys of the path.
+     */
+    static getPathIndexKeys(filePath, basePath) {
+        const segments = splitPath(path.relative(basePath, filePath));
+
+        // minimatch matches `matchBase` patterns with the last non-empty segment.
+        const fileName = segments.findLast(Boolean) || segments[0];
+
+        return {
+            extension: getExtension(fileName),
+            directory: segments[0]
+        };
+    }
+
     /**
      * Converts this instance to a JSON compatible object.
      * @returns {Object} a JSON compatible object.
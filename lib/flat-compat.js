@@ -305,7 +305,9 @@ class FlatCompat {
 
     /**
      * Translates the `extends` section of an ESLintRC-style config.
-     * @param {...string} configsToExtend The names of the configs to load.
+     * Each entry can be an object such as `{ config: "plugin:foo/recommended", severity: "warn" }`
+     * to rewrite the rules of the config.
+     * @param {...(string|{config: string, severity?: (0|1|2|"off"|"warn"|"error"), exclude?: string[]})} configsToExtend The names of the configs to load.
      * @returns {Object[]} An array of flag-config objects representing the config.
      */
     extends(...configsToExtend) {
@@ -9,10 +9,14 @@
 import {
     ConfigArrayFactory,
     createContext as createConfigArrayFactoryContext,
-    loadConfigFile
+    loadConfigFile,
+    loadConfigFileAsync
 } from "./config-array-factory.js";
 
-import { CascadingConfigArrayFactory } from "./cascading-config-array-factory.js";
+import {
+    CascadingConfigArrayFactory,
+    ConfigurationNotFoundError
+} from "./cascading-config-array-factory.js";
 import * as ModuleResolver from "./shared/relative-module-resolver.js";
 import { ConfigArray, getUsedExtractedConfigs } from "./config-array/index.js";
 import { ConfigDependency } from "./config-array/config-dependency.js";
@@ -21,6 +25,7 @@ import { IgnorePattern } from "./config-array/ignore-pattern.js";
 import { OverrideTester } from "./config-array/override-tester.js";
 import * as ConfigOps from "./shared/config-ops.js";
 import ConfigValidator from "./shared/config-validator.js";
+import { MemoryFileSystem } from "./shared/memory-file-system.js";
 import * as naming from "./shared/naming.js";
 import { FlatCompat } from "./flat-compat.js";
 import environments from "../conf/environments.js";
@@ -35,16 +40,19 @@ const Legacy = {
     CascadingConfigArrayFactory,
     ConfigArrayFactory,
     ConfigDependency,
+    ConfigurationNotFoundError,
     ExtractedConfig,
     IgnorePattern,
     OverrideTester,
     getUsedExtractedConfigs,
     environments,
     loadConfigFile,
+    loadConfigFileAsync,
 
     // shared
     ConfigOps,
     ConfigValidator,
+    MemoryFileSystem,
     ModuleResolver,
     naming
 };
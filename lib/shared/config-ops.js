@@ -4,6 +4,12 @@
  * @author Nicholas C. Zakas
  */
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+import { getShorthandName } from "./naming.js";
+
 //------------------------------------------------------------------------------
 // Private
 //------------------------------------------------------------------------------
@@ -125,8 +131,90 @@ function normalizeConfigGlobal(configuredValue) {
     }
 }
 
+/**
+ * Gets the rule ID of a replacement in `meta.deprecated.replacedBy`.
+ * The rule IDs of other plugins are prefixed by the shorthand of the plugin
+ * name. The rule name is returned as is if the replacement doesn't have the
+ * plugin, i.e., the replacement is in the same plugin.
+ * @param {Object} replacement The `ReplacedByInfo` object of ESLint.
+ * @returns {string|null} The rule ID, or `null` if the replacement doesn't have the rule name.
+ */
+function getReplacementRuleId(replacement) {
+    const ruleName = replacement && replacement.rule && replacement.rule.name;
+
+    if (typeof ruleName !== "string" || !ruleName) {
+        return null;
+    }
+
+    const pluginName = replacement.plugin && replacement.plugin.name;
+
+    if (typeof pluginName !== "string" || !pluginName || pluginName === "eslint") {
+        return ruleName;
+    }
+
+    return `${getShorthandName(pluginName, "eslint-plugin")}/${ruleName}`;
+}
+
+/**
+ * Gets the ID of the rule which replaces a given deprecated rule.
+ * This uses the `replacedBy` of `meta.deprecated` if it's a `DeprecatedInfo`
+ * object, otherwise the legacy `meta.replacedBy`. It uses those only if
+ * those have exactly one rule, because the settings of a rule cannot be
+ * moved to multiple rules.
+ * @param {Object|Function|null|undefined} rule The rule definition.
+ * @returns {string|null} The ID of the replacement, or `null` if the rule is not deprecated or doesn't have the only replacement.
+ */
+function getReplacedRuleId(rule) {
+    const meta = rule && rule.meta;
+
+    if (!meta || !meta.deprecated) {
+        return null;
+    }
+
+    const replacedBy = typeof meta.deprecated === "object" && Array.isArray(meta.deprecated.replacedBy)
+        ? meta.deprecated.replacedBy
+        : meta.replacedBy;
+
+    if (!Array.isArray(replacedBy) || replacedBy.length !== 1) {
+        return null;
+    }
+    if (typeof replacedBy[0] === "string") {
+        return replacedBy[0];
+    }
+
+    return getReplacementRuleId(replacedBy[0]);
+}
+
+/**
+ * Checks whether two rules have the same options schema, i.e., whether the
+ * options of one rule are valid for the other rule as well.
+ * @param {Object|Function} rule The rule definition.
+ * @param {Object|Function} otherRule The other rule definition.
+ * @returns {boolean} `true` if the rules have the same options schema.
+ */
+function hasSameOptionsSchema(rule, otherRule) {
+
+    /**
+     * Gets the options schema of a rule. No schema means no options.
+     * @param {Object|Function} r The rule definition.
+     * @returns {any} The options schema.
+     */
+    function getSchema(r) {
+        const schema = typeof r === "function" ? r.schema : r.meta && r.meta.schema;
+
+        return schema === void 0 ? [] : schema;
+    }
+
+    const schema = getSchema(rule);
+    const otherSchema = getSchema(otherRule);
+
+    return schema === otherSchema || JSON.stringify(schema) === JSON.stringify(otherSchema);
+}
+
 export {
     getRuleSeverity,
+    getReplacedRuleId,
+    hasSameOptionsSchema,
     normalizeToStrings,
     isErrorSeverity,
     isValidSeverity,
@@ -47,6 +47,31 @@ const noOptionsSchema = Object.freeze({
     maxItems: 0
 });
 
+/**
+ * Convert the `dataPath` of an Ajv error to a JSON pointer, e.g.
+ * `.rules['no-undef']` to `/rules/no-undef`.
+ * If the error is about an unexpected property, the pointer refers to the
+ * property.
+ * @param {Object} error The Ajv error.
+ * @returns {string} The JSON pointer.
+ */
+function getErrorPointer(error) {
+    const segments = [];
+    const segmentPattern = /\.([^.[]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/gu;
+    let match;
+
+    while ((match = segmentPattern.exec(error.dataPath)) !== null) {
+        segments.push(match[1] ?? match[2] ?? match[3].replace(/\\(.)/gu, "$1"));
+    }
+    if (error.keyword === "additionalProperties") {
+        segments.push(error.params.additionalProperty);
+    }
+
+    return segments
+        .map(segment => `/${segment.replace(/~/gu, "~0").replace(/\//gu, "~1")}`)
+        .join("");
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -237,19 +262,22 @@ export default class ConfigValidator {
      * @param {Object} rulesConfig The rules config object to validate.
      * @param {string} source The name of the configuration source to report in any errors.
      * @param {(ruleId:string) => Object} getAdditionalRule A map from strings to loaded rules
+     * @param {(ruleId:string) => string|undefined} [getNewRuleId] A map from old rule IDs to new rule IDs. The options of renamed rules are validated with the new rules.
      * @returns {void}
      */
     validateRules(
         rulesConfig,
         source,
-        getAdditionalRule = noop
+        getAdditionalRule = noop,
+        getNewRuleId = noop
     ) {
         if (!rulesConfig) {
             return;
         }
 
         Object.keys(rulesConfig).forEach(id => {
-            const rule = getAdditionalRule(id) || this.builtInRules.get(id) || null;
+            const ruleId = getNewRuleId(id) || id;
+            const rule = getAdditionalRule(ruleId) || this.builtInRules.get(ruleId) || null;
 
             this.validateRuleOptions(rule, id, rulesConfig[id], source);
         });
@@ -321,13 +349,16 @@ export default class ConfigValidator {
      * @param {Object} config The config object to validate.
      * @param {string} source The name of the configuration source to report in any errors.
      * @returns {void}
-     * @throws {Error} If the config is invalid.
+     * @throws {Error} If the config is invalid. The error has the `pointer` property, the JSON pointer to the invalid value.
      */
     validateConfigSchema(config, source = null) {
         validateSchema = validateSchema || ajv.compile(configSchema);
 
         if (!validateSchema(config)) {
-            throw new Error(`ESLint configuration in ${source} is invalid:\n${this.formatErrors(validateSchema.errors)}`);
+            throw Object.assign(
+                new Error(`ESLint configuration in ${source} is invalid:\n${this.formatErrors(validateSchema.errors)}`),
+                { pointer: getErrorPointer(validateSchema.errors[0]) }
+            );
         }
 
         if (Object.hasOwn(config, "ecmaFeatures")) {
@@ -365,6 +396,18 @@ export default class ConfigValidator {
         const getPluginEnv = Map.prototype.get.bind(configArray.pluginEnvironments);
         const getPluginProcessor = Map.prototype.get.bind(configArray.pluginProcessors);
         const getPluginRule = Map.prototype.get.bind(configArray.pluginRules);
+        const { ruleRenames, severityOnlyRuleRenames } = configArray;
+
+        /**
+         * Get the new rule ID to validate the options with. The options of
+         * severity-only renames are validated with the old rules because those
+         * are not migrated.
+         * @param {string} ruleId The rule ID in config data.
+         * @returns {string|undefined} The new rule ID.
+         */
+        function getNewRuleId(ruleId) {
+            return severityOnlyRuleRenames.has(ruleId) ? void 0 : ruleRenames.get(ruleId);
+        }
 
         // Validate.
         for (const element of configArray) {
@@ -376,7 +419,7 @@ export default class ConfigValidator {
             this.validateEnvironment(element.env, element.name, getPluginEnv);
             this.validateGlobals(element.globals, element.name);
             this.validateProcessor(element.processor, element.name, getPluginProcessor);
-            this.validateRules(element.rules, element.name, getPluginRule);
+            this.validateRules(element.rules, element.name, getPluginRule, getNewRuleId);
         }
     }
 
@@ -23,7 +23,13 @@ const deprecationWarningMessages = {
     ESLINT_PERSONAL_CONFIG_SUPPRESS:
         "'~/.eslintrc.*' config files have been deprecated. " +
         "Please remove it or add 'root:true' to the config files in your " +
-        "projects in order to avoid loading '~/.eslintrc.*' accidentally."
+        "projects in order to avoid loading '~/.eslintrc.*' accidentally.",
+    ESLINT_RULE_RENAMED: ({ ruleId, newRuleId }) =>
+        `The rule '${ruleId}' has been renamed to '${newRuleId}'. ` +
+        `Please use '${newRuleId}' instead.`,
+    ESLINT_RULE_REPLACED: ({ ruleId, newRuleId }) =>
+        `The rule '${ruleId}' has been replaced by '${newRuleId}', which has different options. ` +
+        `Only the severity was migrated. Please configure '${newRuleId}' instead.`
 };
 
 const sourceFileErrorCache = new Set();
@@ -34,10 +40,11 @@ const sourceFileErrorCache = new Set();
  * No warnings are emitted if the `--no-deprecation` or `--no-warnings` Node runtime flags are active.
  * @param {string} source The name of the configuration source to report the warning for.
  * @param {string} errorCode The warning message to show.
+ * @param {Object} [messageData] The data to fill the message, e.g. the rule IDs of `ESLINT_RULE_RENAMED`. A warning is emitted for each unique data as well.
  * @returns {void}
  */
-function emitDeprecationWarning(source, errorCode) {
-    const cacheKey = JSON.stringify({ source, errorCode });
+function emitDeprecationWarning(source, errorCode, messageData = {}) {
+    const cacheKey = JSON.stringify({ source, errorCode, messageData });
 
     if (sourceFileErrorCache.has(cacheKey)) {
         return;
@@ -45,7 +52,10 @@ function emitDeprecationWarning(source, errorCode) {
     sourceFileErrorCache.add(cacheKey);
 
     const rel = path.relative(process.cwd(), source);
-    const message = deprecationWarningMessages[errorCode];
+    const messageTemplate = deprecationWarningMessages[errorCode];
+    const message = typeof messageTemplate === "function"
+        ? messageTemplate(messageData)
+        : messageTemplate;
 
     process.emitWarning(
         `${message} (found in "${rel}")`,
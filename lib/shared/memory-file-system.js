@@ -0,0 +1,360 @@
+/**
+ * @fileoverview A file system on memory, which has the subset of `node:fs`
+ * that config loading uses.
+ *
+ * This is useful to compute configs for unsaved editor buffers or for
+ * in-memory fixtures. Note that JavaScript config files, plugins, and parsers
+ * are loaded by the module system of Node.js, so those must exist on the real
+ * file system.
+ */
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+import path from "node:path";
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * The subset of `fs.Stats` that config loading uses.
+ * @typedef {Object} FileStats
+ * @property {() => boolean} isFile Check if the entry is a file.
+ * @property {() => boolean} isDirectory Check if the entry is a directory.
+ * @property {number} mtimeMs The last modified time in milliseconds.
+ * @property {number} size The size of the file. This is `0` for directories.
+ */
+
+/**
+ * The subset of `node:fs` that config loading uses. `node:fs` itself
+ * satisfies this interface.
+ * @typedef {Object} FileSystem
+ * @property {(filePath:string) => boolean} existsSync Check if an entry exists.
+ * @property {(filePath:string) => FileStats} statSync Get the stats of an entry.
+ * @property {(filePath:string, encoding:"utf8") => string} readFileSync Read a file.
+ * @property {Object} promises The async variants.
+ * @property {(filePath:string) => Promise<FileStats>} promises.stat Get the stats of an entry.
+ * @property {(filePath:string, encoding:"utf8") => Promise<string>} promises.readFile Read a file.
+ * @property {(filePath:string, options:Object, listener:(eventType:string, filename:string) => void) => {close: () => void}} [watch] Watch a file. This is used by `CascadingConfigArrayFactory#watch()`, which watches nothing if this is missing.
+ * @property {(directoryPath:string, options:{withFileTypes:true}) => DirectoryEntry[]} [readdirSync] List the entries of a directory. This is used by the `useGitignore` option.
+ */
+
+/**
+ * The subset of `fs.Dirent` that config loading uses.
+ * @typedef {Object} DirectoryEntry
+ * @property {string} name The name of the entry.
+ * @property {() => boolean} isFile Check if the entry is a file.
+ * @property {() => boolean} isDirectory Check if the entry is a directory.
+ */
+
+/**
+ * @typedef {Object} MemoryFileSystemInternalSlots
+ * @property {string} cwd The path to resolve relative paths.
+ * @property {Map<string, {content: string, mtimeMs: number}>} files The files by the absolute paths.
+ * @property {Map<string, Set<Function>>} listeners The listeners of `watch()` by the absolute paths.
+ */
+
+/** @type {WeakMap<MemoryFileSystem, MemoryFileSystemInternalSlots>} */
+const internalSlotsMap = new WeakMap();
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const errorDescriptions = {
+    EISDIR: "illegal operation on a directory",
+    ENOENT: "no such file or directory",
+    ENOTDIR: "not a directory"
+};
+
+/**
+ * Create an error which is similar to the errors of `node:fs`.
+ * @param {"EISDIR"|"ENOENT"|"ENOTDIR"} code The error code.
+ * @param {string} syscall The name of the operation.
+ * @param {string} filePath The path to the entry.
+ * @returns {Error} The created error.
+ */
+function createFileSystemError(code, syscall, filePath) {
+    return Object.assign(
+        new Error(`${code}: ${errorDescriptions[code]}, ${syscall} '${filePath}'`),
+        { code, syscall, path: filePath }
+    );
+}
+
+/**
+ * Create the stats of an entry.
+ * @param {boolean} isFile `true` if the entry is a file.
+ * @param {number} mtimeMs The last modified time in milliseconds.
+ * @param {number} size The size of the file.
+ * @returns {FileStats} The stats.
+ */
+function createStats(isFile, mtimeMs, size) {
+    return {
+        isFile: () => isFile,
+        isDirectory: () => !isFile,
+        mtimeMs,
+        size
+    };
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * A file system on memory. Directories exist implicitly if they contain any
+ * files.
+ */
+class MemoryFileSystem {
+
+    /**
+     * Initialize this instance.
+     * @param {Record<string, string>} [files] The contents of files by the paths. Relative paths are resolved from `cwd`.
+     * @param {Object} [options] The options.
+     * @param {string} [options.cwd] The path to resolve relative paths. Default is `process.cwd()`.
+     */
+    constructor(files = {}, { cwd = process.cwd() } = {}) {
+        internalSlotsMap.set(this, { cwd, files: new Map(), listeners: new Map() });
+
+        for (const [filePath, content] of Object.entries(files)) {
+            this.writeFileSync(filePath, content);
+        }
+
+        /**
+         * The async variants.
+         * @type {{stat: (filePath:string) => Promise<FileStats>, readFile: (filePath:string, encoding?:string) => Promise<string>}}
+         */
+        this.promises = {
+            stat: async filePath => this.statSync(filePath),
+            readFile: async (filePath, encoding) => this.readFileSync(filePath, encoding)
+        };
+    }
+
+    /**
+     * Write a file. This overwrites the file if it exists.
+     * @param {string} filePath The path to the file.
+     * @param {string} content The content of the file.
+     * @returns {void}
+     * @throws {Error} If the path is a directory or an ancestor of the path is a file.
+     */
+    writeFileSync(filePath, content) {
+        const absolutePath = this._resolve(filePath);
+        const { files } = internalSlotsMap.get(this);
+
+        if (this._isDirectory(absolutePath)) {
+            throw createFileSystemError("EISDIR", "open", filePath);
+        }
+        for (
+            let directoryPath = path.dirname(absolutePath);
+            directoryPath !== path.dirname(directoryPath);
+            directoryPath = path.dirname(directoryPath)
+        ) {
+            if (files.has(directoryPath)) {
+                throw createFileSystemError("ENOTDIR", "open", filePath);
+            }
+        }
+
+        const eventType = files.has(absolutePath) ? "change" : "rename";
+
+        files.set(absolutePath, {
+            content: String(content),
+            mtimeMs: Date.now()
+        });
+        this._emit(absolutePath, eventType);
+    }
+
+    /**
+     * Remove a file.
+     * @param {string} filePath The path to the file.
+     * @returns {void}
+     * @throws {Error} If the file doesn't exist.
+     */
+    unlinkSync(filePath) {
+        const absolutePath = this._resolve(filePath);
+
+        if (!internalSlotsMap.get(this).files.delete(absolutePath)) {
+            throw createFileSystemError("ENOENT", "unlink", filePath);
+        }
+        this._emit(absolutePath, "rename");
+    }
+
+    /**
+     * Watch a file. Like `fs.watch()`, the listener receives `"change"` when
+     * the file was updated and `"rename"` when the file was removed.
+     * @param {string} filePath The path to the file.
+     * @param {Object|Function} options The options, which are ignored. This can be omitted.
+     * @param {(eventType:string, filename:string) => void} [listener] The listener.
+     * @returns {{close: () => void}} The watcher.
+     * @throws {Error} If the file doesn't exist.
+     */
+    watch(filePath, options, listener = options) {
+        const absolutePath = this._resolve(filePath);
+        const { files, listeners } = internalSlotsMap.get(this);
+
+        if (!files.has(absolutePath)) {
+            throw createFileSystemError("ENOENT", "watch", filePath);
+        }
+        if (!listeners.has(absolutePath)) {
+            listeners.set(absolutePath, new Set());
+        }
+
+        /**
+         * Wrap the listener, so that the same listener can be added twice.
+         * @param {...any} args The arguments of the listener.
+         * @returns {void}
+         */
+        function callback(...args) {
+            listener(...args);
+        }
+
+        listeners.get(absolutePath).add(callback);
+
+        return {
+            close() {
+                listeners.get(absolutePath).delete(callback);
+            }
+        };
+    }
+
+    /**
+     * Check if a file or a directory exists.
+     * @param {string} filePath The path to the entry.
+     * @returns {boolean} `true` if the entry exists.
+     */
+    existsSync(filePath) {
+        const absolutePath = this._resolve(filePath);
+
+        return (
+            internalSlotsMap.get(this).files.has(absolutePath) ||
+            this._isDirectory(absolutePath)
+        );
+    }
+
+    /**
+     * Get the stats of a file or a directory.
+     * @param {string} filePath The path to the entry.
+     * @returns {FileStats} The stats.
+     * @throws {Error} If the entry doesn't exist.
+     */
+    statSync(filePath) {
+        const absolutePath = this._resolve(filePath);
+        const file = internalSlotsMap.get(this).files.get(absolutePath);
+
+        if (file) {
+            return createStats(true, file.mtimeMs, file.content.length);
+        }
+        if (this._isDirectory(absolutePath)) {
+            return createStats(false, 0, 0);
+        }
+        throw createFileSystemError("ENOENT", "stat", filePath);
+    }
+
+    /**
+     * Read a file.
+     * @param {string} filePath The path to the file.
+     * @param {string} [encoding] The encoding. If this is omitted, this returns a buffer.
+     * @returns {string|Buffer} The content of the file.
+     * @throws {Error} If the file doesn't exist or the path is a directory.
+     */
+    readFileSync(filePath, encoding) {
+        const absolutePath = this._resolve(filePath);
+        const file = internalSlotsMap.get(this).files.get(absolutePath);
+
+        if (!file) {
+            if (this._isDirectory(absolutePath)) {
+                throw createFileSystemError("EISDIR", "read", filePath);
+            }
+            throw createFileSystemError("ENOENT", "open", filePath);
+        }
+
+        return encoding ? file.content : Buffer.from(file.content);
+    }
+
+    /**
+     * List the entries of a directory in alphabetical order.
+     * @param {string} directoryPath The path to the directory.
+     * @param {Object} [options] The options.
+     * @param {boolean} [options.withFileTypes] If `true` then this returns `DirectoryEntry` objects instead of names.
+     * @returns {string[]|DirectoryEntry[]} The entries.
+     * @throws {Error} If the directory doesn't exist.
+     */
+    readdirSync(directoryPath, { withFileTypes = false } = {}) {
+        const absolutePath = this._resolve(directoryPath);
+        const { files } = internalSlotsMap.get(this);
+
+        if (!this._isDirectory(absolutePath)) {
+            throw createFileSystemError(
+                files.has(absolutePath) ? "ENOTDIR" : "ENOENT",
+                "scandir",
+                directoryPath
+            );
+        }
+
+        const prefix = absolutePath.endsWith(path.sep) ? absolutePath : absolutePath + path.sep;
+        const entries = new Map();
+
+        for (const filePath of files.keys()) {
+            if (filePath.startsWith(prefix)) {
+                const [name, ...rest] = filePath.slice(prefix.length).split(path.sep);
+
+                entries.set(name, entries.get(name) || rest.length > 0);
+            }
+        }
+
+        return [...entries.keys()].sort().map(name => (
+            withFileTypes
+                ? {
+                    name,
+                    isFile: () => !entries.get(name),
+                    isDirectory: () => entries.get(name)
+                }
+                : name
+        ));
+    }
+
+    /**
+     * Call the listeners of a given file.
+     * @param {string} absolutePath The absolute path to the file.
+     * @param {"change"|"rename"} eventType The type of the change.
+     * @returns {void}
+     * @private
+     */
+    _emit(absolutePath, eventType) {
+        const listeners = internalSlotsMap.get(this).listeners.get(absolutePath);
+
+        for (const listener of [...(listeners || [])]) {
+            listener(eventType, path.basename(absolutePath));
+        }
+    }
+
+    /**
+     * Resolve a given path to an absolute path.
+     * @param {string} filePath The path to resolve.
+     * @returns {string} The absolute path.
+     * @private
+     */
+    _resolve(filePath) {
+        return path.resolve(internalSlotsMap.get(this).cwd, String(filePath));
+    }
+
+    /**
+     * Check if a given absolute path is a directory, i.e., it contains any files.
+     * @param {string} absolutePath The absolute path to check.
+     * @returns {boolean} `true` if the path is a directory.
+     * @private
+     */
+    _isDirectory(absolutePath) {
+        const prefix = absolutePath.endsWith(path.sep) ? absolutePath : absolutePath + path.sep;
+
+        for (const filePath of internalSlotsMap.get(this).files.keys()) {
+            if (filePath.startsWith(prefix)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+export { MemoryFileSystem };
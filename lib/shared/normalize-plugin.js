@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Normalizes loaded plugins.
+ * @author Toru Nagashima <https://github.com/mysticatea>
+ */
+
+/** @typedef {import("./types").Plugin} Plugin */
+
+/** @type {WeakMap<object, Plugin>} */
+const normalizedPlugins = new WeakMap();
+
+/**
+ * Normalize a given plugin.
+ * - Ensure the object to have four properties: configs, environments, processors, and rules.
+ * - Ensure the object to not have other properties.
+ * @param {Plugin} plugin The plugin to normalize.
+ * @returns {Plugin} The normalized plugin.
+ */
+function normalizePlugin(plugin) {
+
+    // first check the cache
+    let normalizedPlugin = normalizedPlugins.get(plugin);
+
+    if (normalizedPlugin) {
+        return normalizedPlugin;
+    }
+
+    normalizedPlugin = {
+        configs: plugin.configs || {},
+        environments: plugin.environments || {},
+        processors: plugin.processors || {},
+        rules: plugin.rules || {}
+    };
+
+    // save the reference for later
+    normalizedPlugins.set(plugin, normalizedPlugin);
+
+    return normalizedPlugin;
+}
+
+export { normalizePlugin };
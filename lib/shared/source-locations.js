@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Helpers to map values in JSON and YAML config files to their
+ * locations in the original source text.
+ *
+ * Config data are addressed with JSON pointers (RFC 6901), e.g.
+ * `/rules/no-undef` or `/overrides/0/files`. Lines and columns are 1-based.
+ */
+
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} line The 1-based line number.
+ * @property {number} column The 1-based column number.
+ */
+
+/** @typedef {(pointer:string) => SourceLocation|null} SourceLocator */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Escape a property name to a reference token of JSON pointers.
+ * @param {string} key The property name.
+ * @returns {string} The reference token.
+ */
+function escapePointerToken(key) {
+    return key.replace(/~/gu, "~0").replace(/\//gu, "~1");
+}
+
+/**
+ * Create the function which converts offsets in a given text to locations.
+ * @param {string} text The source text.
+ * @returns {(offset:number) => SourceLocation} The converter.
+ */
+function createOffsetConverter(text) {
+    const lineStarts = [0];
+    const lineBreak = /\r\n|[\r\n]/gu;
+    let match;
+
+    while ((match = lineBreak.exec(text)) !== null) {
+        lineStarts.push(match.index + match[0].length);
+    }
+
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+}
+
+/**
+ * Create a locator from the map of JSON pointers to offsets.
+ * If a given pointer doesn't exist in the map, the locator falls back to the
+ * nearest ancestor, so that a missing property is reported at its parent.
+ * @param {string} text The source text.
+ * @param {Map<string, number>} offsets The map of JSON pointers to offsets.
+ * @returns {SourceLocator} The locator.
+ */
+function createLocator(text, offsets) {
+    const toLocation = createOffsetConverter(text);
+
+    return pointer => {
+        let current = pointer;
+
+        while (!offsets.has(current)) {
+            if (current === "") {
+                return null;
+            }
+            current = current.slice(0, current.lastIndexOf("/"));
+        }
+
+        return toLocation(offsets.get(current));
+    };
+}
+
+/**
+ * Scan a valid JSON text and collect the offsets of every value.
+ * For object members, the offset is the one of the property name.
+ * @param {string} text The JSON text. Comments must be replaced by whitespace.
+ * @returns {Map<string, number>} The map of JSON pointers to offsets.
+ */
+function scanJSON(text) {
+    const offsets = new Map();
+    const whitespace = /[ \t\n\r]*/uy;
+    const string = /"(?:[^"\\]|\\.)*"/uy;
+    const literal = /[^,:[\]{}\s]+/uy;
+    let index = 0;
+
+    /**
+     * Skip whitespace.
+     * @returns {void}
+     */
+    function skipWhitespace() {
+        whitespace.lastIndex = index;
+        whitespace.exec(text);
+        index = whitespace.lastIndex;
+    }
+
+    /**
+     * Read a token with a given sticky pattern.
+     * @param {RegExp} pattern The pattern.
+     * @returns {string} The token.
+     */
+    function read(pattern) {
+        pattern.lastIndex = index;
+
+        const [token] = pattern.exec(text);
+
+        index = pattern.lastIndex;
+        return token;
+    }
+
+    /**
+     * Scan a value.
+     * @param {string} pointer The JSON pointer of the value.
+     * @returns {void}
+     */
+    function scanValue(pointer) {
+        skipWhitespace();
+        if (!offsets.has(pointer)) {
+            offsets.set(pointer, index);
+        }
+
+        if (text[index] === "{") {
+            index += 1;
+            skipWhitespace();
+            while (text[index] !== "}") {
+                const keyOffset = index;
+                const key = JSON.parse(read(string));
+                const childPointer = `${pointer}/${escapePointerToken(key)}`;
+
+                offsets.set(childPointer, keyOffset);
+                skipWhitespace();
+                index += 1; // colon
+                scanValue(childPointer);
+                skipWhitespace();
+                if (text[index] === ",") {
+                    index += 1;
+                    skipWhitespace();
+                }
+            }
+            index += 1;
+        } else if (text[index] === "[") {
+            index += 1;
+            skipWhitespace();
+            for (let i = 0; text[index] !== "]"; ++i) {
+                scanValue(`${pointer}/${i}`);
+                skipWhitespace();
+                if (text[index] === ",") {
+                    index += 1;
+                    skipWhitespace();
+                }
+            }
+            index += 1;
+        } else {
+            read(text[index] === "\"" ? string : literal);
+        }
+    }
+
+    scanValue("");
+    return offsets;
+}
+
+/**
+ * Collect the offsets of every value in a YAML text.
+ * js-yaml calls the listener on opening and closing every node, and every
+ * mapping node contains its keys and values as child nodes in order.
+ * @param {string} text The YAML text.
+ * @returns {Map<string, number>} The map of JSON pointers to offsets.
+ */
+function scanYAML(text) {
+    const yaml = require("js-yaml");
+    const root = { start: 0, result: void 0, children: [] };
+    const stack = [root];
+
+    yaml.load(text, {
+        listener(eventType, state) {
+            if (eventType === "open") {
+                stack.push({ start: state.position, result: void 0, children: [] });
+            } else {
+                const node = stack.pop();
+
+                node.result = state.result;
+                stack.at(-1).children.push(node);
+            }
+        }
+    });
+
+    const offsets = new Map();
+
+    /**
+     * Record the offsets of a node and its descendants.
+     * @param {Object} node The node.
+     * @param {string} pointer The JSON pointer of the node.
+     * @returns {void}
+     */
+    function visit(node, pointer) {
+        let current = node;
+
+        // Skip the wrapper nodes which js-yaml made while looking for keys.
+        while (
+            current.children.length === 1 &&
+            current.children[0].result === current.result
+        ) {
+            current = current.children[0];
+        }
+
+        if (!offsets.has(pointer)) {
+            offsets.set(pointer, current.start);
+        }
+
+        const { children, result } = current;
+
+        if (Array.isArray(result)) {
+            if (children.length === result.length) {
+                children.forEach((child, i) => visit(child, `${pointer}/${i}`));
+            }
+        } else if (result && typeof result === "object" && children.length % 2 === 0) {
+            for (let i = 0; i < children.length; i += 2) {
+                const childPointer = `${pointer}/${escapePointerToken(String(children[i].result))}`;
+
+                offsets.set(childPointer, children[i].start);
+                visit(children[i + 1], childPointer);
+            }
+        }
+    }
+
+    if (root.children.length > 0) {
+        visit(root.children[0], "");
+    }
+    return offsets;
+}
+
+/**
+ * Check if a given text is the beginning of a valid JSON text.
+ * `JSON.parse()` reports the end of the text for such texts, e.g.
+ * "Unexpected end of JSON input" or "Unterminated string in JSON at position 3"
+ * for `"ab`.
+ * @param {string} text The text to check.
+ * @returns {boolean} `true` if the text is a valid JSON text or the beginning of it.
+ */
+function isJSONPrefix(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (error) {
+        const match = /at position (\d+)/u.exec(error.message);
+
+        return match
+            ? Number(match[1]) >= text.length
+            : error.message.startsWith("Unexpected end of JSON input");
+    }
+}
+
+/**
+ * Find the offset of the first character which makes a given text invalid as
+ * JSON. Once a prefix of the text is invalid, longer prefixes are invalid as
+ * well, so this does binary search.
+ * @param {string} text The invalid JSON text.
+ * @returns {number} The offset of the character.
+ */
+function findJSONErrorOffset(text) {
+    let low = 0;
+    let high = text.length;
+
+    // `text.slice(0, low)` is a valid prefix, and `text.slice(0, high)` isn't.
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+
+        if (isJSONPrefix(text.slice(0, middle))) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Get the location of the error which `JSON.parse()` threw.
+ * @param {string} text The JSON text. Comments must be replaced by whitespace.
+ * @param {Error} error The error.
+ * @returns {SourceLocation} The location.
+ */
+function getJSONParseErrorLocation(text, error) {
+    const toLocation = createOffsetConverter(text);
+    const match = /at position (\d+)/u.exec(error.message);
+
+    if (match) {
+        return toLocation(Number(match[1]));
+    }
+    if (error.message.startsWith("Unexpected end of JSON input")) {
+        return toLocation(text.length);
+    }
+
+    // E.g., "Unexpected token 'x', ..." of V8 doesn't have the position.
+    return toLocation(findJSONErrorOffset(text));
+}
+
+/**
+ * Get the location of the error which js-yaml threw.
+ * @param {Error} error The error.
+ * @returns {SourceLocation|null} The location, or `null` if the error is not a YAML error.
+ */
+function getYAMLParseErrorLocation(error) {
+    const { mark } = error;
+
+    return mark ? { line: mark.line + 1, column: mark.column + 1 } : null;
+}
+
+/**
+ * Create a locator for a JSON text. The text is scanned on the first call.
+ * @param {string} text The valid JSON text. Comments must be replaced by whitespace.
+ * @returns {SourceLocator} The locator.
+ */
+function createJSONLocator(text) {
+    let locator = null;
+
+    return pointer => {
+        locator ??= createLocator(text, scanJSON(text));
+        return locator(pointer);
+    };
+}
+
+/**
+ * Create a locator for a YAML text. The text is scanned on the first call.
+ * @param {string} text The valid YAML text.
+ * @returns {SourceLocator} The locator.
+ */
+function createYAMLLocator(text) {
+    let locator = null;
+
+    return pointer => {
+        locator ??= createLocator(text, scanYAML(text));
+        return locator(pointer);
+    };
+}
+
+export {
+    createJSONLocator,
+    createYAMLLocator,
+    escapePointerToken,
+    getJSONParseErrorLocation,
+    getYAMLParseErrorLocation
+};
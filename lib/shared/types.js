@@ -10,6 +10,23 @@ export default {};
 /** @typedef {0 | 1 | 2 | "off" | "warn" | "error"} SeverityConf */
 /** @typedef {SeverityConf | [SeverityConf, ...any[]]} RuleConf */
 
+/**
+ * An element of `extends`. The object form rewrites the rules of the extended
+ * config: `severity` replaces the severity of every enabled rule, and
+ * `exclude` removes the given rules.
+ * @typedef {string | {config: string, severity?: SeverityConf, exclude?: string[]}} ExtendsEntry
+ */
+
+/**
+ * How to merge the options of a rule with the options of the same rule in
+ * lower-priority configs.
+ *
+ * - `"replace"` ... Adopt the options of the highest-priority config. This is the default.
+ * - `"deep-merge"` ... Merge object options recursively. Higher-priority properties win.
+ * - `"concat"` ... Concatenate array options. Lower-priority items come first.
+ * @typedef {"replace" | "deep-merge" | "concat"} RuleMergeStrategy
+ */
+
 /**
  * @typedef {Object} EcmaFeatures
  * @property {boolean} [globalReturn] Enabling `return` statements at the top-level.
@@ -27,7 +44,7 @@ export default {};
 /**
  * @typedef {Object} ConfigData
  * @property {Record<string, boolean>} [env] The environment settings.
- * @property {string | string[]} [extends] The path to other config files or the package name of shareable configs.
+ * @property {ExtendsEntry | ExtendsEntry[]} [extends] The path to other config files or the package name of shareable configs.
  * @property {Record<string, GlobalConf>} [globals] The global variable settings.
  * @property {string | string[]} [ignorePatterns] The glob patterns that ignore to lint.
  * @property {boolean} [noInlineConfig] The flag that disables directive comments.
@@ -39,6 +56,7 @@ export default {};
  * @property {boolean} [reportUnusedDisableDirectives] The flag to report unused `eslint-disable` comments.
  * @property {boolean} [root] The root flag.
  * @property {Record<string, RuleConf>} [rules] The rule settings.
+ * @property {Record<string, RuleMergeStrategy>} [ruleMergeStrategies] How to merge the options of each rule with the options in lower-priority configs.
  * @property {Object} [settings] The shared settings.
  */
 
@@ -46,7 +64,7 @@ export default {};
  * @typedef {Object} OverrideConfigData
  * @property {Record<string, boolean>} [env] The environment settings.
  * @property {string | string[]} [excludedFiles] The glob pattarns for excluded files.
- * @property {string | string[]} [extends] The path to other config files or the package name of shareable configs.
+ * @property {ExtendsEntry | ExtendsEntry[]} [extends] The path to other config files or the package name of shareable configs.
  * @property {string | string[]} files The glob patterns for target files.
  * @property {Record<string, GlobalConf>} [globals] The global variable settings.
  * @property {boolean} [noInlineConfig] The flag that disables directive comments.
@@ -57,6 +75,7 @@ export default {};
  * @property {string} [processor] The processor specifier.
  * @property {boolean} [reportUnusedDisableDirectives] The flag to report unused `eslint-disable` comments.
  * @property {Record<string, RuleConf>} [rules] The rule settings.
+ * @property {Record<string, RuleMergeStrategy>} [ruleMergeStrategies] How to merge the options of each rule with the options in lower-priority configs.
  * @property {Object} [settings] The shared settings.
  */
 
@@ -118,11 +137,11 @@ export default {};
 
 /**
  * @typedef {Object} RuleMeta
- * @property {boolean} [deprecated] If `true` then the rule has been deprecated.
+ * @property {boolean|Object} [deprecated] If truthy then the rule has been deprecated. This can be the `DeprecatedInfo` object of ESLint, which has the replacements in `replacedBy`.
  * @property {RuleMetaDocs} docs The document information of the rule.
  * @property {"code"|"whitespace"} [fixable] The autofix type.
  * @property {Record<string,string>} [messages] The messages the rule reports.
- * @property {string[]} [replacedBy] The IDs of the alternative rules.
+ * @property {string[]} [replacedBy] The IDs of the alternative rules. This is the legacy form of `deprecated.replacedBy`.
  * @property {Array|Object} schema The option schema of the rule.
  * @property {"problem"|"suggestion"|"layout"} type The rule type.
  */
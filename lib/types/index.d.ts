@@ -27,6 +27,24 @@
 
 import type { Linter } from "eslint";
 
+/**
+ * An entry of `extends`. The object form rewrites the rules of the config:
+ * `severity` replaces the severity of every enabled rule, and `exclude`
+ * removes the given rules.
+ */
+export type ExtendsEntry = string | {
+    config: string;
+    severity?: Linter.RuleSeverity;
+    exclude?: string[];
+};
+
+/**
+ * An ESLintRC-style config whose `extends` can have object entries.
+ */
+export type LegacyConfig = Omit<Linter.LegacyConfig, "extends"> & {
+    extends?: ExtendsEntry | ExtendsEntry[];
+};
+
 /**
  * A compatibility class for working with configs.
  */
@@ -51,7 +69,7 @@ export class FlatCompat {
      * @param eslintrcConfig The ESLintRC-style config object.
      * @returns A flag-config-style config object.
      */
-    config(eslintrcConfig: Linter.LegacyConfig): Linter.Config[];
+    config(eslintrcConfig: LegacyConfig): Linter.Config[];
 
     /**
      * Translates the `env` section of an ESLintRC-style config.
@@ -65,7 +83,7 @@ export class FlatCompat {
      * @param configsToExtend The names of the configs to load.
      * @returns An array of flag-config objects representing the config.
      */
-    extends(...configsToExtend: string[]): Linter.Config[];
+    extends(...configsToExtend: ExtendsEntry[]): Linter.Config[];
 
     /**
      * Translates the `plugins` section of an ESLintRC-style config.
@@ -7,6 +7,7 @@ const external = [
     "node:path",
     "node:url",
     "node:util",
+    "node:vm",
     "ajv",
     "debug",
     "globals",
@@ -35,6 +36,21 @@ function importMetaURLPlugin() {
     };
 }
 
+/**
+ * Custom Rollup plugin to keep dynamic `import()` in commonjs.
+ * The default transformation replaces `import()` with `require()`, which
+ * cannot load ES modules such as `.eslintrc.mjs`.
+ * @returns {Object} Rollup plugin object.
+ */
+function keepDynamicImportPlugin() {
+    return {
+        name: "keep-dynamic-import",
+        renderDynamicImport() {
+            return { left: "import(", right: ")" };
+        }
+    };
+}
+
 export default [
     {
         input: "./lib/index.js",
@@ -46,7 +62,7 @@ export default [
             sourcemap: true,
             freeze: false
         },
-        plugins: [importMetaURLPlugin()]
+        plugins: [importMetaURLPlugin(), keepDynamicImportPlugin()]
     },
     {
         input: "./lib/index-universal.js",
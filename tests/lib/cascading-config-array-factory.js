@@ -27,7 +27,9 @@ const dirname = path.dirname(fileURLToPath(import.meta.url));
 const {
     ConfigArrayFactory,
     CascadingConfigArrayFactory,
-    ExtractedConfig
+    ConfigurationNotFoundError,
+    ExtractedConfig,
+    MemoryFileSystem
 } = Legacy;
 
 //-----------------------------------------------------------------------------
@@ -3141,6 +3143,1388 @@ describe("CascadingConfigArrayFactory", () => {
         });
     });
 
+    describe("'getConfigArrayForFileAsync(filePath)' method should retrieve the proper configuration.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-async");
+        const files = {
+            "lib/nested/one.js": "",
+            "lib/nested/.eslintrc.mjs": "export default { env: { node: true } };",
+            "lib/one.js": "",
+            "module/package.json": "{ \"type\": \"module\" }",
+            "module/.eslintrc.js": "export default { root: true, rules: { semi: 'error' } };",
+            "module/one.js": "",
+            "test/one.js": "",
+            "test/.eslintrc.yml": "env: { mocha: true }",
+            ".eslintignore": "/lib/nested/parser.js",
+            ".eslintrc.json": JSON.stringify({
+                rules: {
+                    "no-undef": "error",
+                    "no-unused-vars": "error"
+                }
+            })
+        };
+
+        /** @type {CascadingConfigArrayFactory} */
+        let factory;
+
+        let prepare, cleanup, getPath;
+
+        before(async () => {
+            ({ prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: root,
+                files
+            }));
+
+            await prepare();
+        });
+
+        beforeEach(() => {
+            factory = new CascadingConfigArrayFactory({ cwd: getPath() });
+        });
+
+        after(() => cleanup());
+
+        it("should retrieve the merged config of '.eslintrc.json' and 'lib/nested/.eslintrc.mjs' if 'lib/nested/one.js' was given.", async () => {
+            const config = await factory.getConfigArrayForFileAsync("lib/nested/one.js");
+
+            assert.strictEqual(config.length, 4);
+            assert.strictEqual(config[0].name, "DefaultIgnorePattern");
+            assert.strictEqual(config[1].filePath, path.join(root, ".eslintrc.json"));
+            assert.strictEqual(config[2].filePath, path.join(root, "lib/nested/.eslintrc.mjs"));
+            assert.strictEqual(config[3].filePath, path.join(root, ".eslintignore"));
+        });
+
+        it("should stop at the '.eslintrc.js' of a '\"type\": \"module\"' package if it has 'root:true'.", async () => {
+            const config = await factory.getConfigArrayForFileAsync("module/one.js");
+
+            assert.strictEqual(config.length, 3);
+            assert.strictEqual(config[1].filePath, path.join(root, "module/.eslintrc.js"));
+            assert.deepStrictEqual(config[1].rules, { semi: "error" });
+        });
+
+        it("should skip '.eslintrc.mjs' in 'getConfigArrayForFile()'.", () => {
+            const config = factory.getConfigArrayForFile("lib/nested/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json"), path.join(root, ".eslintignore")]
+            );
+        });
+
+        it("should return the same config array as 'getConfigArrayForFile()' if config files are not ES modules.", async () => {
+            const expected = factory.getConfigArrayForFile("test/one.js");
+
+            factory.clearCache();
+
+            const actual = await factory.getConfigArrayForFileAsync("test/one.js");
+
+            assert.deepStrictEqual(
+                actual.map(({ name, filePath }) => ({ name, filePath })),
+                expected.map(({ name, filePath }) => ({ name, filePath }))
+            );
+            assert.deepStrictEqual(
+                actual.extractConfig(path.join(root, "test/one.js")).toCompatibleObjectAsConfigFileContent(),
+                expected.extractConfig(path.join(root, "test/one.js")).toCompatibleObjectAsConfigFileContent()
+            );
+        });
+
+        it("should use the cache of 'getConfigArrayForFile()'.", async () => {
+            const expected = factory.getConfigArrayForFile("test/one.js");
+            const actual = await factory.getConfigArrayForFileAsync("test/one.js");
+
+            assert.strictEqual(actual, expected);
+        });
+
+        it("should reload an edited '.eslintrc.mjs' after 'clearCache()'.", async () => {
+            const configPath = path.join(root, "lib/nested/.eslintrc.mjs");
+            const original = await factory.getConfigArrayForFileAsync("lib/nested/one.js");
+            const future = new Date(Date.now() + 60 * 1000);
+
+            assert.deepStrictEqual(original[2].env, { node: true });
+
+            try {
+                fs.writeFileSync(configPath, "export default { env: { browser: true } };");
+                fs.utimesSync(configPath, future, future);
+                factory.clearCache();
+
+                const reloaded = await factory.getConfigArrayForFileAsync("lib/nested/one.js");
+
+                assert.notStrictEqual(reloaded, original);
+                assert.deepStrictEqual(reloaded[2].env, { browser: true });
+            } finally {
+                fs.writeFileSync(configPath, files["lib/nested/.eslintrc.mjs"]);
+            }
+        });
+
+        it("should return the config which contains only base and CLI configs if 'filePath' was not given.", async () => {
+            const config = await factory.getConfigArrayForFileAsync();
+
+            assert.strictEqual(config.length, 2);
+            assert.strictEqual(config[0].name, "DefaultIgnorePattern");
+            assert.strictEqual(config[1].filePath, path.join(root, ".eslintignore"));
+        });
+    });
+
+    describe("'getConfigArrayForFileAsync(filePath)' method should load sibling directories concurrently.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-concurrent");
+        const files = {
+            ".eslintrc.custom": "root",
+            "a/.eslintrc.custom": "a",
+            "a/one.js": "",
+            "b/.eslintrc.custom": "b",
+            "b/one.js": ""
+        };
+
+        let prepare, cleanup, getPath;
+
+        before(async () => {
+            ({ prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: root,
+                files
+            }));
+
+            await prepare();
+        });
+
+        after(() => cleanup());
+
+        it("should share the loading of the common ancestor and return the same results as 'getConfigArrayForFile()'.", async () => {
+            const loadedFiles = [];
+            const loaders = [{
+                extension: ".custom",
+                async load(filePath) {
+                    loadedFiles.push(path.relative(root, filePath));
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    return { settings: { [fs.readFileSync(filePath, "utf8")]: true } };
+                }
+            }];
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath(), loaders });
+            const [configA, configB] = await Promise.all([
+                factory.getConfigArrayForFileAsync("a/one.js"),
+                factory.getConfigArrayForFileAsync("b/one.js")
+            ]);
+
+            assert.deepStrictEqual(
+                loadedFiles.sort(),
+                [".eslintrc.custom", "a/.eslintrc.custom", "b/.eslintrc.custom"].map(path.normalize)
+            );
+
+            const syncFactory = new CascadingConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{ extension: ".custom", load: filePath => ({ settings: { [fs.readFileSync(filePath, "utf8")]: true } }) }]
+            });
+
+            for (const [config, filePath] of [[configA, "a/one.js"], [configB, "b/one.js"]]) {
+                const expected = syncFactory.getConfigArrayForFile(filePath);
+
+                assert.deepStrictEqual(
+                    config.map(({ name }) => name),
+                    expected.map(({ name }) => name)
+                );
+                assert.deepStrictEqual(
+                    config.extractConfig(path.join(root, filePath)).settings,
+                    expected.extractConfig(path.join(root, filePath)).settings
+                );
+            }
+        });
+    });
+
+    describe("'getConfigArrayForFile(filePath)' method should load TypeScript config files with the 'transpile' option.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-ts");
+        const files = {
+            "lib/one.js": "",
+            "lib/.eslintrc.ts": "module.exports = { env: { node: true } as const };",
+            ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } })
+        };
+
+        /**
+         * A tiny transpiler which handles the fixtures.
+         * @param {string} filePath The path to the file.
+         * @param {string} source The source code of the file.
+         * @returns {string} The transpiled code.
+         */
+        function transpile(filePath, source) {
+            return source.replace(/ as const/gu, "");
+        }
+
+        let prepare, cleanup, getPath;
+
+        before(async () => {
+            ({ prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: root,
+                files
+            }));
+
+            await prepare();
+        });
+
+        after(() => cleanup());
+
+        it("should not load 'lib/.eslintrc.ts' if the 'transpile' option was not given.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath() });
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json")]
+            );
+        });
+
+        it("should merge 'lib/.eslintrc.ts' if the 'transpile' option was given.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath(), transpile });
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json"), path.join(root, "lib/.eslintrc.ts")]
+            );
+            assert.deepStrictEqual(config.at(-1).env, { node: true });
+        });
+
+        it("should load 'lib/.eslintrc.ts' from 'getConfigArrayForFileAsync()' if the 'transpile' option returned a promise.", async () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: getPath(),
+                transpile: async (...args) => transpile(...args)
+            });
+            const config = await factory.getConfigArrayForFileAsync("lib/one.js");
+
+            assert.deepStrictEqual(config.at(-1).env, { node: true });
+        });
+    });
+
+    describe("'getConfigArrayForFile(filePath)' method should load config files with the 'loaders' option.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-loaders");
+        const files = {
+            "lib/one.js": "",
+            "lib/.eslintrc.custom": "node",
+            ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } })
+        };
+        const loaders = [{
+            extension: ".custom",
+            load: filePath => ({ env: { [fs.readFileSync(filePath, "utf8")]: true } })
+        }];
+
+        let prepare, cleanup, getPath;
+
+        before(async () => {
+            ({ prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: root,
+                files
+            }));
+
+            await prepare();
+        });
+
+        after(() => cleanup());
+
+        it("should merge 'lib/.eslintrc.custom' if the 'loaders' option has the loader of that.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath(), loaders });
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json"), path.join(root, "lib/.eslintrc.custom")]
+            );
+            assert.deepStrictEqual(config.at(-1).env, { node: true });
+        });
+    });
+
+    describe("'getConfigArrayForFile(filePath)' method should reject executable config files with the 'trustMode' option.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-trust-mode");
+        const files = {
+            "lib/one.js": "",
+            "lib/.eslintrc.js": "module.exports = { rules: { eqeqeq: 'error' } }",
+            ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } })
+        };
+
+        let prepare, cleanup, getPath;
+
+        before(async () => {
+            ({ prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: root,
+                files
+            }));
+
+            await prepare();
+        });
+
+        after(() => cleanup());
+
+        it("should throw an error from 'getConfigArrayForFile()' if 'trustMode' is 'data-only'.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath(), trustMode: "data-only" });
+
+            assert.throws(() => {
+                factory.getConfigArrayForFile("lib/one.js");
+            }, /Config file '.*\.eslintrc\.js' is not allowed because executable config files are not trusted\./u);
+        });
+
+        it("should reject from 'getConfigArrayForFileAsync()' if 'trustMode' is 'data-only'.", async () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: getPath(), trustMode: "data-only" });
+            let error;
+
+            try {
+                await factory.getConfigArrayForFileAsync("lib/one.js");
+            } catch (e) {
+                error = e;
+            }
+
+            assert.strictEqual(error.messageTemplate, "untrusted-config-file");
+            assert.strictEqual(error.messageData.importerName, path.join("lib", ".eslintrc.js"));
+        });
+    });
+
+    describe("'getConfigArrayForFile(filePath)' method should find config files with the 'fs' option.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-memory");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } }),
+                ".eslintignore": "dist",
+                "lib/.eslintrc.yml": "env:\n    node: true"
+            }, { cwd: root });
+        });
+
+        it("should merge the config files which exist only in the file system.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json"), path.join(root, "lib/.eslintrc.yml"), path.join(root, ".eslintignore")]
+            );
+            assert.strictEqual(config.extractConfig(path.join(root, "lib/one.js")).env.node, true);
+        });
+
+        it("should merge the config files which exist only in the file system with 'getConfigArrayForFileAsync()'.", async () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const config = await factory.getConfigArrayForFileAsync("lib/one.js");
+
+            assert.deepStrictEqual(
+                config.map(({ filePath }) => filePath).filter(Boolean),
+                [path.join(root, ".eslintrc.json"), path.join(root, "lib/.eslintrc.yml"), path.join(root, ".eslintignore")]
+            );
+        });
+
+        it("should see the changes of files in the file system after 'clearCache()'.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+
+            factory.getConfigArrayForFile("lib/one.js");
+            memoryFs.writeFileSync("lib/.eslintrc.yml", "env:\n    browser: true");
+            factory.clearCache();
+
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(config.extractConfig(path.join(root, "lib/one.js")).env, { browser: true });
+        });
+    });
+
+    describe("'specificConfigPath' option should layer multiple config files.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-specific-configs");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "no-var": "error" } }),
+                "policy/base.json": JSON.stringify({ rules: { semi: "warn", eqeqeq: "warn" } }),
+                "policy/strict.yml": "rules:\n    semi: error\n"
+            }, { cwd: root });
+        });
+
+        it("should give precedence to the later config files.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                specificConfigPath: ["policy/base.json", "policy/strict.yml"]
+            });
+            const config = factory.getConfigArrayForFile("a.js");
+
+            assert.deepStrictEqual(config.extractConfig(path.join(root, "a.js")).rules, {
+                "no-var": ["error"],
+                semi: ["error"],
+                eqeqeq: ["warn"]
+            });
+        });
+
+        it("should name the elements by the index of the config files.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                specificConfigPath: ["policy/base.json", "policy/strict.yml"]
+            });
+            const config = factory.getConfigArrayForFile("a.js");
+
+            assert.deepStrictEqual(
+                config.filter(element => element.name.startsWith("--config")).map(element => [element.name, element.filePath]),
+                [
+                    ["--config[0]", path.join(root, "policy/base.json")],
+                    ["--config[1]", path.join(root, "policy/strict.yml")]
+                ]
+            );
+        });
+
+        it("should name the element '--config' if it's a string.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                specificConfigPath: "policy/base.json"
+            });
+            const config = factory.getConfigArrayForFile("a.js");
+
+            assert.strictEqual(config.some(element => element.name === "--config"), true);
+        });
+    });
+
+    describe("'ignorePath' and 'useGitignore' options should add ignore files.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-ignore-files");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /**
+         * Check if a given file is ignored.
+         * @param {CascadingConfigArrayFactory} factory The factory.
+         * @param {string} filePath The relative path to the file.
+         * @returns {boolean} `true` if the file is ignored.
+         */
+        function isIgnored(factory, filePath) {
+            const absolutePath = path.join(root, filePath);
+
+            return factory.getConfigArrayForFile(absolutePath).extractConfig(absolutePath).ignores(absolutePath);
+        }
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": "{}",
+                ".eslintignore": "*.min.js\n",
+                ".gitignore": "dist/\n*.min.js\n",
+                "packages/a/.gitignore": "generated/\n",
+                "ignore/first": "a.js\nb.js\n",
+                "ignore/second": "!b.js\n"
+            }, { cwd: root });
+        });
+
+        it("should load every file of an 'ignorePath' array, and the later files should take precedence.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                ignorePath: ["ignore/first", "ignore/second"]
+            });
+
+            assert.strictEqual(isIgnored(factory, "a.js"), true);
+            assert.strictEqual(isIgnored(factory, "b.js"), false);
+            assert.strictEqual(isIgnored(factory, "c.min.js"), false);
+        });
+
+        it("should not load '.gitignore' files by default.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+
+            assert.strictEqual(isIgnored(factory, "dist/a.js"), false);
+            assert.strictEqual(isIgnored(factory, "c.min.js"), true);
+        });
+
+        it("should load nested '.gitignore' files in addition to '.eslintignore' with 'useGitignore'.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, useGitignore: true });
+
+            assert.strictEqual(isIgnored(factory, "dist/a.js"), true);
+            assert.strictEqual(isIgnored(factory, "packages/a/generated/a.js"), true);
+            assert.strictEqual(isIgnored(factory, "generated/a.js"), false);
+            assert.strictEqual(isIgnored(factory, "c.min.js"), true);
+            assert.deepStrictEqual(
+                factory.getConfigArrayForFile("a.js").filter(element => element.type === "ignore").map(element => element.name),
+                [".gitignore", path.join("packages", "a", ".gitignore"), ".eslintignore"]
+            );
+        });
+    });
+
+    describe("'useCascadingESLintIgnore' option should load '.eslintignore' files in ancestor directories.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-cascading-ignore");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /**
+         * Check if a given file is ignored.
+         * @param {CascadingConfigArrayFactory} factory The factory.
+         * @param {string} filePath The relative path to the file.
+         * @returns {boolean} `true` if the file is ignored.
+         */
+        function isIgnored(factory, filePath) {
+            const absolutePath = path.join(root, filePath);
+
+            return factory.getConfigArrayForFile(absolutePath).extractConfig(absolutePath).ignores(absolutePath);
+        }
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                "parent/.eslintignore": "*.generated.js\n",
+                "parent/project/.eslintrc.json": "{}",
+                "parent/project/.eslintignore": "*.min.js\n",
+                "parent/project/packages/a/.eslintignore": "fixtures/\nsrc/out\n",
+                "parent/project/packages/b/.eslintrc.json": JSON.stringify({ root: true }),
+                "parent/project/packages/b/.eslintignore": "!keep.min.js\n"
+            }, { cwd: root });
+        });
+
+        it("should not load '.eslintignore' files in other directories than 'cwd' by default.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: path.join(root, "parent/project"), fs: memoryFs });
+
+            assert.strictEqual(isIgnored(factory, "parent/project/a.min.js"), true);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/fixtures/a.js"), false);
+        });
+
+        it("should scope the patterns to the directory of each '.eslintignore' file.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: path.join(root, "parent/project"),
+                fs: memoryFs,
+                useCascadingESLintIgnore: true
+            });
+
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/fixtures/a.js"), true);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/nested/fixtures/a.js"), true);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/src/out/a.js"), true);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/nested/src/out/a.js"), false);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/c/fixtures/a.js"), false);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/a.min.js"), true);
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/a/a.generated.js"), true);
+        });
+
+        it("should not load '.eslintignore' files beyond 'root:true'.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: path.join(root, "parent/project"),
+                fs: memoryFs,
+                useCascadingESLintIgnore: true
+            });
+            const configArray = factory.getConfigArrayForFile(path.join(root, "parent/project/packages/b/a.js"));
+
+            assert.deepStrictEqual(
+                configArray.filter(element => element.type === "ignore" && element.filePath).map(element => element.name),
+                [path.join("packages", "b", ".eslintignore"), ".eslintignore"]
+            );
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/b/a.generated.js"), false);
+        });
+
+        it("should give precedence to the '.eslintignore' file in 'cwd'.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: path.join(root, "parent/project"),
+                fs: memoryFs,
+                useCascadingESLintIgnore: true
+            });
+
+            assert.strictEqual(isIgnored(factory, "parent/project/packages/b/keep.min.js"), true);
+        });
+
+        describe("if there are '.eslintignore' files but no config files,", () => {
+            const homeDir = path.join(root, "home");
+
+            beforeEach(() => {
+                memoryFs = new MemoryFileSystem({
+                    "project/sub/.eslintignore": "*.min.js\n"
+                }, { cwd: root });
+                sinon.stub(os, "homedir").returns(homeDir);
+            });
+
+            afterEach(() => {
+                os.homedir.restore();
+            });
+
+            it("should throw ConfigurationNotFoundError.", () => {
+                const factory = new CascadingConfigArrayFactory({
+                    cwd: path.join(root, "project"),
+                    fs: memoryFs,
+                    useCascadingESLintIgnore: true
+                });
+
+                assert.throws(() => {
+                    factory.getConfigArrayForFile(path.join(root, "project/sub/a.js"));
+                }, ConfigurationNotFoundError);
+            });
+
+            it("should load the personal config.", () => {
+                memoryFs.writeFileSync("home/.eslintrc.json", JSON.stringify({ rules: { semi: "error" } }));
+
+                const factory = new CascadingConfigArrayFactory({
+                    cwd: path.join(root, "project"),
+                    fs: memoryFs,
+                    useCascadingESLintIgnore: true
+                });
+                const configArray = factory.getConfigArrayForFile(path.join(root, "project/sub/a.js"));
+
+                assert.deepStrictEqual(
+                    configArray.map(element => element.name),
+                    ["DefaultIgnorePattern", path.join("sub", ".eslintignore"), "PersonalConfig"]
+                );
+            });
+        });
+    });
+
+    describe("'stopAt' option should stop looking up config files.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-stop-at");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } }),
+                "repo/.git/HEAD": "ref: refs/heads/main",
+                "repo/package.json": JSON.stringify({ workspaces: ["packages/*"] }),
+                "repo/.eslintrc.json": JSON.stringify({ env: { node: true } }),
+                "repo/packages/a/package.json": JSON.stringify({ name: "a" }),
+                "repo/packages/a/.eslintrc.json": JSON.stringify({ env: { es6: true } }),
+                "repo/packages/b/.git": "gitdir: ../../.git/modules/b",
+                "repo/packages/b/.eslintrc.json": JSON.stringify({ env: { browser: true } })
+            }, { cwd: root });
+        });
+
+        /**
+         * Get the paths to the config files which were merged for a given file.
+         * @param {CascadingConfigArrayFactory} factory The factory.
+         * @param {string} filePath The path to the file.
+         * @returns {string[]} The paths to the config files.
+         */
+        function getConfigFilePaths(factory, filePath) {
+            return factory.getConfigArrayForFile(filePath)
+                .map(element => element.filePath)
+                .filter(Boolean)
+                .map(configFilePath => path.relative(root, configFilePath).replace(/\\/gu, "/"));
+        }
+
+        it("should load every config file without the option.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/a/index.js"), [
+                ".eslintrc.json",
+                "repo/.eslintrc.json",
+                "repo/packages/a/.eslintrc.json"
+            ]);
+        });
+
+        it("should stop at a given directory, but should load config files in the directory.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, stopAt: "repo" });
+
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/a/index.js"), [
+                "repo/.eslintrc.json",
+                "repo/packages/a/.eslintrc.json"
+            ]);
+            assert.deepStrictEqual(getConfigFilePaths(factory, "index.js"), [".eslintrc.json"]);
+        });
+
+        it("should stop at the directory where a given predicate returned true.", () => {
+            const checkedPaths = [];
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                stopAt(directoryPath) {
+                    checkedPaths.push(directoryPath);
+                    return path.basename(directoryPath) === "packages";
+                }
+            });
+
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/a/index.js"), ["repo/packages/a/.eslintrc.json"]);
+            assert.deepStrictEqual(checkedPaths, [path.join(root, "repo/packages/a"), path.join(root, "repo/packages")]);
+        });
+
+        it("should stop at the nearest directory which has '.git' with \"vcs-root\".", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, stopAt: "vcs-root" });
+
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/a/index.js"), [
+                "repo/.eslintrc.json",
+                "repo/packages/a/.eslintrc.json"
+            ]);
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/b/index.js"), ["repo/packages/b/.eslintrc.json"]);
+        });
+
+        it("should stop at the nearest directory which has 'package.json' with 'workspaces' with \"workspace-root\".", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, stopAt: "workspace-root" });
+
+            assert.deepStrictEqual(getConfigFilePaths(factory, "repo/packages/a/index.js"), [
+                "repo/.eslintrc.json",
+                "repo/packages/a/.eslintrc.json"
+            ]);
+        });
+
+        it("should stop at the same directory with 'getConfigArrayForFileAsync()'.", async () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, stopAt: "vcs-root" });
+            const config = await factory.getConfigArrayForFileAsync("repo/packages/b/index.js");
+
+            assert.deepStrictEqual(
+                config.map(element => element.filePath).filter(Boolean),
+                [path.join(root, "repo/packages/b/.eslintrc.json")]
+            );
+        });
+
+        describe("if no config files were found before the directory to stop at,", () => {
+            beforeEach(() => {
+                memoryFs.writeFileSync("home/.eslintrc.json", JSON.stringify({ rules: { semi: "error" } }));
+                memoryFs.writeFileSync("empty/.git/HEAD", "ref: refs/heads/main");
+                memoryFs.writeFileSync("empty/sub/.eslintignore", "*.min.js");
+                sinon.stub(os, "homedir").returns(path.join(root, "home"));
+            });
+
+            afterEach(() => {
+                os.homedir.restore();
+            });
+
+            it("should not load the personal config.", async () => {
+                const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, stopAt: "vcs-root" });
+                const options = { ignoreNotFoundError: true };
+
+                assert.deepStrictEqual(
+                    factory.getConfigArrayForFile("empty/index.js", options).map(element => element.name),
+                    ["DefaultIgnorePattern"]
+                );
+
+                factory.clearCache();
+
+                assert.deepStrictEqual(
+                    (await factory.getConfigArrayForFileAsync("empty/index.js", options)).map(element => element.name),
+                    ["DefaultIgnorePattern"]
+                );
+            });
+
+            it("should not load the personal config even if '.eslintignore' files were loaded.", () => {
+                const factory = new CascadingConfigArrayFactory({
+                    cwd: root,
+                    fs: memoryFs,
+                    stopAt: "vcs-root",
+                    useCascadingESLintIgnore: true
+                });
+
+                assert.deepStrictEqual(
+                    factory.getConfigArrayForFile("empty/sub/index.js", { ignoreNotFoundError: true }).map(element => element.name),
+                    ["DefaultIgnorePattern", path.join("empty", "sub", ".eslintignore")]
+                );
+            });
+        });
+
+        it("should throw if the option is invalid.", () => {
+            assert.throws(
+                () => new CascadingConfigArrayFactory({ cwd: root, stopAt: 1 }),
+                /^'stopAt' must be a path, a function, "vcs-root", or "workspace-root", but got 1\.$/u
+            );
+        });
+    });
+
+    describe("'ruleMergeStrategies' option should merge rule options across config files.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-rule-merge-strategies");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({
+                    rules: {
+                        "no-restricted-imports": ["error", { paths: ["lodash"] }],
+                        "no-restricted-globals": ["error", "event"]
+                    }
+                }),
+                "lib/.eslintrc.json": JSON.stringify({
+                    rules: {
+                        "no-restricted-imports": ["warn", { patterns: ["../*"] }],
+                        "no-restricted-globals": ["error", "name"]
+                    }
+                })
+            }, { cwd: root });
+        });
+
+        it("should replace rule options without the option.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const { rules } = factory.getConfigArrayForFile("lib/a.js").extractConfig(path.join(root, "lib/a.js"));
+
+            assert.deepStrictEqual(rules["no-restricted-imports"], ["warn", { patterns: ["../*"] }]);
+            assert.deepStrictEqual(rules["no-restricted-globals"], ["error", "name"]);
+        });
+
+        it("should merge rule options by the given strategies.", () => {
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                ruleMergeStrategies: { "no-restricted-imports": "deep-merge" }
+            });
+            const { rules } = factory.getConfigArrayForFile("lib/a.js").extractConfig(path.join(root, "lib/a.js"));
+
+            assert.deepStrictEqual(rules["no-restricted-imports"], ["warn", { paths: ["lodash"], patterns: ["../*"] }]);
+            assert.deepStrictEqual(rules["no-restricted-globals"], ["error", "name"]);
+        });
+
+        it("should prefer the strategies in config files.", () => {
+            memoryFs.writeFileSync("lib/.eslintrc.json", JSON.stringify({
+                rules: { "no-restricted-imports": ["warn", { patterns: ["../*"] }] },
+                ruleMergeStrategies: { "no-restricted-imports": "replace" }
+            }));
+
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                ruleMergeStrategies: { "no-restricted-imports": "deep-merge" }
+            });
+            const { rules } = factory.getConfigArrayForFile("lib/a.js").extractConfig(path.join(root, "lib/a.js"));
+
+            assert.deepStrictEqual(rules["no-restricted-imports"], ["warn", { patterns: ["../*"] }]);
+        });
+
+        it("should throw an error if the option had an unknown strategy.", () => {
+            assert.throws(() => new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                ruleMergeStrategies: { "no-restricted-imports": "merge" }
+            }), /ruleMergeStrategies/u);
+        });
+    });
+
+    describe("'ruleRenames' option and deprecated rules should migrate rule IDs.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-rule-renames");
+        const filePath = path.join(root, "a.js");
+
+        /** @type {Map<string, Rule>} */
+        const builtInRules = new Map([
+            ["old-location", { meta: { deprecated: true, replacedBy: ["dot-location"], schema: [{ enum: ["object", "property"] }] }, create() {} }],
+            ["dot-location", { meta: { schema: [{ enum: ["object", "property"] }] }, create() {} }],
+            ["old-directive", { meta: { deprecated: { replacedBy: [{ rule: { name: "padding" } }] }, schema: [{ enum: ["always", "never"] }] }, create() {} }],
+            ["padding", { meta: { schema: { type: "array" } }, create() {} }],
+            ["eqeqeq", { create() {} }]
+        ]);
+
+        it("should migrate the deprecated built-in rules to the replacements if 'renameDeprecatedRules' option is true.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-location": ["error", "property"] } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, builtInRules, renameDeprecatedRules: true });
+            const configArray = factory.getConfigArrayForFile(filePath);
+
+            assert.deepStrictEqual(configArray.at(-1), {
+                type: "config",
+                name: "RuleRenames",
+                filePath: "",
+                ruleRenames: { "old-location": "dot-location" },
+                renameDeprecatedRules: true,
+                severityOnlyRuleRenames: []
+            });
+            assert.deepStrictEqual(configArray.extractConfig(filePath).rules, {
+                "dot-location": ["error", "property"]
+            });
+        });
+
+        it("should not migrate the deprecated built-in rules if 'renameDeprecatedRules' option is not given.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-location": ["error", "property"] } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, builtInRules });
+            const configArray = factory.getConfigArrayForFile(filePath);
+
+            assert.isFalse(configArray.some(element => element.name === "RuleRenames"));
+            assert.deepStrictEqual(configArray.extractConfig(filePath).rules, {
+                "old-location": ["error", "property"]
+            });
+        });
+
+        it("should migrate only the severity if the replacement has a different options schema.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-directive": ["error", "always"] } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, builtInRules, renameDeprecatedRules: true });
+            const configArray = factory.getConfigArrayForFile(filePath);
+
+            assert.deepStrictEqual(configArray.at(-1).severityOnlyRuleRenames, ["old-directive"]);
+            assert.deepStrictEqual(configArray.extractConfig(filePath).rules, {
+                padding: ["error"]
+            });
+        });
+
+        it("should validate the options of severity-only renamed rules with the old rules.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-directive": ["error", "foo"] } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, builtInRules, renameDeprecatedRules: true });
+
+            assert.throws(
+                () => factory.getConfigArrayForFile(filePath),
+                /Configuration for rule "old-directive" is invalid:\n\tValue "foo" should be equal to one of the allowed values/u
+            );
+        });
+
+        it("should migrate the rules in the option, and should prefer the option.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-location": "warn", "old-eqeqeq": "error" } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                builtInRules,
+                ruleRenames: { "old-eqeqeq": "eqeqeq", "old-location": "old-location" },
+                renameDeprecatedRules: true
+            });
+
+            assert.deepStrictEqual(factory.getConfigArrayForFile(filePath).extractConfig(filePath).rules, {
+                "old-location": ["warn"],
+                eqeqeq: ["error"]
+            });
+        });
+
+        it("should migrate the deprecated plugin rules if 'renameDeprecatedRules' option is true.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ plugins: ["foo"], rules: { "foo/old": "error" } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                builtInRules,
+                additionalPluginPool: new Map([
+                    ["eslint-plugin-foo", {
+                        rules: {
+                            old: { meta: { deprecated: { replacedBy: [{ rule: { name: "new" } }] } }, create() {} },
+                            new: { create() {} }
+                        }
+                    }]
+                ]),
+                renameDeprecatedRules: true
+            });
+
+            assert.deepStrictEqual(factory.getConfigArrayForFile(filePath).extractConfig(filePath).rules, {
+                "foo/new": ["error"]
+            });
+        });
+
+        it("should not add the element if no rules were renamed.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { eqeqeq: "error" } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                builtInRules,
+                ruleRenames: { "old-eqeqeq": "eqeqeq" }
+            });
+
+            assert.isFalse(factory.getConfigArrayForFile(filePath).some(element => element.name === "RuleRenames"));
+        });
+
+        it("should validate the options of renamed rules with the new rules.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "old-location": ["error", "foo"] } })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs, builtInRules, renameDeprecatedRules: true });
+
+            assert.throws(
+                () => factory.getConfigArrayForFile(filePath),
+                /Configuration for rule "old-location" is invalid/u
+            );
+        });
+    });
+
+    describe("'explainConfig(filePath)' method should explain which config files supplied the settings.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-explain");
+
+        it("should report the config files in the cascade.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { semi: "error", eqeqeq: "error" } }),
+                "lib/.eslintrc.json": JSON.stringify({
+                    rules: { semi: "warn" },
+                    overrides: [{ files: "*.test.js", rules: { semi: "off" } }]
+                })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const { rules } = factory.explainConfig("lib/a.test.js");
+
+            assert.deepStrictEqual(rules.semi.value, ["off"]);
+            assert.deepStrictEqual(rules.semi.origin, {
+                index: 3,
+                name: "lib/.eslintrc.json#overrides[0]",
+                filePath: path.join(root, "lib/.eslintrc.json"),
+                overrideIndex: 0
+            });
+            assert.deepStrictEqual(
+                rules.semi.shadowed.map(({ value, origin }) => [value, origin.name]),
+                [["warn", "lib/.eslintrc.json"], ["error", ".eslintrc.json"]]
+            );
+            assert.deepStrictEqual(rules.eqeqeq.origin.name, ".eslintrc.json");
+        });
+
+        it("should report the index in the 'overrides' of the source file of each element.", () => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({
+                    overrides: [
+                        { files: "*.ts", rules: { semi: "warn" } },
+                        { files: "*.js", extends: "./shared.json", rules: { eqeqeq: "warn" } }
+                    ]
+                }),
+                "shared.json": JSON.stringify({
+                    rules: { quotes: "error" },
+                    overrides: [{ files: "*.js", rules: { semi: "error" } }]
+                })
+            }, { cwd: root });
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const { rules } = factory.explainConfig("a.js");
+
+            assert.deepStrictEqual(
+                [rules.quotes.origin, rules.semi.origin, rules.eqeqeq.origin].map(({ filePath, overrideIndex }) => [filePath, overrideIndex]),
+                [
+                    [path.join(root, "shared.json"), null],
+                    [path.join(root, "shared.json"), 0],
+                    [path.join(root, ".eslintrc.json"), 1]
+                ]
+            );
+        });
+    });
+
+    describe("'ConfigurationNotFoundError' should explain where config files were searched.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-not-found");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /**
+         * Get the error of `getConfigArrayForFile()`.
+         * @param {CascadingConfigArrayFactory} factory The factory.
+         * @param {string} filePath The path to the file.
+         * @returns {Error} The thrown error.
+         */
+        function getError(factory, filePath) {
+            try {
+                factory.getConfigArrayForFile(filePath);
+            } catch (error) {
+                return error;
+            }
+            return assert.fail("Expected an error.");
+        }
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                "project/package.json": JSON.stringify({ name: "project" }),
+                "project/eslint.config.js": "export default [];",
+                "project/lib/a.js": ""
+            }, { cwd: root });
+        });
+
+        it("should be an instance of 'ConfigurationNotFoundError' which has the searched directories.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: path.join(root, "project"), fs: memoryFs });
+            const error = getError(factory, path.join(root, "project/lib/a.js"));
+            const { searchedDirectories } = error.messageData;
+
+            assert.instanceOf(error, ConfigurationNotFoundError);
+            assert.strictEqual(error.messageTemplate, "no-config-found");
+            assert.strictEqual(error.messageData.directoryPath, path.join(root, "project/lib"));
+            assert.deepStrictEqual(
+                searchedDirectories.slice(0, 3).map(search => search.directoryPath),
+                [path.join(root, "project/lib"), path.join(root, "project"), root]
+            );
+            assert.deepStrictEqual(searchedDirectories[0].candidates, [
+                ".eslintrc.js",
+                ".eslintrc.cjs",
+                ".eslintrc.mjs",
+                ".eslintrc.yaml",
+                ".eslintrc.yml",
+                ".eslintrc.json",
+                ".eslintrc",
+                "package.json"
+            ]);
+        });
+
+        it("should have the skipped 'package.json' files and the found flat config files.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: path.join(root, "project"), fs: memoryFs });
+            const error = getError(factory, path.join(root, "project/lib/a.js"));
+
+            assert.deepStrictEqual(error.messageData.skippedPackageJsonFiles, [path.join(root, "project/package.json")]);
+            assert.deepStrictEqual(error.messageData.flatConfigFiles, [path.join(root, "project/eslint.config.js")]);
+            assert.match(error.message, /^No ESLint configuration found in .+\.\nSearched for \.eslintrc\.js, .+, package\.json in:\n- /u);
+            assert.include(error.message, `Skipped package.json files which don't have "eslintConfig" property:\n- ${path.join(root, "project/package.json")}`);
+            assert.include(error.message, `Found flat config files, which are not used by eslintrc config system:\n- ${path.join(root, "project/eslint.config.js")}`);
+        });
+
+        it("should stop at the same directory as the 'stopAt' option, and should not have the home directory.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: path.join(root, "project"), fs: memoryFs, stopAt: "." });
+            const error = getError(factory, path.join(root, "project/lib/a.js"));
+
+            assert.deepStrictEqual(
+                error.messageData.searchedDirectories.map(search => search.directoryPath),
+                [path.join(root, "project/lib"), path.join(root, "project")]
+            );
+        });
+    });
+
+    describe("'whyIgnored(filePath)' method should explain why a file is ignored.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-why-ignored");
+
+        /** @type {CascadingConfigArrayFactory} */
+        let factory;
+
+        beforeEach(() => {
+            const memoryFs = new MemoryFileSystem({
+                ".eslintignore": "dist/\n",
+                "lib/.eslintrc.json": JSON.stringify({ ignorePatterns: ["*.gen.js"] })
+            }, { cwd: root });
+
+            factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+        });
+
+        it("should report the default ignore pattern.", () => {
+            const { decidingPattern } = factory.whyIgnored("node_modules/a/index.js");
+
+            assert.strictEqual(decidingPattern.name, "DefaultIgnorePattern");
+        });
+
+        it("should report '.eslintignore'.", () => {
+            const { ignored, decidingPattern } = factory.whyIgnored("dist/a.js");
+
+            assert.strictEqual(ignored, true);
+            assert.strictEqual(decidingPattern.filePath, path.join(root, ".eslintignore"));
+        });
+
+        it("should report 'ignorePatterns' of config files.", () => {
+            const { decidingPattern } = factory.whyIgnored("lib/a.gen.js");
+
+            assert.strictEqual(decidingPattern.name, path.join("lib", ".eslintrc.json"));
+            assert.strictEqual(decidingPattern.basePath, path.join(root, "lib"));
+        });
+
+        it("should not throw even if no config files were found.", () => {
+            assert.deepStrictEqual(factory.whyIgnored("a.js"), { ignored: false, decidingPattern: null, negations: [] });
+        });
+    });
+
+    describe("'diffConfig(filePath, target)' method should compare configs.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-diff");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { semi: "error" } }),
+                "lib/.eslintrc.json": JSON.stringify({ env: { node: true }, rules: { semi: "off" } })
+            }, { cwd: root });
+        });
+
+        it("should compare the configs of two files.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const diff = factory.diffConfig("a.js", { filePath: "lib/a.js" });
+
+            assert.deepStrictEqual(diff.env.added, { node: true });
+            assert.deepStrictEqual(diff.rules.changed, {
+                semi: { before: ["error"], after: ["off"], severityChanged: true, optionsChanged: false }
+            });
+        });
+
+        it("should compare the configs of a file in two factories.", () => {
+            const factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+            const otherFactory = new CascadingConfigArrayFactory({
+                cwd: root,
+                fs: memoryFs,
+                cliConfig: { rules: { eqeqeq: "error" } }
+            });
+            const diff = factory.diffConfig("lib/a.js", { factory: otherFactory });
+
+            assert.deepStrictEqual(diff.rules, {
+                added: { eqeqeq: ["error"] },
+                removed: {},
+                changed: {}
+            });
+            assert.deepStrictEqual(diff.env.added, {});
+        });
+    });
+
+    describe("'invalidate(pathOrDirectory)' method should clear the cache which depends on the path.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-invalidate");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /** @type {CascadingConfigArrayFactory} */
+        let factory;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } }),
+                ".eslintignore": "dist",
+                "configs/shared.json": JSON.stringify({ rules: { eqeqeq: "error" } }),
+                "lib/.eslintrc.json": JSON.stringify({ env: { node: true } }),
+                "lib/nested/.eslintrc.json": JSON.stringify({ env: { es6: true } }),
+                "test/.eslintrc.json": JSON.stringify({ extends: "../configs/shared.json" })
+            }, { cwd: root });
+            factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+        });
+
+        it("should clear the cache of a directory and its descendants.", () => {
+            const lib = factory.getConfigArrayForFile("lib/one.js");
+            const nested = factory.getConfigArrayForFile("lib/nested/one.js");
+            const test = factory.getConfigArrayForFile("test/one.js");
+
+            factory.invalidate("lib");
+
+            assert.notStrictEqual(factory.getConfigArrayForFile("lib/one.js"), lib);
+            assert.notStrictEqual(factory.getConfigArrayForFile("lib/nested/one.js"), nested);
+            assert.strictEqual(factory.getConfigArrayForFile("test/one.js"), test);
+        });
+
+        it("should reload a changed config file.", () => {
+            const test = factory.getConfigArrayForFile("test/one.js");
+
+            memoryFs.writeFileSync("lib/.eslintrc.json", JSON.stringify({ env: { browser: true } }));
+            factory.invalidate("lib/.eslintrc.json");
+
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(config.extractConfig(path.join(root, "lib/one.js")).env, { browser: true });
+            assert.strictEqual(factory.getConfigArrayForFile("test/one.js"), test);
+        });
+
+        it("should clear the cache of the config arrays which extend a changed file.", () => {
+            const lib = factory.getConfigArrayForFile("lib/one.js");
+
+            memoryFs.writeFileSync("configs/shared.json", JSON.stringify({ rules: { eqeqeq: "warn" } }));
+            factory.invalidate("configs/shared.json");
+
+            const config = factory.getConfigArrayForFile("test/one.js");
+
+            assert.deepStrictEqual(config.extractConfig(path.join(root, "test/one.js")).rules.eqeqeq, ["warn"]);
+            assert.strictEqual(factory.getConfigArrayForFile("lib/one.js"), lib);
+        });
+
+        it("should reload the '.eslintignore' file of the CLI config.", () => {
+            factory.getConfigArrayForFile("lib/one.js");
+
+            memoryFs.writeFileSync(".eslintignore", "lib");
+            factory.invalidate(".eslintignore");
+
+            const config = factory.getConfigArrayForFile("test/one.js");
+
+            assert.strictEqual(config.extractConfig(path.join(root, "test/one.js")).ignores(path.join(root, "lib/one.js")), true);
+        });
+    });
+
+    describe("'watch(listener)' method should clear the cache when config files were changed.", () => {
+        const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory-watch");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /** @type {CascadingConfigArrayFactory} */
+        let factory;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } }),
+                "shared.json": JSON.stringify({ rules: { eqeqeq: "error" } }),
+                "lib/.eslintrc.json": JSON.stringify({ extends: "../shared.json" })
+            }, { cwd: root });
+            factory = new CascadingConfigArrayFactory({ cwd: root, fs: memoryFs });
+        });
+
+        afterEach(() => {
+            factory.unwatch();
+        });
+
+        it("should watch the config files which were loaded before and after 'watch()'.", () => {
+            const changedFiles = [];
+
+            factory.getConfigArrayForFile("one.js");
+            factory.watch(filePath => changedFiles.push(filePath));
+            factory.getConfigArrayForFile("lib/one.js");
+
+            memoryFs.writeFileSync("shared.json", JSON.stringify({ rules: { eqeqeq: "warn" } }));
+            memoryFs.writeFileSync(".eslintrc.json", "{}");
+
+            assert.deepStrictEqual(changedFiles, [path.join(root, "shared.json"), path.join(root, ".eslintrc.json")]);
+
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            assert.deepStrictEqual(config.extractConfig(path.join(root, "lib/one.js")).rules, { eqeqeq: ["warn"] });
+        });
+
+        it("should watch the files again after those were reloaded.", () => {
+            const changedFiles = [];
+
+            factory.watch(filePath => changedFiles.push(filePath));
+            factory.getConfigArrayForFile("lib/one.js");
+            memoryFs.writeFileSync("lib/.eslintrc.json", "{}");
+            factory.getConfigArrayForFile("lib/one.js");
+            memoryFs.writeFileSync("lib/.eslintrc.json", "{}");
+
+            assert.deepStrictEqual(changedFiles, [path.join(root, "lib/.eslintrc.json"), path.join(root, "lib/.eslintrc.json")]);
+        });
+
+        it("should not clear the cache after 'unwatch()'.", () => {
+            factory.watch();
+
+            const config = factory.getConfigArrayForFile("lib/one.js");
+
+            factory.unwatch();
+            memoryFs.writeFileSync("lib/.eslintrc.json", "{}");
+
+            assert.strictEqual(factory.getConfigArrayForFile("lib/one.js"), config);
+        });
+
+        it("should not watch files if the 'fs' option doesn't have 'watch()'.", () => {
+            const watch = sinon.spy(fs, "watch");
+
+            try {
+                memoryFs.watch = void 0;
+                factory.watch();
+
+                const config = factory.getConfigArrayForFile("lib/one.js");
+
+                memoryFs.writeFileSync("lib/.eslintrc.json", "{}");
+
+                assert.strictEqual(factory.getConfigArrayForFile("lib/one.js"), config);
+                assert.strictEqual(watch.callCount, 0);
+            } finally {
+                watch.restore();
+            }
+        });
+
+        describe("with 'node:fs'", () => {
+            const { prepare, cleanup, getPath } = createCustomTeardown({
+                cwd: path.join(root, "node-fs"),
+                files: {
+                    ".eslintrc.json": JSON.stringify({ rules: { "no-undef": "error" } })
+                }
+            });
+
+            /** @type {CascadingConfigArrayFactory} */
+            let realFsFactory;
+
+            /** @type {sinon.SinonSpy} */
+            let watch;
+
+            beforeEach(async () => {
+                await prepare();
+                realFsFactory = new CascadingConfigArrayFactory({ cwd: getPath() });
+                watch = sinon.spy(fs, "watch");
+            });
+
+            afterEach(async () => {
+                watch.restore();
+                realFsFactory.unwatch();
+                await cleanup();
+            });
+
+            it("should drop the watcher and clear the cache when the watcher emitted an error.", () => {
+                const changedFiles = [];
+
+                realFsFactory.watch(filePath => changedFiles.push(filePath));
+
+                const config = realFsFactory.getConfigArrayForFile("one.js");
+
+                assert.strictEqual(watch.callCount, 1);
+
+                const watcher = watch.returnValues[0];
+                const close = sinon.spy(watcher, "close");
+
+                watcher.emit("error", Object.assign(new Error("EPERM: operation not permitted, watch"), { code: "EPERM" }));
+
+                assert.strictEqual(close.callCount, 1);
+                assert.deepStrictEqual(changedFiles, [path.join(getPath(), ".eslintrc.json")]);
+                assert.notStrictEqual(realFsFactory.getConfigArrayForFile("one.js"), config);
+                assert.strictEqual(watch.callCount, 2, "should watch the file again after reloading.");
+            });
+        });
+    });
+
     describe("'clearCache()' method should clear cache.", () => {
         describe("with a '.eslintrc.js' file", () => {
             const root = path.join(systemTempDir, "eslint/cli-engine/cascading-config-array-factory");
@@ -38,7 +38,9 @@ describe("eslintrc CommonJS", () => {
             "IgnorePattern",
             "OverrideTester",
             "getUsedExtractedConfigs",
-            "ConfigValidator"
+            "ConfigValidator",
+            "MemoryFileSystem",
+            "ConfigurationNotFoundError"
         ].forEach(prop => {
             assert.strictEqual(typeof eslintrc.Legacy[prop], "function");
         });
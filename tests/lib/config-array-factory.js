@@ -27,6 +27,7 @@ const { spy } = sinon;
 const {
     ConfigArray,
     ConfigArrayFactory,
+    MemoryFileSystem,
     OverrideTester,
     createConfigArrayFactoryContext: createContext
 } = Legacy;
@@ -77,6 +78,7 @@ function assertConfigArrayElement(actual, providedExpected) {
         reportUnusedDisableDirectives: void 0,
         root: void 0,
         rules: void 0,
+        ruleMergeStrategies: void 0,
         settings: void 0,
         type: "config",
         ...providedExpected
@@ -154,6 +156,20 @@ describe("ConfigArrayFactory", () => {
             }, /Unexpected top-level property "files"/u);
         });
 
+        it("should adopt 'ruleMergeStrategies' as is.", () => {
+            const configArray = factory.create({
+                ruleMergeStrategies: { "no-restricted-imports": "concat" }
+            });
+
+            assert.deepStrictEqual(configArray[0].ruleMergeStrategies, { "no-restricted-imports": "concat" });
+        });
+
+        it("should throw an error if 'ruleMergeStrategies' had an unknown strategy.", () => {
+            assert.throws(() => {
+                factory.create({ ruleMergeStrategies: { semi: "merge" } });
+            }, /ruleMergeStrategies/u);
+        });
+
         it("should call '_normalizeConfigData(configData, ctx)' with given arguments.", () => {
             const configData = {};
             const basePath = tempDir;
@@ -161,224 +177,1437 @@ describe("ConfigArrayFactory", () => {
             const name = "example";
             const normalizeConfigData = spy(factory, "_normalizeConfigData");
 
-            factory.create(configData, { basePath, filePath, name });
+            factory.create(configData, { basePath, filePath, name });
+
+            assert.strictEqual(normalizeConfigData.callCount, 1);
+            assert.deepStrictEqual(normalizeConfigData.args[0], [
+                configData,
+                createContext({ cwd: tempDir }, void 0, name, filePath, basePath)
+            ]);
+        });
+
+        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
+            const elements = [{}, {}];
+
+            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+
+            const configArray = factory.create({});
+
+            assert.strictEqual(configArray.length, 2);
+            assert.strictEqual(configArray[0], elements[0]);
+            assert.strictEqual(configArray[1], elements[1]);
+        });
+    });
+
+    describe("'loadFile(filePath, options)' method should load a config file.", () => {
+        const basicFiles = {
+            "js/.eslintrc.js": "exports.settings = { name: 'js/.eslintrc.js' }",
+            "cjs/.eslintrc.cjs": "exports.settings = { name: 'cjs/.eslintrc.cjs' }",
+            "json/.eslintrc.json": "{ \"settings\": { \"name\": \"json/.eslintrc.json\" } }",
+            "legacy-json/.eslintrc": "{ \"settings\": { \"name\": \"legacy-json/.eslintrc\" } }",
+            "legacy-yml/.eslintrc": "settings:\n  name: legacy-yml/.eslintrc",
+            "package-json/package.json": "{ \"eslintConfig\": { \"settings\": { \"name\": \"package-json/package.json\" } } }",
+            "yml/.eslintrc.yml": "settings:\n  name: yml/.eslintrc.yml",
+            "yaml/.eslintrc.yaml": "settings:\n  name: yaml/.eslintrc.yaml"
+        };
+
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                ...basicFiles,
+                "invalid-property.json": "{ \"files\": \"*.js\" }",
+                "package-json-no-config/package.json": "{ \"name\": \"foo\" }"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        it("should throw an error if 'filePath' is null.", () => {
+            assert.throws(() => factory.loadFile(null));
+        });
+
+        it("should throw an error if 'filePath' doesn't exist.", () => {
+            assert.throws(() => {
+                factory.loadFile("non-exist");
+            }, /Cannot read config file:.*non-exist/su);
+        });
+
+        it("should throw an error if 'filePath' was 'package.json' and it doesn't have 'eslintConfig' field.", () => {
+            assert.throws(() => {
+                factory.loadFile("package-json-no-config/package.json");
+            }, /Cannot read config file:.*package.json/su);
+        });
+
+        it("should throw an error if the config data had invalid properties,", () => {
+            assert.throws(() => {
+                factory.loadFile("invalid-property.json");
+            }, /Unexpected top-level property "files"/u);
+        });
+
+        for (const filePath of Object.keys(basicFiles)) {
+            it(`should load '${filePath}' then return a config array what contains that file content.`, () => { // eslint-disable-line no-loop-func -- needed for test
+                const configArray = factory.loadFile(filePath);
+
+                assert.strictEqual(configArray.length, 1);
+                assertConfigArrayElement(configArray[0], {
+                    filePath: path.resolve(tempDir, filePath),
+                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
+                    settings: { name: filePath }
+                });
+            });
+        }
+
+        it("should call '_normalizeConfigData(configData, ctx)' with the loaded config data and given options.", () => {
+            const basePath = tempDir;
+            const filePath = "js/.eslintrc.js";
+            const name = "example";
+            const normalizeConfigData = spy(factory, "_normalizeConfigData");
+
+            factory.loadFile(filePath, { basePath, name });
+
+            assert.strictEqual(normalizeConfigData.callCount, 1);
+            assert.deepStrictEqual(normalizeConfigData.args[0], [
+                { settings: { name: filePath } },
+                {
+                    ...createContext({ cwd: tempDir }, void 0, name, filePath, basePath),
+                    extendChain: [path.resolve(tempDir, filePath)]
+                }
+            ]);
+        });
+
+        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
+            const elements = [{}, {}];
+
+            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+
+            const configArray = factory.loadFile("js/.eslintrc.js");
+
+            assert.strictEqual(configArray.length, 2);
+            assert.strictEqual(configArray[0], elements[0]);
+            assert.strictEqual(configArray[1], elements[1]);
+        });
+    });
+
+    describe("'loadInDirectory(directoryPath, options)' method should load the config file of a directory.", () => {
+        const basicFiles = {
+            "js/.eslintrc.js": "exports.settings = { name: 'js/.eslintrc.js' }",
+            "cjs/.eslintrc.cjs": "exports.settings = { name: 'cjs/.eslintrc.cjs' }",
+            "json/.eslintrc.json": "{ \"settings\": { \"name\": \"json/.eslintrc.json\" } }",
+            "legacy-json/.eslintrc": "{ \"settings\": { \"name\": \"legacy-json/.eslintrc\" } }",
+            "legacy-yml/.eslintrc": "settings:\n  name: legacy-yml/.eslintrc",
+            "package-json/package.json": "{ \"eslintConfig\": { \"settings\": { \"name\": \"package-json/package.json\" } } }",
+            "yml/.eslintrc.yml": "settings:\n  name: yml/.eslintrc.yml",
+            "yaml/.eslintrc.yaml": "settings:\n  name: yaml/.eslintrc.yaml"
+        };
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                ...basicFiles,
+                "invalid-property/.eslintrc.json": "{ \"files\": \"*.js\" }",
+                "mjs/.eslintrc.mjs": "export default { settings: { name: 'mjs/.eslintrc.mjs' } }",
+                "mjs-and-json/.eslintrc.mjs": "export default { settings: { name: 'mjs-and-json/.eslintrc.mjs' } }",
+                "mjs-and-json/.eslintrc.json": "{ \"settings\": { \"name\": \"mjs-and-json/.eslintrc.json\" } }",
+                "package-json-no-config/package.json": "{ \"name\": \"foo\" }",
+                "package-json-dir/package.json/something": "{}"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        it("should throw an error if 'directoryPath' is null.", () => {
+            assert.throws(() => factory.loadInDirectory(null));
+        });
+
+        it("should return an empty config array if the config file of 'directoryPath' doesn't exist.", () => {
+            assert.strictEqual(factory.loadInDirectory("non-exist").length, 0);
+        });
+
+        it("should return an empty config array if the config file of 'directoryPath' was package.json and it didn't have 'eslintConfig' field.", () => {
+            assert.strictEqual(factory.loadInDirectory("package-json-no-config").length, 0);
+        });
+
+        it("should throw an error if the config data had invalid properties,", () => {
+            assert.throws(() => {
+                factory.loadInDirectory("invalid-property");
+            }, /Unexpected top-level property "files"/u);
+        });
+
+        it("should ignore directories that have the same name as a config file,", () => {
+            const configArray = factory.loadInDirectory("package-json-dir");
+
+            assert.strictEqual(configArray.length, 0);
+        });
+
+        it("should skip '.eslintrc.mjs' because it can only be loaded asynchronously.", () => {
+            assert.strictEqual(factory.loadInDirectory("mjs").length, 0);
+            assert.deepStrictEqual(factory.loadInDirectory("mjs-and-json")[0].settings, { name: "mjs-and-json/.eslintrc.json" });
+        });
+
+        for (const filePath of Object.keys(basicFiles)) {
+            const directoryPath = filePath.split("/")[0];
+
+            it(`should load '${directoryPath}' then return a config array what contains the config file of that directory.`, () => { // eslint-disable-line no-loop-func -- needed for test
+                const configArray = factory.loadInDirectory(directoryPath);
+
+                assert.strictEqual(configArray.length, 1);
+                assertConfigArrayElement(configArray[0], {
+                    filePath: path.resolve(tempDir, filePath),
+                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
+                    settings: { name: filePath }
+                });
+            });
+        }
+
+        it("should call '_normalizeConfigData(configData, ctx)' with the loaded config data and given options.", () => {
+            const basePath = tempDir;
+            const directoryPath = "js";
+            const name = "example";
+            const normalizeConfigData = spy(factory, "_normalizeConfigData");
+
+            factory.loadInDirectory(directoryPath, { basePath, name });
+
+            assert.strictEqual(normalizeConfigData.callCount, 1);
+            assert.deepStrictEqual(normalizeConfigData.args[0], [
+                { settings: { name: `${directoryPath}/.eslintrc.js` } },
+                {
+                    ...createContext({ cwd: tempDir }, void 0, name, path.join(directoryPath, ".eslintrc.js"), basePath),
+                    extendChain: [path.resolve(tempDir, directoryPath, ".eslintrc.js")]
+                }
+            ]);
+        });
+
+        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
+            const elements = [{}, {}];
+
+            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+
+            const configArray = factory.loadInDirectory("js");
+
+            assert.strictEqual(configArray.length, 2);
+            assert.strictEqual(configArray[0], elements[0]);
+            assert.strictEqual(configArray[1], elements[1]);
+        });
+    });
+
+    describe("'loadFileAsync(filePath, options)' method should load a config file.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "cjs/.eslintrc.cjs": "exports.settings = { name: 'cjs/.eslintrc.cjs' }",
+                "json/.eslintrc.json": "{ \"settings\": { \"name\": \"json/.eslintrc.json\" } }",
+                "mjs/.eslintrc.mjs": "export default { settings: { name: 'mjs/.eslintrc.mjs' } }",
+                "module/package.json": "{ \"type\": \"module\" }",
+                "module/.eslintrc.js": "export default { settings: { name: 'module/.eslintrc.js' } }",
+                "module/sub/.eslintrc.js": "export default { settings: { name: 'module/sub/.eslintrc.js' } }",
+                "extends-mjs/.eslintrc.json": "{ \"extends\": \"../mjs/.eslintrc.mjs\", \"rules\": { \"eqeqeq\": \"error\" } }",
+                "override-extends-mjs/.eslintrc.json": "{ \"overrides\": [{ \"files\": \"*.js\", \"extends\": \"../mjs/.eslintrc.mjs\" }] }",
+                "extends-missing/.eslintrc.mjs": "export default { extends: './missing.mjs' }",
+                "syntax-error/.eslintrc.mjs": "export default {"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        for (const filePath of [
+            "cjs/.eslintrc.cjs",
+            "json/.eslintrc.json",
+            "mjs/.eslintrc.mjs",
+            "module/.eslintrc.js",
+            "module/sub/.eslintrc.js"
+        ]) {
+            it(`should load '${filePath}' then return a config array what contains that file content.`, async () => { // eslint-disable-line no-loop-func -- needed for test
+                const configArray = await factory.loadFileAsync(filePath);
+
+                assert.strictEqual(configArray.length, 1);
+                assertConfigArrayElement(configArray[0], {
+                    filePath: path.resolve(tempDir, filePath),
+                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
+                    settings: { name: filePath }
+                });
+            });
+        }
+
+        it("should throw an error from 'loadFile()' if the file is an ES module.", () => {
+            assert.throws(() => {
+                factory.loadFile("mjs/.eslintrc.mjs");
+            }, /Cannot read config file:.*\.eslintrc\.mjs\nError: ES module config files can only be loaded asynchronously\./su);
+            assert.throws(() => {
+                factory.loadFile("module/.eslintrc.js");
+            }, /ES module config files can only be loaded asynchronously\./u);
+        });
+
+        it("should load ES modules in 'extends'.", async () => {
+            const configArray = await factory.loadFileAsync("extends-mjs/.eslintrc.json");
+
+            assert.strictEqual(configArray.length, 2);
+            assert.strictEqual(configArray[0].name, "extends-mjs/.eslintrc.json » ../mjs/.eslintrc.mjs");
+            assert.deepStrictEqual(configArray[0].settings, { name: "mjs/.eslintrc.mjs" });
+            assert.deepStrictEqual(configArray[1].rules, { eqeqeq: "error" });
+        });
+
+        it("should load ES modules in 'overrides[].extends'.", async () => {
+            const configArray = await factory.loadFileAsync("override-extends-mjs/.eslintrc.json");
+
+            assert.strictEqual(configArray.length, 3);
+            assert.deepStrictEqual(configArray[1].settings, { name: "mjs/.eslintrc.mjs" });
+            assert(configArray[1].criteria);
+        });
+
+        it("should reject with the same error as 'loadFile()' if an extended config is missing.", async () => {
+            let error;
+
+            try {
+                await factory.loadFileAsync("extends-missing/.eslintrc.mjs");
+            } catch (e) {
+                error = e;
+            }
+
+            assert.strictEqual(error.messageTemplate, "extend-config-missing");
+            assert.match(error.message, /Referenced from:.*\.eslintrc\.mjs/su);
+        });
+
+        it("should reject if the ES module has a syntax error.", async () => {
+            let error;
+
+            try {
+                await factory.loadFileAsync("syntax-error/.eslintrc.mjs");
+            } catch (e) {
+                error = e;
+            }
+
+            assert.instanceOf(error, SyntaxError);
+            assert.match(error.message, /Cannot read config file:.*\.eslintrc\.mjs/su);
+        });
+
+        it("should reload an ES module after it was changed.", async () => {
+            const filePath = path.join(getPath(), "mjs/.eslintrc.mjs");
+
+            assert.deepStrictEqual(
+                (await factory.loadFileAsync(filePath))[0].settings,
+                { name: "mjs/.eslintrc.mjs" }
+            );
+
+            fs.writeFileSync(filePath, "export default { settings: { name: 'updated' } }");
+            fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+
+            assert.deepStrictEqual(
+                (await factory.loadFileAsync(filePath))[0].settings,
+                { name: "updated" }
+            );
+        });
+    });
+
+    describe("'loadInDirectoryAsync(directoryPath, options)' method should load the config file of a directory.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "js/.eslintrc.js": "exports.settings = { name: 'js/.eslintrc.js' }",
+                "mjs/.eslintrc.mjs": "export default { settings: { name: 'mjs/.eslintrc.mjs' } }",
+                "module/package.json": "{ \"type\": \"module\" }",
+                "module/.eslintrc.js": "export default { settings: { name: 'module/.eslintrc.js' } }",
+                "package-json-no-config/package.json": "{ \"name\": \"foo\" }",
+                "priority/.eslintrc.mjs": "export default { settings: { name: 'priority/.eslintrc.mjs' } }",
+                "priority/.eslintrc.json": "{ \"settings\": { \"name\": \"priority/.eslintrc.json\" } }"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        it("should return an empty config array if the config file of 'directoryPath' doesn't exist.", async () => {
+            assert.strictEqual((await factory.loadInDirectoryAsync("non-exist")).length, 0);
+        });
+
+        it("should return an empty config array if the config file of 'directoryPath' was package.json and it didn't have 'eslintConfig' field.", async () => {
+            assert.strictEqual((await factory.loadInDirectoryAsync("package-json-no-config")).length, 0);
+        });
+
+        for (const filePath of [
+            "js/.eslintrc.js",
+            "mjs/.eslintrc.mjs",
+            "module/.eslintrc.js",
+            "priority/.eslintrc.mjs"
+        ]) {
+            const directoryPath = filePath.split("/")[0];
+
+            it(`should load '${directoryPath}' then return a config array what contains the config file of that directory.`, async () => { // eslint-disable-line no-loop-func -- needed for test
+                const configArray = await factory.loadInDirectoryAsync(directoryPath);
+
+                assert.strictEqual(configArray.length, 1);
+                assertConfigArrayElement(configArray[0], {
+                    filePath: path.resolve(tempDir, filePath),
+                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
+                    settings: { name: filePath }
+                });
+            });
+        }
+    });
+
+    describe("async methods should load config files without blocking.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "chain/.eslintrc.json": "{ \"extends\": [\"./base.yml\", \"./other.json\"], \"rules\": { \"semi\": 2 } }",
+                "chain/base.yml": "extends: ./base-of-base.eslintrc\nenv:\n    node: true\n",
+                "chain/base-of-base.eslintrc": "globals:\n    foo: readonly\n",
+                "chain/other.json": "{ \"settings\": { \"name\": \"other\" } }",
+                "branches/.eslintrc.json": "{ \"extends\": [\"./a.custom\", \"./b.custom\"], \"overrides\": [{ \"files\": \"*.ts\", \"extends\": \"./c.custom\" }] }",
+                "branches/a.custom": "",
+                "branches/b.custom": "",
+                "branches/c.custom": ""
+            }
+        });
+
+        beforeEach(prepare);
+        afterEach(() => {
+            sinon.restore();
+            return cleanup();
+        });
+
+        it("should not use synchronous file system APIs for JSON and YAML config files.", async () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath() });
+            const syncAPIs = [
+                spy(fs, "existsSync"),
+                spy(fs, "readFileSync"),
+                spy(fs, "statSync")
+            ];
+            const configArray = await factory.loadInDirectoryAsync("chain");
+
+            // Lazy-loaded modules such as `js-yaml` are read synchronously by `require()`.
+            for (const syncAPI of syncAPIs) {
+                const calls = syncAPI.getCalls().filter(call => String(call.args[0]).startsWith(getPath()));
+
+                assert.strictEqual(calls.length, 0, syncAPI.displayName);
+            }
+            sinon.restore();
+
+            assert.deepStrictEqual(
+                configArray.map(({ name }) => name),
+                factory.loadInDirectory("chain").map(({ name }) => name)
+            );
+            assert.deepStrictEqual(
+                configArray.extractConfig(path.join(getPath(), "chain/a.js")).toCompatibleObjectAsConfigFileContent(),
+                factory.loadInDirectory("chain").extractConfig(path.join(getPath(), "chain/a.js")).toCompatibleObjectAsConfigFileContent()
+            );
+        });
+
+        it("should load independent 'extends' branches concurrently.", async () => {
+            let active = 0;
+            let maxActive = 0;
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{
+                    extension: ".custom",
+                    async load(filePath) {
+                        active += 1;
+                        maxActive = Math.max(maxActive, active);
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                        active -= 1;
+                        return { settings: { [path.basename(filePath)]: true } };
+                    }
+                }]
+            });
+            const configArray = await factory.loadInDirectoryAsync("branches");
+
+            assert.strictEqual(maxActive, 3);
+            assert.deepStrictEqual(
+                configArray.map(({ name }) => name),
+                [
+                    "branches/.eslintrc.json » ./a.custom",
+                    "branches/.eslintrc.json » ./b.custom",
+                    "branches/.eslintrc.json",
+                    "branches/.eslintrc.json#overrides[0] » ./c.custom",
+                    "branches/.eslintrc.json#overrides[0]"
+                ].map(path.normalize)
+            );
+        });
+    });
+
+    describe("TypeScript config files should be loaded with the 'transpile' option.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "ts/.eslintrc.ts": "const name: string = 'ts/.eslintrc.ts';\nexport default { settings: { name } };",
+                "ts/.eslintrc.json": "{ \"settings\": { \"name\": \"ts/.eslintrc.json\" } }",
+                "cts/.eslintrc.cts": "module.exports = { settings: { name: 'cts/.eslintrc.cts' } };",
+                "require/.eslintrc.ts": "export default { settings: { name: require('./name.cjs') } };",
+                "require/name.cjs": "module.exports = 'require/name.cjs';",
+                "throw/.eslintrc.ts": "throw new Error('Boom!');"
+            }
+        });
+
+        /**
+         * A tiny transpiler which handles the fixtures.
+         * @param {string} filePath The path to the file.
+         * @param {string} source The source code of the file.
+         * @returns {string} The transpiled code.
+         */
+        function transpile(filePath, source) {
+            return source
+                .replace(/: string/gu, "")
+                .replace(/^export default /mu, "Object.defineProperty(exports, '__esModule', { value: true });\nexports.default = ");
+        }
+
+        beforeEach(prepare);
+        afterEach(cleanup);
+
+        it("should not find '.eslintrc.ts' if the 'transpile' option was not given.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath() });
+            const configArray = factory.loadInDirectory("ts");
+
+            assert.strictEqual(configArray.length, 1);
+            assert.strictEqual(configArray[0].filePath, path.join(getPath(), "ts/.eslintrc.json"));
+            assert.strictEqual(ConfigArrayFactory.getPathToConfigFileInDirectory(path.join(getPath(), "ts")), path.join(getPath(), "ts/.eslintrc.json"));
+        });
+
+        it("should find '.eslintrc.ts' prior to '.eslintrc.json' if the 'transpile' option was given.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), transpile });
+            const configArray = factory.loadInDirectory("ts");
+
+            assert.strictEqual(configArray.length, 1);
+            assertConfigArrayElement(configArray[0], {
+                filePath: path.join(getPath(), "ts/.eslintrc.ts"),
+                name: path.normalize("ts/.eslintrc.ts"),
+                settings: { name: "ts/.eslintrc.ts" }
+            });
+            assert.strictEqual(ConfigArrayFactory.getPathToConfigFileInDirectory(path.join(getPath(), "ts"), { transpile }), path.join(getPath(), "ts/.eslintrc.ts"));
+        });
+
+        it("should find '.eslintrc.cts' if the 'transpile' option was given.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), transpile });
+            const configArray = factory.loadInDirectory("cts");
+
+            assert.strictEqual(configArray.length, 1);
+            assert.deepStrictEqual(configArray[0].settings, { name: "cts/.eslintrc.cts" });
+        });
+
+        it("should call the 'transpile' option with the file path and the source code.", () => {
+            const transpileSpy = spy(transpile);
+            const factory = new ConfigArrayFactory({ cwd: getPath(), transpile: transpileSpy });
+
+            factory.loadFile("ts/.eslintrc.ts");
+
+            assert.strictEqual(transpileSpy.callCount, 1);
+            assert.deepStrictEqual(transpileSpy.firstCall.args, [
+                path.join(getPath(), "ts/.eslintrc.ts"),
+                "const name: string = 'ts/.eslintrc.ts';\nexport default { settings: { name } };"
+            ]);
+        });
+
+        it("should resolve 'require()' in transpiled code relative to the config file.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), transpile });
+            const configArray = factory.loadFile("require/.eslintrc.ts");
+
+            assert.deepStrictEqual(configArray[0].settings, { name: "require/name.cjs" });
+        });
+
+        it("should throw an error if the 'transpile' option was not given.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath() });
+
+            assert.throws(() => {
+                factory.loadFile("ts/.eslintrc.ts");
+            }, /Cannot read config file:.*\.eslintrc\.ts\nError: TypeScript config files require the 'transpile' option\./su);
+        });
+
+        it("should throw an error which points at the config file if the transpiled code threw.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), transpile });
+
+            assert.throws(() => {
+                factory.loadFile("throw/.eslintrc.ts");
+            }, /Cannot read config file:.*throw.*\.eslintrc\.ts\nError: Boom!/su);
+        });
+
+        it("should throw an error on the sync methods if the 'transpile' option returned a promise.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                transpile: async (...args) => transpile(...args)
+            });
+
+            assert.throws(() => {
+                factory.loadInDirectory("ts");
+            }, /Cannot read config file:.*\.eslintrc\.ts\nError: The 'transpile' option returned a promise\./su);
+        });
+
+        it("should not cause an unhandled rejection on the sync methods if the promise of the 'transpile' option was rejected.", async () => {
+            const onUnhandledRejection = sinon.spy();
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                async transpile() {
+                    throw new Error("Boom!");
+                }
+            });
+
+            process.on("unhandledRejection", onUnhandledRejection);
+            try {
+                assert.throws(() => {
+                    factory.loadInDirectory("ts");
+                }, /The 'transpile' option returned a promise\./u);
+                await new Promise(resolve => setImmediate(resolve));
+
+                assert.strictEqual(onUnhandledRejection.callCount, 0);
+            } finally {
+                process.off("unhandledRejection", onUnhandledRejection);
+            }
+        });
+
+        [
+            ["the sync methods", factory => factory.loadInDirectory("ts"), () => void 0, "undefined"],
+            ["the async methods", factory => factory.loadInDirectoryAsync("ts"), async () => ({}), "object"]
+        ].forEach(([methods, load, transpileToNonString, type]) => {
+            it(`should throw an error on ${methods} if the 'transpile' option returned neither a string nor a promise of a string.`, async () => {
+                const factory = new ConfigArrayFactory({ cwd: getPath(), transpile: transpileToNonString });
+                let error;
+
+                try {
+                    await load(factory);
+                } catch (e) {
+                    error = e;
+                }
+
+                assert.match(error.message, new RegExp(`Error: The 'transpile' option must return a string or a promise of a string, but got ${type}\\.$`, "u"));
+            });
+        });
+
+        it("should load the config file on the async methods if the 'transpile' option returned a promise.", async () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                transpile: async (...args) => transpile(...args)
+            });
+            const configArray = await factory.loadInDirectoryAsync("ts");
+
+            assert.strictEqual(configArray.length, 1);
+            assert.deepStrictEqual(configArray[0].settings, { name: "ts/.eslintrc.ts" });
+            assert.deepStrictEqual(
+                (await factory.loadFileAsync("cts/.eslintrc.cts"))[0].settings,
+                { name: "cts/.eslintrc.cts" }
+            );
+        });
+    });
+
+    describe("'loaders' option should add custom config file formats.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "toml/.eslintrc.toml": "name = toml/.eslintrc.toml",
+                "toml/.eslintrc": "{ \"settings\": { \"name\": \"toml/.eslintrc\" } }",
+                "toml-and-json/.eslintrc.toml": "name = toml-and-json/.eslintrc.toml",
+                "toml-and-json/.eslintrc.json": "{ \"settings\": { \"name\": \"toml-and-json/.eslintrc.json\" } }",
+                "filename/eslint.toml": "name = filename/eslint.toml",
+                "filename/other.toml": "name = filename/other.toml",
+                "override/.eslintrc.json": "name = override/.eslintrc.json",
+                "legacy/.eslintrc": "{ \"settings\": { \"name\": \"legacy/.eslintrc\" } }",
+                "invalid/.eslintrc.toml": "name = invalid/.eslintrc.toml"
+            }
+        });
+
+        /**
+         * A tiny loader which reads `name = value` files.
+         * @param {string} filePath The path to the file.
+         * @returns {ConfigData} The loaded config data.
+         */
+        function loadToml(filePath) {
+            const [, name] = /^name = (.+)$/u.exec(fs.readFileSync(filePath, "utf8"));
+
+            return { settings: { name, loader: "toml" } };
+        }
+
+        beforeEach(prepare);
+        afterEach(cleanup);
+
+        it("should find '.eslintrc' + 'extension' after the built-in '.eslintrc.*' files.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{ extension: ".toml", load: loadToml }]
+            });
+
+            assert.deepStrictEqual(factory.loadInDirectory("toml")[0].settings, { name: "toml/.eslintrc.toml", loader: "toml" });
+            assert.deepStrictEqual(factory.loadInDirectory("toml-and-json")[0].settings, { name: "toml-and-json/.eslintrc.json" });
+            assert.deepStrictEqual(factory.loadInDirectory("legacy")[0].settings, { name: "legacy/.eslintrc" });
+        });
+
+        it("should find 'filename' in directories.", () => {
+            const loaders = [{ filename: "eslint.toml", load: loadToml }];
+            const factory = new ConfigArrayFactory({ cwd: getPath(), loaders });
+
+            assert.deepStrictEqual(factory.loadInDirectory("filename")[0].settings, { name: "filename/eslint.toml", loader: "toml" });
+            assert.strictEqual(
+                ConfigArrayFactory.getPathToConfigFileInDirectory(path.join(getPath(), "filename"), { loaders }),
+                path.join(getPath(), "filename/eslint.toml")
+            );
+            assert.strictEqual(
+                ConfigArrayFactory.getPathToConfigFileInDirectory(path.join(getPath(), "filename")),
+                null
+            );
+        });
+
+        it("should use custom loaders in 'loadFile()'.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{ extension: ".toml", load: loadToml }]
+            });
+            const configArray = factory.loadFile("filename/other.toml");
+
+            assert.strictEqual(configArray.length, 1);
+            assertConfigArrayElement(configArray[0], {
+                filePath: path.join(getPath(), "filename/other.toml"),
+                name: path.normalize("filename/other.toml"),
+                settings: { name: "filename/other.toml", loader: "toml" }
+            });
+        });
+
+        it("should prefer the loader which has 'filename' over the loader which has 'extension' and the built-in loaders.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [
+                    { extension: ".json", load: () => ({ settings: { loader: "extension" } }) },
+                    { filename: ".eslintrc.json", load: loadToml }
+                ]
+            });
+
+            assert.deepStrictEqual(factory.loadInDirectory("override")[0].settings, { name: "override/.eslintrc.json", loader: "toml" });
+        });
+
+        it("should throw an error which points at the config file if a loader threw.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{
+                    extension: ".toml",
+                    load() {
+                        throw new Error("Boom!");
+                    }
+                }]
+            });
+
+            assert.throws(() => {
+                factory.loadInDirectory("invalid");
+            }, /Cannot read config file:.*invalid.*\.eslintrc\.toml\nError: Boom!/su);
+        });
+
+        it("should throw an error on the sync methods if a loader returned a promise.", () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{ extension: ".toml", load: async filePath => loadToml(filePath) }]
+            });
+
+            assert.throws(() => {
+                factory.loadInDirectory("toml");
+            }, /Cannot read config file:.*\.eslintrc\.toml\nError: The loader returned a promise\./su);
+        });
+
+        it("should not cause an unhandled rejection on the sync methods if the promise of a loader was rejected.", async () => {
+            const onUnhandledRejection = sinon.spy();
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{
+                    extension: ".toml",
+                    async load() {
+                        throw new Error("Boom!");
+                    }
+                }]
+            });
+
+            process.on("unhandledRejection", onUnhandledRejection);
+            try {
+                assert.throws(() => {
+                    factory.loadInDirectory("toml");
+                }, /The loader returned a promise\./u);
+                await new Promise(resolve => setImmediate(resolve));
+
+                assert.strictEqual(onUnhandledRejection.callCount, 0);
+            } finally {
+                process.off("unhandledRejection", onUnhandledRejection);
+            }
+        });
+
+        it("should load the config file on the async methods if a loader returned a promise.", async () => {
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                loaders: [{ extension: ".toml", load: async filePath => loadToml(filePath) }]
+            });
+
+            assert.deepStrictEqual((await factory.loadInDirectoryAsync("toml"))[0].settings, { name: "toml/.eslintrc.toml", loader: "toml" });
+            assert.deepStrictEqual((await factory.loadFileAsync("filename/other.toml"))[0].settings, { name: "filename/other.toml", loader: "toml" });
+        });
+
+        for (const [loaders, message] of [
+            [{}, /'loaders' must be an array\./u],
+            [[{ load: loadToml }], /'loaders\[0\]' must have either 'filename' or 'extension'\./u],
+            [[{ filename: "a.toml", extension: ".toml", load: loadToml }], /'loaders\[0\]' must have either 'filename' or 'extension'\./u],
+            [[{ extension: "toml", load: loadToml }], /'loaders\[0\]\.extension' must start with a dot, but got 'toml'\./u],
+            [[{ filename: ".eslintrc.toml", extension: 5, load: loadToml }], /'loaders\[0\]\.extension' must be a string\./u],
+            [[{ extension: ".tar.gz", load: loadToml }], /'loaders\[0\]\.extension' must have only one dot, but got '\.tar\.gz'\. Use 'filename' for such config files\./u],
+            [[{ extension: ".toml" }], /'loaders\[0\]\.load' must be a function\./u]
+        ]) {
+            it(`should throw an error if the 'loaders' option was ${JSON.stringify(loaders)}.`, () => {
+                assert.throws(() => new ConfigArrayFactory({ loaders }), TypeError, message);
+            });
+        }
+    });
+
+    describe("errors about config files should have the locations in the files.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "syntax/.eslintrc.json": "{\n    // comment\n    \"env\": { \"node\": true },\n}",
+                "syntax/.eslintrc.yml": "env:\n    node: [\n",
+                "syntax/.eslintrc": "/* comment */\nenv: {",
+                "schema/.eslintrc.json": "{\n    /* a long\n       comment */\n    \"rules\": {},\n    \"foo\": true\n}",
+                "schema/.eslintrc.yml": "overrides:\n    - files: \"*.js\"\n      env: [node]\n",
+                "schema/.eslintrc": "# comment\nroot: yes\nglobals: 1\n",
+                "schema/package.json": "{\n    \"name\": \"foo\",\n    \"eslintConfig\": {\n        \"plugins\": \"foo\"\n    }\n}"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        /**
+         * Get the error which `loadFile()` threw.
+         * @param {string} filePath The path to the config file.
+         * @returns {Error} The thrown error.
+         * @throws {Error} If `loadFile()` didn't throw.
+         */
+        function getLoadError(filePath) {
+            try {
+                factory.loadFile(filePath);
+            } catch (error) {
+                return error;
+            }
+            throw new Error("Expected an error.");
+        }
+
+        for (const [filePath, line, column] of [
+            ["syntax/.eslintrc.json", 4, 1],
+            ["syntax/.eslintrc.yml", 3, 1],
+            ["syntax/.eslintrc", 3, 1],
+            ["schema/.eslintrc.json", 5, 5],
+            ["schema/.eslintrc.yml", 3, 7],
+            ["schema/.eslintrc", 2, 1],
+            ["schema/package.json", 4, 9]
+        ]) {
+            it(`should report line ${line} and column ${column} for '${filePath}'.`, () => {
+                const error = getLoadError(filePath);
+
+                assert.strictEqual(error.line, line);
+                assert.strictEqual(error.column, column);
+                assert.deepStrictEqual(error.messageData, {
+                    path: path.join(getPath(), filePath),
+                    message: error.message,
+                    line,
+                    column
+                });
+            });
+        }
+
+        it("should keep 'messageTemplate' of JSON syntax errors.", () => {
+            assert.strictEqual(getLoadError("syntax/.eslintrc.json").messageTemplate, "failed-to-read-json");
+        });
+
+        it("should not add locations to schema errors of config data which were not loaded from JSON or YAML.", () => {
+            let error;
+
+            try {
+                factory.create({ foo: true }, { filePath: path.join(getPath(), ".eslintrc.js") });
+            } catch (e) {
+                error = e;
+            }
+
+            assert.strictEqual(error.pointer, "/foo");
+            assert.strictEqual(error.line, void 0);
+            assert.strictEqual(error.messageData, void 0);
+        });
+    });
+
+    describe("'trackProvenance' option should add the sources of values to elements.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "node_modules/eslint-config-foo/index.js": "module.exports = { globals: { foo: 'readonly' } };",
+                ".eslintrc.json": [
+                    "{",
+                    "    \"extends\": \"foo\",",
+                    "    \"rules\": { \"semi\": 2, \"a/b\": 1 },",
+                    "    \"overrides\": [",
+                    "        { \"files\": \"*.ts\", \"parserOptions\": { \"ecmaVersion\": 2020 } }",
+                    "    ]",
+                    "}"
+                ].join("\n"),
+                ".eslintrc.yml": "settings:\n    foo: 1\n"
+            }
+        });
+
+        beforeEach(prepare);
+        afterEach(cleanup);
+
+        it("should not add 'provenance' property if the 'trackProvenance' option was not given.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath() });
+
+            for (const element of factory.loadFile(".eslintrc.json")) {
+                assert.strictEqual(Object.hasOwn(element, "provenance"), false);
+            }
+        });
+
+        it("should add the file paths, the JSON pointers, and the locations of values to elements.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), trackProvenance: true });
+            const configArray = factory.loadFile(".eslintrc.json");
+            const filePath = path.join(getPath(), ".eslintrc.json");
+
+            assert.strictEqual(configArray.length, 3);
+            assert.deepStrictEqual(configArray[0].provenance, {
+                globals: {
+                    foo: {
+                        filePath: path.join(getPath(), "node_modules/eslint-config-foo/index.js"),
+                        name: ".eslintrc.json » eslint-config-foo",
+                        pointer: "/globals/foo"
+                    }
+                }
+            });
+            assert.deepStrictEqual(configArray[1].provenance, {
+                rules: {
+                    semi: { filePath, name: ".eslintrc.json", pointer: "/rules/semi", line: 3, column: 16 },
+                    "a/b": { filePath, name: ".eslintrc.json", pointer: "/rules/a~1b", line: 3, column: 27 }
+                }
+            });
+            assert.deepStrictEqual(configArray[2].provenance, {
+                parserOptions: {
+                    ecmaVersion: {
+                        filePath,
+                        name: ".eslintrc.json#overrides[0]",
+                        pointer: "/overrides/0/parserOptions/ecmaVersion",
+                        line: 5,
+                        column: 47
+                    }
+                }
+            });
+        });
+
+        it("should add the locations of values in YAML files.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), trackProvenance: true });
+            const configArray = factory.loadFile(".eslintrc.yml");
+
+            assert.deepStrictEqual(configArray[0].provenance, {
+                settings: {
+                    foo: {
+                        filePath: path.join(getPath(), ".eslintrc.yml"),
+                        name: ".eslintrc.yml",
+                        pointer: "/settings/foo",
+                        line: 2,
+                        column: 5
+                    }
+                }
+            });
+        });
+
+        it("should propagate the sources of the adopted values to extracted configs.", () => {
+            const factory = new ConfigArrayFactory({ cwd: getPath(), trackProvenance: true });
+            const config = factory.loadFile(".eslintrc.json").extractConfig(path.join(getPath(), "a.ts"));
+
+            assert.deepStrictEqual(Object.keys(config.provenance.globals), ["foo"]);
+            assert.deepStrictEqual(Object.keys(config.provenance.rules), ["semi", "a/b"]);
+            assert.strictEqual(config.provenance.parserOptions.ecmaVersion.pointer, "/overrides/0/parserOptions/ecmaVersion");
+        });
+    });
+
+    /*
+     * All of `create`, `loadFile`, and `loadInDirectory` call this method.
+     * So this section tests the common part of the three.
+     */
+    describe("circular 'extends' should be reported with the chain of configs.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "node_modules/eslint-plugin-cycle/index.js": "exports.configs = { a: { extends: 'plugin:cycle/b' }, b: { extends: 'plugin:cycle/a' } }",
+                "self/.eslintrc.json": "{ \"extends\": \"./.eslintrc.json\" }",
+                "chain/.eslintrc.json": "{ \"extends\": \"./a.json\" }",
+                "chain/a.json": "{ \"extends\": \"./b.json\" }",
+                "chain/b.json": "{ \"extends\": \"./c.json\" }",
+                "chain/c.json": "{ \"overrides\": [{ \"files\": \"*.js\", \"extends\": \"./a.json\" }] }",
+                "diamond/.eslintrc.json": "{ \"extends\": [\"./a.json\", \"./b.json\"] }",
+                "diamond/a.json": "{ \"rules\": { \"eqeqeq\": \"error\" } }",
+                "diamond/b.json": "{ \"extends\": \"./a.json\" }",
+                "plugin/.eslintrc.json": "{ \"extends\": \"plugin:cycle/a\" }"
+            }
+        });
+
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(async () => {
+            await prepare();
+            factory = new ConfigArrayFactory({ cwd: getPath() });
+        });
+
+        afterEach(cleanup);
+
+        /**
+         * Get the error which a given function throws.
+         * @param {Function} f The function to call.
+         * @returns {Promise<Error|undefined>} The error.
+         */
+        async function getError(f) {
+            try {
+                await f();
+            } catch (error) {
+                return error;
+            }
+            return void 0;
+        }
+
+        for (const [methodName, method] of [
+            ["loadFile", (filePath => factory.loadFile(filePath))],
+            ["loadFileAsync", (filePath => factory.loadFileAsync(filePath))]
+        ]) {
+            describe(`with '${methodName}()'`, () => {
+                it("should throw an error if a config extends itself.", async () => {
+                    const error = await getError(() => method("self/.eslintrc.json"));
+
+                    assert.strictEqual(error.messageTemplate, "extend-config-cycle");
+                    assert.deepStrictEqual(error.messageData, { chain: "self/.eslintrc.json » ./.eslintrc.json" });
+                    assert.match(error.message, /^Circular 'extends' was detected: self\/\.eslintrc\.json » \.\/\.eslintrc\.json\n/u);
+                });
+
+                it("should throw an error with the full chain if configs extend each other through overrides.", async () => {
+                    const error = await getError(() => method("chain/.eslintrc.json"));
+
+                    assert.strictEqual(error.messageTemplate, "extend-config-cycle");
+                    assert.strictEqual(
+                        error.messageData.chain,
+                        "chain/.eslintrc.json » ./a.json » ./b.json » ./c.json#overrides[0] » ./a.json"
+                    );
+                });
+
+                it("should throw an error if plugin configs extend each other.", async () => {
+                    const error = await getError(() => method("plugin/.eslintrc.json"));
+
+                    assert.strictEqual(error.messageTemplate, "extend-config-cycle");
+                    assert.strictEqual(
+                        error.messageData.chain,
+                        "plugin/.eslintrc.json » plugin:cycle/a » plugin:cycle/b » plugin:cycle/a"
+                    );
+                });
+
+                it("should not throw if a config is extended twice in different branches.", async () => {
+                    const configArray = await method("diamond/.eslintrc.json");
+
+                    assert.strictEqual(configArray.length, 4);
+                    assert.deepStrictEqual(configArray[0].rules, { eqeqeq: "error" });
+                    assert.deepStrictEqual(configArray[1].rules, { eqeqeq: "error" });
+                });
+            });
+        }
+
+        it("should throw an error from 'loadInDirectory()' if the config file extends itself.", () => {
+            assert.throws(() => {
+                factory.loadInDirectory("self");
+            }, /^Circular 'extends' was detected: self\/\.eslintrc\.json » \.\/\.eslintrc\.json\n/u);
+        });
+
+        it("should reject from 'loadInDirectoryAsync()' if the config file extends itself.", async () => {
+            const error = await getError(() => factory.loadInDirectoryAsync("self"));
+
+            assert.strictEqual(error.messageData.chain, "self/.eslintrc.json » ./.eslintrc.json");
+        });
+    });
+
+    describe("'trustMode' option should restrict the code which config files execute.", () => {
+        const { prepare, cleanup, getPath } = createCustomTeardown({
+            cwd: tempDir,
+            files: {
+                "node_modules/eslint-config-foo/index.js": "module.exports = { rules: { semi: 'error' } }",
+                "node_modules/eslint-plugin-allowed/index.js": "exports.rules = { a: {} }",
+                "node_modules/eslint-plugin-other/index.js": "exports.rules = { b: {} }",
+                "node_modules/my-parser/index.js": "exports.parse = () => {}",
+                "js/.eslintrc.js": "module.exports = { rules: { eqeqeq: 'error' } }",
+                "ts/.eslintrc.ts": "export default { rules: { eqeqeq: 'error' } }",
+                "yaml/.eslintrc.yml": "extends: [eslint:recommended, ./base.json]",
+                "yaml/base.json": "{ \"rules\": { \"eqeqeq\": \"error\" } }",
+                "extends-js/.eslintrc.json": "{ \"extends\": \"./base.cjs\" }",
+                "extends-js/base.cjs": "module.exports = {}",
+                "extends-package/.eslintrc.json": "{ \"extends\": \"foo\" }",
+                "plugins/.eslintrc.json": "{ \"plugins\": [\"allowed\", \"other\"], \"parser\": \"my-parser\" }",
+                "espree/.eslintrc.json": "{ \"parser\": \"espree\" }"
+            }
+        });
+
+        beforeEach(prepare);
+        afterEach(cleanup);
+
+        /**
+         * Create a factory with a given trust mode.
+         * @param {any} trustMode The value of the `trustMode` option.
+         * @returns {ConfigArrayFactory} The factory.
+         */
+        function createFactory(trustMode) {
+            return new ConfigArrayFactory({
+                cwd: getPath(),
+                eslintRecommendedPath,
+                transpile: source => source,
+                trustMode
+            });
+        }
+
+        /**
+         * Get the error which a given function throws.
+         * @param {Function} f The function to call.
+         * @returns {Promise<Error|undefined>} The error.
+         */
+        async function getError(f) {
+            try {
+                await f();
+            } catch (error) {
+                return error;
+            }
+            return void 0;
+        }
+
+        it("should load JavaScript config files by default.", () => {
+            const configArray = createFactory().loadFile("js/.eslintrc.js");
+
+            assert.deepStrictEqual(configArray[0].rules, { eqeqeq: "error" });
+        });
+
+        for (const [methodName, load] of [
+            ["loadFile", (factory, filePath) => factory.loadFile(filePath)],
+            ["loadFileAsync", (factory, filePath) => factory.loadFileAsync(filePath)],
+            ["loadInDirectory", (factory, filePath) => factory.loadInDirectory(path.dirname(filePath))],
+            ["loadInDirectoryAsync", (factory, filePath) => factory.loadInDirectoryAsync(path.dirname(filePath))]
+        ]) {
+            for (const filePath of ["js/.eslintrc.js", "ts/.eslintrc.ts"]) {
+                it(`should reject '${filePath}' from '${methodName}()' in data-only mode.`, async () => {
+                    const error = await getError(() => load(createFactory("data-only"), filePath));
+
+                    assert.strictEqual(error.code, "ESLINT_CONFIG_UNTRUSTED");
+                    assert.strictEqual(error.messageTemplate, "untrusted-config-file");
+                    assert.deepStrictEqual(error.messageData, {
+                        filePath: path.join(getPath(), filePath),
+                        importerName: filePath
+                    });
+                });
+            }
+        }
+
+        it("should load JSON and YAML config files and built-in configs in data-only mode.", () => {
+            const configArray = createFactory("data-only").loadFile("yaml/.eslintrc.yml");
 
-            assert.strictEqual(normalizeConfigData.callCount, 1);
-            assert.deepStrictEqual(normalizeConfigData.args[0], [
-                configData,
-                createContext({ cwd: tempDir }, void 0, name, filePath, basePath)
-            ]);
+            assert.strictEqual(configArray.length, 3);
+            assert.strictEqual(configArray[0].name, "yaml/.eslintrc.yml » eslint:recommended");
+            assert.deepStrictEqual(configArray[1].rules, { eqeqeq: "error" });
         });
 
-        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
-            const elements = [{}, {}];
-
-            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+        for (const [configName, filePath] of [
+            ["a JavaScript file", "extends-js/.eslintrc.json"],
+            ["a shareable config package", "extends-package/.eslintrc.json"]
+        ]) {
+            it(`should reject ${configName} in 'extends' with the importer in data-only mode.`, async () => {
+                for (const load of [
+                    factory => factory.loadFile(filePath),
+                    factory => factory.loadFileAsync(filePath)
+                ]) {
+                    const error = await getError(() => load(createFactory("data-only")));
+
+                    assert.strictEqual(error.messageTemplate, "untrusted-config-file");
+                    assert.strictEqual(error.messageData.importerName, filePath);
+                    assert.include(error.message, `Referenced from: ${path.join(getPath(), filePath)}`);
+                }
+            });
+        }
 
-            const configArray = factory.create({});
+        it("should not require any plugins and parsers in data-only mode.", () => {
+            const configArray = createFactory("data-only").loadFile("plugins/.eslintrc.json");
+            const { plugins, parser } = configArray[0];
 
-            assert.strictEqual(configArray.length, 2);
-            assert.strictEqual(configArray[0], elements[0]);
-            assert.strictEqual(configArray[1], elements[1]);
+            assert.strictEqual(plugins.allowed.definition, null);
+            assert.strictEqual(plugins.allowed.error.messageTemplate, "untrusted-module");
+            assert.deepStrictEqual(plugins.allowed.error.messageData, {
+                moduleName: "eslint-plugin-allowed",
+                importerName: "plugins/.eslintrc.json"
+            });
+            assert.match(plugins.allowed.error.message, /^Failed to load plugin 'allowed' declared in 'plugins\/\.eslintrc\.json'/u);
+            assert.strictEqual(parser.definition, null);
+            assert.strictEqual(parser.error.messageTemplate, "untrusted-module");
+            assert.strictEqual(parser.error.messageData.moduleName, "my-parser");
         });
-    });
 
-    describe("'loadFile(filePath, options)' method should load a config file.", () => {
-        const basicFiles = {
-            "js/.eslintrc.js": "exports.settings = { name: 'js/.eslintrc.js' }",
-            "cjs/.eslintrc.cjs": "exports.settings = { name: 'cjs/.eslintrc.cjs' }",
-            "json/.eslintrc.json": "{ \"settings\": { \"name\": \"json/.eslintrc.json\" } }",
-            "legacy-json/.eslintrc": "{ \"settings\": { \"name\": \"legacy-json/.eslintrc\" } }",
-            "legacy-yml/.eslintrc": "settings:\n  name: legacy-yml/.eslintrc",
-            "package-json/package.json": "{ \"eslintConfig\": { \"settings\": { \"name\": \"package-json/package.json\" } } }",
-            "yml/.eslintrc.yml": "settings:\n  name: yml/.eslintrc.yml",
-            "yaml/.eslintrc.yaml": "settings:\n  name: yaml/.eslintrc.yaml"
-        };
+        it("should fall back to the espree of ESLint in data-only mode.", () => {
+            const configArray = createFactory("data-only").loadFile("espree/.eslintrc.json");
 
-        const { prepare, cleanup, getPath } = createCustomTeardown({
-            cwd: tempDir,
-            files: {
-                ...basicFiles,
-                "invalid-property.json": "{ \"files\": \"*.js\" }",
-                "package-json-no-config/package.json": "{ \"name\": \"foo\" }"
-            }
+            assert.strictEqual(configArray[0].parser.filePath, require.resolve("espree"));
         });
 
-        /** @type {ConfigArrayFactory} */
-        let factory;
+        it("should require only the allowed plugins and parsers.", () => {
+            const configArray = createFactory({ allowedModules: ["eslint-plugin-allowed", "my-parser"] })
+                .loadFile("plugins/.eslintrc.json");
+            const { plugins, parser } = configArray[0];
 
-        beforeEach(async () => {
-            await prepare();
-            factory = new ConfigArrayFactory({ cwd: getPath() });
+            assert.deepStrictEqual(Object.keys(plugins.allowed.definition.rules), ["a"]);
+            assert.strictEqual(plugins.other.error.messageTemplate, "untrusted-module");
+            assert.strictEqual(parser.filePath, path.join(getPath(), "node_modules/my-parser/index.js"));
         });
 
-        afterEach(cleanup);
+        it("should load JavaScript config files if 'dataOnly' is not true.", () => {
+            const configArray = createFactory({ allowedModules: [] }).loadFile("js/.eslintrc.js");
 
-        it("should throw an error if 'filePath' is null.", () => {
-            assert.throws(() => factory.loadFile(null));
+            assert.deepStrictEqual(configArray[0].rules, { eqeqeq: "error" });
         });
 
-        it("should throw an error if 'filePath' doesn't exist.", () => {
-            assert.throws(() => {
-                factory.loadFile("non-exist");
-            }, /Cannot read config file:.*non-exist/su);
-        });
+        it("should reject JavaScript config files if 'dataOnly' is true.", async () => {
+            const error = await getError(() => createFactory({ dataOnly: true }).loadFile("js/.eslintrc.js"));
 
-        it("should throw an error if 'filePath' was 'package.json' and it doesn't have 'eslintConfig' field.", () => {
-            assert.throws(() => {
-                factory.loadFile("package-json-no-config/package.json");
-            }, /Cannot read config file:.*package.json/su);
+            assert.strictEqual(error.messageTemplate, "untrusted-config-file");
         });
 
-        it("should throw an error if the config data had invalid properties,", () => {
-            assert.throws(() => {
-                factory.loadFile("invalid-property.json");
-            }, /Unexpected top-level property "files"/u);
-        });
+        it("should use the plugins in 'additionalPluginPool' in data-only mode.", () => {
+            const plugin = { rules: {} };
+            const factory = new ConfigArrayFactory({
+                cwd: getPath(),
+                additionalPluginPool: new Map([["eslint-plugin-allowed", plugin]]),
+                trustMode: "data-only"
+            });
+            const configArray = factory.loadFile("plugins/.eslintrc.json");
 
-        for (const filePath of Object.keys(basicFiles)) {
-            it(`should load '${filePath}' then return a config array what contains that file content.`, () => { // eslint-disable-line no-loop-func -- needed for test
-                const configArray = factory.loadFile(filePath);
+            assert.strictEqual(configArray[0].plugins.allowed.original, plugin);
+        });
 
-                assert.strictEqual(configArray.length, 1);
-                assertConfigArrayElement(configArray[0], {
-                    filePath: path.resolve(tempDir, filePath),
-                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
-                    settings: { name: filePath }
-                });
+        for (const trustMode of ["none", null, { allowedModules: "foo" }, { allowedModules: [""] }]) {
+            it(`should throw a TypeError if 'trustMode' is ${JSON.stringify(trustMode)}.`, () => {
+                assert.throws(() => createFactory(trustMode), TypeError);
             });
         }
+    });
 
-        it("should call '_normalizeConfigData(configData, ctx)' with the loaded config data and given options.", () => {
-            const basePath = tempDir;
-            const filePath = "js/.eslintrc.js";
-            const name = "example";
-            const normalizeConfigData = spy(factory, "_normalizeConfigData");
+    describe("'fs' option should find and read files with a given file system.", () => {
+        const cwd = path.join(tempDir, "memory");
 
-            factory.loadFile(filePath, { basePath, name });
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
 
-            assert.strictEqual(normalizeConfigData.callCount, 1);
-            assert.deepStrictEqual(normalizeConfigData.args[0], [
-                { settings: { name: filePath } },
-                createContext({ cwd: tempDir }, void 0, name, filePath, basePath)
-            ]);
+        /** @type {ConfigArrayFactory} */
+        let factory;
+
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                "json/.eslintrc.json": "{ \"extends\": \"../yaml/.eslintrc.yaml\", \"rules\": { \"eqeqeq\": \"error\" } }",
+                "yaml/.eslintrc.yaml": "env:\n    node: true",
+                "legacy/.eslintrc": "extends: ./base.yml",
+                "legacy/base.yml": "root: true",
+                "package-json/package.json": "{ \"eslintConfig\": { \"env\": { \"es6\": true } } }",
+                "ts/.eslintrc.ts": "module.exports = { settings: { name: 'ts' } }",
+                "invalid/.eslintrc.json": "{ \"foo\": true }",
+                ".eslintignore": "dist\n# comment\nbuild"
+            }, { cwd });
+            factory = new ConfigArrayFactory({
+                cwd,
+                fs: memoryFs,
+                transpile: (filePath, source) => source
+            });
         });
 
-        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
-            const elements = [{}, {}];
+        it("should load the config files which exist only in the file system with 'loadFile()'.", () => {
+            const configArray = factory.loadFile("json/.eslintrc.json");
 
-            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+            assert.strictEqual(configArray.length, 2);
+            assert.strictEqual(configArray[0].name, "json/.eslintrc.json » ../yaml/.eslintrc.yaml");
+            assert.deepStrictEqual(configArray[0].env, { node: true });
+            assert.deepStrictEqual(configArray[1].rules, { eqeqeq: "error" });
+        });
 
-            const configArray = factory.loadFile("js/.eslintrc.js");
+        it("should load the config files which exist only in the file system with 'loadFileAsync()'.", async () => {
+            const configArray = await factory.loadFileAsync("json/.eslintrc.json");
 
             assert.strictEqual(configArray.length, 2);
-            assert.strictEqual(configArray[0], elements[0]);
-            assert.strictEqual(configArray[1], elements[1]);
+            assert.deepStrictEqual(configArray[0].env, { node: true });
         });
-    });
 
-    describe("'loadInDirectory(directoryPath, options)' method should load the config file of a directory.", () => {
-        const basicFiles = {
-            "js/.eslintrc.js": "exports.settings = { name: 'js/.eslintrc.js' }",
-            "cjs/.eslintrc.cjs": "exports.settings = { name: 'cjs/.eslintrc.cjs' }",
-            "json/.eslintrc.json": "{ \"settings\": { \"name\": \"json/.eslintrc.json\" } }",
-            "legacy-json/.eslintrc": "{ \"settings\": { \"name\": \"legacy-json/.eslintrc\" } }",
-            "legacy-yml/.eslintrc": "settings:\n  name: legacy-yml/.eslintrc",
-            "package-json/package.json": "{ \"eslintConfig\": { \"settings\": { \"name\": \"package-json/package.json\" } } }",
-            "yml/.eslintrc.yml": "settings:\n  name: yml/.eslintrc.yml",
-            "yaml/.eslintrc.yaml": "settings:\n  name: yaml/.eslintrc.yaml"
-        };
-        const { prepare, cleanup, getPath } = createCustomTeardown({
-            cwd: tempDir,
-            files: {
-                ...basicFiles,
-                "invalid-property/.eslintrc.json": "{ \"files\": \"*.js\" }",
-                "package-json-no-config/package.json": "{ \"name\": \"foo\" }",
-                "package-json-dir/package.json/something": "{}"
-            }
-        });
+        for (const [directoryPath, filePath] of [
+            ["json", "json/.eslintrc.json"],
+            ["legacy", "legacy/.eslintrc"],
+            ["package-json", "package-json/package.json"],
+            ["ts", "ts/.eslintrc.ts"]
+        ]) {
+            it(`should find '${filePath}' with 'loadInDirectory()' and 'loadInDirectoryAsync()'.`, async () => { // eslint-disable-line no-loop-func -- needed for test
+                const configArray = factory.loadInDirectory(directoryPath);
+                const asyncConfigArray = await factory.loadInDirectoryAsync(directoryPath);
 
-        /** @type {ConfigArrayFactory} */
-        let factory;
+                assert.strictEqual(configArray.at(-1).filePath, path.join(cwd, filePath));
+                assert.strictEqual(asyncConfigArray.at(-1).filePath, path.join(cwd, filePath));
+            });
 
-        beforeEach(async () => {
-            await prepare();
-            factory = new ConfigArrayFactory({ cwd: getPath() });
-        });
+            it(`should find '${filePath}' with 'getPathToConfigFileInDirectory()'.`, () => { // eslint-disable-line no-loop-func -- needed for test
+                assert.strictEqual(
+                    ConfigArrayFactory.getPathToConfigFileInDirectory(
+                        path.join(cwd, directoryPath),
+                        { fs: memoryFs, transpile: source => source }
+                    ),
+                    path.join(cwd, filePath)
+                );
+            });
+        }
 
-        afterEach(cleanup);
+        it("should see the changes of files in the file system.", () => {
+            memoryFs.writeFileSync("yaml/.eslintrc.yaml", "env:\n    browser: true");
 
-        it("should throw an error if 'directoryPath' is null.", () => {
-            assert.throws(() => factory.loadInDirectory(null));
+            assert.deepStrictEqual(factory.loadFile("yaml/.eslintrc.yaml")[0].env, { browser: true });
         });
 
-        it("should return an empty config array if the config file of 'directoryPath' doesn't exist.", () => {
-            assert.strictEqual(factory.loadInDirectory("non-exist").length, 0);
+        it("should return an empty config array if the file system doesn't have config files.", () => {
+            assert.strictEqual(factory.loadInDirectory("missing").length, 0);
         });
 
-        it("should return an empty config array if the config file of 'directoryPath' was package.json and it didn't have 'eslintConfig' field.", () => {
-            assert.strictEqual(factory.loadInDirectory("package-json-no-config").length, 0);
+        it("should report the errors with the locations in the files.", () => {
+            assert.throws(() => {
+                try {
+                    factory.loadFile("invalid/.eslintrc.json");
+                } catch (error) {
+                    assert.strictEqual(error.line, 1);
+                    assert.strictEqual(error.column, 3);
+                    throw error;
+                }
+            }, /Unexpected top-level property "foo"/u);
         });
 
-        it("should throw an error if the config data had invalid properties,", () => {
+        it("should report the errors if the config file doesn't exist in the file system.", () => {
             assert.throws(() => {
-                factory.loadInDirectory("invalid-property");
-            }, /Unexpected top-level property "files"/u);
+                factory.loadFile("missing/.eslintrc.json");
+            }, /Cannot read config file:.*missing.*\.eslintrc\.json\nError: ENOENT: no such file or directory/su);
         });
 
-        it("should ignore directories that have the same name as a config file,", () => {
-            const configArray = factory.loadInDirectory("package-json-dir");
+        it("should load '.eslintignore' in the file system with 'loadDefaultESLintIgnore()'.", () => {
+            const configArray = factory.loadDefaultESLintIgnore();
 
-            assert.strictEqual(configArray.length, 0);
+            assert.strictEqual(configArray.length, 1);
+            assert.deepStrictEqual(configArray[0].ignorePattern.patterns, ["dist", "build"]);
         });
 
-        for (const filePath of Object.keys(basicFiles)) {
-            const directoryPath = filePath.split("/")[0];
+        it("should load 'eslintIgnore' of package.json in the file system with 'loadDefaultESLintIgnore()'.", () => {
+            memoryFs.unlinkSync(".eslintignore");
+            memoryFs.writeFileSync("package.json", "{ \"eslintIgnore\": [\"lib\"] }");
 
-            it(`should load '${directoryPath}' then return a config array what contains the config file of that directory.`, () => { // eslint-disable-line no-loop-func -- needed for test
-                const configArray = factory.loadInDirectory(directoryPath);
+            assert.deepStrictEqual(factory.loadDefaultESLintIgnore()[0].ignorePattern.patterns, ["lib"]);
+        });
+    });
 
-                assert.strictEqual(configArray.length, 1);
-                assertConfigArrayElement(configArray[0], {
-                    filePath: path.resolve(tempDir, filePath),
-                    name: path.relative(tempDir, path.resolve(tempDir, filePath)),
-                    settings: { name: filePath }
-                });
-            });
+    describe("'loadGitignore()' method should load '.gitignore' files.", () => {
+        const cwd = path.join(tempDir, "gitignore");
+
+        /** @type {MemoryFileSystem} */
+        let memoryFs;
+
+        /**
+         * Check if a given file is ignored by the loaded `.gitignore` files.
+         * @param {string} filePath The relative path to the file.
+         * @returns {boolean} `true` if the file is ignored.
+         */
+        function isIgnored(filePath) {
+            const factory = new ConfigArrayFactory({ cwd, fs: memoryFs });
+            const absolutePath = path.join(cwd, filePath);
+
+            return factory.loadGitignore().extractConfig(absolutePath).ignores(absolutePath, true);
         }
 
-        it("should call '_normalizeConfigData(configData, ctx)' with the loaded config data and given options.", () => {
-            const basePath = tempDir;
-            const directoryPath = "js";
-            const name = "example";
-            const normalizeConfigData = spy(factory, "_normalizeConfigData");
+        beforeEach(() => {
+            memoryFs = new MemoryFileSystem({
+                ".gitignore": "# comment\n*.log\n!keep.log\nbuild/\ndocs/generated\n/coverage\n",
+                "lib/.gitignore": "*.tmp\n!important.log\nfixtures/out\n",
+                "build/.gitignore": "!*.js\n",
+                "lib/a.js": "",
+                ".git/info/.gitignore": "*"
+            }, { cwd });
+        });
 
-            factory.loadInDirectory(directoryPath, { basePath, name });
+        it("should create an element for each '.gitignore' file, from the shallowest one.", () => {
+            const factory = new ConfigArrayFactory({ cwd, fs: memoryFs });
+            const configArray = factory.loadGitignore();
 
-            assert.strictEqual(normalizeConfigData.callCount, 1);
-            assert.deepStrictEqual(normalizeConfigData.args[0], [
-                { settings: { name: `${directoryPath}/.eslintrc.js` } },
-                createContext({ cwd: tempDir }, void 0, name, path.join(directoryPath, ".eslintrc.js"), basePath)
-            ]);
+            assert.deepStrictEqual(
+                configArray.map(element => [element.type, element.name, element.ignorePattern.basePath]),
+                [
+                    ["ignore", ".gitignore", cwd],
+                    ["ignore", path.join("lib", ".gitignore"), path.join(cwd, "lib")]
+                ]
+            );
         });
 
-        it("should return a config array that contains the yielded elements from '_normalizeConfigData(configData, ctx)'.", () => {
-            const elements = [{}, {}];
+        it("should anchor the patterns which have a slash in the middle.", () => {
+            const factory = new ConfigArrayFactory({ cwd, fs: memoryFs });
+            const [root, lib] = factory.loadGitignore();
 
-            factory._normalizeConfigData = () => elements; // eslint-disable-line no-underscore-dangle -- needed for test
+            assert.deepStrictEqual(root.ignorePattern.patterns, ["*.log", "!keep.log", "build/", "/docs/generated", "/coverage"]);
+            assert.deepStrictEqual(lib.ignorePattern.patterns, ["*.tmp", "!important.log", "/fixtures/out"]);
+            assert.strictEqual(root.ignorePattern.loose, false);
+        });
 
-            const configArray = factory.loadInDirectory("js");
+        [
+            ["error.log", true],
+            ["lib/error.log", true],
+            ["keep.log", false],
+            ["lib/keep.log", false],
+            ["lib/important.log", false],
+            ["important.log", true],
+            ["build/a.js", true],
+            ["lib/build/a.js", true],
+            ["build", false],
+            ["docs/generated/a.js", true],
+            ["lib/docs/generated/a.js", false],
+            ["coverage/a.js", true],
+            ["lib/coverage/a.js", false],
+            ["lib/a.tmp", true],
+            ["a.tmp", false],
+            ["lib/fixtures/out/a.js", true],
+            ["lib/nested/fixtures/out/a.js", false],
+            ["lib/a.js", false]
+        ].forEach(([filePath, expected]) => {
+            it(`should return ${expected} for '${filePath}'.`, () => {
+                assert.strictEqual(isIgnored(filePath), expected);
+            });
+        });
 
-            assert.strictEqual(configArray.length, 2);
-            assert.strictEqual(configArray[0], elements[0]);
-            assert.strictEqual(configArray[1], elements[1]);
+        it("should return an empty config array if there are no '.gitignore' files.", () => {
+            memoryFs = new MemoryFileSystem({ "lib/a.js": "" }, { cwd });
+
+            const factory = new ConfigArrayFactory({ cwd, fs: memoryFs });
+
+            assert.strictEqual(factory.loadGitignore().length, 0);
         });
     });
 
-    /*
-     * All of `create`, `loadFile`, and `loadInDirectory` call this method.
-     * So this section tests the common part of the three.
-     */
     describe("'_normalizeConfigData(configData, ctx)' method should normalize the config data.", () => {
 
         /** @type {ConfigArrayFactory} */
@@ -965,6 +2194,12 @@ describe("ConfigArrayFactory", () => {
                                     ]
                                 }
                             `,
+                            "node_modules/eslint-config-strict/index.js": `
+                                module.exports = {
+                                    rules: { a: "error", b: ["error", { x: 1 }], c: "off", d: 1 },
+                                    overrides: [{ files: "*.xxx", rules: { a: 2, b: [0, { x: 2 }] } }]
+                                }
+                            `,
                             "node_modules/eslint-plugin-foo/index.js": "exports.configs = { bar: { env: { es6: true } } }",
                             "node_modules/eslint-plugin-invalid-config/index.js": "exports.configs = { foo: {} }",
                             "node_modules/eslint-plugin-error/index.js": "throw new Error('xxx error')",
@@ -1240,6 +2475,7 @@ describe("ConfigArrayFactory", () => {
                     it("should have the 'overrides[0]' config data of 'eslint-config-override' at the second element.", () => {
                         assertConfigArrayElement(configArray[1], {
                             name: ".eslintrc » eslint-config-override#overrides[0]",
+                            overrideIndex: 0,
                             filePath: path.join(getPath(), "node_modules/eslint-config-override/index.js"),
                             criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                             rules: { override: 1 }
@@ -1249,6 +2485,7 @@ describe("ConfigArrayFactory", () => {
                     it("should have the 'overrides[1]' config data of 'eslint-config-override' at the third element.", () => {
                         assertConfigArrayElement(configArray[2], {
                             name: ".eslintrc » eslint-config-override#overrides[1]",
+                            overrideIndex: 1,
                             filePath: path.join(getPath(), "node_modules/eslint-config-override/index.js"),
                             criteria: OverrideTester.create(["*.yyy"], [], tempDir),
                             rules: { override: 2 }
@@ -1262,6 +2499,63 @@ describe("ConfigArrayFactory", () => {
                         });
                     });
                 });
+
+                describe("if 'extends' property had an object entry, the returned value", () => {
+                    it("should replace the severity of every enabled rule if 'severity' was given.", () => {
+                        const configArray = create(
+                            { extends: { config: "strict", severity: "warn" } },
+                            { name: ".eslintrc" }
+                        );
+
+                        assert.deepStrictEqual(configArray[0].rules, { a: "warn", b: ["warn", { x: 1 }], c: "off", d: "warn" });
+                        assert.deepStrictEqual(configArray[1].rules, { a: "warn", b: [0, { x: 2 }] });
+                    });
+
+                    it("should remove the rules if 'exclude' was given.", () => {
+                        const configArray = create(
+                            { extends: [{ config: "strict", exclude: ["a", "c"] }] },
+                            { name: ".eslintrc" }
+                        );
+
+                        assert.deepStrictEqual(configArray[0].rules, { b: ["error", { x: 1 }], d: 1 });
+                        assert.deepStrictEqual(configArray[1].rules, { b: [0, { x: 2 }] });
+                    });
+
+                    it("should not modify the extended config.", () => {
+                        create({ extends: { config: "strict", severity: 1, exclude: ["a"] } });
+
+                        const configArray = create({ extends: "strict" });
+
+                        assert.deepStrictEqual(configArray[0].rules, { a: "error", b: ["error", { x: 1 }], c: "off", d: 1 });
+                    });
+
+                    it("should not rewrite the rules of the config which has the 'extends' property.", () => {
+                        const configArray = create({
+                            extends: { config: "strict", severity: "warn" },
+                            rules: { eqeqeq: "error" }
+                        });
+
+                        assert.deepStrictEqual(configArray[2].rules, { eqeqeq: "error" });
+                    });
+
+                    it("should throw an error with the referrer if the config was not found.", () => {
+                        assert.throws(() => {
+                            create({ extends: { config: "not-exist", severity: "warn" } }, { name: ".eslintrc" });
+                        }, /Failed to load config "not-exist" to extend from.\nReferenced from: \.eslintrc/u);
+                    });
+
+                    it("should throw an error if the entry had an invalid severity.", () => {
+                        assert.throws(() => {
+                            create({ extends: { config: "strict", severity: "warning" } }, { name: ".eslintrc" });
+                        }, /ESLint configuration in \.eslintrc is invalid:\n.+"extends/u);
+                    });
+
+                    it("should throw an error if the entry didn't have 'config' property.", () => {
+                        assert.throws(() => {
+                            create({ extends: { severity: "warn" } }, { name: ".eslintrc" });
+                        }, /ESLint configuration in \.eslintrc is invalid:\n.+"extends/u);
+                    });
+                });
             });
 
             describe("'with eslint built-in config callbacks", () => {
@@ -1557,6 +2851,7 @@ describe("ConfigArrayFactory", () => {
                     it("should have the 'overrides[0]' config data of 'eslint-config-override' at the second element.", () => {
                         assertConfigArrayElement(configArray[1], {
                             name: ".eslintrc » eslint-config-override#overrides[0]",
+                            overrideIndex: 0,
                             filePath: path.join(getPath(), "node_modules/eslint-config-override/index.js"),
                             criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                             rules: { override: 1 }
@@ -1566,6 +2861,7 @@ describe("ConfigArrayFactory", () => {
                     it("should have the 'overrides[1]' config data of 'eslint-config-override' at the third element.", () => {
                         assertConfigArrayElement(configArray[2], {
                             name: ".eslintrc » eslint-config-override#overrides[1]",
+                            overrideIndex: 1,
                             filePath: path.join(getPath(), "node_modules/eslint-config-override/index.js"),
                             criteria: OverrideTester.create(["*.yyy"], [], tempDir),
                             rules: { override: 2 }
@@ -1642,6 +2938,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0]' at the second element.", () => {
                     assertConfigArrayElement(configArray[1], {
                         name: "#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.create(["*.xxx"], [], tempDir),
                         rules: { override: 1 }
                     });
@@ -1650,6 +2947,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[1]' at the third element.", () => {
                     assertConfigArrayElement(configArray[2], {
                         name: "#overrides[1]",
+                        overrideIndex: 1,
                         criteria: OverrideTester.create(["*.yyy"], [], tempDir),
                         rules: { override: 2 }
                     });
@@ -1694,6 +2992,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0]' at the third element.", () => {
                     assertConfigArrayElement(configArray[2], {
                         name: "#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                         rules: { override: 1 }
                     });
@@ -1738,6 +3037,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0] » eslint-config-has-overrides#overrides[0]' at the third element.", () => {
                     assertConfigArrayElement(configArray[2], {
                         name: "#overrides[0] » eslint-config-has-overrides#overrides[0]",
+                        overrideIndex: 0,
                         filePath: path.join(getPath(), "node_modules/eslint-config-has-overrides/index.js"),
                         criteria: OverrideTester.and(
                             OverrideTester.create(["*.xxx"], [], getPath()),
@@ -1750,6 +3050,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0]' at the fourth element.", () => {
                     assertConfigArrayElement(configArray[3], {
                         name: "#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                         rules: { override: 1 }
                     });
@@ -1790,6 +3091,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0]' at the second element.", () => {
                     assertConfigArrayElement(configArray[1], {
                         name: "#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                         rules: { override: 1 }
                     });
@@ -1798,6 +3100,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0].overrides[0]' at the third element.", () => {
                     assertConfigArrayElement(configArray[2], {
                         name: "#overrides[0]#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.and(
                             OverrideTester.create(["*.xxx"], [], getPath()),
                             OverrideTester.create(["*.yyy"], [], getPath())
@@ -1845,6 +3148,7 @@ describe("ConfigArrayFactory", () => {
                 it("should have the config data of 'overrides[0]' at the third element.", () => {
                     assertConfigArrayElement(configArray[2], {
                         name: "#overrides[0]",
+                        overrideIndex: 0,
                         criteria: OverrideTester.create(["*.xxx"], [], getPath()),
                         rules: { override: 1 }
                     });
@@ -2668,6 +3972,78 @@ describe("ConfigArrayFactory", () => {
             });
         });
 
+        describe("if 'eslintConfig' in package.json is a string", () => {
+            const teardown = createCustomTeardown({
+                cwd: tempDir,
+                files: {
+                    "relative/package.json": "{ \"eslintConfig\": \"./config/eslint.yml\" }",
+                    "relative/config/eslint.yml": "env:\n    es6: true",
+                    "module/package.json": "{ \"eslintConfig\": \"@company/eslint-config\" }",
+                    "module/node_modules/@company/eslint-config/index.js": "module.exports = { rules: { semi: 'error' } }",
+                    "missing/package.json": "{ \"eslintConfig\": \"./missing.json\" }",
+                    "invalid/package.json": "{ \"eslintConfig\": \"./eslint.json\" }",
+                    "invalid/eslint.json": "{\n    \"rules\": {},\n    \"foo\": true\n}"
+                }
+            });
+
+            /** @type {ConfigArrayFactory} */
+            let factory;
+
+            beforeEach(async () => {
+                cleanup = teardown.cleanup;
+                await teardown.prepare();
+                factory = new ConfigArrayFactory({ cwd: teardown.getPath() });
+            });
+
+            it("should load the file which is referenced relative to the package.json file.", () => {
+                const configArray = factory.loadFile("relative/package.json");
+
+                assert.strictEqual(configArray.length, 2);
+                assert.strictEqual(configArray[0].name, "relative/package.json » ./config/eslint.yml");
+                assert.deepStrictEqual(configArray[0].env, { es6: true });
+            });
+
+            it("should load the shareable config package which is referenced.", () => {
+                const config = load(factory, "module/package.json");
+
+                assertConfig(config, {
+                    rules: { semi: ["error"] }
+                });
+            });
+
+            it("should load the referenced file with 'loadFileAsync()'.", async () => {
+                const configArray = await factory.loadFileAsync("relative/package.json");
+
+                assert.strictEqual(configArray.length, 2);
+                assert.deepStrictEqual(configArray[0].env, { es6: true });
+            });
+
+            it("should throw the same error as 'extends' if the referenced config doesn't exist.", () => {
+                assert.throws(() => {
+                    try {
+                        factory.loadFile("missing/package.json");
+                    } catch (error) {
+                        assert.strictEqual(error.messageTemplate, "extend-config-missing");
+                        assert.strictEqual(error.messageData.configName, "./missing.json");
+                        throw error;
+                    }
+                }, /Failed to load config "\.\/missing\.json" to extend from\.\nReferenced from: .*package\.json/su);
+            });
+
+            it("should report schema errors with the locations in the referenced file.", () => {
+                assert.throws(() => {
+                    try {
+                        factory.loadFile("invalid/package.json");
+                    } catch (error) {
+                        assert.strictEqual(error.messageData.path, path.join(teardown.getPath(), "invalid/eslint.json"));
+                        assert.strictEqual(error.line, 3);
+                        assert.strictEqual(error.column, 5);
+                        throw error;
+                    }
+                }, /Unexpected top-level property "foo"/u);
+            });
+        });
+
         it("should throw error when loading invalid package.json file", async () => {
             const teardown = createCustomTeardown({
                 cwd: tempDir,
@@ -6,7 +6,7 @@
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { assert } from "chai";
-import { ConfigArray, OverrideTester, getUsedExtractedConfigs } from "../../../lib/config-array/index.js";
+import { ConfigArray, IgnorePattern, OverrideTester, getUsedExtractedConfigs } from "../../../lib/config-array/index.js";
 
 const filename = fileURLToPath(import.meta.url);
 const dirname = path.dirname(filename);
@@ -223,6 +223,316 @@ describe("ConfigArray", () => {
         });
     });
 
+    describe("'ruleRenames' property should be the renames of rules, and 'extractConfig(filePath)' should migrate the renamed rules.", () => {
+
+        /**
+         * Create a deprecated rule.
+         * @param {string[]} replacedBy The replacements.
+         * @returns {Object} The rule.
+         */
+        function deprecatedRule(replacedBy) {
+            return { meta: { deprecated: true, replacedBy }, create() {} };
+        }
+
+        const plugin = {
+            definition: {
+                rules: {
+                    "old-a": deprecatedRule(["new-a"]),
+                    "new-a": { create() {} },
+                    "old-core": deprecatedRule(["eqeqeq"]),
+                    "old-split": deprecatedRule(["x", "y"])
+                }
+            }
+        };
+
+        /** @type {{code:string, message:string}[]} */
+        let warnings = [];
+
+        /**
+         * Store a reported warning object if that code is `ESLINT_RULE_RENAMED`.
+         * @param {{code:string, message:string}} w The warning object to store.
+         * @returns {void}
+         */
+        function onWarning(w) {
+            if (w.code === "ESLINT_RULE_RENAMED") {
+                warnings.push(w.message);
+            }
+        }
+
+        /**
+         * Delay to wait for 'warning' events.
+         * @returns {Promise<void>} The promise that will be fulfilled after wait a timer.
+         */
+        function delay() {
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        beforeEach(() => {
+            warnings = [];
+            process.on("warning", onWarning);
+        });
+        afterEach(() => {
+            process.removeListener("warning", onWarning);
+        });
+
+        it("should contain the 'ruleRenames' of elements and the 'meta.replacedBy' of deprecated plugin rules.", () => {
+            const configArray = new ConfigArray(
+                { plugins: { foo: plugin } },
+                { ruleRenames: { "old-b": "new-b", "foo/old-core": "semi" }, renameDeprecatedRules: true }
+            );
+
+            assert.deepStrictEqual([...configArray.ruleRenames].sort(), [
+                ["foo/old-a", "foo/new-a"],
+                ["foo/old-core", "semi"],
+                ["old-b", "new-b"]
+            ]);
+        });
+
+        it("should not contain the 'meta.replacedBy' of deprecated plugin rules if no elements have 'renameDeprecatedRules: true'.", () => {
+            const configArray = new ConfigArray(
+                { plugins: { foo: plugin }, rules: { "foo/old-a": "error" } },
+                { ruleRenames: { "old-b": "new-b" } }
+            );
+
+            assert.deepStrictEqual([...configArray.ruleRenames], [["old-b", "new-b"]]);
+            assert.deepStrictEqual(configArray.extractConfig(filename).rules, { "foo/old-a": ["error"] });
+        });
+
+        it("should contain the 'meta.deprecated.replacedBy' of deprecated plugin rules.", () => {
+            const configArray = new ConfigArray(
+                {
+                    plugins: {
+                        bar: {
+                            definition: {
+                                rules: {
+                                    "old-a": { meta: { deprecated: { replacedBy: [{ rule: { name: "new-a" } }] } }, create() {} },
+                                    "new-a": { create() {} },
+                                    "old-core": { meta: { deprecated: { replacedBy: [{ plugin: { name: "eslint" }, rule: { name: "eqeqeq" } }] } }, create() {} },
+                                    "old-other": { meta: { deprecated: { replacedBy: [{ plugin: { name: "@stylistic/eslint-plugin-js" }, rule: { name: "semi" } }] } }, create() {} }
+                                }
+                            }
+                        }
+                    }
+                },
+                { renameDeprecatedRules: true }
+            );
+
+            assert.deepStrictEqual([...configArray.ruleRenames].sort(), [
+                ["bar/old-a", "bar/new-a"],
+                ["bar/old-core", "eqeqeq"],
+                ["bar/old-other", "@stylistic/js/semi"]
+            ]);
+        });
+
+        it("should resolve the chains of renames.", () => {
+            const configArray = new ConfigArray(
+                { ruleRenames: { a: "b", b: "c" } }
+            );
+
+            assert.deepStrictEqual([...configArray.ruleRenames].sort(), [
+                ["a", "c"],
+                ["b", "c"]
+            ]);
+        });
+
+        it("should not hang on circular renames.", () => {
+            const configArray = new ConfigArray(
+                { name: "circular", rules: { x: "error" } },
+                { ruleRenames: { x: "y", y: "x" } }
+            );
+
+            assert.deepStrictEqual([...configArray.ruleRenames], [["y", "x"]]);
+            assert.deepStrictEqual(configArray.extractConfig(filename).rules, { x: ["error"] });
+        });
+
+        it("should throw an error if it tried to mutate.", () => {
+            assert.throws(() => {
+                new ConfigArray().ruleRenames.set("a", "b");
+            });
+        });
+
+        it("should migrate the settings of the old rule IDs to the new rule IDs.", () => {
+            const configArray = new ConfigArray(
+                { name: "base", plugins: { foo: plugin }, rules: { "foo/old-a": ["error", "always"], "foo/old-split": "warn" } },
+                { name: "rename-1/.eslintrc.json", filePath: path.join(dirname, "rename-1/.eslintrc.json"), rules: { "old-b": 1 } },
+                { ruleRenames: { "old-b": "new-b" }, renameDeprecatedRules: true }
+            );
+
+            assert.deepStrictEqual(configArray.extractConfig(filename).rules, {
+                "foo/new-a": ["error", "always"],
+                "foo/old-split": ["warn"],
+                "new-b": [1]
+            });
+        });
+
+        it("should respect the priority of elements.", () => {
+            const configArray = new ConfigArray(
+                { name: "a", rules: { "new-b": ["error", { a: 1 }] } },
+                { name: "b", rules: { "old-b": "warn" } },
+                { name: "c", rules: { "old-b": "off", "new-b": "error" } },
+                { ruleRenames: { "old-b": "new-b" } }
+            );
+
+            assert.deepStrictEqual(configArray.extractConfig(filename).rules, {
+                "new-b": ["error", { a: 1 }]
+            });
+        });
+
+        it("should not modify the elements.", () => {
+            const rules = { "old-b": "warn" };
+            const configArray = new ConfigArray(
+                { name: "a", rules },
+                { ruleRenames: { "old-b": "new-b" } }
+            );
+
+            configArray.extractConfig(filename);
+
+            assert.deepStrictEqual(rules, { "old-b": "warn" });
+        });
+
+        it("should emit a deprecation warning for each renamed rule with the config file.", async () => {
+            const filePath = path.join(dirname, "rename-2/.eslintrc.json");
+            const configArray = new ConfigArray(
+                { filePath, name: "rename-2/.eslintrc.json", rules: { "old-b": "warn", "old-c": "warn", eqeqeq: "error" } },
+                { ruleRenames: { "old-b": "new-b", "old-c": "new-c" } }
+            );
+
+            configArray.extractConfig(filename);
+            await delay();
+
+            const relativePath = path.relative(process.cwd(), filePath);
+
+            assert.deepStrictEqual(warnings, [
+                `The rule 'old-b' has been renamed to 'new-b'. Please use 'new-b' instead. (found in "${relativePath}")`,
+                `The rule 'old-c' has been renamed to 'new-c'. Please use 'new-c' instead. (found in "${relativePath}")`
+            ]);
+        });
+
+        describe("if the old and new rules have different options schemas", () => {
+            const schemaPlugin = {
+                definition: {
+                    rules: {
+                        "old-a": { meta: { deprecated: true, replacedBy: ["new-a"], schema: [{ enum: ["always", "never"] }] }, create() {} },
+                        "new-a": { meta: { schema: { type: "array" } }, create() {} },
+                        "old-b": { meta: { deprecated: true, replacedBy: ["new-b"], schema: [{ enum: ["always", "never"] }] }, create() {} },
+                        "new-b": { meta: { schema: [{ enum: ["always", "never"] }] }, create() {} }
+                    }
+                }
+            };
+
+            it("should migrate only the severities of those rules.", () => {
+                const configArray = new ConfigArray(
+                    { name: "base", plugins: { foo: schemaPlugin }, rules: { "foo/old-a": ["error", "always"], "foo/old-b": ["warn", "never"] } },
+                    { renameDeprecatedRules: true }
+                );
+
+                assert.deepStrictEqual([...configArray.severityOnlyRuleRenames], ["foo/old-a"]);
+                assert.deepStrictEqual(configArray.extractConfig(filename).rules, {
+                    "foo/new-a": ["error"],
+                    "foo/new-b": ["warn", "never"]
+                });
+            });
+
+            it("should migrate only the severities of the rules which were renamed through those rules.", () => {
+                const configArray = new ConfigArray(
+                    { name: "base", plugins: { foo: schemaPlugin }, rules: { older: ["error", "always"] } },
+                    { ruleRenames: { older: "foo/old-a" }, renameDeprecatedRules: true }
+                );
+
+                assert.deepStrictEqual([...configArray.severityOnlyRuleRenames].sort(), ["foo/old-a", "older"]);
+                assert.deepStrictEqual(configArray.extractConfig(filename).rules, { "foo/new-a": ["error"] });
+            });
+
+            it("should use the 'severityOnlyRuleRenames' of elements.", () => {
+                const configArray = new ConfigArray(
+                    { name: "base", rules: { "old-c": ["error", "always"] } },
+                    { ruleRenames: { "old-c": "new-c" }, severityOnlyRuleRenames: ["old-c"] }
+                );
+
+                assert.deepStrictEqual(configArray.extractConfig(filename).rules, { "new-c": ["error"] });
+            });
+
+            it("should emit a deprecation warning which says that the options were not migrated.", async () => {
+                const filePath = path.join(dirname, "rename-4/.eslintrc.json");
+                const configArray = new ConfigArray(
+                    { filePath, name: "rename-4/.eslintrc.json", plugins: { foo: schemaPlugin }, rules: { "foo/old-a": ["error", "always"] } },
+                    { renameDeprecatedRules: true }
+                );
+                const replacedWarnings = [];
+
+                /**
+                 * Store a reported warning message if that code is `ESLINT_RULE_REPLACED`.
+                 * @param {{code:string, message:string}} w The warning object to store.
+                 * @returns {void}
+                 */
+                function onReplacedWarning(w) {
+                    if (w.code === "ESLINT_RULE_REPLACED") {
+                        replacedWarnings.push(w.message);
+                    }
+                }
+
+                process.on("warning", onReplacedWarning);
+                try {
+                    configArray.extractConfig(filename);
+                    await delay();
+                } finally {
+                    process.removeListener("warning", onReplacedWarning);
+                }
+
+                assert.deepStrictEqual(warnings, []);
+                assert.deepStrictEqual(replacedWarnings, [
+                    `The rule 'foo/old-a' has been replaced by 'foo/new-a', which has different options. Only the severity was migrated. Please configure 'foo/new-a' instead. (found in "${path.relative(process.cwd(), filePath)}")`
+                ]);
+            });
+        });
+
+        it("should explain the renamed rules with the new rule IDs.", () => {
+            const source = {
+                filePath: path.join(dirname, "rename-5/.eslintrc.json"),
+                name: "rename-5/.eslintrc.json",
+                pointer: "/rules/old-b",
+                line: 1,
+                column: 22
+            };
+            const configArray = new ConfigArray(
+                { name: "base", rules: { "new-b": "warn" } },
+                {
+                    name: "rename-5/.eslintrc.json",
+                    filePath: source.filePath,
+                    rules: { "old-b": ["error", "always"] },
+                    provenance: { rules: { "old-b": source } }
+                },
+                { ruleRenames: { "old-b": "new-b" } }
+            );
+
+            assert.deepStrictEqual(configArray.extractConfig(filename).provenance.rules, { "new-b": source });
+            assert.deepStrictEqual(configArray.explainConfig(filename).rules, {
+                "new-b": {
+                    value: ["error", "always"],
+                    origin: { index: 1, name: "rename-5/.eslintrc.json", filePath: source.filePath, overrideIndex: null },
+                    shadowed: [
+                        {
+                            value: "warn",
+                            origin: { index: 0, name: "base", filePath: void 0, overrideIndex: null }
+                        }
+                    ]
+                }
+            });
+        });
+
+        it("should not emit deprecation warnings if no rules were renamed.", async () => {
+            const configArray = new ConfigArray(
+                { filePath: path.join(dirname, "rename-3/.eslintrc.json"), rules: { eqeqeq: "error" } },
+                { ruleRenames: { "old-b": "new-b" } }
+            );
+
+            configArray.extractConfig(filename);
+            await delay();
+
+            assert.deepStrictEqual(warnings, []);
+        });
+    });
+
     describe("'extractConfig(filePath)' method should retrieve the merged config for a given file.", () => {
         it("should throw an error if a 'parser' has the loading error.", () => {
             assert.throws(() => {
@@ -317,6 +627,65 @@ describe("ConfigArray", () => {
             });
         });
 
+        it("should adopt the provenance of the first found values if elements have 'provenance' property.", () => {
+
+            /**
+             * Create a source of a value.
+             * @param {string} name The config name.
+             * @param {string} pointer The JSON pointer.
+             * @returns {Object} The source.
+             */
+            function source(name, pointer) {
+                return { filePath: `/${name}`, name, pointer };
+            }
+
+            const config = new ConfigArray(
+                {
+                    rules: { semi: "error", eqeqeq: "error" },
+                    settings: { a: 1 },
+                    provenance: {
+                        rules: {
+                            semi: source("base", "/rules/semi"),
+                            eqeqeq: source("base", "/rules/eqeqeq")
+                        },
+                        settings: { a: source("base", "/settings/a") }
+                    }
+                },
+                {
+                    criteria: OverrideTester.create(["*.ts"], [], process.cwd()),
+                    rules: { eqeqeq: "off" },
+                    provenance: {
+                        rules: { eqeqeq: source("ts", "/overrides/0/rules/eqeqeq") }
+                    }
+                },
+                {
+                    rules: { semi: ["warn", "never"] },
+                    env: { node: true },
+                    provenance: {
+                        rules: { semi: source("local", "/rules/semi") },
+                        env: { node: source("local", "/env/node") }
+                    }
+                }
+            ).extractConfig(filename);
+
+            assert.deepStrictEqual(config.provenance, {
+                env: { node: source("local", "/env/node") },
+                globals: {},
+                parserOptions: {},
+                rules: {
+                    semi: source("local", "/rules/semi"),
+                    eqeqeq: source("base", "/rules/eqeqeq")
+                },
+                settings: { a: source("base", "/settings/a") }
+            });
+        });
+
+        it("should not have 'provenance' property if elements don't have 'provenance' property.", () => {
+            const config = new ConfigArray({ rules: { semi: "error" } }).extractConfig(filename);
+
+            assert.strictEqual(Object.hasOwn(config, "provenance"), false);
+        });
+
         it("should return the same instance for every the same matching.", () => {
             const configArray = new ConfigArray(
                 {
@@ -660,6 +1029,590 @@ describe("ConfigArray", () => {
             assert(b.settings.bar === 1);
             assert(result.settings.bar === 2);
         });
+
+        describe("with 'ruleMergeStrategies'", () => {
+            it("should replace the options if the strategy is 'replace'.", () => {
+                const result = merge(
+                    { rules: { foo: [2, { a: 1 }] } },
+                    { rules: { foo: [1, { b: 2 }] }, ruleMergeStrategies: { foo: "replace" } }
+                );
+
+                assert.deepStrictEqual(result.rules.foo, [1, { b: 2 }]);
+            });
+
+            it("should merge object options recursively if the strategy is 'deep-merge'.", () => {
+                const config = [
+                    { rules: { foo: [2, { a: 1, nested: { x: 1, y: 1 }, list: ["p", "q"] }, "base"] } },
+                    { rules: { foo: [1, { b: 2, nested: { y: 2 }, list: ["r"] }] }, ruleMergeStrategies: { foo: "deep-merge" } }
+                ];
+
+                const result = merge(config[0], config[1]);
+
+                assert.deepStrictEqual(result.rules.foo, [1, { a: 1, b: 2, nested: { x: 1, y: 2 }, list: ["r"] }, "base"]);
+                assert.deepStrictEqual(config[0].rules.foo, [2, { a: 1, nested: { x: 1, y: 1 }, list: ["p", "q"] }, "base"]);
+                assert.deepStrictEqual(config[1].rules.foo, [1, { b: 2, nested: { y: 2 }, list: ["r"] }]);
+            });
+
+            it("should concatenate array options if the strategy is 'concat'.", () => {
+                const config = [
+                    { rules: { foo: [2, ["a", "b"], { a: 1 }] } },
+                    { rules: { foo: [1, ["c"], { b: 2 }] }, ruleMergeStrategies: { foo: "concat" } }
+                ];
+
+                const result = merge(config[0], config[1]);
+
+                assert.deepStrictEqual(result.rules.foo, [1, ["a", "b", "c"], { b: 2 }]);
+                assert.deepStrictEqual(config[0].rules.foo, [2, ["a", "b"], { a: 1 }]);
+            });
+
+            it("should merge the options of every matched element in priority order.", () => {
+                const configArray = new ConfigArray(
+                    { rules: { foo: [2, ["a"]] }, ruleMergeStrategies: { foo: "concat" } },
+                    { rules: { foo: [2, ["b"]] } },
+                    { criteria: OverrideTester.create(["*.ts"], [], process.cwd()), rules: { foo: [2, ["c"]] } },
+                    { rules: { foo: [2, ["d"]] } }
+                );
+
+                assert.deepStrictEqual(configArray.extractConfig(filename).rules.foo, [2, ["a", "b", "d"]]);
+            });
+
+            it("should adopt the strategy of the highest-priority element.", () => {
+                const result = merge(
+                    { rules: { foo: [2, ["a"]] }, ruleMergeStrategies: { foo: "concat" } },
+                    { rules: { foo: [2, ["b"]] }, ruleMergeStrategies: { foo: "replace" } }
+                );
+
+                assert.deepStrictEqual(result.rules.foo, [2, ["b"]]);
+            });
+
+            it("should not affect the other rules.", () => {
+                const result = merge(
+                    { rules: { foo: [2, ["a"]], bar: [2, ["a"]] } },
+                    { rules: { foo: [2, ["b"]], bar: [2, ["b"]] }, ruleMergeStrategies: { foo: "concat" } }
+                );
+
+                assert.deepStrictEqual(result.rules.foo, [2, ["a", "b"]]);
+                assert.deepStrictEqual(result.rules.bar, [2, ["b"]]);
+            });
+
+            it("should inherit the options if the higher-priority rule config is severity only.", () => {
+                const result = merge(
+                    { rules: { foo: [2, { a: 1 }] } },
+                    { rules: { foo: "warn" }, ruleMergeStrategies: { foo: "deep-merge" } }
+                );
+
+                assert.deepStrictEqual(result.rules.foo, ["warn", { a: 1 }]);
+            });
+        });
+    });
+
+    describe("'extractConfig(filePath)' method should reuse the merged values of the elements which files share.", () => {
+        const cwd = process.cwd();
+
+        /**
+         * Create the elements which have various values.
+         * @returns {Object[]} The elements.
+         */
+        function createElements() {
+            return [
+                {
+                    name: "base",
+                    env: { es6: true, node: true },
+                    globals: { foo: "readonly" },
+                    ignorePattern: new IgnorePattern(["*.min.js"], cwd),
+                    parser: { id: "base-parser", filePath: "/base-parser.js" },
+                    parserOptions: { ecmaFeatures: { jsx: true, globalReturn: false } },
+                    plugins: { foo: { id: "foo", filePath: "/foo.js", definition: {} } },
+                    rules: { eqeqeq: ["error", "smart"], quotes: [1, "double"], semi: "error" },
+                    settings: { list: [1, 2, 3], nested: { a: 1, b: { c: 1 } } }
+                },
+                {
+                    name: "middle",
+                    env: { node: false },
+                    noInlineConfig: true,
+                    reportUnusedDisableDirectives: true,
+                    rules: { quotes: "warn", "no-var": 2 },
+                    settings: { list: [4], nested: { b: { d: 2 } } }
+                },
+                {
+                    name: "ts",
+                    criteria: OverrideTester.create(["*.ts"], [], cwd),
+                    globals: { bar: "writable" },
+                    parser: { id: "ts-parser", filePath: "/ts-parser.js" },
+                    parserOptions: { ecmaFeatures: { jsx: false } },
+                    rules: { semi: ["warn", "never"] }
+                },
+                {
+                    name: "test",
+                    criteria: OverrideTester.create(["test/**"], [], cwd),
+                    env: { mocha: true },
+                    noInlineConfig: false,
+                    plugins: { bar: { id: "bar", filePath: "/bar.js", definition: {} } },
+                    processor: "bar/processor",
+                    rules: { eqeqeq: "off", quotes: ["error", "single"] }
+                },
+                {
+                    name: "test-ts",
+                    criteria: OverrideTester.create(["test/**/*.ts"], [], cwd),
+                    rules: { "no-var": "off" },
+                    settings: { nested: { b: { c: 3 } } }
+                }
+            ];
+        }
+
+        const filePaths = [
+            "a.js",
+            "a.ts",
+            "test/a.js",
+            "test/a.ts",
+            "test/b.ts",
+            "lib/b.js"
+        ].map(filePath => path.join(cwd, filePath));
+
+        /**
+         * Get the comparable values of a given config.
+         * @param {ExtractedConfig} config The config.
+         * @returns {Object} The values.
+         */
+        function toComparable(config) {
+            const { ignores, ...values } = config;
+
+            return { ...values, ignores: ignores && { basePath: ignores.basePath, patterns: ignores.patterns } };
+        }
+
+        it("should return the same configs as merging every element from scratch.", () => {
+            const configArray = new ConfigArray(...createElements());
+
+            /*
+             * The rule merge strategy of an unused rule doesn't change the
+             * results, but it makes `extractConfig()` merge from scratch.
+             */
+            const scratchConfigArray = new ConfigArray(
+                { name: "strategies", ruleMergeStrategies: { "unused-rule": "concat" } },
+                ...createElements()
+            );
+
+            for (const filePath of filePaths) {
+                assert.deepStrictEqual(
+                    toComparable(configArray.extractConfig(filePath)),
+                    toComparable(scratchConfigArray.extractConfig(filePath)),
+                    filePath
+                );
+            }
+        });
+
+        it("should not change the configs which were extracted before.", () => {
+            const configArray = new ConfigArray(...createElements());
+            const configs = filePaths.map(filePath => configArray.extractConfig(filePath));
+            const snapshots = configs.map(config => JSON.parse(JSON.stringify(toComparable(config))));
+
+            for (const filePath of filePaths.slice().reverse()) {
+                configArray.extractConfig(filePath);
+            }
+
+            assert.deepStrictEqual(
+                configs.map(config => JSON.parse(JSON.stringify(toComparable(config)))),
+                snapshots
+            );
+        });
+
+        it("should not share the mutable values between the configs of different files.", () => {
+            const configArray = new ConfigArray(...createElements());
+            const config = configArray.extractConfig(path.join(cwd, "a.js"));
+            const compatibleConfig = config.toCompatibleObjectAsConfigFileContent();
+
+            config.env.es6 = false;
+            config.globals.baz = "off";
+            config.parserOptions.ecmaFeatures.globalReturn = true;
+            config.plugins.baz = { id: "baz", filePath: "/baz.js", definition: {} };
+            config.rules.eqeqeq[0] = "off";
+            config.rules.eqeqeq.push("always");
+            config.settings.list.push(4);
+            compatibleConfig.settings.nested.b.c = 2;
+            compatibleConfig.rules.semi.push("always");
+
+            const freshConfigArray = new ConfigArray(...createElements());
+
+            // 'lib/b.js' matches the same elements as 'a.js', so it gets the same config.
+            for (const filePath of filePaths.slice(1, -1)) {
+                assert.deepStrictEqual(
+                    toComparable(configArray.extractConfig(filePath)),
+                    toComparable(freshConfigArray.extractConfig(filePath)),
+                    filePath
+                );
+            }
+        });
+
+        it("should merge the objects of lower-priority elements into a higher-priority object even if a primitive value is between them.", () => {
+            const configArray = new ConfigArray(
+                { settings: { a: { x: 1 } } },
+                { settings: { a: 1 } },
+                { criteria: OverrideTester.create(["*.ts"], [], cwd), settings: { a: { y: 2 } } }
+            );
+
+            assert.deepStrictEqual(configArray.extractConfig(path.join(cwd, "a.js")).settings, { a: 1 });
+            assert.deepStrictEqual(configArray.extractConfig(path.join(cwd, "a.ts")).settings, { a: { y: 2, x: 1 } });
+        });
+
+        it("should share the ignore predicate between the files which have the same ignore patterns.", () => {
+            const configArray = new ConfigArray(...createElements());
+            const config1 = configArray.extractConfig(path.join(cwd, "a.ts"));
+            const config2 = configArray.extractConfig(path.join(cwd, "test/a.js"));
+
+            assert.notStrictEqual(config1, config2);
+            assert.strictEqual(config1.ignores, config2.ignores);
+        });
+
+        describe("benchmark", () => {
+            const overrideCount = 400;
+
+            /**
+             * Create the config array which has many overrides, and count
+             * how many times the rules of the base elements are read while
+             * extracting the config of a file in every override.
+             * @param {Object[]} extraElements The elements to prepend.
+             * @returns {{firstReads: number, totalReads: number}} The counts.
+             */
+            function countBaseReads(extraElements) {
+                let reads = 0;
+                const baseElements = Array.from({ length: 10 }, (_, i) => {
+                    const rules = { [`base-rule-${i}`]: ["error", { option: i }] };
+
+                    return {
+                        name: `base${i}`,
+                        get rules() {
+                            reads += 1;
+                            return rules;
+                        }
+                    };
+                });
+                const overrides = Array.from({ length: overrideCount }, (_, i) => ({
+                    name: `override${i}`,
+                    criteria: OverrideTester.create([`dir${i}/**`], [], cwd),
+                    rules: { [`override-rule-${i}`]: "warn" }
+                }));
+                const configArray = new ConfigArray(...extraElements, ...baseElements, ...overrides);
+                let firstReads = 0;
+
+                for (let i = 0; i < overrideCount; ++i) {
+                    const config = configArray.extractConfig(path.join(cwd, `dir${i}/a.js`));
+
+                    assert.deepStrictEqual(config.rules[`override-rule-${i}`], ["warn"]);
+                    assert.deepStrictEqual(config.rules["base-rule-9"], ["error", { option: 9 }]);
+                    if (i === 0) {
+                        firstReads = reads;
+                    }
+                }
+
+                return { firstReads, totalReads: reads };
+            }
+
+            it(`should merge the shared elements only once for ${overrideCount} different overrides.`, () => {
+                const { firstReads, totalReads } = countBaseReads([]);
+
+                assert.isAbove(firstReads, 0);
+                assert.strictEqual(totalReads, firstReads);
+            });
+
+            it(`should merge the shared elements for each of ${overrideCount} different overrides if it cannot merge incrementally.`, () => {
+                const { firstReads, totalReads } = countBaseReads([
+                    { name: "strategies", ruleMergeStrategies: { "unused-rule": "concat" } }
+                ]);
+
+                assert.isAbove(firstReads, 0);
+                assert.strictEqual(totalReads, firstReads * overrideCount);
+            });
+        });
+    });
+
+    describe("'extractConfig(filePath)' method should skip the elements which cannot match a file without testing them.", () => {
+        const cwd = process.cwd();
+        const subdir = path.join(cwd, "subdir");
+
+        /**
+         * Create a config array and count the tests of each element.
+         * @returns {{configArray: ConfigArray, counts: Record<string, number>}} The config array and the counts.
+         */
+        function createCountingConfigArray() {
+            const counts = {};
+            const elements = [
+                { name: "base" },
+                { name: "ts", criteria: OverrideTester.create(["*.ts", "*.tsx"], [], cwd) },
+                { name: "lib", criteria: OverrideTester.create(["lib/**"], ["lib/vendor/**"], cwd) },
+                { name: "any", criteria: OverrideTester.create(["**/*"], [], cwd) },
+                { name: "js", criteria: OverrideTester.create(["*.js"], ["*.min.js"], cwd) },
+                { name: "subdir-lib", criteria: OverrideTester.create(["lib/**"], [], subdir) },
+                { name: "ts-in-lib", criteria: OverrideTester.and(OverrideTester.create(["lib/**"], [], cwd), OverrideTester.create(["*.ts"], [], cwd)) }
+            ];
+
+            for (const element of elements) {
+                counts[element.name] = 0;
+
+                if (element.criteria) {
+                    const { criteria } = element;
+                    const test = criteria.test.bind(criteria);
+
+                    criteria.test = filePath => {
+                        counts[element.name] += 1;
+                        return test(filePath);
+                    };
+                }
+            }
+
+            return { configArray: new ConfigArray(...elements), counts };
+        }
+
+        /**
+         * Get the names of the elements which were matched to a file.
+         * @param {ConfigArray} configArray The config array.
+         * @param {string} filePath The path to the file.
+         * @returns {string[]} The names.
+         */
+        function getMatchedNames(configArray, filePath) {
+            return Object.values(configArray.explainConfig(filePath).rules)
+                .map(({ origin }) => origin.name);
+        }
+
+        it("should match the same elements as testing every element.", () => {
+            for (const [filePath, expected] of [
+                ["a.js", ["base", "any", "js"]],
+                ["a.min.js", ["base", "any"]],
+                ["a.ts", ["base", "ts", "any"]],
+                ["lib/a.js", ["base", "lib", "any", "js"]],
+                ["lib/a.ts", ["base", "ts", "lib", "any", "ts-in-lib"]],
+                ["lib/vendor/a.js", ["base", "any", "js"]],
+                ["subdir/lib/a.js", ["base", "any", "js", "subdir-lib"]],
+                ["subdir/lib/a/b.ts", ["base", "ts", "any", "subdir-lib"]],
+                ["subdir/test/a.ts", ["base", "ts", "any"]]
+            ]) {
+                const { configArray } = createCountingConfigArray();
+
+                for (const element of configArray) {
+                    element.rules = { [element.name]: "error" };
+                }
+
+                assert.sameMembers(getMatchedNames(configArray, path.join(cwd, filePath)), expected, filePath);
+            }
+        });
+
+        it("should not test the elements which don't have the extension or the directory of the file.", () => {
+            const { configArray, counts } = createCountingConfigArray();
+
+            configArray.extractConfig(path.join(cwd, "test/a.js"));
+
+            assert.deepStrictEqual(counts, {
+                base: 0,
+                ts: 0,
+                lib: 0,
+                any: 1,
+                js: 1,
+                "subdir-lib": 0,
+                "ts-in-lib": 0
+            });
+        });
+
+        it("should test the elements by the paths relative to their base paths.", () => {
+            const { configArray, counts } = createCountingConfigArray();
+
+            configArray.extractConfig(path.join(subdir, "lib/a.ts"));
+
+            assert.deepStrictEqual(counts, {
+                base: 0,
+                ts: 1,
+                lib: 0,
+                any: 1,
+                js: 0,
+                "subdir-lib": 1,
+                "ts-in-lib": 0
+            });
+        });
+
+        it("should throw an error for a relative path as same as testing every element.", () => {
+            const { configArray } = createCountingConfigArray();
+
+            assert.throws(() => {
+                configArray.extractConfig("lib/a.js");
+            }, "'filePath' should be an absolute path, but got lib/a.js.");
+        });
+    });
+
+    describe("'explainConfig(filePath)' method should explain where the values of the merged config came from.", () => {
+        let configArray;
+
+        beforeEach(() => {
+            configArray = new ConfigArray(
+                {
+                    name: "base",
+                    filePath: "",
+                    env: { node: true },
+                    rules: {
+                        semi: ["error", "never"],
+                        eqeqeq: "error"
+                    },
+                    settings: { foo: 1 }
+                },
+                {
+                    name: ".eslintrc.json",
+                    filePath: "/project/.eslintrc.json",
+                    parser: { id: "espree" },
+                    rules: {
+                        semi: "warn"
+                    }
+                },
+                {
+                    name: ".eslintrc.json#overrides[0]",
+                    filePath: "/project/.eslintrc.json",
+                    overrideIndex: 0,
+                    criteria: OverrideTester.create(["*.js"], [], process.cwd()),
+                    processor: "foo/bar",
+                    rules: {
+                        semi: "off"
+                    },
+                    settings: { foo: 2 }
+                },
+                {
+                    name: ".eslintrc.json#overrides[1]",
+                    filePath: "/project/.eslintrc.json",
+                    overrideIndex: 1,
+                    criteria: OverrideTester.create(["*.ts"], [], process.cwd()),
+                    rules: {
+                        semi: "error"
+                    }
+                }
+            );
+        });
+
+        it("should report the adopted values, the elements which supplied those, and the shadowed values.", () => {
+            const explanation = configArray.explainConfig(filename);
+            const base = { index: 0, name: "base", filePath: "", overrideIndex: null };
+            const root = { index: 1, name: ".eslintrc.json", filePath: "/project/.eslintrc.json", overrideIndex: null };
+            const override = { index: 2, name: ".eslintrc.json#overrides[0]", filePath: "/project/.eslintrc.json", overrideIndex: 0 };
+
+            assert.deepStrictEqual(explanation, {
+                env: {
+                    node: { value: true, origin: base, shadowed: [] }
+                },
+                globals: {},
+                parser: { value: { id: "espree" }, origin: root, shadowed: [] },
+                processor: { value: "foo/bar", origin: override, shadowed: [] },
+                rules: {
+                    semi: {
+                        value: ["off", "never"],
+                        origin: override,
+                        shadowed: [
+                            { value: "warn", origin: root },
+                            { value: ["error", "never"], origin: base }
+                        ]
+                    },
+                    eqeqeq: { value: ["error"], origin: base, shadowed: [] }
+                },
+                settings: {
+                    foo: { value: 2, origin: override, shadowed: [{ value: 1, origin: base }] }
+                }
+            });
+        });
+
+        it("should ignore the elements which were not matched.", () => {
+            const explanation = configArray.explainConfig(path.join(dirname, "a.ts"));
+
+            assert.strictEqual(explanation.processor, null);
+            assert.deepStrictEqual(explanation.rules.semi.origin.name, ".eslintrc.json#overrides[1]");
+            assert.deepStrictEqual(
+                explanation.rules.semi.shadowed.map(({ origin }) => origin.index),
+                [1, 0]
+            );
+        });
+
+        it("should have the same values as 'extractConfig(filePath)'.", () => {
+            const config = configArray.extractConfig(filename);
+            const explanation = configArray.explainConfig(filename);
+
+            assert.strictEqual(explanation.rules.semi.value, config.rules.semi);
+            assert.strictEqual(explanation.parser.value, config.parser);
+        });
+    });
+
+    describe("'whyIgnored(filePath)' method should explain which ignore pattern decided the result.", () => {
+        const cwd = process.cwd();
+        let configArray;
+
+        beforeEach(() => {
+            configArray = new ConfigArray(
+                {
+                    type: "ignore",
+                    name: "DefaultIgnorePattern",
+                    filePath: "",
+                    ignorePattern: new IgnorePattern(IgnorePattern.DefaultPatterns, cwd)
+                },
+                {
+                    type: "config",
+                    name: ".eslintrc.json",
+                    filePath: path.join(cwd, ".eslintrc.json"),
+                    ignorePattern: new IgnorePattern(["*.min.js"], cwd)
+                },
+                {
+                    type: "config",
+                    name: ".eslintrc.json#overrides[0]",
+                    filePath: path.join(cwd, ".eslintrc.json"),
+                    criteria: OverrideTester.create(["*.ts"], [], cwd),
+                    ignorePattern: new IgnorePattern(["*.d.ts"], cwd)
+                },
+                {
+                    type: "ignore",
+                    name: ".eslintignore",
+                    filePath: path.join(cwd, ".eslintignore"),
+                    ignorePattern: Object.assign(new IgnorePattern(["!keep.min.js"], cwd), { loose: true })
+                }
+            );
+        });
+
+        it("should report the element which has the deciding pattern.", () => {
+            assert.deepStrictEqual(configArray.whyIgnored(path.join(cwd, "a.min.js")), {
+                ignored: true,
+                decidingPattern: {
+                    pattern: "*.min.js",
+                    negated: false,
+                    name: ".eslintrc.json",
+                    filePath: path.join(cwd, ".eslintrc.json"),
+                    basePath: cwd
+                },
+                negations: []
+            });
+        });
+
+        it("should report the negations which matched the file.", () => {
+            const explanation = configArray.whyIgnored(path.join(cwd, "keep.min.js"));
+
+            assert.strictEqual(explanation.ignored, false);
+            assert.strictEqual(explanation.decidingPattern.name, ".eslintignore");
+            assert.deepStrictEqual(explanation.negations, [explanation.decidingPattern]);
+        });
+
+        it("should report the dotfile rule unless 'dot' option is true.", () => {
+            assert.deepStrictEqual(configArray.whyIgnored(path.join(cwd, ".hidden.js")).decidingPattern, {
+                pattern: ".*",
+                negated: false,
+                name: "DotfileIgnorePattern",
+                filePath: "",
+                basePath: null
+            });
+            assert.strictEqual(configArray.whyIgnored(path.join(cwd, ".hidden.js"), { dot: true }).ignored, false);
+        });
+
+        it("should use only the elements which matched the file.", () => {
+            assert.strictEqual(configArray.whyIgnored(path.join(cwd, "a.d.ts")).decidingPattern.name, ".eslintrc.json#overrides[0]");
+            assert.strictEqual(configArray.whyIgnored(path.join(cwd, "a.d.js")).ignored, false);
+        });
+
+        it("should be consistent with 'extractConfig(filePath).ignores'.", () => {
+            for (const filePath of ["a.js", "a.min.js", "keep.min.js", "node_modules/a/index.js", ".eslintrc.js"].map(p => path.join(cwd, p))) {
+                assert.strictEqual(
+                    configArray.whyIgnored(filePath).ignored,
+                    configArray.extractConfig(filePath).ignores(filePath),
+                    filePath
+                );
+            }
+        });
     });
 
     describe("'getUsedExtractedConfigs(instance)' function should retrieve used extracted configs from the instance's internal cache.", () => {
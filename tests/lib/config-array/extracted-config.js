@@ -4,7 +4,13 @@
  */
 
 import assert from "node:assert";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { ConfigDependency } from "../../../lib/config-array/config-dependency.js";
 import { ExtractedConfig } from "../../../lib/config-array/extracted-config.js";
+import { IgnorePattern } from "../../../lib/config-array/ignore-pattern.js";
+
+const require = createRequire(import.meta.url);
 
 describe("'ExtractedConfig' class", () => {
     describe("'constructor()' should create an instance.", () => {
@@ -134,5 +140,330 @@ describe("'ExtractedConfig' class", () => {
 
             assert.deepStrictEqual(data.settings, { a: 1 });
         });
+
+        it("should not use 'provenance' property.", () => {
+            config.provenance = { rules: {} };
+
+            const data = config.toCompatibleObjectAsConfigFileContent();
+
+            assert.strictEqual(Object.hasOwn(data, "provenance"), false);
+        });
+    });
+
+    describe("'diff(other)' method should return the differences.", () => {
+
+        /** @type {ExtractedConfig} */
+        let before;
+
+        /** @type {ExtractedConfig} */
+        let after;
+
+        beforeEach(() => {
+            before = new ExtractedConfig();
+            after = new ExtractedConfig();
+        });
+
+        it("should return no differences for the same configs.", () => {
+            before.rules = { semi: ["error", "never"] };
+            after.rules = { semi: [2, "never"] };
+
+            assert.deepStrictEqual(before.diff(after), {
+                env: { added: {}, removed: {}, changed: {} },
+                globals: { added: {}, removed: {}, changed: {} },
+                parser: null,
+                parserOptions: { added: {}, removed: {}, changed: {} },
+                plugins: { added: [], removed: [], changed: [] },
+                processor: null,
+                rules: { added: {}, removed: {}, changed: {} },
+                settings: { added: {}, removed: {}, changed: {} }
+            });
+        });
+
+        it("should report added, removed, and changed rules.", () => {
+            before.rules = {
+                eqeqeq: ["error"],
+                quotes: ["warn", "double"],
+                semi: ["error", "never"],
+                "no-var": ["error"]
+            };
+            after.rules = {
+                eqeqeq: ["warn"],
+                quotes: ["warn", "single"],
+                semi: ["off"],
+                "prefer-const": ["error"]
+            };
+
+            assert.deepStrictEqual(before.diff(after).rules, {
+                added: { "prefer-const": ["error"] },
+                removed: { "no-var": ["error"] },
+                changed: {
+                    eqeqeq: { before: ["error"], after: ["warn"], severityChanged: true, optionsChanged: false },
+                    quotes: { before: ["warn", "double"], after: ["warn", "single"], severityChanged: false, optionsChanged: true },
+                    semi: { before: ["error", "never"], after: ["off"], severityChanged: true, optionsChanged: true }
+                }
+            });
+        });
+
+        it("should report the differences of env and globals.", () => {
+            before.env = { node: true, es6: true };
+            after.env = { browser: true, es6: false };
+            before.globals = { foo: "readonly" };
+            after.globals = { foo: "writable" };
+
+            const diff = before.diff(after);
+
+            assert.deepStrictEqual(diff.env, {
+                added: { browser: true },
+                removed: { node: true },
+                changed: { es6: { before: true, after: false } }
+            });
+            assert.deepStrictEqual(diff.globals, {
+                added: {},
+                removed: {},
+                changed: { foo: { before: "readonly", after: "writable" } }
+            });
+        });
+
+        it("should report the differences of parser, plugins, and processor.", () => {
+            before.parser = { id: "espree", filePath: "/node_modules/espree/index.js" };
+            after.parser = { id: "@typescript-eslint/parser", filePath: "/node_modules/@typescript-eslint/parser/index.js" };
+            before.plugins = {
+                "": { id: "" },
+                a: { id: "a", filePath: "/a/index.js" },
+                b: { id: "b", filePath: "/b/index.js" }
+            };
+            after.plugins = {
+                a: { id: "a", filePath: "/project/node_modules/a/index.js" },
+                c: { id: "c", filePath: "/c/index.js" }
+            };
+            after.processor = "c/markdown";
+
+            const diff = before.diff(after);
+
+            assert.deepStrictEqual(diff.parser, { before: "espree", after: "@typescript-eslint/parser" });
+            assert.deepStrictEqual(diff.plugins, { added: ["c"], removed: ["b"], changed: ["a"] });
+            assert.deepStrictEqual(diff.processor, { before: null, after: "c/markdown" });
+        });
+
+        it("should compare settings deeply.", () => {
+            before.settings = { react: { version: "17" }, same: { a: [1] } };
+            after.settings = { react: { version: "18" }, same: { a: [1] } };
+
+            assert.deepStrictEqual(before.diff(after).settings, {
+                added: {},
+                removed: {},
+                changed: { react: { before: { version: "17" }, after: { version: "18" } } }
+            });
+        });
+    });
+
+    describe("'serialize()' and 'deserialize(data, options)' methods should convert the config to the structured-clone-safe form and back.", () => {
+        const basePath = path.resolve("/project");
+        const parserPath = path.join(basePath, "node_modules/parser/index.js");
+        const pluginPath = path.join(basePath, "node_modules/eslint-plugin-foo/index.js");
+        const parser = { parse() {} };
+        const plugin = { rules: { bar: { create() {} } } };
+        const modules = new Map([[parserPath, parser], [pluginPath, plugin]]);
+
+        /**
+         * Load a fake module.
+         * @param {string} filePath The path to the module.
+         * @returns {any} The module.
+         */
+        function fakeRequire(filePath) {
+            return modules.get(filePath);
+        }
+
+        /** @type {ExtractedConfig} */
+        let config;
+
+        beforeEach(() => {
+            config = new ExtractedConfig();
+            config.env = { node: true };
+            config.globals = { foo: "readonly" };
+            config.ignores = IgnorePattern.createIgnore([
+                new IgnorePattern(["*.min.js", "!keep.min.js"], basePath)
+            ]);
+            config.noInlineConfig = true;
+            config.configNameOfNoInlineConfig = ".eslintrc.json";
+            config.parser = new ConfigDependency({
+                definition: parser,
+                filePath: parserPath,
+                id: "parser",
+                importerName: ".eslintrc.json",
+                importerPath: path.join(basePath, ".eslintrc.json")
+            });
+            config.parserOptions = { ecmaVersion: 2022 };
+            config.plugins = {
+                foo: new ConfigDependency({
+                    definition: { configs: {}, environments: {}, processors: {}, rules: plugin.rules },
+                    original: plugin,
+                    filePath: pluginPath,
+                    id: "foo",
+                    importerName: ".eslintrc.json",
+                    importerPath: path.join(basePath, ".eslintrc.json")
+                })
+            };
+            config.processor = "foo/bar";
+            config.rules = { "foo/bar": ["error", { a: 1 }] };
+            config.settings = { foo: { a: [1] } };
+        });
+
+        it("should return the data which 'structuredClone()' can copy.", () => {
+            const data = structuredClone(config.serialize());
+
+            assert.deepStrictEqual(data, {
+                configNameOfNoInlineConfig: ".eslintrc.json",
+                env: { node: true },
+                globals: { foo: "readonly" },
+                ignores: { basePath, patterns: ["*.min.js", "!keep.min.js"] },
+                noInlineConfig: true,
+                parser: {
+                    id: "parser",
+                    filePath: parserPath,
+                    importerName: ".eslintrc.json",
+                    importerPath: path.join(basePath, ".eslintrc.json")
+                },
+                parserOptions: { ecmaVersion: 2022 },
+                plugins: {
+                    foo: {
+                        id: "foo",
+                        filePath: pluginPath,
+                        importerName: ".eslintrc.json",
+                        importerPath: path.join(basePath, ".eslintrc.json")
+                    }
+                },
+                processor: "foo/bar",
+                reportUnusedDisableDirectives: void 0,
+                rules: { "foo/bar": ["error", { a: 1 }] },
+                settings: { foo: { a: [1] } }
+            });
+        });
+
+        it("should restore the same config with the parser and plugins loaded again.", () => {
+            const restored = ExtractedConfig.deserialize(
+                structuredClone(config.serialize()),
+                { require: fakeRequire }
+            );
+
+            assert(restored instanceof ExtractedConfig);
+            assert.deepStrictEqual(config.diff(restored), new ExtractedConfig().diff(new ExtractedConfig()));
+            assert.strictEqual(restored.parser.definition, parser);
+            assert.strictEqual(restored.plugins.foo.original, plugin);
+            assert.strictEqual(restored.plugins.foo.definition.rules, plugin.rules);
+            assert.deepStrictEqual(restored.plugins.foo.definition.configs, {});
+            assert.strictEqual(restored.noInlineConfig, true);
+            assert.strictEqual(restored.configNameOfNoInlineConfig, ".eslintrc.json");
+            assert.deepStrictEqual(restored.toCompatibleObjectAsConfigFileContent(), config.toCompatibleObjectAsConfigFileContent());
+        });
+
+        it("should restore the ignore predicate.", () => {
+            const restored = ExtractedConfig.deserialize(config.serialize(), { require: fakeRequire });
+
+            assert.strictEqual(restored.ignores(path.join(basePath, "a.min.js")), true);
+            assert.strictEqual(restored.ignores(path.join(basePath, "keep.min.js")), false);
+            assert.strictEqual(restored.ignores(path.join(basePath, "a.js")), false);
+            assert.strictEqual(restored.ignores(path.join(basePath, ".a.js")), true);
+            assert.strictEqual(restored.ignores(path.join(basePath, ".a.js"), true), false);
+        });
+
+        it("should restore the config without ignores and parser.", () => {
+            config.ignores = void 0;
+            config.parser = null;
+
+            const restored = ExtractedConfig.deserialize(config.serialize(), { require: fakeRequire });
+
+            assert.strictEqual(restored.ignores, void 0);
+            assert.strictEqual(restored.parser, null);
+        });
+
+        it("should keep the 'provenance' property if it exists.", () => {
+            config.provenance = { env: {}, globals: {}, parserOptions: {}, rules: { "foo/bar": { filePath: pluginPath } }, settings: {} };
+
+            const data = config.serialize();
+            const restored = ExtractedConfig.deserialize(data, { require: fakeRequire });
+
+            assert.deepStrictEqual(data.provenance, config.provenance);
+            assert.deepStrictEqual(restored.provenance, config.provenance);
+        });
+
+        it("should not have the 'provenance' property if the config doesn't have it.", () => {
+            const data = config.serialize();
+            const restored = ExtractedConfig.deserialize(data, { require: fakeRequire });
+
+            assert.strictEqual(Object.hasOwn(data, "provenance"), false);
+            assert.strictEqual(Object.hasOwn(restored, "provenance"), false);
+        });
+
+        it("should load the parser with the default 'require' function.", () => {
+            config.parser = new ConfigDependency({
+                definition: require("espree"),
+                filePath: require.resolve("espree"),
+                id: "espree",
+                importerName: ".eslintrc.json",
+                importerPath: path.join(basePath, ".eslintrc.json")
+            });
+            config.plugins = {};
+
+            const restored = ExtractedConfig.deserialize(config.serialize());
+
+            assert.strictEqual(restored.parser.definition, require("espree"));
+        });
+
+        it("should look up the plugins which weren't loaded from files in the 'additionalPluginPool' option.", () => {
+            config.plugins.foo.filePath = "";
+
+            const data = config.serialize();
+            const restored1 = ExtractedConfig.deserialize(data, {
+                require: fakeRequire,
+                additionalPluginPool: new Map([["foo", plugin]])
+            });
+            const restored2 = ExtractedConfig.deserialize(data, {
+                require: fakeRequire,
+                additionalPluginPool: new Map([["eslint-plugin-foo", plugin]])
+            });
+
+            assert.strictEqual(data.plugins.foo.filePath, "");
+            assert.strictEqual(restored1.plugins.foo.original, plugin);
+            assert.strictEqual(restored2.plugins.foo.original, plugin);
+        });
+
+        it("should throw an error if a plugin wasn't loaded from a file and isn't in the 'additionalPluginPool' option.", () => {
+            config.plugins[""] = new ConfigDependency({
+                definition: { rules: {} },
+                filePath: "",
+                id: "",
+                importerName: "--rulesdir",
+                importerPath: ""
+            });
+
+            assert.throws(() => {
+                ExtractedConfig.deserialize(config.serialize(), { require: fakeRequire });
+            }, {
+                message: "Failed to restore plugin '' declared in '--rulesdir': the reference doesn't have 'filePath' and the 'additionalPluginPool' option doesn't have it.",
+                code: "ESLINT_CONFIG_DEPENDENCY_NOT_RESTORABLE",
+                messageData: { kind: "plugin", id: "", importerName: "--rulesdir" }
+            });
+        });
+
+        it("should throw an error which tells the missing 'filePath' if a parser wasn't loaded from a file.", () => {
+            config.parser.filePath = "";
+
+            assert.throws(() => {
+                ExtractedConfig.deserialize(config.serialize(), { require: fakeRequire });
+            }, {
+                message: "Failed to restore parser 'parser' declared in '.eslintrc.json': the reference doesn't have 'filePath'.",
+                code: "ESLINT_CONFIG_DEPENDENCY_NOT_RESTORABLE"
+            });
+        });
+
+        it("should throw an error if the file of a parser didn't export anything.", () => {
+            assert.throws(() => {
+                ExtractedConfig.deserialize(config.serialize(), { require: () => void 0 });
+            }, {
+                message: `Failed to restore parser 'parser' declared in '.eslintrc.json': '${config.parser.filePath}' didn't export it.`,
+                code: "ESLINT_CONFIG_DEPENDENCY_NOT_RESTORABLE"
+            });
+        });
     });
 });
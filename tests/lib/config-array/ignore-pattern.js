@@ -175,4 +175,71 @@ describe("IgnorePattern", () => {
             }
         });
     });
+
+    describe("static explainIgnore(ignorePatterns, filePath, dot)", () => {
+        const cwd = process.cwd();
+        const defaults = new IgnorePattern(IgnorePattern.DefaultPatterns, cwd);
+        const eslintignore = new IgnorePattern(["dist/", "!dist/keep.js", "*.min.js", "!vendor.min.js"], cwd);
+        const nested = new IgnorePattern(["*.js"], path.join(cwd, "lib"));
+
+        eslintignore.loose = true;
+
+        it("should report the default pattern for files in 'node_modules'.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults, eslintignore], path.join(cwd, "node_modules/foo/index.js"));
+
+            assert.deepStrictEqual(explanation, {
+                ignored: true,
+                decidingPattern: { pattern: "/**/node_modules/*", negated: false, ignorePattern: defaults },
+                negations: []
+            });
+        });
+
+        it("should report the dotfile rule for dotfiles.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults], path.join(cwd, ".hidden.js"));
+
+            assert.deepStrictEqual(explanation.decidingPattern, { pattern: ".*", negated: false, ignorePattern: null });
+            assert.strictEqual(IgnorePattern.explainIgnore([defaults], path.join(cwd, ".hidden.js"), true).ignored, false);
+        });
+
+        it("should report the negation of the dotfile rule for config files.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults], path.join(cwd, ".eslintrc.js"));
+
+            assert.strictEqual(explanation.ignored, false);
+            assert.deepStrictEqual(explanation.decidingPattern, { pattern: "!.eslintrc.*", negated: true, ignorePattern: null });
+        });
+
+        it("should report the negation which unignored the file.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults, eslintignore], path.join(cwd, "vendor.min.js"));
+
+            assert.deepStrictEqual(explanation, {
+                ignored: false,
+                decidingPattern: { pattern: "!vendor.min.js", negated: true, ignorePattern: eslintignore },
+                negations: [{ pattern: "!vendor.min.js", negated: true, ignorePattern: eslintignore }]
+            });
+        });
+
+        it("should report the pattern of the ignored directory even if a negation matched the file.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults, eslintignore], path.join(cwd, "dist/keep.js"));
+
+            assert.deepStrictEqual(explanation, {
+                ignored: true,
+                decidingPattern: { pattern: "dist/", negated: false, ignorePattern: eslintignore },
+                negations: [{ pattern: "!dist/keep.js", negated: true, ignorePattern: eslintignore }]
+            });
+        });
+
+        it("should report the patterns as written even if those have different base paths.", () => {
+            const explanation = IgnorePattern.explainIgnore([defaults, nested], path.join(cwd, "lib/a.js"));
+
+            assert.deepStrictEqual(explanation.decidingPattern, { pattern: "*.js", negated: false, ignorePattern: nested });
+            assert.strictEqual(IgnorePattern.explainIgnore([defaults, nested], path.join(cwd, "a.js")).ignored, false);
+        });
+
+        it("should report nothing if no patterns matched.", () => {
+            assert.deepStrictEqual(
+                IgnorePattern.explainIgnore([defaults, eslintignore], path.join(cwd, "a.js")),
+                { ignored: false, decidingPattern: null, negations: [] }
+            );
+        });
+    });
 });
@@ -228,6 +228,110 @@ describe("OverrideTester", () => {
         error("foo.js", ["../**"], "Invalid override pattern (expected relative path not containing '..'): ../**");
     });
 
+    describe("'getIndexKeys()' method should return the keys which every matched path has one of.", () => {
+        const basePath = process.cwd();
+
+        /**
+         * Get the index keys of a tester.
+         * @param {string|string[]} files The glob patterns for included files.
+         * @param {string|string[]} [excludedFiles] The glob patterns for excluded files.
+         * @returns {{kind: string, keys: Array<string|null>}|null} The keys.
+         */
+        function getKeys(files, excludedFiles = []) {
+            const indexKeys = OverrideTester.create(files, excludedFiles, basePath).getIndexKeys();
+
+            return indexKeys && { kind: indexKeys.kind, keys: [...indexKeys.keys] };
+        }
+
+        it("should return the extensions of the patterns if every pattern ends with a literal extension.", () => {
+            assert.deepStrictEqual(getKeys(["*.js", "src/**/*.{ts,tsx}", "foo.test.mjs"]), { kind: "extension", keys: ["js", "ts", "tsx", "mjs"] });
+        });
+
+        it("should return 'null' as the extension of the patterns which end with a literal name without extension.", () => {
+            assert.deepStrictEqual(getKeys(["Makefile", "*.js"]), { kind: "extension", keys: [null, "js"] });
+        });
+
+        it("should return the first directories if a pattern doesn't end with a literal extension.", () => {
+            assert.deepStrictEqual(getKeys(["src/**", "./lib/*", "test/*.js"]), { kind: "directory", keys: ["src", "lib", "test"] });
+        });
+
+        it("should return 'null' if a pattern has neither a literal extension nor a literal first directory.", () => {
+            assert.strictEqual(getKeys(["*.js", "**/*"]), null);
+            assert.strictEqual(getKeys(["*.[jt]s"]), null);
+            assert.strictEqual(getKeys(["*"]), null);
+        });
+
+        it("should not return the first segment of the patterns which are matched with the base names.", () => {
+            assert.strictEqual(getKeys(["foo*"]), null);
+        });
+
+        it("should ignore 'excludedFiles'.", () => {
+            assert.deepStrictEqual(getKeys(["*.js"], ["*.test.js", "**/*"]), { kind: "extension", keys: ["js"] });
+        });
+
+        it("should use the first group which can be indexed if the tester was created by 'and' factory function.", () => {
+            const tester = OverrideTester.and(
+                OverrideTester.create(["**/*"], [], basePath),
+                OverrideTester.create(["test/**"], [], basePath)
+            );
+            const { kind, keys } = tester.getIndexKeys();
+
+            assert.deepStrictEqual({ kind, keys: [...keys] }, { kind: "directory", keys: ["test"] });
+        });
+
+        describe("the paths which don't have the keys should never match.", () => {
+            const patterns = [
+                "*", "**", "**/*", "*.js", "**/*.js", "*.{js,ts}", "*.test.js", "*.js.map",
+                "foo.js", "foo", "foo*", "*foo", "*.", ".eslintrc", ".*", "*.*", "*.[jt]s",
+                "*.j?", "+(a|b).js", "!(*.ts)", "*.{js", "lib/*", "lib/**", "lib/**/*.js",
+                "lib/foo.js", "./*.js", "./lib/*", "./foo", "lib/", "*.js/", "lib/*/",
+                "{lib,test}/**", "**/test/**", "test/**/*.spec.ts", "a\\*.js",
+                "{foo,*}.{js,ts}", "foo+.js", "a@b", "lib/{foo,*.js}"
+            ];
+            const filePaths = [
+                "", "foo", "foo.js", "foo.ts", "foo.test.js", "foo.js.map", "foo.", ".eslintrc",
+                ".foo.js", "Makefile", "a.js", "b.js", "a*.js", "ab.js", "lib", "lib/foo.js",
+                "lib/foo", "lib/a/b.js", "lib/a/b.ts", "test/foo.spec.ts", "test/a/foo.spec.ts",
+                "src/lib/foo.js", "foo.{js", "../foo.js", "../lib/foo.js", ".."
+            ];
+
+            for (const pattern of patterns) {
+                it(`with '${pattern}'`, () => {
+                    const tester = OverrideTester.create(pattern, [], basePath);
+                    const indexKeys = tester.getIndexKeys();
+
+                    for (const filePath of filePaths) {
+                        const absolutePath = path.resolve(basePath, filePath);
+                        const pathKeys = OverrideTester.getPathIndexKeys(absolutePath, basePath);
+
+                        if (indexKeys && !indexKeys.keys.has(pathKeys[indexKeys.kind])) {
+                            assert.strictEqual(tester.test(absolutePath), false, filePath);
+                        }
+                    }
+                });
+            }
+        });
+    });
+
+    describe("'getPathIndexKeys(filePath, basePath)' should return the keys of a path.", () => {
+        const basePath = process.cwd();
+
+        for (const [filePath, expected] of [
+            ["foo.js", { extension: "js", directory: "foo.js" }],
+            ["lib/foo.test.js", { extension: "js", directory: "lib" }],
+            ["lib/Makefile", { extension: null, directory: "lib" }],
+            ["lib/.eslintrc", { extension: "eslintrc", directory: "lib" }],
+            ["", { extension: null, directory: "" }]
+        ]) {
+            it(`should return ${JSON.stringify(expected)} for '${filePath}'.`, () => {
+                assert.deepStrictEqual(
+                    OverrideTester.getPathIndexKeys(path.resolve(basePath, filePath), basePath),
+                    expected
+                );
+            });
+        }
+    });
+
     describe("'JSON.stringify(...)' should return readable JSON; not include 'Minimatch' objects", () => {
         it("should return an object that has three properties 'includes', 'excludes', and 'basePath' if that 'patterns' property include one object.", () => {
             const files = "*.js";
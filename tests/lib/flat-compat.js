@@ -438,6 +438,43 @@ describe("FlatCompat", () => {
                 });
             });
 
+            it("should translate extends object into a config object with the rewritten rules", () => {
+                const result = compat.config({
+                    extends: [{ config: "fixture2", severity: "warn" }],
+                    rules: {
+                        foo: "warn"
+                    }
+                });
+
+                assert.strictEqual(result.length, 2);
+                assert.deepStrictEqual(result[0], {
+                    languageOptions: {
+                        globals: {
+                            foobar: false
+                        }
+                    },
+                    rules: {
+                        foobar: "warn"
+                    }
+                });
+            });
+
+            it("should translate extends object with excluded rules into a config object", () => {
+                const result = compat.config({
+                    extends: { config: "fixture2", exclude: ["foobar"] }
+                });
+
+                assert.strictEqual(result.length, 1);
+                assert.deepStrictEqual(result[0], {
+                    languageOptions: {
+                        globals: {
+                            foobar: false
+                        }
+                    },
+                    rules: {}
+                });
+            });
+
             it("should throw an error when extending eslint:all without allConfig", () => {
                 const invalidCompat = new FlatCompat();
 
@@ -977,6 +1014,15 @@ describe("FlatCompat", () => {
             assert.isTrue(result[0].settings["eslint:recommended"]);
         });
 
+        it("should translate extends object into a config object with the rewritten rules", () => {
+            const result = compat.extends({ config: "fixture2", severity: 1 });
+
+            assert.strictEqual(result.length, 1);
+            assert.deepStrictEqual(result[0].rules, {
+                foobar: 1
+            });
+        });
+
         it("should translate extends array with multiple configs into config objects", () => {
             const result = compat.extends("fixture1", "eslint:all", "fixture2");
 
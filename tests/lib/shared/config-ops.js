@@ -51,6 +51,66 @@ describe("ConfigOps", () => {
         }
     });
 
+    describe("getReplacedRuleId()", () => {
+        const EXPECTED_RESULTS = new Map([
+            [{ meta: { deprecated: true, replacedBy: ["new-rule"] } }, "new-rule"],
+            [{ meta: { deprecated: true, replacedBy: ["a", "b"] } }, null],
+            [{ meta: { deprecated: true, replacedBy: [] } }, null],
+            [{ meta: { deprecated: true } }, null],
+            [{ meta: { deprecated: false, replacedBy: ["new-rule"] } }, null],
+            [{ meta: { deprecated: { replacedBy: [{ rule: { name: "new-rule" } }] } } }, "new-rule"],
+            [{ meta: { deprecated: { replacedBy: [{ plugin: { name: "eslint" }, rule: { name: "new-rule" } }] } } }, "new-rule"],
+            [{ meta: { deprecated: { replacedBy: [{ plugin: { name: "eslint-plugin-foo" }, rule: { name: "new-rule" } }] } } }, "foo/new-rule"],
+            [{ meta: { deprecated: { replacedBy: [{ plugin: { name: "@stylistic/eslint-plugin-js" }, rule: { name: "semi" } }] } } }, "@stylistic/js/semi"],
+            [{ meta: { deprecated: { replacedBy: [{ plugin: { name: "@stylistic/eslint-plugin" }, rule: { name: "semi" } }] } } }, "@stylistic/semi"],
+            [{ meta: { deprecated: { replacedBy: [{ rule: { name: "a" } }, { rule: { name: "b" } }] } } }, null],
+            [{ meta: { deprecated: { replacedBy: [{ message: "Use something else." }] } } }, null],
+            [{ meta: { deprecated: { replacedBy: [] }, replacedBy: ["new-rule"] } }, null],
+            [{ meta: { deprecated: { message: "Deprecated." }, replacedBy: ["new-rule"] } }, "new-rule"],
+            [{ meta: {} }, null],
+            [{ create() {} }, null],
+            [null, null],
+            [void 0, null]
+        ]);
+
+        for (const key of EXPECTED_RESULTS.keys()) {
+            it(`returns ${util.inspect(EXPECTED_RESULTS.get(key))} for ${util.inspect(key)}`, () => {
+                assert.strictEqual(ConfigOps.getReplacedRuleId(key), EXPECTED_RESULTS.get(key));
+            });
+        }
+    });
+
+    describe("hasSameOptionsSchema()", () => {
+        const schema = [{ enum: ["always", "never"] }];
+
+        it("should return true if the rules have the same schema object.", () => {
+            assert.isTrue(ConfigOps.hasSameOptionsSchema({ meta: { schema } }, { meta: { schema } }));
+        });
+
+        it("should return true if the rules have the equal schemas.", () => {
+            assert.isTrue(ConfigOps.hasSameOptionsSchema(
+                { meta: { schema } },
+                { meta: { schema: [{ enum: ["always", "never"] }] } }
+            ));
+        });
+
+        it("should return true if neither rule has options.", () => {
+            assert.isTrue(ConfigOps.hasSameOptionsSchema({ meta: {} }, { meta: { schema: [] } }));
+            assert.isTrue(ConfigOps.hasSameOptionsSchema({ create() {} }, () => {}));
+        });
+
+        it("should use the 'schema' property of function-style rules.", () => {
+            const rule = Object.assign(() => {}, { schema });
+
+            assert.isTrue(ConfigOps.hasSameOptionsSchema(rule, { meta: { schema } }));
+        });
+
+        it("should return false if the rules have different schemas.", () => {
+            assert.isFalse(ConfigOps.hasSameOptionsSchema({ meta: { schema } }, { meta: { schema: { type: "array" } } }));
+            assert.isFalse(ConfigOps.hasSameOptionsSchema({ meta: { schema } }, { meta: {} }));
+        });
+    });
+
     describe("normalizeToStrings()", () => {
         it("should convert 2 rule setting to error when rule has just a severity", () => {
             const config = {
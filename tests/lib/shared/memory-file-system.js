@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Tests for the file system on memory
+ */
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+import path from "node:path";
+import { assert } from "chai";
+
+import { MemoryFileSystem } from "../../../lib/shared/memory-file-system.js";
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("MemoryFileSystem", () => {
+    const cwd = path.resolve("/project");
+
+    /** @type {MemoryFileSystem} */
+    let fs;
+
+    beforeEach(() => {
+        fs = new MemoryFileSystem({
+            ".eslintrc.json": "{}",
+            "lib/nested/.eslintrc.yml": "root: true"
+        }, { cwd });
+    });
+
+    describe("existsSync()", () => {
+        [
+            [".eslintrc.json", true],
+            [path.join(cwd, ".eslintrc.json"), true],
+            ["lib", true],
+            ["lib/nested", true],
+            [cwd, true],
+            ["lib/.eslintrc.json", false],
+            ["li", false]
+        ].forEach(([filePath, expected]) => {
+            it(`should return ${expected} for '${filePath}'`, () => {
+                assert.strictEqual(fs.existsSync(filePath), expected);
+            });
+        });
+    });
+
+    describe("statSync()", () => {
+        it("should return the stats of a file.", () => {
+            const stats = fs.statSync("lib/nested/.eslintrc.yml");
+
+            assert.strictEqual(stats.isFile(), true);
+            assert.strictEqual(stats.isDirectory(), false);
+            assert.strictEqual(stats.size, "root: true".length);
+            assert.strictEqual(typeof stats.mtimeMs, "number");
+        });
+
+        it("should return the stats of a directory.", () => {
+            const stats = fs.statSync("lib");
+
+            assert.strictEqual(stats.isFile(), false);
+            assert.strictEqual(stats.isDirectory(), true);
+        });
+
+        it("should throw ENOENT if the entry doesn't exist.", () => {
+            assert.throws(() => fs.statSync("missing"), /^ENOENT: no such file or directory, stat 'missing'$/u);
+        });
+    });
+
+    describe("readFileSync()", () => {
+        it("should return the content as a string if the encoding is given.", () => {
+            assert.strictEqual(fs.readFileSync("lib/nested/.eslintrc.yml", "utf8"), "root: true");
+        });
+
+        it("should return the content as a buffer if the encoding is omitted.", () => {
+            assert.deepStrictEqual(fs.readFileSync(".eslintrc.json"), Buffer.from("{}"));
+        });
+
+        it("should throw ENOENT if the file doesn't exist.", () => {
+            try {
+                fs.readFileSync("missing.json", "utf8");
+            } catch (error) {
+                assert.strictEqual(error.code, "ENOENT");
+                assert.strictEqual(error.path, "missing.json");
+                return;
+            }
+            assert.fail("Expected an error.");
+        });
+
+        it("should throw EISDIR if the path is a directory.", () => {
+            assert.throws(() => fs.readFileSync("lib", "utf8"), /^EISDIR:/u);
+        });
+    });
+
+    describe("writeFileSync() and unlinkSync()", () => {
+        it("should add, update, and remove files.", () => {
+            fs.writeFileSync("src/.eslintrc.json", "{ \"root\": true }");
+            assert.strictEqual(fs.readFileSync("src/.eslintrc.json", "utf8"), "{ \"root\": true }");
+            assert.strictEqual(fs.statSync("src").isDirectory(), true);
+
+            fs.writeFileSync("src/.eslintrc.json", "{}");
+            assert.strictEqual(fs.readFileSync("src/.eslintrc.json", "utf8"), "{}");
+
+            fs.unlinkSync("src/.eslintrc.json");
+            assert.strictEqual(fs.existsSync("src/.eslintrc.json"), false);
+            assert.strictEqual(fs.existsSync("src"), false);
+        });
+
+        it("should throw EISDIR if the path to write is a directory.", () => {
+            assert.throws(() => fs.writeFileSync("lib", ""), /^EISDIR:/u);
+        });
+
+        it("should throw ENOTDIR if an ancestor of the path to write is a file.", () => {
+            assert.throws(() => fs.writeFileSync(".eslintrc.json/a.js", ""), /^ENOTDIR:/u);
+            assert.throws(() => fs.writeFileSync(".eslintrc.json/a/b.js", ""), /^ENOTDIR:/u);
+            assert.strictEqual(fs.statSync(".eslintrc.json").isFile(), true);
+        });
+
+        it("should throw ENOENT if the file to remove doesn't exist.", () => {
+            assert.throws(() => fs.unlinkSync("missing"), /^ENOENT:/u);
+        });
+    });
+
+    describe("readdirSync()", () => {
+        it("should return the names of the entries in alphabetical order.", () => {
+            fs.writeFileSync("lib/a.js", "");
+
+            assert.deepStrictEqual(fs.readdirSync("."), [".eslintrc.json", "lib"]);
+            assert.deepStrictEqual(fs.readdirSync("lib"), ["a.js", "nested"]);
+        });
+
+        it("should return the entries with the types if 'withFileTypes' is true.", () => {
+            const entries = fs.readdirSync(cwd, { withFileTypes: true });
+
+            assert.deepStrictEqual(
+                entries.map(entry => [entry.name, entry.isFile(), entry.isDirectory()]),
+                [[".eslintrc.json", true, false], ["lib", false, true]]
+            );
+        });
+
+        it("should throw ENOENT if the directory doesn't exist.", () => {
+            assert.throws(() => fs.readdirSync("missing"), /^ENOENT:/u);
+        });
+
+        it("should throw ENOTDIR if the path is a file.", () => {
+            assert.throws(() => fs.readdirSync(".eslintrc.json"), /^ENOTDIR:/u);
+        });
+    });
+
+    describe("watch()", () => {
+        it("should call the listener when the file was changed or removed.", () => {
+            const events = [];
+
+            fs.watch(".eslintrc.json", { persistent: false }, (...args) => events.push(args));
+            fs.writeFileSync(".eslintrc.json", "{ \"root\": true }");
+            fs.writeFileSync("lib/.eslintrc.json", "{}");
+            fs.unlinkSync(".eslintrc.json");
+
+            assert.deepStrictEqual(events, [
+                ["change", ".eslintrc.json"],
+                ["rename", ".eslintrc.json"]
+            ]);
+        });
+
+        it("should accept the listener as the second argument.", () => {
+            const events = [];
+
+            fs.watch(".eslintrc.json", eventType => events.push(eventType));
+            fs.writeFileSync(".eslintrc.json", "{}");
+
+            assert.deepStrictEqual(events, ["change"]);
+        });
+
+        it("should not call the listener after the watcher was closed.", () => {
+            const events = [];
+            const watcher = fs.watch(".eslintrc.json", eventType => events.push(eventType));
+
+            watcher.close();
+            fs.writeFileSync(".eslintrc.json", "{}");
+
+            assert.deepStrictEqual(events, []);
+        });
+
+        it("should throw ENOENT if the file doesn't exist.", () => {
+            assert.throws(() => fs.watch("missing", () => {}), /^ENOENT:/u);
+        });
+    });
+
+    describe("promises", () => {
+        it("should read files asynchronously.", async () => {
+            assert.strictEqual(await fs.promises.readFile(".eslintrc.json", "utf8"), "{}");
+            assert.strictEqual((await fs.promises.stat("lib")).isDirectory(), true);
+        });
+
+        it("should reject if the file doesn't exist.", async () => {
+            let error;
+
+            try {
+                await fs.promises.readFile("missing.json", "utf8");
+            } catch (e) {
+                error = e;
+            }
+
+            assert.strictEqual(error.code, "ENOENT");
+        });
+    });
+});
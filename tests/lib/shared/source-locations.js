@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tests for source location helpers
+ */
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+import { assert } from "chai";
+import yaml from "js-yaml";
+
+import * as sourceLocations from "../../../lib/shared/source-locations.js";
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("source-locations", () => {
+    describe("createJSONLocator()", () => {
+        const text = [
+            "{",
+            "    \"env\": { \"node\": true },",
+            "    \"rules\": {",
+            "        \"a/b\": [2, { \"x\": 1 }],",
+            "        \"c~d\": \"off\"",
+            "    }",
+            "}"
+        ].join("\r\n");
+        const locate = sourceLocations.createJSONLocator(text);
+
+        [
+            ["", 1, 1],
+            ["/env", 2, 5],
+            ["/env/node", 2, 14],
+            ["/rules/a~1b", 4, 9],
+            ["/rules/a~1b/1", 4, 20],
+            ["/rules/a~1b/1/x", 4, 22],
+            ["/rules/c~0d", 5, 9],
+            ["/rules/missing", 3, 5]
+        ].forEach(([pointer, line, column]) => {
+            it(`should return line ${line} and column ${column} for '${pointer}'`, () => {
+                assert.deepStrictEqual(locate(pointer), { line, column });
+            });
+        });
+    });
+
+    describe("createYAMLLocator()", () => {
+        const text = [
+            "env:",
+            "    node: true",
+            "empty:",
+            "rules:",
+            "    semi: [error, always]",
+            "    \"quoted\": 2",
+            "overrides:",
+            "    - files: \"*.js\"",
+            "      rules: { eqeqeq: 2 }"
+        ].join("\n");
+        const locate = sourceLocations.createYAMLLocator(text);
+
+        [
+            ["/env", 1, 1],
+            ["/env/node", 2, 5],
+            ["/empty", 3, 1],
+            ["/rules/semi/1", 5, 19],
+            ["/rules/quoted", 6, 5],
+            ["/overrides/0", 8, 7],
+            ["/overrides/0/files", 8, 7],
+            ["/overrides/0/rules/eqeqeq", 9, 16],
+            ["/overrides/0/missing", 8, 7]
+        ].forEach(([pointer, line, column]) => {
+            it(`should return line ${line} and column ${column} for '${pointer}'`, () => {
+                assert.deepStrictEqual(locate(pointer), { line, column });
+            });
+        });
+    });
+
+    describe("getJSONParseErrorLocation()", () => {
+        it("should return the location of the position in the error message", () => {
+            const text = "{\n    \"a\": 1,\n}";
+            let error;
+
+            try {
+                JSON.parse(text);
+            } catch (e) {
+                error = e;
+            }
+
+            assert.deepStrictEqual(sourceLocations.getJSONParseErrorLocation(text, error), { line: 3, column: 1 });
+        });
+
+        it("should return the end of the text if the error message doesn't have the position", () => {
+            const text = "{\n    \"a\": 1";
+
+            assert.deepStrictEqual(
+                sourceLocations.getJSONParseErrorLocation(text, new SyntaxError("Unexpected end of JSON input")),
+                { line: 2, column: 11 }
+            );
+        });
+
+        it("should return the location of the unexpected token if the error message doesn't have the position", () => {
+            const text = "{\n    \"rules\": {\n        \"semi\": x\n    }\n}\n";
+
+            assert.deepStrictEqual(
+                sourceLocations.getJSONParseErrorLocation(text, new SyntaxError("Unexpected token 'x', ...\"  \"semi\": x\n    }\n}\n\" is not valid JSON")),
+                { line: 3, column: 17 }
+            );
+        });
+
+        [
+            ["{\"a\": 1}}", { line: 1, column: 9 }],
+            ["[1, 2,, 3]", { line: 1, column: 7 }],
+            ["{\"a\": tru}", { line: 1, column: 10 }],
+            ["{\"a\"\n  \"b\": 1}", { line: 2, column: 3 }]
+        ].forEach(([text, expected]) => {
+            it(`should return ${JSON.stringify(expected)} for the error of ${JSON.stringify(text)}`, () => {
+                let error;
+
+                try {
+                    JSON.parse(text);
+                } catch (e) {
+                    error = e;
+                }
+
+                assert.deepStrictEqual(sourceLocations.getJSONParseErrorLocation(text, error), expected);
+            });
+        });
+    });
+
+    describe("getYAMLParseErrorLocation()", () => {
+        it("should return the location of the error mark", () => {
+            let error;
+
+            try {
+                yaml.load("a: 1\nb: [\n");
+            } catch (e) {
+                error = e;
+            }
+
+            assert.deepStrictEqual(sourceLocations.getYAMLParseErrorLocation(error), { line: 3, column: 1 });
+        });
+
+        it("should return null if the error is not a YAML error", () => {
+            assert.strictEqual(sourceLocations.getYAMLParseErrorLocation(new Error("x")), null);
+        });
+    });
+});
@@ -39,6 +39,8 @@ const compat = new FlatCompat({
 const config: Linter.Config[] = [
     ...compat.extends("standard", "example"),
 
+    ...compat.extends({ config: "plugin:foo/recommended", severity: "warn", exclude: ["foo/bar"] }),
+
     ...compat.env({
         es2020: true,
         node: true,
@@ -57,6 +59,10 @@ const config: Linter.Config[] = [
             semi: "error",
         },
     }),
+
+    ...compat.config({
+        extends: ["standard", { config: "example", severity: 1 }],
+    }),
 ];
 
 export default config;